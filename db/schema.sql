@@ -12,6 +12,8 @@ CREATE TABLE users (
   mode VARCHAR(10) DEFAULT 'lite' CHECK (mode IN ('lite', 'pro')),
   total_balance DECIMAL(18, 6) DEFAULT 0,
   total_earnings DECIMAL(18, 6) DEFAULT 0,
+  chain_id INTEGER, -- Chain the wallet last signed in on
+  last_synced_at TIMESTAMP, -- Last on-chain reconciliation
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -42,6 +44,11 @@ CREATE TABLE deposits (
   payment_method_id UUID REFERENCES payment_methods(id) ON DELETE SET NULL,
   transaction_hash VARCHAR(255),
   status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'failed')),
+  failure_reason TEXT,
+  chain_id INTEGER, -- Network the deposit was made on
+  token_address VARCHAR(42), -- ERC-20 token deposited (see erc20_tokens)
+  block_number BIGINT,
+  verified_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -54,6 +61,10 @@ CREATE TABLE transactions (
   description TEXT,
   transaction_hash VARCHAR(255),
   status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'failed')),
+  chain_id INTEGER, -- Network the transaction belongs to
+  token_address VARCHAR(42), -- ERC-20 token moved (see erc20_tokens)
+  goal_id UUID REFERENCES savings_goals(id) ON DELETE SET NULL, -- Goal the funds moved in or out of (transfers: into)
+  from_goal_id UUID REFERENCES savings_goals(id) ON DELETE SET NULL, -- Transfers: goal the funds moved out of
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -124,6 +135,281 @@ CREATE TABLE allocation_history (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Auth Nonces Table (single-use Sign-In With Ethereum nonces)
+CREATE TABLE auth_nonces (
+  nonce VARCHAR(64) PRIMARY KEY,
+  wallet_address VARCHAR(255) NOT NULL,
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+-- Auth Sessions Table (one row per signed-in device)
+CREATE TABLE auth_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh Tokens Table (hashed, rotated on every use)
+CREATE TABLE refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin API Keys Table (hashed keys with per-key scopes)
+CREATE TABLE admin_api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_by UUID REFERENCES admin_api_keys(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Idempotency Keys Table (stored responses for retried money-moving requests)
+CREATE TABLE idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+  response_status INTEGER,
+  response_body JSONB,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, idempotency_key)
+);
+
+-- Chain Events Table (decoded StackSaveSimple events from the indexer)
+CREATE TABLE chain_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chain_id INTEGER NOT NULL,
+  contract_address VARCHAR(42) NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash VARCHAR(66) NOT NULL,
+  transaction_hash VARCHAR(66) NOT NULL,
+  log_index INTEGER NOT NULL,
+  event_name VARCHAR(50) NOT NULL CHECK (event_name IN ('Deposited', 'Withdrawn', 'GoalCreated', 'InterestClaimed', 'StreakUpdated')),
+  user_address VARCHAR(42),
+  goal_id NUMERIC(78, 0),
+  amount NUMERIC(78, 0), -- Raw token units (or goal target for GoalCreated)
+  args JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(chain_id, transaction_hash, log_index)
+);
+
+-- Indexer Checkpoints Table (last fully indexed block per indexer)
+CREATE TABLE indexer_checkpoints (
+  name VARCHAR(100) PRIMARY KEY,
+  chain_id INTEGER NOT NULL,
+  contract_address VARCHAR(42) NOT NULL,
+  last_block BIGINT NOT NULL,
+  last_block_hash VARCHAR(66),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexer Block Hashes Table (recent range-end hashes for reorg detection)
+CREATE TABLE indexer_block_hashes (
+  indexer_name VARCHAR(100) NOT NULL REFERENCES indexer_checkpoints(name) ON DELETE CASCADE,
+  block_number BIGINT NOT NULL,
+  block_hash VARCHAR(66) NOT NULL,
+  PRIMARY KEY (indexer_name, block_number)
+);
+
+-- Chain Read Cache Table (shared cache of contract view calls, READ_CACHE_BACKEND=postgres)
+CREATE TABLE chain_read_cache (
+  cache_key VARCHAR(512) PRIMARY KEY,
+  addresses TEXT[] NOT NULL DEFAULT '{}', -- Lowercased wallets/contracts the read depends on
+  value JSONB NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Interest Claims Table (InterestClaimed events credited as earnings)
+CREATE TABLE interest_claims (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chain_id INTEGER NOT NULL,
+  transaction_hash VARCHAR(66) NOT NULL,
+  log_index INTEGER NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL when the wallet has no account
+  wallet_address VARCHAR(42) NOT NULL,
+  amount DECIMAL(18, 6) NOT NULL,
+  token_address VARCHAR(42),
+  block_number BIGINT NOT NULL,
+  claimed_at TIMESTAMP NOT NULL, -- Block timestamp
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(chain_id, transaction_hash, log_index)
+);
+
+-- Interest Snapshots Table (periodic pendingInterest readings)
+CREATE TABLE interest_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  chain_id INTEGER NOT NULL,
+  pending_interest DECIMAL(18, 6) NOT NULL,
+  token_address VARCHAR(42),
+  block_number BIGINT NOT NULL,
+  taken_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ERC-20 Token Metadata Table (read from chain once per token)
+CREATE TABLE erc20_tokens (
+  chain_id INTEGER NOT NULL,
+  address VARCHAR(42) NOT NULL, -- Checksummed
+  symbol VARCHAR(32),
+  name VARCHAR(255),
+  decimals INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (chain_id, address)
+);
+
+-- On-chain Goal Links Table (savings_goals <-> getUserGoals() index per deployment)
+CREATE TABLE onchain_goal_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chain_id INTEGER NOT NULL,
+  contract_address VARCHAR(42) NOT NULL, -- StackSave deployment, lowercase
+  wallet_address VARCHAR(42) NOT NULL, -- Lowercase
+  onchain_goal_id INTEGER, -- Index in getUserGoals(); NULL until GoalCreated is seen
+  goal_id UUID NOT NULL UNIQUE REFERENCES savings_goals(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('event', 'tx_builder', 'sync')),
+  pending_name VARCHAR(255), -- createGoal arguments, matched against GoalCreated
+  pending_target NUMERIC(78, 0),
+  linked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(chain_id, contract_address, wallet_address, onchain_goal_id)
+);
+
+-- Owner Operations Table (owner-only contract calls awaiting multi-key approval)
+CREATE TABLE owner_operations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chain_id INTEGER NOT NULL,
+  contract_address VARCHAR(42) NOT NULL,
+  action VARCHAR(30) NOT NULL CHECK (action IN ('fundContract', 'emergencyWithdraw', 'updateTreasury', 'transferOwnership')),
+  params JSONB NOT NULL,
+  calldata TEXT NOT NULL, -- Encoded at proposal; approvals sign off on exactly this call
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'executed', 'rejected')),
+  required_approvals INTEGER NOT NULL,
+  proposed_by UUID REFERENCES admin_api_keys(id) ON DELETE SET NULL,
+  execution_hash VARCHAR(66),
+  approved_at TIMESTAMP,
+  executed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Owner Operation Approvals Table (one per operation and API key)
+CREATE TABLE owner_operation_approvals (
+  operation_id UUID NOT NULL REFERENCES owner_operations(id) ON DELETE CASCADE,
+  api_key_id UUID NOT NULL REFERENCES admin_api_keys(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (operation_id, api_key_id)
+);
+
+-- Owner Operation Audit Table (append-only trail of every step)
+CREATE TABLE owner_operation_audit (
+  id BIGSERIAL PRIMARY KEY, -- Orders steps recorded in the same transaction
+  operation_id UUID NOT NULL REFERENCES owner_operations(id),
+  event VARCHAR(20) NOT NULL CHECK (event IN ('proposed', 'approved', 'threshold_met', 'rejected', 'executed')),
+  api_key_id UUID REFERENCES admin_api_keys(id),
+  details JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Fee Samples Table (fee data readings per network, for spotting expensive moments)
+CREATE TABLE fee_samples (
+  id BIGSERIAL PRIMARY KEY,
+  chain_id INTEGER NOT NULL,
+  network VARCHAR(100) NOT NULL,
+  block_number BIGINT NOT NULL,
+  base_fee_per_gas NUMERIC(78, 0) NOT NULL, -- wei; gasPrice on chains without EIP-1559
+  max_priority_fee_per_gas NUMERIC(78, 0) NOT NULL,
+  max_fee_per_gas NUMERIC(78, 0) NOT NULL,
+  gas_price NUMERIC(78, 0) NOT NULL,
+  sampled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Deposit Schedules Table (recurring deposits into a goal)
+CREATE TABLE deposit_schedules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  goal_id UUID NOT NULL REFERENCES savings_goals(id) ON DELETE CASCADE,
+  payment_method_id UUID NOT NULL REFERENCES payment_methods(id) ON DELETE CASCADE,
+  amount DECIMAL(18, 6) NOT NULL,
+  cadence VARCHAR(20) NOT NULL CHECK (cadence IN ('daily', 'weekly', 'monthly')),
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA zone the local run time is kept in
+  network VARCHAR(100), -- NULL for the default network
+  starts_at TIMESTAMP NOT NULL, -- First run; later runs keep its local time, weekday or day of month
+  occurrence INTEGER NOT NULL DEFAULT 0, -- Runs made or skipped so far
+  next_run_at TIMESTAMP NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'completed')),
+  attempts INTEGER NOT NULL DEFAULT 0, -- Failed attempts at the current run
+  retry_at TIMESTAMP, -- Next attempt after a failure
+  last_run_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Deposit Schedule Runs Table (history of every attempt and skip)
+CREATE TABLE deposit_schedule_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  schedule_id UUID NOT NULL REFERENCES deposit_schedules(id) ON DELETE CASCADE,
+  occurrence INTEGER NOT NULL,
+  scheduled_for TIMESTAMP NOT NULL,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('succeeded', 'retrying', 'failed', 'skipped')),
+  deposit_id UUID REFERENCES deposits(id) ON DELETE SET NULL,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Goal Milestones Table (first time a goal reached 25/50/75/100% of its target)
+CREATE TABLE goal_milestones (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  goal_id UUID NOT NULL REFERENCES savings_goals(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  percent INTEGER NOT NULL CHECK (percent IN (25, 50, 75, 100)),
+  amount DECIMAL(18, 6) NOT NULL, -- current_amount when it was reached
+  target_amount DECIMAL(18, 6) NOT NULL, -- Target at that time
+  source VARCHAR(20) NOT NULL CHECK (source IN ('deposit', 'withdrawal', 'transfer', 'update', 'sync')),
+  reached_at TIMESTAMP NOT NULL,
+  UNIQUE(goal_id, percent)
+);
+
+-- Shared goals: members other than the creator (who is always an owner)
+CREATE TABLE goal_members (
+  goal_id UUID NOT NULL REFERENCES savings_goals(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'contributor', 'viewer')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (goal_id, user_id)
+);
+
+-- Invitations to a shared goal, addressed to a wallet
+CREATE TABLE goal_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  goal_id UUID NOT NULL REFERENCES savings_goals(id) ON DELETE CASCADE,
+  wallet_address VARCHAR(42) NOT NULL, -- Lowercased
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'contributor', 'viewer')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+  responded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for better query performance
 CREATE INDEX idx_users_wallet ON users(wallet_address);
 CREATE INDEX idx_goals_user ON savings_goals(user_id);
@@ -131,6 +417,8 @@ CREATE INDEX idx_goals_main ON savings_goals(is_main_goal);
 CREATE INDEX idx_deposits_user ON deposits(user_id);
 CREATE INDEX idx_deposits_goal ON deposits(goal_id);
 CREATE INDEX idx_deposits_date ON deposits(deposit_date);
+CREATE UNIQUE INDEX idx_deposits_tx_hash ON deposits(transaction_hash);
+CREATE INDEX idx_deposits_status ON deposits(status);
 CREATE INDEX idx_transactions_user ON transactions(user_id);
 CREATE INDEX idx_transactions_type ON transactions(type);
 CREATE INDEX idx_transactions_date ON transactions(created_at);
@@ -141,6 +429,29 @@ CREATE INDEX idx_pool_allocations_user ON pool_allocations(user_id);
 CREATE INDEX idx_pool_allocations_pool_type ON pool_allocations(pool_type);
 CREATE INDEX idx_allocation_history_user ON allocation_history(user_id);
 CREATE INDEX idx_allocation_history_deposit ON allocation_history(deposit_id);
+CREATE INDEX idx_auth_nonces_wallet ON auth_nonces(wallet_address);
+CREATE INDEX idx_auth_nonces_expires ON auth_nonces(expires_at);
+CREATE INDEX idx_auth_sessions_user ON auth_sessions(user_id);
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+CREATE INDEX idx_chain_events_user ON chain_events(user_address);
+CREATE INDEX idx_chain_events_block ON chain_events(chain_id, contract_address, block_number);
+CREATE INDEX idx_chain_events_name ON chain_events(event_name);
+CREATE INDEX idx_chain_read_cache_addresses ON chain_read_cache USING GIN (addresses);
+CREATE INDEX idx_chain_read_cache_expires ON chain_read_cache(expires_at);
+CREATE INDEX idx_interest_claims_user ON interest_claims(user_id, claimed_at);
+CREATE INDEX idx_interest_snapshots_user ON interest_snapshots(user_id, chain_id, taken_at);
+CREATE INDEX idx_owner_operations_status ON owner_operations(status, created_at);
+CREATE INDEX idx_owner_operation_audit_operation ON owner_operation_audit(operation_id, id);
+CREATE INDEX idx_fee_samples_network ON fee_samples(network, sampled_at);
+CREATE INDEX idx_deposit_schedules_user ON deposit_schedules(user_id);
+CREATE INDEX idx_deposit_schedules_due ON deposit_schedules(status, next_run_at);
+CREATE INDEX idx_deposit_schedule_runs_schedule ON deposit_schedule_runs(schedule_id, created_at);
+CREATE INDEX idx_goal_milestones_user ON goal_milestones(user_id, reached_at);
+CREATE INDEX idx_goal_members_user ON goal_members(user_id);
+CREATE UNIQUE INDEX idx_goal_invitations_pending ON goal_invitations(goal_id, wallet_address) WHERE status = 'pending';
+CREATE INDEX idx_goal_invitations_wallet ON goal_invitations(wallet_address, status);
+CREATE INDEX idx_onchain_goal_links_pending ON onchain_goal_links(chain_id, contract_address, wallet_address) WHERE onchain_goal_id IS NULL;
 
 -- Trigger to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -166,3 +477,6 @@ CREATE TRIGGER update_payment_methods_updated_at BEFORE UPDATE ON payment_method
 
 CREATE TRIGGER update_pool_allocations_updated_at BEFORE UPDATE ON pool_allocations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_deposit_schedules_updated_at BEFORE UPDATE ON deposit_schedules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,43 @@
+/**
+ * Create an admin API key from the command line
+ *
+ * Bootstraps the first key (nothing can call POST /api/admin/keys before one
+ * exists). Usage:
+ *   npm run admin:create-key -- "<name>" "<scope>[,<scope>...]"
+ *   npm run admin:create-key -- "ops root" "*"
+ */
+require('dotenv').config();
+const { pool } = require('../src/config/db');
+const { API_KEY_SCOPES, findInvalidScopes, createApiKey } = require('../src/services/apiKeys');
+
+async function main() {
+  const [name, scopeArg] = process.argv.slice(2);
+
+  if (!name || !scopeArg) {
+    console.error('Usage: npm run admin:create-key -- "<name>" "<scope>[,<scope>...]"');
+    console.error(`Available scopes: *, ${API_KEY_SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const scopes = scopeArg.split(',').map(scope => scope.trim()).filter(Boolean);
+  const invalidScopes = findInvalidScopes(scopes);
+
+  if (invalidScopes.length > 0) {
+    console.error(`Unknown scopes: ${invalidScopes.join(', ')}`);
+    process.exit(1);
+  }
+
+  const { apiKey, record } = await createApiKey(name, scopes);
+
+  console.log(`✅ API key created: ${record.id} (${record.name})`);
+  console.log(`   Scopes: ${record.scopes.join(', ')}`);
+  console.log(`   Key: ${apiKey}`);
+  console.log('   Store it now, it will not be shown again.');
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Failed to create API key:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
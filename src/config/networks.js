@@ -0,0 +1,299 @@
+const path = require('path');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { DEFAULT_ADDRESSES } = require('../services/simulation/chain');
+
+/**
+ * Network registry
+ *
+ * Each entry is one StackSave deployment: chain id, RPC endpoints, contract
+ * addresses, block explorer and the confirmations deposits wait for. Several
+ * entries may share a chain id (e.g. an old and a migrated contract side by
+ * side); selecting by chain id picks the first of them.
+ *
+ * NETWORKS_CONFIG points at a JSON file holding an array of entries:
+ *
+ *   [{ "name": "base-sepolia", "chainId": 84532,
+ *      "rpcUrls": ["https://sepolia.base.org"],
+ *      "stackSaveAddress": "0x...", "usdcAddress": "0x...",
+ *      "explorerUrl": "https://sepolia.basescan.org",
+ *      "confirmations": 1, "startBlock": 0 }]
+ *
+ * Without it, a single network is built from the original variables
+ * (BLOCKCHAIN_NETWORK, CHAIN_ID, RPC_URLS/RPC_URL, STACKSAVE_ADDRESS,
+ * USDC_ADDRESS, ...). DEFAULT_NETWORK names the network used when a request
+ * does not select one (defaults to the first entry).
+ *
+ * A network without stackSaveAddress or usdcAddress still loads (auth and
+ * /health don't need one) but is not `configured`: building a chain service
+ * for it fails with 503 (assertNetworkConfigured) and background services
+ * skip it. Addresses that are set must be valid.
+ *
+ * An entry with "simulated": true runs against the in-process chain in
+ * src/services/simulation instead of RPC endpoints (rpcUrls are ignored and
+ * the contract addresses default to the simulated deployment). Its optional
+ * "simulation" object tunes the chain: apy, streakBonus, streakThreshold
+ * (basis points / days), blockTime (seconds) and contractFunds (raw token
+ * units StackSave starts with). BLOCKCHAIN_SIMULATION=true does the same for
+ * the single env network.
+ */
+
+let networks = null;
+
+function splitUrls(value) {
+  const urls = Array.isArray(value) ? value : String(value || '').split(',');
+  return urls.map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * The single network described by the original environment variables
+ */
+function networkFromEnv() {
+  const simulated = process.env.BLOCKCHAIN_SIMULATION === 'true';
+
+  return {
+    name: process.env.BLOCKCHAIN_NETWORK || 'base-sepolia',
+    chainId: process.env.CHAIN_ID || 84532,
+    rpcUrls: process.env.RPC_URLS || process.env.RPC_URL,
+    stackSaveAddress: process.env.STACKSAVE_ADDRESS,
+    usdcAddress: process.env.USDC_ADDRESS,
+    multicallAddress: process.env.MULTICALL3_ADDRESS,
+    explorerUrl: process.env.EXPO_PUBLIC_BLOCK_EXPLORER || 'https://sepolia.basescan.org',
+    confirmations: process.env.DEPOSIT_CONFIRMATIONS || 1,
+    startBlock: process.env.INDEXER_START_BLOCK || 0,
+    simulated,
+    simulation: simulated ? simulationFromEnv() : undefined,
+  };
+}
+
+/**
+ * Simulated chain tuning from SIMULATION_* variables (unset ones keep the contract defaults)
+ */
+function simulationFromEnv() {
+  const settings = {
+    apy: process.env.SIMULATION_APY,
+    streakBonus: process.env.SIMULATION_STREAK_BONUS,
+    streakThreshold: process.env.SIMULATION_STREAK_THRESHOLD,
+    blockTime: process.env.SIMULATION_BLOCK_TIME,
+    contractFunds: process.env.SIMULATION_CONTRACT_FUNDS,
+  };
+
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Validate and normalise one registry entry
+ */
+function normalizeNetwork(entry, index) {
+  const label = entry && entry.name ? `Network ${entry.name}` : `Network #${index}`;
+
+  if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+    throw new Error(`${label}: name is required`);
+  }
+
+  const chainId = parseInt(entry.chainId, 10);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`${label}: chainId must be a positive integer`);
+  }
+
+  const simulated = entry.simulated === true || entry.simulated === 'true';
+  const addresses = simulated
+    ? {
+      stackSaveAddress: entry.stackSaveAddress || DEFAULT_ADDRESSES.stackSaveAddress,
+      usdcAddress: entry.usdcAddress || DEFAULT_ADDRESSES.usdcAddress,
+    }
+    : { stackSaveAddress: entry.stackSaveAddress, usdcAddress: entry.usdcAddress };
+
+  const missingAddresses = [];
+  for (const field of ['stackSaveAddress', 'usdcAddress']) {
+    if (!addresses[field]) {
+      missingAddresses.push(field);
+    } else if (!ethers.isAddress(addresses[field])) {
+      throw new Error(`${label}: ${field} must be a valid address`);
+    }
+  }
+
+  return {
+    name: entry.name.trim(),
+    chainId,
+    rpcUrls: simulated ? [] : splitUrls(entry.rpcUrls),
+    stackSaveAddress: addresses.stackSaveAddress ? ethers.getAddress(addresses.stackSaveAddress) : null,
+    usdcAddress: addresses.usdcAddress ? ethers.getAddress(addresses.usdcAddress) : null,
+    multicallAddress: entry.multicallAddress || null,
+    explorerUrl: entry.explorerUrl || null,
+    confirmations: parseInt(entry.confirmations ?? 1, 10),
+    startBlock: parseInt(entry.startBlock ?? 0, 10),
+    simulated,
+    simulation: simulated ? normalizeSimulation(entry.simulation || {}, label) : null,
+    configured: missingAddresses.length === 0,
+    missingAddresses,
+  };
+}
+
+/**
+ * Numeric simulation settings; contractFunds stays a BigInt (raw token units)
+ */
+function normalizeSimulation(settings, label) {
+  const simulation = {};
+
+  for (const field of ['apy', 'streakBonus', 'streakThreshold', 'blockTime']) {
+    if (settings[field] === undefined) continue;
+    const value = Number(settings[field]);
+    const min = field === 'blockTime' ? 1 : 0;
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(`${label}: simulation.${field} must be an integer of at least ${min}`);
+    }
+    simulation[field] = value;
+  }
+
+  if (settings.contractFunds !== undefined) {
+    try {
+      simulation.contractFunds = BigInt(settings.contractFunds);
+    } catch (error) {
+      throw new Error(`${label}: simulation.contractFunds must be an integer amount of raw token units`);
+    }
+  }
+
+  return simulation;
+}
+
+function loadNetworks() {
+  let entries;
+
+  if (process.env.NETWORKS_CONFIG) {
+    const configPath = path.resolve(process.env.NETWORKS_CONFIG);
+    entries = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`${configPath} must contain a non-empty array of networks`);
+    }
+  } else {
+    entries = [networkFromEnv()];
+  }
+
+  const loaded = entries.map(normalizeNetwork);
+
+  const names = new Set();
+  for (const network of loaded) {
+    if (names.has(network.name)) {
+      throw new Error(`Duplicate network name: ${network.name}`);
+    }
+    names.add(network.name);
+  }
+
+  const defaultName = process.env.DEFAULT_NETWORK;
+  if (defaultName && !names.has(defaultName)) {
+    throw new Error(`DEFAULT_NETWORK ${defaultName} is not a configured network`);
+  }
+
+  return loaded.map(network => ({
+    ...network,
+    isDefault: defaultName ? network.name === defaultName : network === loaded[0],
+  }));
+}
+
+/**
+ * All configured networks (loaded once)
+ */
+function getNetworks() {
+  if (!networks) {
+    networks = loadNetworks();
+  }
+  return networks;
+}
+
+function getDefaultNetwork() {
+  return getNetworks().find(network => network.isDefault);
+}
+
+/**
+ * Look up a network by name or chain id
+ * @param {string|number} selector
+ * @returns {Object|null}
+ */
+function findNetwork(selector) {
+  if (selector === undefined || selector === null || selector === '') {
+    return null;
+  }
+
+  const all = getNetworks();
+  const byName = all.find(network => network.name === String(selector));
+  if (byName) return byName;
+
+  const chainId = Number(selector);
+  if (!Number.isInteger(chainId)) return null;
+
+  const onChain = findNetworksByChainId(chainId);
+  return onChain.find(network => network.isDefault) || onChain[0] || null;
+}
+
+/**
+ * Every deployment on a chain
+ */
+function findNetworksByChainId(chainId) {
+  return getNetworks().filter(network => network.chainId === Number(chainId));
+}
+
+/**
+ * Network for a selector, or the default one when none is given
+ * @throws {Error} status 400 for an unknown selector
+ */
+function resolveNetwork(selector) {
+  if (selector === undefined || selector === null || selector === '') {
+    return getDefaultNetwork();
+  }
+
+  const network = findNetwork(selector);
+  if (!network) {
+    const error = new Error(`Unknown network: ${selector}`);
+    error.status = 400;
+    throw error;
+  }
+  return network;
+}
+
+/**
+ * Configured networks only (see assertNetworkConfigured)
+ */
+function getConfiguredNetworks() {
+  return getNetworks().filter(network => network.configured);
+}
+
+/**
+ * Chain access needs the contract addresses
+ * @throws {Error} status 503 naming the missing addresses
+ */
+function assertNetworkConfigured(network) {
+  if (!network.configured) {
+    const error = new Error(`Network ${network.name} is not configured: ${network.missingAddresses.join(' and ')} missing`);
+    error.status = 503;
+    throw error;
+  }
+}
+
+/**
+ * Network fields that are safe to hand to clients
+ */
+function describeNetwork(network) {
+  return {
+    name: network.name,
+    chainId: network.chainId,
+    stackSaveAddress: network.stackSaveAddress,
+    usdcAddress: network.usdcAddress,
+    explorerUrl: network.explorerUrl,
+    confirmations: network.confirmations,
+    simulated: network.simulated,
+    configured: network.configured,
+    isDefault: network.isDefault,
+  };
+}
+
+module.exports = {
+  getNetworks,
+  getConfiguredNetworks,
+  assertNetworkConfigured,
+  getDefaultNetwork,
+  findNetwork,
+  findNetworksByChainId,
+  resolveNetwork,
+  describeNetwork,
+};
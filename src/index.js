@@ -4,6 +4,14 @@ require('dotenv').config();
 
 // Import database connection
 const { pool } = require('./config/db');
+const { purgeExpiredKeys } = require('./middleware/idempotency');
+const { getNetworks } = require('./config/networks');
+const { getEventIndexers } = require('./services/indexer');
+const { getDepositVerifier } = require('./services/depositVerifier');
+const { getInterestTracker } = require('./services/interestTracker');
+const { getFeeTracker } = require('./services/fees');
+const { getDepositScheduler } = require('./services/depositScheduler');
+const { getBlockchainServices } = require('./services/blockchain');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -13,8 +21,10 @@ const depositRoutes = require('./routes/deposits');
 const transactionRoutes = require('./routes/transactions');
 const streakRoutes = require('./routes/streaks');
 const paymentMethodRoutes = require('./routes/paymentMethods');
+const scheduleRoutes = require('./routes/schedules');
 const portfolioRoutes = require('./routes/portfolio');
 const blockchainRoutes = require('./routes/blockchain');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,20 +43,26 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check endpoint
+// Health check endpoint (per-network RPC stats are reported, not gated on)
 app.get('/health', async (req, res) => {
+  const rpc = Object.fromEntries(
+    getBlockchainServices().map(service => [service.network.name, service.getRpcStats()])
+  );
+
   try {
     await pool.query('SELECT NOW()');
     res.json({
       status: 'healthy',
       timestamp: new Date().toISOString(),
       database: 'connected',
+      rpc,
     });
   } catch (error) {
     res.status(503).json({
       status: 'unhealthy',
       timestamp: new Date().toISOString(),
       database: 'disconnected',
+      rpc,
       error: error.message,
     });
   }
@@ -60,8 +76,10 @@ app.use('/api/deposits', depositRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/streaks', streakRoutes);
 app.use('/api/payment-methods', paymentMethodRoutes);
+app.use('/api/schedules', scheduleRoutes);
 app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/blockchain', blockchainRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -73,6 +91,15 @@ app.use((req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed JSON bodies get the same shape as validation failures
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'body is not valid JSON',
+      details: [{ location: 'body', field: null, message: 'is not valid JSON' }],
+    });
+  }
+
   console.error('Error:', err);
   res.status(err.status || 500).json({
     error: err.message || 'Internal Server Error',
@@ -80,16 +107,64 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Purge expired idempotency keys and read cache rows hourly
+setInterval(() => {
+  purgeExpiredKeys().catch(error => console.error('Purge idempotency keys error:', error));
+  getBlockchainServices().forEach((service) => {
+    service.readCache.purgeExpired()
+      .catch(error => console.error('Purge read cache error:', error));
+  });
+}, 60 * 60 * 1000).unref();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 StackSave API Server running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+  getNetworks().forEach((network) => {
+    const notConfigured = network.configured ? '' : ` [not configured: ${network.missingAddresses.join(', ')} missing]`;
+    console.log(`🌐 Network ${network.name} (chain ${network.chainId})${network.isDefault ? ' [default]' : ''}${notConfigured}`);
+  });
+
+  // Start a chain event indexer per network
+  if (process.env.INDEXER_ENABLED === 'true') {
+    getEventIndexers().forEach(indexer => indexer.start());
+    console.log('⛓️  Event indexers started');
+  }
+
+  // Start the on-chain deposit verifier
+  if (process.env.DEPOSIT_VERIFIER_ENABLED === 'true') {
+    getDepositVerifier().start();
+    console.log('🔍 Deposit verifier started');
+  }
+
+  // Credit indexed interest claims and snapshot pending interest
+  if (process.env.INTEREST_TRACKER_ENABLED === 'true') {
+    getInterestTracker().start();
+    console.log('💰 Interest tracker started');
+  }
+
+  // Sample fee data on every network for the fee history
+  if (process.env.FEE_TRACKER_ENABLED === 'true') {
+    getFeeTracker().start();
+    console.log('⛽ Fee tracker started');
+  }
+
+  // Make recurring deposits as their schedules come due
+  if (process.env.DEPOSIT_SCHEDULER_ENABLED === 'true') {
+    getDepositScheduler().start();
+    console.log('📅 Deposit scheduler started');
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  if (process.env.INDEXER_ENABLED === 'true') getEventIndexers().forEach(indexer => indexer.stop());
+  if (process.env.DEPOSIT_VERIFIER_ENABLED === 'true') getDepositVerifier().stop();
+  if (process.env.INTEREST_TRACKER_ENABLED === 'true') getInterestTracker().stop();
+  if (process.env.FEE_TRACKER_ENABLED === 'true') getFeeTracker().stop();
+  if (process.env.DEPOSIT_SCHEDULER_ENABLED === 'true') getDepositScheduler().stop();
   pool.end(() => {
     console.log('Database pool closed');
     process.exit(0);
@@ -98,6 +173,11 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
+  if (process.env.INDEXER_ENABLED === 'true') getEventIndexers().forEach(indexer => indexer.stop());
+  if (process.env.DEPOSIT_VERIFIER_ENABLED === 'true') getDepositVerifier().stop();
+  if (process.env.INTEREST_TRACKER_ENABLED === 'true') getInterestTracker().stop();
+  if (process.env.FEE_TRACKER_ENABLED === 'true') getFeeTracker().stop();
+  if (process.env.DEPOSIT_SCHEDULER_ENABLED === 'true') getDepositScheduler().stop();
   pool.end(() => {
     console.log('Database pool closed');
     process.exit(0);
@@ -0,0 +1,40 @@
+const { findActiveApiKey, hasScope } = require('../services/apiKeys');
+
+/**
+ * Middleware factory: require an admin API key carrying `scope`
+ * The key is read from the `X-API-Key` header and cached on req.apiKey.
+ *
+ * @param {string} scope - Scope the route needs, e.g. 'earnings:write'
+ */
+function requireApiKey(scope) {
+  return async (req, res, next) => {
+    try {
+      if (!req.apiKey) {
+        const apiKey = req.get('x-api-key');
+
+        if (!apiKey) {
+          return res.status(401).json({ error: 'Unauthorized', message: 'Missing API key' });
+        }
+
+        req.apiKey = await findActiveApiKey(apiKey);
+
+        if (!req.apiKey) {
+          return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or revoked API key' });
+        }
+      }
+
+      if (!hasScope(req.apiKey.scopes, scope)) {
+        return res.status(403).json({ error: 'Forbidden', message: `API key lacks scope ${scope}` });
+      }
+
+      next();
+    } catch (error) {
+      console.error('API key authentication error:', error);
+      res.status(500).json({ error: 'Authentication failed', message: error.message });
+    }
+  };
+}
+
+module.exports = {
+  requireApiKey,
+};
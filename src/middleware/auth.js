@@ -0,0 +1,140 @@
+const { query } = require('../config/db');
+const { verifyAccessToken } = require('../services/sessions');
+const { getGoalRole } = require('../services/goalMembers');
+
+/**
+ * Resolve the caller from the Bearer access token (cached on req.user)
+ */
+async function authenticate(req) {
+  if (req.user) {
+    return req.user;
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    const error = new Error('Missing bearer token');
+    error.status = 401;
+    throw error;
+  }
+
+  req.user = await verifyAccessToken(token);
+  return req.user;
+}
+
+function sendAuthError(error, res) {
+  if (error.status === 401) {
+    return res.status(401).json({ error: 'Unauthorized', message: error.message });
+  }
+  console.error('Authentication error:', error);
+  return res.status(500).json({ error: 'Authentication failed', message: error.message });
+}
+
+/**
+ * Middleware: require a valid access token
+ */
+async function requireAuth(req, res, next) {
+  try {
+    await authenticate(req);
+    next();
+  } catch (error) {
+    sendAuthError(error, res);
+  }
+}
+
+/**
+ * Param handler for `:userId`: the caller may only address themselves
+ * Usage: router.param('userId', authorizeUserParam)
+ */
+async function authorizeUserParam(req, res, next, userId) {
+  try {
+    const user = await authenticate(req);
+
+    if (user.id !== userId) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You do not have access to this user' });
+    }
+
+    next();
+  } catch (error) {
+    sendAuthError(error, res);
+  }
+}
+
+/**
+ * Param handler factory for resources addressed only by their own id
+ * Rows owned by someone else are reported as not found so ids can't be probed.
+ *
+ * @param {string} table - Table holding the resource (must have id and user_id)
+ * @param {string} resourceName - Name used in the 404 message
+ */
+function authorizeOwnership(table, resourceName) {
+  return async (req, res, next, resourceId) => {
+    try {
+      const user = await authenticate(req);
+
+      const result = await query(
+        `SELECT user_id FROM ${table} WHERE id = $1`,
+        [resourceId]
+      );
+
+      if (result.rows.length === 0 || result.rows[0].user_id !== user.id) {
+        return res.status(404).json({ error: `${resourceName} not found` });
+      }
+
+      next();
+    } catch (error) {
+      // Malformed UUIDs can't belong to the caller either
+      if (error.code === '22P02') {
+        return res.status(404).json({ error: `${resourceName} not found` });
+      }
+      sendAuthError(error, res);
+    }
+  };
+}
+
+/**
+ * Param handler for `:goalId`: the caller must own the goal or be one of its
+ * members (shared goals). Their role is left on req.goalRole.
+ * Usage: router.param('goalId', authorizeGoalMember)
+ */
+async function authorizeGoalMember(req, res, next, goalId) {
+  try {
+    const user = await authenticate(req);
+
+    req.goalRole = await getGoalRole({ query }, goalId, user.id);
+
+    if (!req.goalRole) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    next();
+  } catch (error) {
+    if (error.code === '22P02') {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    sendAuthError(error, res);
+  }
+}
+
+/**
+ * Middleware factory: require one of the given goal roles (after authorizeGoalMember)
+ * @param {...string} roles - owner, contributor, viewer
+ */
+function requireGoalRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.goalRole)) {
+      return res.status(403).json({ error: 'Forbidden', message: `Requires the ${roles.join(' or ')} role on this goal` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  authorizeUserParam,
+  authorizeOwnership,
+  authorizeGoalMember,
+  requireGoalRole,
+};
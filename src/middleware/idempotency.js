@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { query } = require('../config/db');
+
+/**
+ * Idempotency-Key support for money-moving POST endpoints
+ *
+ * The first request with a given key runs normally and its response is stored.
+ * A retry with the same key and body gets the stored response replayed; the
+ * same key with a different body is rejected. Keys are scoped to the caller
+ * and expire after IDEMPOTENCY_KEY_TTL_HOURS. A key whose request has not
+ * stored a response is never claimed again before then, however long the
+ * handler runs: retries get 409, and once IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS
+ * have passed the 409 tells the client to give up on the key (the process
+ * may have died mid-request, so running it again could move money twice).
+ */
+
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+const IN_PROGRESS_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS || '300', 10);
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON.stringify with sorted object keys so equal bodies hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Try to claim a key; returns the existing row if someone already holds it
+ */
+async function claimKey(userId, key, requestHash) {
+  const id = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000);
+
+  // Drop this caller's expired key first so it can be reused
+  await query(
+    'DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2 AND expires_at <= CURRENT_TIMESTAMP',
+    [userId, key]
+  );
+
+  const inserted = await query(
+    `INSERT INTO idempotency_keys (id, user_id, idempotency_key, request_hash, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, idempotency_key) DO NOTHING
+     RETURNING *`,
+    [id, userId, key, requestHash, expiresAt]
+  );
+
+  // Recognise our own row by id rather than by a row coming back at all
+  if (inserted.rows.length > 0 && inserted.rows[0].id === id) {
+    return { claimed: true, record: inserted.rows[0] };
+  }
+
+  const existing = await query(
+    'SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, key]
+  );
+
+  return { claimed: false, record: existing.rows[0] };
+}
+
+/**
+ * Middleware: honour the Idempotency-Key header (optional) on the route
+ * Must run after the caller has been authenticated (req.user).
+ */
+async function idempotent(req, res, next) {
+  const key = req.get('idempotency-key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const userId = req.user.id;
+    const requestHash = hashRequest(req);
+    const { claimed, record } = await claimKey(userId, key, requestHash);
+
+    if (!claimed) {
+      if (!record) {
+        // Row vanished between insert and select (expired and cleaned up); let the client retry
+        return res.status(409).json({ error: 'Idempotency key conflict, please retry' });
+      }
+
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request',
+        });
+      }
+
+      if (record.response_status === null) {
+        if (Date.now() - new Date(record.created_at).getTime() > IN_PROGRESS_TIMEOUT_SECONDS * 1000) {
+          return res.status(409).json({
+            error: 'Idempotency key abandoned',
+            message: 'The request with this Idempotency-Key did not complete; check its outcome before retrying with a new key',
+          });
+        }
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    // Capture the first response so retries can replay it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      const persist = status >= 500
+        // Server errors are not final: release the key so a retry can run again
+        ? query('DELETE FROM idempotency_keys WHERE id = $1', [record.id])
+        : query(
+          `UPDATE idempotency_keys
+           SET response_status = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+           WHERE id = $3`,
+          [status, JSON.stringify(body), record.id]
+        );
+
+      persist
+        .catch(error => console.error('Idempotency key store error:', error))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({ error: 'Failed to process Idempotency-Key', message: error.message });
+  }
+}
+
+/**
+ * Delete expired keys, abandoned in-progress ones included (call periodically)
+ * @returns {Promise<number>} Number of keys removed
+ */
+async function purgeExpiredKeys() {
+  const result = await query('DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+  return result.rowCount;
+}
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  idempotent,
+  purgeExpiredKeys,
+};
@@ -0,0 +1,284 @@
+const { ethers } = require('ethers');
+const { findNetwork, getNetworks } = require('../config/networks');
+
+/**
+ * Declarative request validation
+ *
+ * Routes describe their params, query and body with small rule builders:
+ *
+ *   router.post('/:userId', validate({
+ *     params: { userId: v.uuid() },
+ *     body: { amount: v.number({ positive: true }), goalId: v.uuid().optional() },
+ *   }), handler);
+ *
+ * Values are coerced (query strings to numbers/booleans, defaults applied) and
+ * written back to req. Any failure answers 400 with one shape:
+ *
+ *   { error: 'Validation failed', message, details: [{ location, field, message }] }
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class Rule {
+  constructor(check) {
+    this.check = check;
+    this.isOptional = false;
+    this.isNullable = false;
+    this.defaultValue = undefined;
+  }
+
+  optional() {
+    this.isOptional = true;
+    return this;
+  }
+
+  nullable() {
+    this.isNullable = true;
+    return this;
+  }
+
+  default(value) {
+    this.isOptional = true;
+    this.defaultValue = value;
+    return this;
+  }
+
+  /**
+   * @returns {{ value } | { error: string }}
+   */
+  run(value) {
+    if (value === undefined || value === '') {
+      if (this.defaultValue !== undefined) return { value: this.defaultValue };
+      if (this.isOptional) return { value: undefined };
+      return { error: 'is required' };
+    }
+    if (value === null) {
+      if (this.isNullable) return { value: null };
+      return { error: 'must not be null' };
+    }
+    return this.check(value);
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+const v = {
+  string({ min = 0, max, pattern, trim = true } = {}) {
+    return new Rule((value) => {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      const str = trim ? value.trim() : value;
+      if (str.length < min) return { error: min === 1 ? 'must not be empty' : `must be at least ${min} characters` };
+      if (max !== undefined && str.length > max) return { error: `must be at most ${max} characters` };
+      if (pattern && !pattern.test(str)) return { error: 'has an invalid format' };
+      return { value: str };
+    });
+  },
+
+  number({ min, max, positive = false, integer = false } = {}) {
+    return new Rule((value) => {
+      const num = toNumber(value);
+      if (!Number.isFinite(num)) return { error: 'must be a number' };
+      if (integer && !Number.isInteger(num)) return { error: 'must be an integer' };
+      if (positive && num <= 0) return { error: 'must be greater than 0' };
+      if (min !== undefined && num < min) return { error: `must be at least ${min}` };
+      if (max !== undefined && num > max) return { error: `must be at most ${max}` };
+      return { value: num };
+    });
+  },
+
+  integer(options = {}) {
+    return v.number({ ...options, integer: true });
+  },
+
+  /**
+   * Bounded page size for list endpoints
+   */
+  limit(defaultValue = 50, max = 100) {
+    return v.integer({ min: 1, max }).default(defaultValue);
+  },
+
+  boolean() {
+    return new Rule((value) => {
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true') return { value: true };
+      if (value === 'false') return { value: false };
+      return { error: 'must be a boolean' };
+    });
+  },
+
+  enum(values) {
+    return new Rule((value) => {
+      if (!values.includes(value)) return { error: `must be one of: ${values.join(', ')}` };
+      return { value };
+    });
+  },
+
+  uuid() {
+    return new Rule((value) => {
+      if (typeof value !== 'string' || !UUID_PATTERN.test(value)) return { error: 'must be a valid UUID' };
+      return { value: value.toLowerCase() };
+    });
+  },
+
+  address() {
+    return new Rule((value) => {
+      if (typeof value !== 'string' || !ethers.isAddress(value)) return { error: 'must be a valid Ethereum address' };
+      return { value };
+    });
+  },
+
+  txHash() {
+    return new Rule((value) => {
+      if (typeof value !== 'string' || !TX_HASH_PATTERN.test(value)) return { error: 'must be a 0x-prefixed 32-byte transaction hash' };
+      return { value };
+    });
+  },
+
+  /**
+   * Network selector: a configured network name or chain id, coerced to the name
+   */
+  network() {
+    return new Rule((value) => {
+      const network = findNetwork(value);
+      if (!network) return { error: `must be one of: ${getNetworks().map(item => item.name).join(', ')}` };
+      return { value: network.name };
+    });
+  },
+
+  /**
+   * ISO 8601 date or datetime; kept as the original string
+   */
+  date({ dateOnly = false } = {}) {
+    return new Rule((value) => {
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return { error: 'must be a valid date' };
+      if (dateOnly && !DATE_ONLY_PATTERN.test(value)) return { error: 'must be a date in YYYY-MM-DD format' };
+      return { value };
+    });
+  },
+
+  array(itemRule, { min = 0, max } = {}) {
+    return new Rule((value) => {
+      if (!Array.isArray(value)) return { error: 'must be an array' };
+      if (value.length < min) return { error: min === 1 ? 'must not be empty' : `must contain at least ${min} items` };
+      if (max !== undefined && value.length > max) return { error: `must contain at most ${max} items` };
+
+      const result = [];
+      const details = [];
+      for (let i = 0; i < value.length; i++) {
+        const item = itemRule.run(value[i]);
+        if (item.error) {
+          details.push(...nestDetails(`[${i}]`, item));
+        } else {
+          result.push(item.value);
+        }
+      }
+      if (details.length > 0) return { error: 'has invalid items', details };
+      return { value: result };
+    });
+  },
+
+  object(shape) {
+    return new Rule((value) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+      const { values, details } = validateShape(shape, value);
+      if (details.length > 0) return { error: 'has invalid fields', details };
+      return { value: { ...value, ...values } };
+    });
+  },
+};
+
+/**
+ * Prefix nested array/object failures with their path, e.g. allocations[0].amount
+ */
+function nestDetails(path, result) {
+  if (!result.details) {
+    return [{ field: path, message: result.error }];
+  }
+  return result.details.map(detail => ({
+    field: detail.field.startsWith('[') ? `${path}${detail.field}` : `${path}.${detail.field}`,
+    message: detail.message,
+  }));
+}
+
+/**
+ * Run every rule in a shape against an input object
+ */
+function validateShape(shape, input = {}) {
+  const values = {};
+  const details = [];
+
+  for (const [field, rule] of Object.entries(shape)) {
+    const result = rule.run(input[field]);
+    if (result.error) {
+      details.push(...nestDetails(field, result));
+    } else if (result.value !== undefined) {
+      values[field] = result.value;
+    }
+  }
+
+  return { values, details };
+}
+
+function sendValidationError(res, details) {
+  const first = details[0];
+  return res.status(400).json({
+    error: 'Validation failed',
+    message: `${first.location}.${first.field} ${first.message}`,
+    details,
+  });
+}
+
+/**
+ * Middleware factory
+ * @param {Object} schema - { params, query, body } shapes of rules, plus an
+ *   optional `refine(req)` returning extra [{ location, field, message }] for
+ *   cross-field checks; it runs only when every field passed
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+    const parsed = {};
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schema[location]) continue;
+
+      const input = req[location] || {};
+      const result = validateShape(schema[location], input);
+
+      result.details.forEach(detail => details.push({ location, ...detail }));
+      parsed[location] = { ...input, ...result.values };
+    }
+
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    if (parsed.params) req.params = parsed.params;
+    if (parsed.body) req.body = parsed.body;
+    if (parsed.query) {
+      // Express 5 exposes req.query as a getter; shadow it with the coerced values
+      Object.defineProperty(req, 'query', { value: parsed.query, writable: true, configurable: true });
+    }
+
+    if (schema.refine) {
+      const extra = schema.refine(req) || [];
+      if (extra.length > 0) {
+        return sendValidationError(res, extra);
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  v,
+  validate,
+  sendValidationError,
+};
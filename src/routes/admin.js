@@ -0,0 +1,460 @@
+const express = require('express');
+const router = express.Router();
+const { query, getClient } = require('../config/db');
+const { requireApiKey } = require('../middleware/adminAuth');
+const { v, validate, sendValidationError } = require('../middleware/validate');
+const {
+  API_KEY_SCOPES,
+  findInvalidScopes,
+  findUngrantableScopes,
+  createApiKey,
+  formatApiKey,
+} = require('../services/apiKeys');
+const apyService = require('../services/apy');
+const { getBlockchainService, getBlockchainServices } = require('../services/blockchain');
+const { OWNER_ACTIONS } = require('../services/txBuilder');
+const ownerOperations = require('../services/ownerOperations');
+
+const operationParams = { operationId: v.uuid() };
+
+// Fields each owner action needs (amounts are in token units)
+const OWNER_ACTION_FIELDS = {
+  fundContract: ['amount'],
+  emergencyWithdraw: ['amount'],
+  updateTreasury: ['treasury'],
+  transferOwnership: ['newOwner'],
+};
+
+/**
+ * Send an owner operation error: service errors carry their status
+ */
+function sendOperationError(res, error, label) {
+  if (error.status) {
+    return res.status(error.status).json({ error: label, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: label, message: error.message });
+}
+
+/**
+ * GET /api/admin/keys
+ * List API keys (hashes are never returned)
+ */
+router.get('/keys', requireApiKey('keys:admin'), async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM admin_api_keys ORDER BY created_at DESC');
+
+    res.json({
+      keys: result.rows.map(formatApiKey),
+      availableScopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to list API keys', message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/keys
+ * Create a new API key. The plaintext key is only returned in this response.
+ */
+router.post('/keys', requireApiKey('keys:admin'), validate({
+  body: {
+    name: v.string({ min: 1, max: 255 }),
+    scopes: v.array(v.string({ min: 1, max: 50 }), { min: 1 }),
+  },
+}), async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const invalidScopes = findInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      return sendValidationError(res, [
+        { location: 'body', field: 'scopes', message: `contains unknown scopes: ${invalidScopes.join(', ')}` },
+      ]);
+    }
+
+    const ungrantableScopes = findUngrantableScopes(req.apiKey.scopes, scopes);
+    if (ungrantableScopes.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `API key cannot grant scopes it does not hold: ${ungrantableScopes.join(', ')}`,
+      });
+    }
+
+    const { apiKey, record } = await createApiKey(name, scopes, req.apiKey.id);
+
+    res.status(201).json({
+      ...formatApiKey(record),
+      apiKey,
+      message: 'API key created. Store it now, it will not be shown again.',
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:keyId
+ * Revoke an API key
+ */
+router.delete('/keys/:keyId', requireApiKey('keys:admin'), validate({
+  params: { keyId: v.uuid() },
+}), async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    const result = await query(
+      `UPDATE admin_api_keys
+       SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING *`,
+      [keyId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({
+      ...formatApiKey(result.rows[0]),
+      message: 'API key revoked',
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:userId/balance
+ * Overwrite a user's balance (reconciliation)
+ */
+router.put('/users/:userId/balance', requireApiKey('balances:write'), validate({
+  params: { userId: v.uuid() },
+  body: {
+    totalBalance: v.number({ min: 0 }),
+    totalEarnings: v.number({ min: 0 }).optional(),
+  },
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { totalBalance, totalEarnings } = req.body;
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    updates.push(`total_balance = $${paramIndex++}`);
+    values.push(totalBalance);
+
+    if (totalEarnings !== undefined) {
+      updates.push(`total_earnings = $${paramIndex++}`);
+      values.push(totalEarnings);
+    }
+
+    values.push(userId);
+
+    const result = await query(
+      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+
+    res.json({
+      message: 'Balance updated successfully',
+      totalBalance: parseFloat(user.total_balance),
+      totalEarnings: parseFloat(user.total_earnings),
+    });
+  } catch (error) {
+    console.error('Update balance error:', error);
+    res.status(500).json({ error: 'Failed to update balance', message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/streaks/:userId/reset
+ * Reset a user's current streak
+ */
+router.post('/streaks/:userId/reset', requireApiKey('streaks:write'), validate({
+  params: { userId: v.uuid() },
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const result = await query(
+      'UPDATE streaks SET current_streak = 0 WHERE user_id = $1 RETURNING *',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Streak record not found' });
+    }
+
+    res.json({
+      message: 'Streak reset successfully',
+      currentStreak: 0,
+    });
+  } catch (error) {
+    console.error('Reset streak error:', error);
+    res.status(500).json({ error: 'Failed to reset streak', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/portfolio/:userId/update-earnings
+ * Update earnings for all allocations (called by cron job or periodic update)
+ */
+router.put('/portfolio/:userId/update-earnings', requireApiKey('earnings:write'), validate({
+  params: { userId: v.uuid() },
+}), async (req, res) => {
+  const client = await getClient();
+
+  try {
+    const { userId } = req.params;
+
+    await client.query('BEGIN');
+
+    // Get all allocations
+    const allocations = await client.query(
+      'SELECT * FROM pool_allocations WHERE user_id = $1',
+      [userId]
+    );
+
+    let totalNewEarnings = 0;
+
+    // Update each allocation with new earnings
+    for (const alloc of allocations.rows) {
+      const dailyEarning = (parseFloat(alloc.amount_allocated) * parseFloat(alloc.current_apy)) / 365 / 100;
+      totalNewEarnings += dailyEarning;
+
+      await client.query(
+        `UPDATE pool_allocations
+         SET total_earnings = total_earnings + $1,
+             daily_earnings = $2,
+             last_updated = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [dailyEarning, dailyEarning, alloc.id]
+      );
+    }
+
+    // Update user's total earnings
+    await client.query(
+      'UPDATE users SET total_earnings = total_earnings + $1 WHERE id = $2',
+      [totalNewEarnings, userId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Earnings updated successfully',
+      totalNewEarnings,
+      updatedAllocations: allocations.rows.length,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update earnings error:', error);
+    res.status(500).json({ error: 'Failed to update earnings', message: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/admin/portfolio/protocols/cache
+ * Clear APY cache
+ */
+router.delete('/portfolio/protocols/cache', requireApiKey('cache:admin'), async (req, res) => {
+  try {
+    apyService.clearCache();
+    res.json({ message: 'APY cache cleared successfully' });
+  } catch (error) {
+    console.error('Clear cache error:', error);
+    res.status(500).json({ error: 'Failed to clear cache', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/blockchain/cache
+ * Clear the on-chain read cache of one network (?network=) or all of them
+ */
+router.delete('/blockchain/cache', requireApiKey('cache:admin'), validate({
+  query: { network: v.network().optional() },
+}), async (req, res) => {
+  try {
+    const { network } = req.query;
+    const services = network ? [getBlockchainService(network)] : getBlockchainServices();
+
+    await Promise.all(services.map(service => service.readCache.clear()));
+    res.json({
+      message: 'Blockchain read cache cleared successfully',
+      networks: services.map(service => service.network.name),
+    });
+  } catch (error) {
+    console.error('Clear read cache error:', error);
+    res.status(500).json({ error: 'Failed to clear read cache', message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/owner-ops
+ * List owner operations, newest first
+ */
+router.get('/owner-ops', requireApiKey('owner-ops:read'), validate({
+  query: {
+    status: v.enum(['pending', 'approved', 'executed', 'rejected']).optional(),
+    network: v.network().optional(),
+    limit: v.limit(),
+  },
+}), async (req, res) => {
+  try {
+    res.json(await ownerOperations.listOperations(req.query));
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to list owner operations');
+  }
+});
+
+/**
+ * POST /api/admin/owner-ops
+ * Propose an owner-only contract call; the proposing key counts as the first approval
+ */
+router.post('/owner-ops', requireApiKey('owner-ops:write'), validate({
+  body: {
+    action: v.enum(OWNER_ACTIONS),
+    amount: v.number({ positive: true }).optional(),
+    token: v.address().optional(),
+    treasury: v.address().optional(),
+    newOwner: v.address().optional(),
+    reason: v.string({ max: 1000 }).optional(),
+    network: v.network().optional(),
+  },
+  refine: (req) => {
+    const { action } = req.body;
+    const missing = OWNER_ACTION_FIELDS[action].filter(field => req.body[field] === undefined);
+    const details = missing.map(field => ({ location: 'body', field, message: `is required for ${action}` }));
+
+    if (req.body.token !== undefined && action !== 'emergencyWithdraw') {
+      details.push({ location: 'body', field: 'token', message: 'is only used by emergencyWithdraw' });
+    }
+    return details;
+  },
+}), async (req, res) => {
+  try {
+    const { action, amount, token, treasury, newOwner, reason, network } = req.body;
+
+    const operation = await ownerOperations.proposeOperation({
+      action,
+      params: { amount, token, treasury, newOwner },
+      reason,
+      network,
+      apiKeyId: req.apiKey.id,
+    });
+
+    res.status(201).json({
+      ...operation,
+      message: `Operation proposed; ${operation.requiredApprovals - operation.approvals.length} more approval(s) required`,
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to propose owner operation');
+  }
+});
+
+/**
+ * GET /api/admin/owner-ops/:operationId
+ * One operation with its approvals and audit trail
+ */
+router.get('/owner-ops/:operationId', requireApiKey('owner-ops:read'), validate({
+  params: operationParams,
+}), async (req, res) => {
+  try {
+    const { operationId } = req.params;
+    const operation = await ownerOperations.getOperation(operationId);
+
+    res.json({
+      ...operation,
+      audit: await ownerOperations.getAuditTrail(operationId),
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to get owner operation');
+  }
+});
+
+/**
+ * POST /api/admin/owner-ops/:operationId/approve
+ * Approve with this key; the approval that meets the threshold returns the unsigned transaction
+ */
+router.post('/owner-ops/:operationId/approve', requireApiKey('owner-ops:write'), validate({
+  params: operationParams,
+}), async (req, res) => {
+  try {
+    const { operation, transaction } = await ownerOperations.approveOperation(req.params.operationId, req.apiKey.id);
+
+    res.json({
+      operation,
+      transaction,
+      message: transaction
+        ? 'Approval threshold met; sign and send the transaction from the owner wallet'
+        : `Approved; ${operation.requiredApprovals - operation.approvals.length} more approval(s) required`,
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to approve owner operation');
+  }
+});
+
+/**
+ * GET /api/admin/owner-ops/:operationId/transaction
+ * Rebuild the unsigned transaction of an approved operation with current fees
+ */
+router.get('/owner-ops/:operationId/transaction', requireApiKey('owner-ops:read'), validate({
+  params: operationParams,
+}), async (req, res) => {
+  try {
+    res.json(await ownerOperations.buildOperationTransaction(req.params.operationId));
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to build owner operation transaction');
+  }
+});
+
+/**
+ * POST /api/admin/owner-ops/:operationId/reject
+ * Reject an operation that has not been executed
+ */
+router.post('/owner-ops/:operationId/reject', requireApiKey('owner-ops:write'), validate({
+  params: operationParams,
+  body: { reason: v.string({ max: 1000 }).optional() },
+}), async (req, res) => {
+  try {
+    const operation = await ownerOperations.rejectOperation(req.params.operationId, req.apiKey.id, req.body.reason);
+    res.json({ ...operation, message: 'Operation rejected' });
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to reject owner operation');
+  }
+});
+
+/**
+ * POST /api/admin/owner-ops/:operationId/execution
+ * Record the hash of the transaction that executed an approved operation
+ */
+router.post('/owner-ops/:operationId/execution', requireApiKey('owner-ops:write'), validate({
+  params: operationParams,
+  body: { transactionHash: v.txHash() },
+}), async (req, res) => {
+  try {
+    const operation = await ownerOperations.recordExecution(
+      req.params.operationId,
+      req.apiKey.id,
+      req.body.transactionHash
+    );
+    res.json({ ...operation, message: 'Execution recorded' });
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to record owner operation execution');
+  }
+});
+
+module.exports = router;
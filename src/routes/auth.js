@@ -1,21 +1,130 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/db');
+const { resolveNetwork } = require('../config/networks');
+const { requireAuth } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessions');
+const {
+  NONCE_TTL_SECONDS,
+  getSiweConfig,
+  generateNonce,
+  buildSiweMessage,
+  verifySiweMessage,
+} = require('../services/siwe');
+
+const signedMessageBody = {
+  walletAddress: v.address().optional(),
+  message: v.string({ min: 1, max: 2000, trim: false }),
+  signature: v.string({ min: 1, max: 200 }),
+};
+
+/**
+ * Verify a signed SIWE message and consume its nonce
+ * Returns { walletAddress (lowercase), chainId }, throws with status 401 otherwise
+ */
+async function consumeSignedMessage(message, signature) {
+  let fields;
+  try {
+    fields = verifySiweMessage(message, signature);
+  } catch (error) {
+    error.status = 401;
+    throw error;
+  }
+
+  const walletAddress = fields.address.toLowerCase();
+
+  // Mark nonce used in the same statement that checks it, so it can't be replayed
+  const result = await query(
+    `UPDATE auth_nonces
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE nonce = $1 AND wallet_address = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING *`,
+    [fields.nonce, walletAddress]
+  );
+
+  if (result.rows.length === 0) {
+    const error = new Error('Nonce is invalid, expired or already used');
+    error.status = 401;
+    throw error;
+  }
+
+  return { walletAddress, chainId: fields.chainId };
+}
+
+/**
+ * POST /api/auth/nonce
+ * Issue a single-use nonce and the SIWE message the wallet should sign
+ */
+router.post('/nonce', validate({
+  body: { walletAddress: v.address(), network: v.network().optional() },
+}), async (req, res) => {
+  try {
+    const { walletAddress, network } = req.body;
+
+    const config = getSiweConfig();
+    const { chainId } = network ? resolveNetwork(network) : config;
+    const nonce = generateNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_SECONDS * 1000);
+
+    await query(
+      `INSERT INTO auth_nonces (nonce, wallet_address, issued_at, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [nonce, walletAddress.toLowerCase(), issuedAt, expiresAt]
+    );
+
+    // Opportunistically clean up nonces that can no longer be used
+    await query(`DELETE FROM auth_nonces WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '1 day'`);
+
+    const message = buildSiweMessage({
+      domain: config.domain,
+      address: walletAddress,
+      statement: config.statement,
+      uri: config.uri,
+      chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+    });
+
+    res.json({
+      nonce,
+      message,
+      issuedAt: issuedAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+    });
+  } catch (error) {
+    console.error('Issue nonce error:', error);
+    res.status(500).json({ error: 'Failed to issue nonce', message: error.message });
+  }
+});
 
 /**
  * POST /api/auth/connect-wallet
- * Connect wallet and create/login user (wallet-only authentication)
+ * Connect wallet and create/login user with a signed SIWE message
  */
-router.post('/connect-wallet', async (req, res) => {
+router.post('/connect-wallet', validate({ body: signedMessageBody }), async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const { walletAddress, message, signature } = req.body;
 
-    if (!walletAddress) {
-      return res.status(400).json({ error: 'Wallet address is required' });
+    let normalizedAddress;
+    let chainId;
+    try {
+      ({ walletAddress: normalizedAddress, chainId } = await consumeSignedMessage(message, signature));
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ error: 'Wallet verification failed', message: error.message });
     }
 
-    // Normalize wallet address to lowercase
-    const normalizedAddress = walletAddress.toLowerCase();
+    if (walletAddress && walletAddress.toLowerCase() !== normalizedAddress) {
+      return res.status(401).json({ error: 'Wallet address does not match signed message' });
+    }
 
     // Check if user exists
     let result = await query(
@@ -28,10 +137,10 @@ router.post('/connect-wallet', async (req, res) => {
     if (result.rows.length === 0) {
       // Create new user (wallet-only, no email required)
       result = await query(
-        `INSERT INTO users (wallet_address, mode, total_balance, total_earnings)
-         VALUES ($1, $2, $3, $4)
+        `INSERT INTO users (wallet_address, mode, total_balance, total_earnings, chain_id)
+         VALUES ($1, $2, $3, $4, $5)
          RETURNING *`,
-        [normalizedAddress, 'lite', 0, 0]
+        [normalizedAddress, 'lite', 0, 0, chainId]
       );
 
       user = result.rows[0];
@@ -45,15 +154,27 @@ router.post('/connect-wallet', async (req, res) => {
 
       console.log(`✅ New user created: ${user.id} (${normalizedAddress})`);
     } else {
+      // Remember the network the wallet last signed in on
+      result = await query(
+        'UPDATE users SET chain_id = $1 WHERE id = $2 RETURNING *',
+        [chainId, result.rows[0].id]
+      );
       user = result.rows[0];
       console.log(`✅ User reconnected: ${user.id} (${normalizedAddress})`);
     }
 
+    const tokens = await issueSession(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
+
     res.json({
       message: 'Wallet connected successfully',
+      tokens,
       user: {
         id: user.id,
         walletAddress: user.wallet_address,
+        chainId: user.chain_id,
         mode: user.mode,
         totalBalance: parseFloat(user.total_balance),
         totalEarnings: parseFloat(user.total_earnings),
@@ -68,18 +189,29 @@ router.post('/connect-wallet', async (req, res) => {
 
 /**
  * POST /api/auth/verify
- * Verify wallet signature (placeholder for future implementation)
+ * Verify a signed SIWE message (consumes the nonce)
  */
-router.post('/verify', async (req, res) => {
+router.post('/verify', validate({ body: signedMessageBody }), async (req, res) => {
   try {
     const { walletAddress, signature, message } = req.body;
 
-    // TODO: Implement signature verification
-    // This would verify the signature using ethers.js or web3.js
-    // For now, just return success
+    let verifiedAddress;
+    let chainId;
+    try {
+      ({ walletAddress: verifiedAddress, chainId } = await consumeSignedMessage(message, signature));
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ verified: false, error: 'Verification failed', message: error.message });
+    }
+
+    if (walletAddress && walletAddress.toLowerCase() !== verifiedAddress) {
+      return res.status(401).json({ verified: false, error: 'Wallet address does not match signed message' });
+    }
 
     res.json({
       verified: true,
+      walletAddress: verifiedAddress,
+      chainId,
       message: 'Signature verified successfully',
     });
   } catch (error) {
@@ -88,4 +220,46 @@ router.post('/verify', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair (rotation)
+ */
+router.post('/refresh', validate({ body: { refreshToken: v.string({ min: 1, max: 512 }) } }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = await rotateRefreshToken(refreshToken);
+
+    res.json({ tokens });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: 'Unauthorized', message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session (or every session with { allSessions: true })
+ */
+router.post('/logout', requireAuth, validate({ body: { allSessions: v.boolean().optional() } }), async (req, res) => {
+  try {
+    const { allSessions } = req.body;
+
+    if (allSessions) {
+      const revoked = await revokeAllSessions(req.user.id);
+      return res.json({ message: 'All sessions revoked', revokedSessions: revoked });
+    }
+
+    await revokeSession(req.user.sessionId);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to logout', message: error.message });
+  }
+});
+
 module.exports = router;
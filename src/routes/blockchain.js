@@ -1,18 +1,43 @@
 const express = require('express');
 const router = express.Router();
+const { getNetworks, resolveNetwork, describeNetwork } = require('../config/networks');
 const { getBlockchainService } = require('../services/blockchain');
+const { getEventIndexer } = require('../services/indexer');
+const { syncUserFromChain } = require('../services/chainSync');
+const {
+  buildCreateGoalTx,
+  buildDepositTx,
+  buildWithdrawTx,
+  buildClaimInterestTx,
+  buildApproveTx,
+} = require('../services/txBuilder');
+const { requestGoalLink } = require('../services/goalLinks');
+const { getFeeQuote, getFeeHistory } = require('../services/fees');
+const { parseTokenAmount } = require('../services/erc20');
+const { query } = require('../config/db');
+const { authenticate, authorizeUserParam } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
 
-// Get blockchain service instance
-const blockchainService = getBlockchainService();
+const addressParams = { address: v.address() };
+
+// Every route takes an optional ?network= (name or chain id); the default network otherwise
+const networkQuery = { network: v.network().optional() };
+
+// Converted with the deposit token's decimals; amounts below one unit fail pre-flight
+const tokenAmount = () => v.number({ positive: true });
+const onchainGoalId = () => v.integer({ min: 0 });
+
+// Callers may only touch their own user and resources
+router.param('userId', authorizeUserParam);
 
 /**
  * GET /api/blockchain/goals/:address
  * Get all goals for a user from blockchain
  */
-router.get('/goals/:address', async (req, res) => {
+router.get('/goals/:address', validate({ params: addressParams, query: networkQuery }), async (req, res) => {
   try {
     const { address } = req.params;
-    const goals = await blockchainService.getUserGoals(address);
+    const goals = await getBlockchainService(req.query.network).getUserGoals(address);
 
     res.json({
       success: true,
@@ -28,24 +53,45 @@ router.get('/goals/:address', async (req, res) => {
   }
 });
 
+/**
+ * Split batchRead results into values and per-field errors
+ */
+function splitBatch(results) {
+  const data = {};
+  const errors = {};
+
+  for (const [key, result] of Object.entries(results)) {
+    data[key] = result.ok ? result.value : null;
+    if (!result.ok) errors[key] = result.error;
+  }
+
+  const failed = Object.keys(errors).length;
+  return { data, errors: failed > 0 ? errors : null, allFailed: failed === Object.keys(results).length };
+}
+
 /**
  * GET /api/blockchain/balance/:address
  * Get user balance from blockchain
  */
-router.get('/balance/:address', async (req, res) => {
+router.get('/balance/:address', validate({ params: addressParams, query: networkQuery }), async (req, res) => {
   try {
     const { address } = req.params;
-    const balance = await blockchainService.getUserBalance(address);
-    const totalBalance = await blockchainService.getTotalBalance(address);
-    const pendingInterest = await blockchainService.getPendingInterest(address);
+    const blockchainService = getBlockchainService(req.query.network);
+    const { data, errors, allFailed } = splitBatch(await blockchainService.getBalances(address));
+    const token = await blockchainService.getDepositToken();
+
+    if (allFailed) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch balance from blockchain',
+        errors
+      });
+    }
 
     res.json({
       success: true,
-      data: {
-        balance,
-        totalBalance,
-        pendingInterest
-      }
+      data: { ...data, token },
+      ...(errors && { errors })
     });
   } catch (error) {
     console.error('Error fetching balance:', error);
@@ -61,18 +107,34 @@ router.get('/balance/:address', async (req, res) => {
  * GET /api/blockchain/stats/:address
  * Get user statistics from blockchain
  */
-router.get('/stats/:address', async (req, res) => {
+router.get('/stats/:address', validate({ params: addressParams, query: networkQuery }), async (req, res) => {
   try {
     const { address } = req.params;
-    const stats = await blockchainService.getUserStats(address);
-    const usdcBalance = await blockchainService.getUSDCBalance(address);
+    const blockchainService = getBlockchainService(req.query.network);
+    const { data, errors, allFailed } = splitBatch(await blockchainService.getStatsWithUsdc(address));
+    const token = await blockchainService.getDepositToken();
+
+    if (allFailed) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch stats from blockchain',
+        errors
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        ...stats,
-        usdcBalance
-      }
+        ...(data.stats || {
+          totalDeposited: null,
+          totalEarned: null,
+          streakDays: null,
+          pendingRewards: null
+        }),
+        usdcBalance: data.usdcBalance,
+        token
+      },
+      ...(errors && { errors })
     });
   } catch (error) {
     console.error('Error fetching stats:', error);
@@ -84,18 +146,102 @@ router.get('/stats/:address', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/blockchain/overview/:address
+ * Goals, balances, stats and wallet deposit token in one batched read; fields that
+ * fail are null and listed under `errors`
+ */
+router.get('/overview/:address', validate({ params: addressParams, query: networkQuery }), async (req, res) => {
+  try {
+    const { address } = req.params;
+    const blockchainService = getBlockchainService(req.query.network);
+    const { data, errors, allFailed } = splitBatch(await blockchainService.getOverview(address));
+    const token = await blockchainService.getDepositToken();
+
+    if (allFailed) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch overview from blockchain',
+        errors
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...data, token },
+      ...(errors && { errors })
+    });
+  } catch (error) {
+    console.error('Error fetching overview:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch overview from blockchain',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/blockchain/token
+ * Token the contract currently takes deposits in
+ */
+router.get('/token', validate({ query: networkQuery }), async (req, res) => {
+  try {
+    const token = await getBlockchainService(req.query.network).getDepositToken();
+
+    res.json({
+      success: true,
+      data: token
+    });
+  } catch (error) {
+    console.error('Error fetching deposit token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deposit token',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/blockchain/tokens/:address
+ * ERC-20 metadata (decimals, symbol, name) for a token
+ */
+router.get('/tokens/:address', validate({ params: addressParams, query: networkQuery }), async (req, res) => {
+  try {
+    const token = await getBlockchainService(req.query.network).getToken(req.params.address);
+
+    res.json({
+      success: true,
+      data: token
+    });
+  } catch (error) {
+    console.error('Error fetching token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch token',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/blockchain/total-deposits
  * Get total deposits in contract
  */
-router.get('/total-deposits', async (req, res) => {
+router.get('/total-deposits', validate({ query: networkQuery }), async (req, res) => {
   try {
-    const totalDeposits = await blockchainService.getTotalDeposits();
+    const blockchainService = getBlockchainService(req.query.network);
+    const [totalDeposits, token] = await Promise.all([
+      blockchainService.getTotalDeposits(),
+      blockchainService.getDepositToken(),
+    ]);
 
     res.json({
       success: true,
       data: {
-        totalDeposits
+        totalDeposits,
+        token
       }
     });
   } catch (error) {
@@ -112,10 +258,13 @@ router.get('/total-deposits', async (req, res) => {
  * GET /api/blockchain/transaction/:txHash
  * Get transaction receipt
  */
-router.get('/transaction/:txHash', async (req, res) => {
+router.get('/transaction/:txHash', validate({
+  params: { txHash: v.txHash() },
+  query: networkQuery,
+}), async (req, res) => {
   try {
     const { txHash } = req.params;
-    const receipt = await blockchainService.getTransactionReceipt(txHash);
+    const receipt = await getBlockchainService(req.query.network).getTransactionReceipt(txHash);
 
     if (!receipt) {
       return res.status(404).json({
@@ -147,61 +296,443 @@ router.get('/transaction/:txHash', async (req, res) => {
 
 /**
  * POST /api/blockchain/sync/:userId
- * Sync on-chain data to database for a user
+ * Reconcile on-chain goals, balances and streak into the database
  */
-router.post('/sync/:userId', async (req, res) => {
+router.post('/sync/:userId', validate({
+  params: { userId: v.uuid() },
+  body: { walletAddress: v.address().optional(), network: v.network().optional() },
+}), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { walletAddress } = req.body;
+    const { walletAddress, network } = req.body;
+
+    const result = await syncUserFromChain(userId, walletAddress, { network });
 
-    if (!walletAddress) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      message: 'Data synced successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error.status === 400 || error.status === 403 || error.status === 404) {
+      return res.status(error.status).json({
         success: false,
-        error: 'Wallet address is required'
+        error: error.message
       });
     }
+    console.error('Error syncing data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync data',
+      message: error.message
+    });
+  }
+});
 
-    // Fetch data from blockchain
-    const goals = await blockchainService.getUserGoals(walletAddress);
-    const stats = await blockchainService.getUserStats(walletAddress);
-    const balance = await blockchainService.getUserBalance(walletAddress);
+/**
+ * GET /api/blockchain/indexer/status
+ * Get event indexer checkpoint and health
+ */
+router.get('/indexer/status', validate({ query: networkQuery }), async (req, res) => {
+  try {
+    const status = await getEventIndexer(req.query.network).getStatus();
 
-    // Here you would sync this data to your database
-    // For now, just return the data
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching indexer status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch indexer status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/blockchain/cache/stats
+ * Read cache backend, size and hit/miss counters
+ */
+router.get('/cache/stats', validate({ query: networkQuery }), async (req, res) => {
+  try {
+    const stats = await getBlockchainService(req.query.network).getReadCacheStats();
 
     res.json({
       success: true,
-      message: 'Data synced successfully',
-      data: {
-        goals,
-        stats,
-        balance
-      }
+      data: stats
     });
   } catch (error) {
-    console.error('Error syncing data:', error);
+    console.error('Error fetching read cache stats:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to sync data',
+      error: 'Failed to fetch read cache stats',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/blockchain/fees
+ * Current EIP-1559 fees, gas and cost in the deposit token per wallet action,
+ * and whether fees are unusually high; `from` estimates gas for that wallet
+ */
+router.get('/fees', validate({
+  query: { network: v.network().optional(), from: v.address().optional() },
+}), async (req, res) => {
+  try {
+    const quote = await getFeeQuote({ network: req.query.network, from: req.query.from });
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error fetching fee quote:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fee quote',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/blockchain/fees/history
+ * Recorded fee samples, newest first
+ */
+router.get('/fees/history', validate({
+  query: {
+    network: v.network().optional(),
+    hours: v.integer({ min: 1, max: 24 * 30 }).default(24),
+    limit: v.limit(100, 1000),
+  },
+}), async (req, res) => {
+  try {
+    const samples = await getFeeHistory(req.query.network, { hours: req.query.hours, limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: samples
+    });
+  } catch (error) {
+    console.error('Error fetching fee history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fee history',
       message: error.message
     });
   }
 });
 
+/**
+ * Send an unsigned transaction payload built by txBuilder for the body's network
+ * (errors carrying a status, e.g. from authorization, keep it)
+ */
+function txBuilderRoute(label, build) {
+  return async (req, res) => {
+    try {
+      const options = { blockchainService: getBlockchainService(req.body.network) };
+      const payload = await build(req.body, options, req);
+
+      res.json({
+        success: true,
+        data: payload
+      });
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Error building ${label} transaction:`, error);
+      }
+      res.status(error.status || 500).json({
+        success: false,
+        error: `Failed to build ${label} transaction`,
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Check that the caller owns a savings goal and signs from their own wallet
+ */
+async function authorizeGoalLink(req, savingsGoalId, from) {
+  const user = await authenticate(req);
+  const result = await query('SELECT user_id FROM savings_goals WHERE id = $1', [savingsGoalId]);
+
+  if (result.rows.length === 0 || result.rows[0].user_id !== user.id) {
+    const error = new Error('Goal not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (from.toLowerCase() !== user.walletAddress.toLowerCase()) {
+    const error = new Error('from must be your wallet address to link a goal');
+    error.status = 403;
+    throw error;
+  }
+}
+
+/**
+ * POST /api/blockchain/tx/create-goal
+ * Build an unsigned createGoal(name, targetAmount) transaction
+ * With savingsGoalId (requires auth), the DB goal is linked to the on-chain
+ * goal once its GoalCreated event is indexed.
+ */
+router.post('/tx/create-goal', validate({
+  body: {
+    from: v.address(),
+    name: v.string({ min: 1, max: 255 }),
+    targetAmount: tokenAmount(),
+    savingsGoalId: v.uuid().optional(),
+    network: v.network().optional(),
+  },
+}), txBuilderRoute('createGoal', async ({ from, name, targetAmount, savingsGoalId }, options, req) => {
+  if (savingsGoalId) {
+    await authorizeGoalLink(req, savingsGoalId, from);
+  }
+
+  const payload = await buildCreateGoalTx(from, { name, targetAmount }, options);
+
+  if (savingsGoalId) {
+    const link = await requestGoalLink({ query }, {
+      goalId: savingsGoalId,
+      chainId: options.blockchainService.chainId,
+      contractAddress: options.blockchainService.stackSaveAddress,
+      walletAddress: from,
+      name,
+      target: parseTokenAmount(targetAmount, payload.token),
+    });
+    payload.goalLink = { savingsGoalId, status: 'pending', requestedAt: link.created_at };
+  }
+
+  return payload;
+}));
+
+/**
+ * POST /api/blockchain/tx/deposit
+ * Build an unsigned deposit(goalId, amount) transaction
+ */
+router.post('/tx/deposit', validate({
+  body: {
+    from: v.address(),
+    goalId: onchainGoalId(),
+    amount: tokenAmount(),
+    network: v.network().optional(),
+  },
+}), txBuilderRoute('deposit', ({ from, goalId, amount }, options) =>
+  buildDepositTx(from, { goalId, amount }, options)
+));
+
+/**
+ * POST /api/blockchain/tx/withdraw
+ * Build an unsigned withdraw(goalId, amount) transaction
+ */
+router.post('/tx/withdraw', validate({
+  body: {
+    from: v.address(),
+    goalId: onchainGoalId(),
+    amount: tokenAmount(),
+    network: v.network().optional(),
+  },
+}), txBuilderRoute('withdraw', ({ from, goalId, amount }, options) =>
+  buildWithdrawTx(from, { goalId, amount }, options)
+));
+
+/**
+ * POST /api/blockchain/tx/claim-interest
+ * Build an unsigned claimInterest() transaction
+ */
+router.post('/tx/claim-interest', validate({
+  body: { from: v.address(), network: v.network().optional() },
+}), txBuilderRoute('claimInterest', ({ from }, options) =>
+  buildClaimInterestTx(from, options)
+));
+
+/**
+ * POST /api/blockchain/tx/approve
+ * Build an unsigned deposit token approve(spender, amount) transaction (spender defaults to StackSave)
+ */
+router.post('/tx/approve', validate({
+  body: {
+    from: v.address(),
+    amount: tokenAmount().optional(),
+    unlimited: v.boolean().default(false),
+    spender: v.address().optional(),
+    network: v.network().optional(),
+  },
+  refine: (req) => (
+    !req.body.unlimited && req.body.amount === undefined
+      ? [{ location: 'body', field: 'amount', message: 'is required unless unlimited is true' }]
+      : []
+  ),
+}), txBuilderRoute('approve', ({ from, amount, unlimited, spender }, options) =>
+  buildApproveTx(from, { amount, unlimited, spender }, options)
+));
+
+/**
+ * Simulated chain of the selected network
+ * @throws {Error} status 404 when the network talks to a real chain
+ */
+function simulationFor(selector) {
+  const network = resolveNetwork(selector);
+
+  if (!network.simulated) {
+    const error = new Error(`Network ${network.name} is not simulated`);
+    error.status = 404;
+    throw error;
+  }
+
+  const blockchainService = getBlockchainService(network.name);
+  return { blockchainService, chain: blockchainService.provider.chain };
+}
+
+/**
+ * Run a simulation control endpoint; only simulated networks answer
+ */
+function simulationRoute(label, handler) {
+  return async (req, res) => {
+    try {
+      const selector = req.method === 'GET' ? req.query.network : req.body.network;
+      const data = await handler(req, simulationFor(selector));
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Error in simulation ${label}:`, error);
+      }
+      res.status(error.status || 500).json({
+        success: false,
+        error: `Simulation ${label} failed`,
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Mined transaction summary; the wallet's cached reads are dropped
+ */
+async function settleSimulated(blockchainService, record) {
+  await blockchainService.invalidateAddress(record.from);
+
+  return {
+    transactionHash: record.hash,
+    blockNumber: record.blockNumber,
+    status: record.status === 1 ? 'success' : 'failed',
+    revertReason: record.revertReason,
+    gasUsed: record.gasUsed.toString(),
+    from: record.from,
+    to: record.to
+  };
+}
+
+/**
+ * GET /api/blockchain/simulation
+ * Simulated chain head, clock offset and owner/treasury accounts
+ */
+router.get('/simulation', validate({ query: networkQuery }), simulationRoute('status', (req, { chain }) =>
+  chain.describe()
+));
+
+/**
+ * POST /api/blockchain/simulation/send
+ * Execute a transaction as `from` without a signature (e.g. a /tx/* payload);
+ * reverted transactions are mined with status failed
+ */
+router.post('/simulation/send', validate({
+  body: {
+    from: v.address(),
+    to: v.address(),
+    data: v.string({ pattern: /^0x([0-9a-fA-F]{2})*$/ }).default('0x'),
+    network: v.network().optional(),
+  },
+}), simulationRoute('send', async (req, { blockchainService, chain }) => {
+  let record;
+  try {
+    record = chain.sendTransaction({ from: req.body.from, to: req.body.to, data: req.body.data });
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+
+  return settleSimulated(blockchainService, record);
+}));
+
+/**
+ * POST /api/blockchain/simulation/mint
+ * Mint deposit tokens to a wallet (MockUSDC mint)
+ */
+router.post('/simulation/mint', validate({
+  body: {
+    address: v.address(),
+    amount: tokenAmount(),
+    network: v.network().optional(),
+  },
+}), simulationRoute('mint', async (req, { blockchainService, chain }) => {
+  const token = await blockchainService.getDepositToken();
+  const record = chain.mint(req.body.address, parseTokenAmount(req.body.amount, token));
+
+  return {
+    ...await settleSimulated(blockchainService, record),
+    balance: await blockchainService.getTokenBalance(req.body.address)
+  };
+}));
+
+/**
+ * POST /api/blockchain/simulation/time
+ * Move the simulated clock forward and mine a block, e.g. to accrue interest
+ * or end a streak day
+ */
+router.post('/simulation/time', validate({
+  body: {
+    seconds: v.integer({ min: 1, max: 10 * 365 * 24 * 60 * 60 }),
+    network: v.network().optional(),
+  },
+}), simulationRoute('time', async (req, { blockchainService, chain }) => {
+  chain.increaseTime(req.body.seconds);
+  const block = chain.mine();
+  // Latest-block reads (interest, balances) all moved
+  await blockchainService.readCache.clear();
+
+  return {
+    ...chain.describe(),
+    timestamp: block.timestamp
+  };
+}));
+
+/**
+ * GET /api/blockchain/networks
+ * Configured networks and their deployments
+ */
+router.get('/networks', (req, res) => {
+  res.json({
+    success: true,
+    data: getNetworks().map(describeNetwork)
+  });
+});
+
 /**
  * GET /api/blockchain/contract-info
  * Get contract addresses and network info
  */
-router.get('/contract-info', (req, res) => {
+router.get('/contract-info', validate({ query: networkQuery }), (req, res) => {
+  const network = resolveNetwork(req.query.network);
+
   res.json({
     success: true,
     data: {
-      stackSaveAddress: process.env.STACKSAVE_ADDRESS,
-      usdcAddress: process.env.USDC_ADDRESS,
-      network: process.env.BLOCKCHAIN_NETWORK || 'base-sepolia',
-      chainId: process.env.CHAIN_ID || '84532',
-      rpcUrl: process.env.RPC_URL,
-      blockExplorer: process.env.EXPO_PUBLIC_BLOCK_EXPLORER || 'https://sepolia.basescan.org'
+      stackSaveAddress: network.stackSaveAddress,
+      usdcAddress: network.usdcAddress,
+      network: network.name,
+      chainId: String(network.chainId),
+      rpcUrl: network.rpcUrls[0],
+      blockExplorer: network.explorerUrl,
+      confirmations: network.confirmations,
+      simulated: network.simulated
     }
   });
 });
@@ -1,28 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const { query, getClient } = require('../config/db');
+const { resolveNetwork } = require('../config/networks');
+const { authorizeUserParam, authorizeOwnership } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { v, validate } = require('../middleware/validate');
+const { submitDeposit } = require('../services/deposits');
+const { getDepositVerifier } = require('../services/depositVerifier');
+const { findLinkedGoal } = require('../services/goalLinks');
+const { announceMilestones } = require('../services/milestones');
+
+const userParams = { userId: v.uuid() };
+
+// Callers may only touch their own user and resources
+router.param('userId', authorizeUserParam);
+router.param('depositId', authorizeOwnership('deposits', 'Deposit'));
 
 /**
  * GET /api/deposits/:userId
  * Get all deposits for a user
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate({
+  params: userParams,
+  query: { limit: v.limit(), goalId: v.uuid().optional(), network: v.network().optional() },
+}), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 50, goalId } = req.query;
+    const { limit, goalId, network } = req.query;
 
     let queryText = `
-      SELECT d.*, g.title as goal_title, pm.type as payment_method_type
+      SELECT d.*, g.title as goal_title, pm.type as payment_method_type, tk.symbol as token_symbol
       FROM deposits d
       LEFT JOIN savings_goals g ON d.goal_id = g.id
       LEFT JOIN payment_methods pm ON d.payment_method_id = pm.id
+      LEFT JOIN erc20_tokens tk ON tk.chain_id = d.chain_id AND tk.address = d.token_address
       WHERE d.user_id = $1
     `;
     const params = [userId];
 
     if (goalId) {
-      queryText += ` AND d.goal_id = $2`;
       params.push(goalId);
+      queryText += ` AND d.goal_id = $${params.length}`;
+    }
+
+    if (network) {
+      params.push(resolveNetwork(network).chainId);
+      queryText += ` AND d.chain_id = $${params.length}`;
     }
 
     queryText += ` ORDER BY d.deposit_date DESC LIMIT $${params.length + 1}`;
@@ -41,6 +64,12 @@ router.get('/:userId', async (req, res) => {
       paymentMethodType: row.payment_method_type,
       transactionHash: row.transaction_hash,
       status: row.status,
+      chainId: row.chain_id,
+      tokenAddress: row.token_address,
+      tokenSymbol: row.token_symbol,
+      failureReason: row.failure_reason,
+      blockNumber: row.block_number ? Number(row.block_number) : null,
+      verifiedAt: row.verified_at,
       createdAt: row.created_at,
     }));
 
@@ -53,144 +82,85 @@ router.get('/:userId', async (req, res) => {
 
 /**
  * POST /api/deposits/:userId
- * Create a new deposit
+ * Create a new deposit (supports Idempotency-Key). Deposits with a
+ * transactionHash stay pending until verified on-chain. The goal can be given
+ * as a DB goalId or as the on-chain onchainGoalId of the network's deployment.
  */
-router.post('/:userId', async (req, res) => {
+router.post('/:userId', validate({
+  params: userParams,
+  body: {
+    goalId: v.uuid().optional().nullable(),
+    onchainGoalId: v.integer({ min: 0 }).optional(),
+    amount: v.number({ positive: true }),
+    paymentMethodId: v.uuid().optional().nullable(),
+    transactionHash: v.txHash().optional().nullable(),
+    network: v.network().optional(),
+  },
+  refine: (req) => (
+    req.body.goalId && req.body.onchainGoalId !== undefined
+      ? [{ location: 'body', field: 'onchainGoalId', message: 'cannot be combined with goalId' }]
+      : []
+  ),
+}), idempotent, async (req, res) => {
   const client = await getClient();
 
   try {
     const { userId } = req.params;
-    const { goalId, amount, paymentMethodId, transactionHash } = req.body;
-
-    // Validation
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ error: 'Invalid deposit amount' });
-    }
-
-    await client.query('BEGIN');
-
-    // Create deposit record
-    const depositResult = await client.query(
-      `INSERT INTO deposits (user_id, goal_id, amount, payment_method_id, transaction_hash, status, deposit_date)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [userId, goalId || null, amount, paymentMethodId || null, transactionHash || null, 'confirmed', new Date()]
-    );
-
-    const deposit = depositResult.rows[0];
-
-    // Update goal current amount if goalId provided
-    if (goalId) {
-      await client.query(
-        `UPDATE savings_goals
-         SET current_amount = current_amount + $1
-         WHERE id = $2`,
-        [amount, goalId]
-      );
-
-      // Check if goal is completed
-      const goalCheck = await client.query(
-        'SELECT current_amount, target_amount FROM savings_goals WHERE id = $1',
-        [goalId]
-      );
-
-      if (goalCheck.rows.length > 0) {
-        const { current_amount, target_amount } = goalCheck.rows[0];
-        if (parseFloat(current_amount) >= parseFloat(target_amount)) {
-          await client.query(
-            'UPDATE savings_goals SET is_completed = true WHERE id = $1',
-            [goalId]
-          );
-        }
+    const { amount, paymentMethodId, transactionHash, network, onchainGoalId } = req.body;
+    const { chainId, stackSaveAddress } = resolveNetwork(network);
+    let { goalId } = req.body;
+
+    if (onchainGoalId !== undefined) {
+      const goal = await findLinkedGoal(client, {
+        chainId,
+        contractAddress: stackSaveAddress,
+        walletAddress: req.user.walletAddress,
+        onchainGoalId,
+      });
+      if (!goal || goal.user_id !== userId) {
+        return res.status(404).json({ error: 'Goal not found', message: `On-chain goal ${onchainGoalId} is not linked to a goal` });
       }
+      goalId = goal.id;
     }
 
-    // Update user total balance
-    await client.query(
-      `UPDATE users
-       SET total_balance = total_balance + $1
-       WHERE id = $2`,
-      [amount, userId]
-    );
-
-    // Update streak
-    const today = new Date().toISOString().split('T')[0];
-    const streakResult = await client.query(
-      'SELECT * FROM streaks WHERE user_id = $1',
-      [userId]
-    );
-
-    if (streakResult.rows.length > 0) {
-      const streak = streakResult.rows[0];
-      const lastDepositDate = streak.last_deposit_date
-        ? new Date(streak.last_deposit_date).toISOString().split('T')[0]
-        : null;
-
-      let newStreak = streak.current_streak;
-
-      if (!lastDepositDate || lastDepositDate !== today) {
-        // Check if it's consecutive
-        if (lastDepositDate) {
-          const daysDiff = Math.floor(
-            (new Date(today) - new Date(lastDepositDate)) / (1000 * 60 * 60 * 24)
-          );
-
-          if (daysDiff === 1) {
-            newStreak += 1;
-          } else if (daysDiff > 1) {
-            newStreak = 1; // Reset streak
-          }
-        } else {
-          newStreak = 1;
-        }
-
-        const longestStreak = Math.max(newStreak, streak.longest_streak);
-
-        await client.query(
-          `UPDATE streaks
-           SET current_streak = $1, longest_streak = $2, last_deposit_date = $3, total_deposits = total_deposits + 1
-           WHERE user_id = $4`,
-          [newStreak, longestStreak, today, userId]
-        );
-      }
-    }
-
-    // Add daily growth entry
-    await client.query(
-      `INSERT INTO daily_growth (user_id, date, has_deposit)
-       VALUES ($1, $2, true)
-       ON CONFLICT (user_id, date)
-       DO UPDATE SET has_deposit = true`,
-      [userId, today]
-    );
+    await client.query('BEGIN');
 
-    // Create transaction record
-    await client.query(
-      `INSERT INTO transactions (user_id, type, amount, description, transaction_hash, status)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [
-        userId,
-        'deposit',
-        amount,
-        `Deposit${goalId ? ' to ' + (await client.query('SELECT title FROM savings_goals WHERE id = $1', [goalId])).rows[0]?.title : ''}`,
-        transactionHash || null,
-        'confirmed',
-      ]
-    );
+    const deposit = await submitDeposit(client, {
+      userId,
+      goalId,
+      amount,
+      paymentMethodId,
+      transactionHash,
+      network,
+    });
 
     await client.query('COMMIT');
 
+    const milestonesReached = announceMilestones(deposit.milestones);
+
     res.status(201).json({
       id: deposit.id,
       userId: deposit.user_id,
       goalId: deposit.goal_id,
       amount: parseFloat(deposit.amount),
       depositDate: deposit.deposit_date,
+      transactionHash: deposit.transaction_hash,
+      chainId: deposit.chain_id,
+      tokenAddress: deposit.token_address,
       status: deposit.status,
-      message: 'Deposit successful',
+      milestonesReached,
+      message: deposit.status === 'pending'
+        ? 'Deposit submitted, awaiting on-chain verification'
+        : 'Deposit successful',
     });
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Transaction hash has already been used for a deposit' });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create deposit error:', error);
     res.status(500).json({ error: 'Failed to create deposit', message: error.message });
   } finally {
@@ -199,25 +169,58 @@ router.post('/:userId', async (req, res) => {
 });
 
 /**
- * PUT /api/deposits/:depositId/status
- * Update deposit status
+ * POST /api/deposits/:depositId/verify
+ * Check a pending on-chain deposit against its transaction receipt now
  */
-router.put('/:depositId/status', async (req, res) => {
+router.post('/:depositId/verify', validate({
+  params: { depositId: v.uuid() },
+}), async (req, res) => {
   try {
     const { depositId } = req.params;
-    const { status } = req.body;
 
-    if (!status || !['pending', 'confirmed', 'failed'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const { deposit, result, reason } = await getDepositVerifier().verifyDeposit(depositId);
+
+    res.json({
+      id: deposit.id,
+      status: deposit.status,
+      result,
+      reason: reason || deposit.failure_reason || null,
+      blockNumber: deposit.block_number ? Number(deposit.block_number) : null,
+      verifiedAt: deposit.verified_at,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Verify deposit error:', error);
+    res.status(500).json({ error: 'Failed to verify deposit', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/deposits/:depositId/status
+ * Update deposit status. On-chain deposits are settled by the verifier only.
+ */
+router.put('/:depositId/status', validate({
+  params: { depositId: v.uuid() },
+  body: { status: v.enum(['pending', 'confirmed', 'failed']) },
+}), async (req, res) => {
+  try {
+    const { depositId } = req.params;
+    const { status } = req.body;
 
     const result = await query(
-      'UPDATE deposits SET status = $1 WHERE id = $2 RETURNING *',
+      `UPDATE deposits SET status = $1
+       WHERE id = $2 AND transaction_hash IS NULL
+       RETURNING *`,
       [status, depositId]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Deposit not found' });
+      return res.status(409).json({
+        error: 'Deposit status is managed by on-chain verification',
+        message: 'Use POST /api/deposits/:depositId/verify for deposits with a transaction hash',
+      });
     }
 
     res.json({
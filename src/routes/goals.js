@@ -1,25 +1,84 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/db');
+const { query, getClient } = require('../config/db');
+const { authorizeUserParam, authorizeGoalMember, requireGoalRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { v, validate, sendValidationError } = require('../middleware/validate');
+const { loadDepositSummaries, planGoal } = require('../services/goalPlanner');
+const {
+  MILESTONE_PERCENTS,
+  formatMilestone,
+  recordMilestones,
+  announceMilestones,
+} = require('../services/milestones');
+const {
+  GOAL_ROLES,
+  formatInvitation,
+  listMembers,
+  inviteMember,
+  respondToInvitation,
+  updateMemberRole,
+  removeMember,
+  loadContributions,
+} = require('../services/goalMembers');
+const { getUnallocatedBalance, transferFunds } = require('../services/transfers');
+
+const userParams = { userId: v.uuid() };
+const goalParams = { goalId: v.uuid() };
+const invitationParams = { userId: v.uuid(), invitationId: v.uuid() };
+const memberParams = { goalId: v.uuid(), memberId: v.uuid() };
+
+/**
+ * Cross-field check: a goal must end after it starts
+ */
+function endsAfterStart(startDate, endDate) {
+  if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
+    return [{ location: 'body', field: 'endDate', message: 'must be after startDate' }];
+  }
+  return [];
+}
+
+// Callers may only touch their own user, and goals they own or are members of
+router.param('userId', authorizeUserParam);
+router.param('goalId', authorizeGoalMember);
+
+/**
+ * Membership changes share their error handling
+ */
+function sendMembershipError(label, error, res) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: `Failed to ${label.toLowerCase()}`, message: error.message });
+}
 
 /**
  * GET /api/goals/:userId
- * Get all goals for a user
+ * Get all goals for a user: their own and those shared with them
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate({ params: userParams }), async (req, res) => {
   try {
     const { userId } = req.params;
 
     const result = await query(
-      `SELECT * FROM savings_goals
-       WHERE user_id = $1
-       ORDER BY created_at DESC`,
+      `SELECT g.*, l.chain_id AS link_chain_id, l.contract_address AS link_contract_address,
+              l.onchain_goal_id, l.goal_id AS link_goal_id, m.role AS member_role, c.member_count
+       FROM savings_goals g
+       LEFT JOIN onchain_goal_links l ON l.goal_id = g.id
+       LEFT JOIN goal_members m ON m.goal_id = g.id AND m.user_id = $1
+       LEFT JOIN (SELECT goal_id, COUNT(*) AS member_count FROM goal_members GROUP BY goal_id) c ON c.goal_id = g.id
+       WHERE g.user_id = $1 OR m.user_id IS NOT NULL
+       ORDER BY g.created_at DESC`,
       [userId]
     );
 
+    const deposits = await loadDepositSummaries({ query }, { userId });
     const goals = result.rows.map(row => ({
       id: row.id,
       userId: row.user_id,
+      role: row.user_id === userId ? 'owner' : row.member_role,
+      isShared: parseInt(row.member_count || 0, 10) > 0,
       title: row.title,
       targetAmount: parseFloat(row.target_amount),
       currentAmount: parseFloat(row.current_amount),
@@ -28,6 +87,13 @@ router.get('/:userId', async (req, res) => {
       endDate: row.end_date,
       isMainGoal: row.is_main_goal,
       isCompleted: row.is_completed,
+      // onchainGoalId is null while a createGoal transaction awaits its GoalCreated event
+      onchain: row.link_goal_id ? {
+        chainId: row.link_chain_id,
+        contractAddress: row.link_contract_address,
+        onchainGoalId: row.onchain_goal_id,
+      } : null,
+      plan: planGoal(row, deposits.get(row.id)),
       createdAt: row.created_at,
       updatedAt: row.updated_at,
     }));
@@ -43,7 +109,7 @@ router.get('/:userId', async (req, res) => {
  * GET /api/goals/:userId/main
  * Get main goal for a user
  */
-router.get('/:userId/main', async (req, res) => {
+router.get('/:userId/main', validate({ params: userParams }), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -59,6 +125,7 @@ router.get('/:userId/main', async (req, res) => {
     }
 
     const row = result.rows[0];
+    const deposits = await loadDepositSummaries({ query }, { goalId: row.id });
     const goal = {
       id: row.id,
       userId: row.user_id,
@@ -70,6 +137,7 @@ router.get('/:userId/main', async (req, res) => {
       endDate: row.end_date,
       isMainGoal: row.is_main_goal,
       isCompleted: row.is_completed,
+      plan: planGoal(row, deposits.get(row.id)),
       createdAt: row.created_at,
       updatedAt: row.updated_at,
     };
@@ -85,20 +153,22 @@ router.get('/:userId/main', async (req, res) => {
  * POST /api/goals/:userId
  * Create a new goal
  */
-router.post('/:userId', async (req, res) => {
+router.post('/:userId', validate({
+  params: userParams,
+  body: {
+    title: v.string({ min: 1, max: 255 }),
+    targetAmount: v.number({ positive: true }),
+    frequency: v.enum(['weekly', 'monthly']),
+    startDate: v.date(),
+    endDate: v.date(),
+    isMainGoal: v.boolean().optional(),
+  },
+  refine: req => endsAfterStart(req.body.startDate, req.body.endDate),
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { title, targetAmount, frequency, startDate, endDate, isMainGoal } = req.body;
 
-    // Validation
-    if (!title || !targetAmount || !frequency || !startDate || !endDate) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    if (!['weekly', 'monthly'].includes(frequency)) {
-      return res.status(400).json({ error: 'Frequency must be "weekly" or "monthly"' });
-    }
-
     // If this is being set as main goal, unset any existing main goal
     if (isMainGoal) {
       await query(
@@ -126,6 +196,7 @@ router.post('/:userId', async (req, res) => {
       endDate: row.end_date,
       isMainGoal: row.is_main_goal,
       isCompleted: row.is_completed,
+      plan: planGoal(row),
       createdAt: row.created_at,
     };
 
@@ -136,11 +207,416 @@ router.post('/:userId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/goals/:userId/transfer
+ * Move funds between two goals, or between the unallocated balance and a goal
+ * (supports Idempotency-Key). Omit fromGoalId or toGoalId for the balance.
+ */
+router.post('/:userId/transfer', validate({
+  params: userParams,
+  body: {
+    fromGoalId: v.uuid().optional().nullable(),
+    toGoalId: v.uuid().optional().nullable(),
+    amount: v.number({ positive: true }),
+    description: v.string({ max: 500 }).optional(),
+  },
+  refine: (req) => {
+    const { fromGoalId, toGoalId } = req.body;
+    if (!fromGoalId && !toGoalId) {
+      return [{ location: 'body', field: 'toGoalId', message: 'fromGoalId or toGoalId is required' }];
+    }
+    if (fromGoalId && fromGoalId === toGoalId) {
+      return [{ location: 'body', field: 'toGoalId', message: 'must differ from fromGoalId' }];
+    }
+    return [];
+  },
+}), idempotent, async (req, res) => {
+  const client = await getClient();
+
+  try {
+    const { userId } = req.params;
+    const { fromGoalId, toGoalId, amount, description } = req.body;
+
+    await client.query('BEGIN');
+
+    const transfer = await transferFunds(client, { userId, fromGoalId, toGoalId, amount, description });
+    const balance = await getUnallocatedBalance(client, userId);
+
+    await client.query('COMMIT');
+
+    const milestonesReached = announceMilestones(transfer.milestones);
+    const formatSide = goal => (goal ? {
+      goalId: goal.id,
+      title: goal.title,
+      currentAmount: parseFloat(goal.current_amount),
+      targetAmount: parseFloat(goal.target_amount),
+      isCompleted: goal.is_completed,
+    } : null);
+    const { transaction } = transfer;
+
+    res.status(201).json({
+      id: transaction.id,
+      userId: transaction.user_id,
+      type: transaction.type,
+      amount: parseFloat(transaction.amount),
+      description: transaction.description,
+      fromGoalId: transaction.from_goal_id,
+      toGoalId: transaction.goal_id,
+      status: transaction.status,
+      from: formatSide(transfer.from),
+      to: formatSide(transfer.to),
+      unallocatedBalance: balance.unallocated,
+      milestonesReached,
+      createdAt: transaction.created_at,
+      message: 'Transfer successful',
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Transfer error:', error);
+    res.status(500).json({ error: 'Failed to transfer funds', message: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/goals/:userId/invitations
+ * Pending invitations to shared goals addressed to the user's wallet
+ */
+router.get('/:userId/invitations', validate({ params: userParams }), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT i.*, g.title AS goal_title
+       FROM goal_invitations i
+       JOIN savings_goals g ON g.id = i.goal_id
+       WHERE i.wallet_address = $1 AND i.status = 'pending'
+       ORDER BY i.created_at DESC`,
+      [req.user.walletAddress.toLowerCase()]
+    );
+
+    res.json(result.rows.map(formatInvitation));
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to get invitations', message: error.message });
+  }
+});
+
+/**
+ * POST /api/goals/:userId/invitations/:invitationId/accept
+ * Join a shared goal with the invited role
+ */
+router.post('/:userId/invitations/:invitationId/accept', validate({ params: invitationParams }), async (req, res) => {
+  try {
+    const invitation = await respondToInvitation({
+      invitationId: req.params.invitationId,
+      userId: req.params.userId,
+      walletAddress: req.user.walletAddress,
+      accept: true,
+    });
+
+    res.json(formatInvitation(invitation));
+  } catch (error) {
+    sendMembershipError('Accept invitation', error, res);
+  }
+});
+
+/**
+ * POST /api/goals/:userId/invitations/:invitationId/decline
+ * Decline an invitation to a shared goal
+ */
+router.post('/:userId/invitations/:invitationId/decline', validate({ params: invitationParams }), async (req, res) => {
+  try {
+    const invitation = await respondToInvitation({
+      invitationId: req.params.invitationId,
+      userId: req.params.userId,
+      walletAddress: req.user.walletAddress,
+      accept: false,
+    });
+
+    res.json(formatInvitation(invitation));
+  } catch (error) {
+    sendMembershipError('Decline invitation', error, res);
+  }
+});
+
+/**
+ * GET /api/goals/:goalId/members
+ * Members of a goal and their roles; owners also see pending invitations
+ */
+router.get('/:goalId/members', validate({ params: goalParams }), async (req, res) => {
+  try {
+    const { goalId } = req.params;
+
+    const members = await listMembers({ query }, goalId);
+    let invitations = [];
+
+    if (req.goalRole === 'owner') {
+      const result = await query(
+        "SELECT * FROM goal_invitations WHERE goal_id = $1 AND status = 'pending' ORDER BY created_at ASC",
+        [goalId]
+      );
+      invitations = result.rows.map(formatInvitation);
+    }
+
+    res.json({ goalId, role: req.goalRole, members, invitations });
+  } catch (error) {
+    console.error('Get goal members error:', error);
+    res.status(500).json({ error: 'Failed to get goal members', message: error.message });
+  }
+});
+
+/**
+ * POST /api/goals/:goalId/invitations
+ * Invite a wallet to the goal with a role (owners)
+ */
+router.post('/:goalId/invitations', requireGoalRole('owner'), validate({
+  params: goalParams,
+  body: {
+    walletAddress: v.address(),
+    role: v.enum(GOAL_ROLES).default('contributor'),
+  },
+}), async (req, res) => {
+  try {
+    const invitation = await inviteMember({ query }, {
+      goalId: req.params.goalId,
+      walletAddress: req.body.walletAddress,
+      role: req.body.role,
+      invitedBy: req.user.id,
+    });
+
+    res.status(201).json(formatInvitation(invitation));
+  } catch (error) {
+    sendMembershipError('Invite member', error, res);
+  }
+});
+
+/**
+ * DELETE /api/goals/:goalId/invitations/:invitationId
+ * Revoke a pending invitation (owners)
+ */
+router.delete('/:goalId/invitations/:invitationId', requireGoalRole('owner'), validate({
+  params: { goalId: v.uuid(), invitationId: v.uuid() },
+}), async (req, res) => {
+  try {
+    const { goalId, invitationId } = req.params;
+
+    const result = await query(
+      `UPDATE goal_invitations SET status = 'revoked', responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND goal_id = $2 AND status = 'pending'
+       RETURNING *`,
+      [invitationId, goalId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json(formatInvitation(result.rows[0]));
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/goals/:goalId/members/:memberId
+ * Change a member's role (owners)
+ */
+router.put('/:goalId/members/:memberId', requireGoalRole('owner'), validate({
+  params: memberParams,
+  body: { role: v.enum(GOAL_ROLES) },
+}), async (req, res) => {
+  try {
+    const { goalId, memberId } = req.params;
+
+    const member = await updateMemberRole({ query }, goalId, memberId, req.body.role);
+
+    res.json({ goalId, userId: member.user_id, role: member.role, joinedAt: member.joined_at });
+  } catch (error) {
+    sendMembershipError('Update member', error, res);
+  }
+});
+
+/**
+ * DELETE /api/goals/:goalId/members/:memberId
+ * Remove a member (owners), or leave the goal (the member themselves)
+ */
+router.delete('/:goalId/members/:memberId', validate({ params: memberParams }), async (req, res) => {
+  try {
+    const { goalId, memberId } = req.params;
+
+    if (req.goalRole !== 'owner' && memberId !== req.user.id) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Requires the owner role on this goal' });
+    }
+
+    await removeMember({ query }, goalId, memberId);
+
+    res.json({ message: 'Member removed' });
+  } catch (error) {
+    sendMembershipError('Remove member', error, res);
+  }
+});
+
+/**
+ * GET /api/goals/:goalId/contributions
+ * Per-member breakdown of what each member deposited, withdrew and transferred, and their
+ * share of the saved amount. Former members with contributions are included.
+ */
+router.get('/:goalId/contributions', validate({ params: goalParams }), async (req, res) => {
+  try {
+    const { goalId } = req.params;
+
+    const goalResult = await query('SELECT title, current_amount, target_amount FROM savings_goals WHERE id = $1', [goalId]);
+    const goal = goalResult.rows[0];
+    const currentAmount = parseFloat(goal.current_amount);
+
+    const members = await listMembers({ query }, goalId);
+    const contributions = await loadContributions({ query }, goalId);
+
+    // Contributors who have since left the goal
+    const memberIds = new Set(members.map(member => member.userId));
+    const formerIds = [...contributions.keys()].filter(id => !memberIds.has(id));
+    for (const id of formerIds) {
+      const userResult = await query('SELECT wallet_address FROM users WHERE id = $1', [id]);
+      members.push({
+        userId: id,
+        walletAddress: userResult.rows[0] ? userResult.rows[0].wallet_address : null,
+        role: null,
+        isCreator: false,
+        joinedAt: null,
+      });
+    }
+
+    const breakdown = members.map((member) => {
+      const contribution = contributions.get(member.userId)
+        || { deposited: 0, withdrawn: 0, transferredIn: 0, transferredOut: 0, contributed: 0, depositCount: 0, lastDepositAt: null };
+      return {
+        ...member,
+        ...contribution,
+        // Percentage of the goal's saved amount
+        share: currentAmount > 0 ? Number(((contribution.contributed / currentAmount) * 100).toFixed(2)) : 0,
+      };
+    });
+
+    const attributed = breakdown.reduce((sum, member) => sum + member.contributed, 0);
+
+    res.json({
+      goalId,
+      title: goal.title,
+      targetAmount: parseFloat(goal.target_amount),
+      currentAmount,
+      members: breakdown,
+      // Saved amount not from deposits or transfers (manual updates, chain sync)
+      unattributed: Number(Math.max(0, currentAmount - attributed).toFixed(6)),
+    });
+  } catch (error) {
+    console.error('Get goal contributions error:', error);
+    res.status(500).json({ error: 'Failed to get goal contributions', message: error.message });
+  }
+});
+
+/**
+ * GET /api/goals/:goalId/plan
+ * Contribution plan: required amount per period, expected vs actual progress,
+ * status and projected completion date
+ */
+router.get('/:goalId/plan', validate({ params: goalParams }), async (req, res) => {
+  try {
+    const { goalId } = req.params;
+
+    const result = await query('SELECT * FROM savings_goals WHERE id = $1', [goalId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    const row = result.rows[0];
+    const deposits = await loadDepositSummaries({ query }, { goalId });
+
+    res.json({
+      goalId: row.id,
+      title: row.title,
+      targetAmount: parseFloat(row.target_amount),
+      startDate: row.start_date,
+      endDate: row.end_date,
+      ...planGoal(row, deposits.get(goalId)),
+    });
+  } catch (error) {
+    console.error('Get goal plan error:', error);
+    res.status(500).json({ error: 'Failed to get goal plan', message: error.message });
+  }
+});
+
+/**
+ * GET /api/goals/:goalId/milestones
+ * Progress towards each 25/50/75/100% milestone and when it was reached
+ */
+router.get('/:goalId/milestones', validate({ params: goalParams }), async (req, res) => {
+  try {
+    const { goalId } = req.params;
+
+    const result = await query('SELECT * FROM savings_goals WHERE id = $1', [goalId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    const row = result.rows[0];
+    const reachedResult = await query(
+      'SELECT * FROM goal_milestones WHERE goal_id = $1 ORDER BY percent ASC',
+      [goalId]
+    );
+    const reached = new Map(reachedResult.rows.map(milestone => [milestone.percent, formatMilestone(milestone)]));
+
+    const targetAmount = parseFloat(row.target_amount);
+    const currentAmount = parseFloat(row.current_amount);
+
+    res.json({
+      goalId: row.id,
+      title: row.title,
+      targetAmount,
+      currentAmount,
+      progress: Number(((currentAmount / targetAmount) * 100).toFixed(2)),
+      isCompleted: row.is_completed,
+      milestones: MILESTONE_PERCENTS.map((percent) => {
+        const milestone = reached.get(percent);
+        return {
+          percent,
+          amount: Number(((targetAmount * percent) / 100).toFixed(6)),
+          reached: Boolean(milestone),
+          reachedAt: milestone ? milestone.reachedAt : null,
+          reachedWith: milestone ? milestone.amount : null,
+          source: milestone ? milestone.source : null,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('Get goal milestones error:', error);
+    res.status(500).json({ error: 'Failed to get goal milestones', message: error.message });
+  }
+});
+
 /**
  * PUT /api/goals/:goalId
- * Update a goal
+ * Update a goal (owners). Only the creator may make it their main goal.
+ * currentAmount can only be set on goals without other members; a shared
+ * goal's balance changes through deposits, withdrawals and transfers.
  */
-router.put('/:goalId', async (req, res) => {
+router.put('/:goalId', requireGoalRole('owner'), validate({
+  params: goalParams,
+  body: {
+    title: v.string({ min: 1, max: 255 }).optional(),
+    targetAmount: v.number({ positive: true }).optional(),
+    currentAmount: v.number({ min: 0 }).optional(),
+    frequency: v.enum(['weekly', 'monthly']).optional(),
+    endDate: v.date().optional(),
+    isMainGoal: v.boolean().optional(),
+    isCompleted: v.boolean().optional(),
+  },
+}), async (req, res) => {
   try {
     const { goalId } = req.params;
     const { title, targetAmount, currentAmount, frequency, endDate, isMainGoal, isCompleted } = req.body;
@@ -158,6 +634,15 @@ router.put('/:goalId', async (req, res) => {
       values.push(targetAmount);
     }
     if (currentAmount !== undefined) {
+      const membersResult = await query('SELECT 1 FROM goal_members WHERE goal_id = $1 LIMIT 1', [goalId]);
+      if (membersResult.rows.length > 0) {
+        return sendValidationError(res, [{
+          location: 'body',
+          field: 'currentAmount',
+          message: 'cannot be set on a shared goal; use deposits, withdrawals or transfers',
+        }]);
+      }
+
       updates.push(`current_amount = $${paramIndex++}`);
       values.push(currentAmount);
     }
@@ -166,22 +651,32 @@ router.put('/:goalId', async (req, res) => {
       values.push(frequency);
     }
     if (endDate !== undefined) {
+      const startResult = await query('SELECT start_date FROM savings_goals WHERE id = $1', [goalId]);
+      if (startResult.rows.length > 0) {
+        const errors = endsAfterStart(startResult.rows[0].start_date, endDate);
+        if (errors.length > 0) {
+          return sendValidationError(res, errors);
+        }
+      }
+
       updates.push(`end_date = $${paramIndex++}`);
       values.push(endDate);
     }
     if (isMainGoal !== undefined) {
+      const goalResult = await query('SELECT user_id FROM savings_goals WHERE id = $1', [goalId]);
+      if (goalResult.rows.length > 0 && goalResult.rows[0].user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Only the goal creator can change its main goal flag' });
+      }
+
       updates.push(`is_main_goal = $${paramIndex++}`);
       values.push(isMainGoal);
 
       // If setting as main goal, unset other main goals
       if (isMainGoal) {
-        const goalResult = await query('SELECT user_id FROM savings_goals WHERE id = $1', [goalId]);
-        if (goalResult.rows.length > 0) {
-          await query(
-            'UPDATE savings_goals SET is_main_goal = false WHERE user_id = $1 AND id != $2',
-            [goalResult.rows[0].user_id, goalId]
-          );
-        }
+        await query(
+          'UPDATE savings_goals SET is_main_goal = false WHERE user_id = $1 AND id != $2',
+          [req.user.id, goalId]
+        );
       }
     }
     if (isCompleted !== undefined) {
@@ -204,7 +699,13 @@ router.put('/:goalId', async (req, res) => {
       return res.status(404).json({ error: 'Goal not found' });
     }
 
+    // Manual progress or target changes can reach milestones too
+    const milestonesReached = currentAmount !== undefined || targetAmount !== undefined
+      ? announceMilestones(await recordMilestones({ query }, goalId, { source: 'update' }))
+      : [];
+
     const row = result.rows[0];
+    const deposits = await loadDepositSummaries({ query }, { goalId: row.id });
     const goal = {
       id: row.id,
       userId: row.user_id,
@@ -216,6 +717,8 @@ router.put('/:goalId', async (req, res) => {
       endDate: row.end_date,
       isMainGoal: row.is_main_goal,
       isCompleted: row.is_completed,
+      plan: planGoal(row, deposits.get(row.id)),
+      milestonesReached,
       updatedAt: row.updated_at,
     };
 
@@ -228,9 +731,9 @@ router.put('/:goalId', async (req, res) => {
 
 /**
  * DELETE /api/goals/:goalId
- * Delete a goal
+ * Delete a goal (owners)
  */
-router.delete('/:goalId', async (req, res) => {
+router.delete('/:goalId', requireGoalRole('owner'), validate({ params: goalParams }), async (req, res) => {
   try {
     const { goalId } = req.params;
 
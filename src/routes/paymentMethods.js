@@ -1,12 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/db');
+const { authorizeUserParam, authorizeOwnership } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+
+const PAYMENT_METHOD_TYPES = ['gopay', 'dana', 'ovo', 'bank', 'wallet'];
+const userParams = { userId: v.uuid() };
+const paymentMethodParams = { paymentMethodId: v.uuid() };
+
+// Callers may only touch their own user and resources
+router.param('userId', authorizeUserParam);
+router.param('paymentMethodId', authorizeOwnership('payment_methods', 'Payment method'));
 
 /**
  * GET /api/payment-methods/:userId
  * Get all payment methods for a user
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate({
+  params: userParams,
+  query: { activeOnly: v.boolean().optional() },
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { activeOnly } = req.query;
@@ -14,7 +27,7 @@ router.get('/:userId', async (req, res) => {
     let queryText = 'SELECT * FROM payment_methods WHERE user_id = $1';
     const params = [userId];
 
-    if (activeOnly === 'true') {
+    if (activeOnly) {
       queryText += ' AND is_active = true';
     }
 
@@ -46,7 +59,7 @@ router.get('/:userId', async (req, res) => {
  * GET /api/payment-methods/:userId/default
  * Get default payment method for a user
  */
-router.get('/:userId/default', async (req, res) => {
+router.get('/:userId/default', validate({ params: userParams }), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -84,23 +97,29 @@ router.get('/:userId/default', async (req, res) => {
  * POST /api/payment-methods/:userId
  * Add a new payment method
  */
-router.post('/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { type, accountName, accountNumber, walletAddress, isDefault } = req.body;
-
-    // Validation
-    if (!type || !['gopay', 'dana', 'ovo', 'bank', 'wallet'].includes(type)) {
-      return res.status(400).json({ error: 'Invalid payment method type' });
-    }
-
+router.post('/:userId', validate({
+  params: userParams,
+  body: {
+    type: v.enum(PAYMENT_METHOD_TYPES),
+    accountName: v.string({ max: 255 }).optional(),
+    accountNumber: v.string({ max: 255 }).optional(),
+    walletAddress: v.address().optional(),
+    isDefault: v.boolean().optional(),
+  },
+  refine: (req) => {
+    const { type, walletAddress, accountNumber } = req.body;
     if (type === 'wallet' && !walletAddress) {
-      return res.status(400).json({ error: 'Wallet address is required for wallet type' });
+      return [{ location: 'body', field: 'walletAddress', message: 'is required for wallet type' }];
     }
-
-    if (['gopay', 'dana', 'ovo', 'bank'].includes(type) && !accountNumber) {
-      return res.status(400).json({ error: 'Account number is required' });
+    if (type !== 'wallet' && !accountNumber) {
+      return [{ location: 'body', field: 'accountNumber', message: `is required for ${type} type` }];
     }
+    return [];
+  },
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type, accountName, accountNumber, walletAddress, isDefault } = req.body;
 
     // If this is being set as default, unset other default payment methods
     if (isDefault) {
@@ -149,7 +168,16 @@ router.post('/:userId', async (req, res) => {
  * PUT /api/payment-methods/:paymentMethodId
  * Update a payment method
  */
-router.put('/:paymentMethodId', async (req, res) => {
+router.put('/:paymentMethodId', validate({
+  params: paymentMethodParams,
+  body: {
+    accountName: v.string({ max: 255 }).optional().nullable(),
+    accountNumber: v.string({ max: 255 }).optional().nullable(),
+    walletAddress: v.address().optional().nullable(),
+    isDefault: v.boolean().optional(),
+    isActive: v.boolean().optional(),
+  },
+}), async (req, res) => {
   try {
     const { paymentMethodId } = req.params;
     const { accountName, accountNumber, walletAddress, isDefault, isActive } = req.body;
@@ -232,12 +260,15 @@ router.put('/:paymentMethodId', async (req, res) => {
  * DELETE /api/payment-methods/:paymentMethodId
  * Delete a payment method (soft delete by setting is_active = false)
  */
-router.delete('/:paymentMethodId', async (req, res) => {
+router.delete('/:paymentMethodId', validate({
+  params: paymentMethodParams,
+  query: { hardDelete: v.boolean().optional() },
+}), async (req, res) => {
   try {
     const { paymentMethodId } = req.params;
     const { hardDelete } = req.query;
 
-    if (hardDelete === 'true') {
+    if (hardDelete) {
       // Hard delete - permanently remove from database
       const result = await query(
         'DELETE FROM payment_methods WHERE id = $1 RETURNING *',
@@ -1,13 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const { query, getClient } = require('../config/db');
-const blockchainService = require('../services/blockchain');
+const { authorizeUserParam } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { v, validate } = require('../middleware/validate');
+const apyService = require('../services/apy');
+
+const POOL_TYPES = ['stablecoin', 'lending', 'dex', 'staking', 'yield_aggregator'];
+const userParams = { userId: v.uuid() };
+
+// Callers may only touch their own user and resources
+router.param('userId', authorizeUserParam);
 
 /**
  * GET /api/portfolio/:userId
  * Get user's complete portfolio breakdown
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate({ params: userParams }), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -63,7 +72,9 @@ router.get('/:userId', async (req, res) => {
  * GET /api/portfolio/:userId/by-type/:poolType
  * Get allocations for a specific pool type
  */
-router.get('/:userId/by-type/:poolType', async (req, res) => {
+router.get('/:userId/by-type/:poolType', validate({
+  params: { ...userParams, poolType: v.enum(POOL_TYPES) },
+}), async (req, res) => {
   try {
     const { userId, poolType } = req.params;
 
@@ -101,24 +112,31 @@ router.get('/:userId/by-type/:poolType', async (req, res) => {
 
 /**
  * POST /api/portfolio/:userId/allocate
- * Allocate a deposit across multiple pools
+ * Allocate a deposit across multiple pools (supports Idempotency-Key)
  */
-router.post('/:userId/allocate', async (req, res) => {
+router.post('/:userId/allocate', validate({
+  params: userParams,
+  body: {
+    depositId: v.uuid().optional().nullable(),
+    depositAmount: v.number({ positive: true }),
+    userMode: v.enum(['lite', 'balanced', 'pro']),
+    allocations: v.array(v.object({
+      poolType: v.enum(POOL_TYPES),
+      protocolId: v.string({ min: 1, max: 100 }),
+      protocolName: v.string({ min: 1, max: 255 }),
+      protocolAddress: v.string({ max: 255 }).optional().nullable(),
+      amount: v.number({ positive: true }),
+      percentage: v.number({ min: 0, max: 100 }).optional(),
+      apy: v.number({ min: 0 }),
+    }), { min: 1, max: 20 }),
+  },
+}), idempotent, async (req, res) => {
   const client = await getClient();
 
   try {
     const { userId } = req.params;
     const { depositId, depositAmount, allocations, userMode } = req.body;
 
-    // Validation
-    if (!allocations || !Array.isArray(allocations) || allocations.length === 0) {
-      return res.status(400).json({ error: 'Allocations array is required' });
-    }
-
-    if (!userMode || !['lite', 'balanced', 'pro'].includes(userMode)) {
-      return res.status(400).json({ error: 'Valid user mode is required' });
-    }
-
     await client.query('BEGIN');
 
     const createdAllocations = [];
@@ -196,10 +214,13 @@ router.post('/:userId/allocate', async (req, res) => {
  * GET /api/portfolio/:userId/history
  * Get allocation history
  */
-router.get('/:userId/history', async (req, res) => {
+router.get('/:userId/history', validate({
+  params: userParams,
+  query: { limit: v.limit(20) },
+}), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 20 } = req.query;
+    const { limit } = req.query;
 
     const result = await query(
       `SELECT * FROM allocation_history
@@ -225,68 +246,13 @@ router.get('/:userId/history', async (req, res) => {
   }
 });
 
-/**
- * PUT /api/portfolio/:userId/update-earnings
- * Update earnings for all allocations (called by cron job or periodic update)
- */
-router.put('/:userId/update-earnings', async (req, res) => {
-  const client = await getClient();
-
-  try {
-    const { userId } = req.params;
-
-    await client.query('BEGIN');
-
-    // Get all allocations
-    const allocations = await client.query(
-      'SELECT * FROM pool_allocations WHERE user_id = $1',
-      [userId]
-    );
-
-    let totalNewEarnings = 0;
-
-    // Update each allocation with new earnings
-    for (const alloc of allocations.rows) {
-      const dailyEarning = (parseFloat(alloc.amount_allocated) * parseFloat(alloc.current_apy)) / 365 / 100;
-      totalNewEarnings += dailyEarning;
-
-      await client.query(
-        `UPDATE pool_allocations
-         SET total_earnings = total_earnings + $1,
-             daily_earnings = $2,
-             last_updated = CURRENT_TIMESTAMP
-         WHERE id = $3`,
-        [dailyEarning, dailyEarning, alloc.id]
-      );
-    }
-
-    // Update user's total earnings
-    await client.query(
-      'UPDATE users SET total_earnings = total_earnings + $1 WHERE id = $2',
-      [totalNewEarnings, userId]
-    );
-
-    await client.query('COMMIT');
-
-    res.json({
-      message: 'Earnings updated successfully',
-      totalNewEarnings,
-      updatedAllocations: allocations.rows.length,
-    });
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Update earnings error:', error);
-    res.status(500).json({ error: 'Failed to update earnings', message: error.message });
-  } finally {
-    client.release();
-  }
-});
-
 /**
  * DELETE /api/portfolio/:userId/allocation/:allocationId
  * Remove a specific pool allocation (withdraw from pool)
  */
-router.delete('/:userId/allocation/:allocationId', async (req, res) => {
+router.delete('/:userId/allocation/:allocationId', validate({
+  params: { ...userParams, allocationId: v.uuid() },
+}), async (req, res) => {
   const client = await getClient();
 
   try {
@@ -336,13 +302,19 @@ router.delete('/:userId/allocation/:allocationId', async (req, res) => {
 
 /**
  * GET /api/portfolio/protocols/apy
- * Get current APY for all protocols
+ * Get current APY for all protocols; protocols whose APY could not be
+ * fetched are listed under `errors`
  */
 router.get('/protocols/apy', async (req, res) => {
   try {
-    const protocols = await blockchainService.getAllProtocolsWithAPY();
+    const protocols = await apyService.getAllProtocolsWithAPY();
+    const errors = protocols
+      .filter(protocol => protocol.error)
+      .map(protocol => ({ protocolId: protocol.protocolId, error: protocol.error }));
+
     res.json({
       protocols,
+      errors,
       lastUpdated: new Date().toISOString(),
     });
   } catch (error) {
@@ -355,17 +327,26 @@ router.get('/protocols/apy', async (req, res) => {
  * GET /api/portfolio/protocols/apy/:protocolId
  * Get current APY for a specific protocol
  */
-router.get('/protocols/apy/:protocolId', async (req, res) => {
+router.get('/protocols/apy/:protocolId', validate({
+  params: { protocolId: v.string({ min: 1, max: 100 }) },
+}), async (req, res) => {
   try {
     const { protocolId } = req.params;
-    const apy = await blockchainService.getProtocolAPY(protocolId);
+    const quote = await apyService.getProtocolAPY(protocolId);
 
-    res.json({
-      protocolId,
-      currentAPY: apy,
-      lastUpdated: new Date().toISOString(),
-    });
+    if (quote.currentAPY === null) {
+      return res.status(503).json({
+        error: 'APY unavailable',
+        protocolId,
+        message: quote.error,
+      });
+    }
+
+    res.json(quote);
   } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Protocol not found', message: error.message });
+    }
     console.error('Get protocol APY error:', error);
     res.status(500).json({ error: 'Failed to fetch APY', message: error.message });
   }
@@ -375,18 +356,17 @@ router.get('/protocols/apy/:protocolId', async (req, res) => {
  * POST /api/portfolio/protocols/apy/batch
  * Get APY for multiple protocols at once
  */
-router.post('/protocols/apy/batch', async (req, res) => {
+router.post('/protocols/apy/batch', validate({
+  body: { protocolIds: v.array(v.string({ min: 1, max: 100 }), { min: 1, max: 50 }) },
+}), async (req, res) => {
   try {
     const { protocolIds } = req.body;
 
-    if (!protocolIds || !Array.isArray(protocolIds)) {
-      return res.status(400).json({ error: 'protocolIds array is required' });
-    }
-
-    const apyData = await blockchainService.getBatchAPY(protocolIds);
+    const { data, errors } = await apyService.getBatchAPY(protocolIds);
 
     res.json({
-      data: apyData,
+      data,
+      errors,
       lastUpdated: new Date().toISOString(),
     });
   } catch (error) {
@@ -395,18 +375,4 @@ router.post('/protocols/apy/batch', async (req, res) => {
   }
 });
 
-/**
- * DELETE /api/portfolio/protocols/cache
- * Clear APY cache (admin/testing endpoint)
- */
-router.delete('/protocols/cache', async (req, res) => {
-  try {
-    blockchainService.clearCache();
-    res.json({ message: 'APY cache cleared successfully' });
-  } catch (error) {
-    console.error('Clear cache error:', error);
-    res.status(500).json({ error: 'Failed to clear cache', message: error.message });
-  }
-});
-
 module.exports = router;
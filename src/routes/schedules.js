@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/db');
+const { authorizeUserParam, authorizeOwnership } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const {
+  CADENCES,
+  getDepositScheduler,
+  isValidTimezone,
+  planSchedule,
+  describeTiming,
+} = require('../services/depositScheduler');
+const { getGoalRole, canContribute } = require('../services/goalMembers');
+
+const userParams = { userId: v.uuid() };
+const scheduleParams = { scheduleId: v.uuid() };
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Callers may only touch their own user and resources
+router.param('userId', authorizeUserParam);
+router.param('scheduleId', authorizeOwnership('deposit_schedules', 'Schedule'));
+
+function refineTimezone(req) {
+  const { timezone } = req.body;
+  return timezone !== undefined && !isValidTimezone(timezone)
+    ? [{ location: 'body', field: 'timezone', message: 'must be an IANA timezone such as Asia/Jakarta' }]
+    : [];
+}
+
+function formatSchedule(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    goalId: row.goal_id,
+    paymentMethodId: row.payment_method_id,
+    amount: parseFloat(row.amount),
+    cadence: row.cadence,
+    timezone: row.timezone,
+    ...describeTiming(row),
+    network: row.network,
+    status: row.status,
+    nextRunAt: row.next_run_at,
+    retryAt: row.retry_at,
+    attempts: row.attempts,
+    lastRunAt: row.last_run_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Payment method a schedule may draw from: the user's and still active
+ * @returns {Promise<Object|null>} { status, error } when it may not
+ */
+async function checkPaymentMethod(userId, paymentMethodId) {
+  const result = await query(
+    'SELECT is_active FROM payment_methods WHERE id = $1 AND user_id = $2',
+    [paymentMethodId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Payment method not found' };
+  }
+  if (!result.rows[0].is_active) {
+    return { status: 409, error: 'Payment method is inactive' };
+  }
+  return null;
+}
+
+/**
+ * GET /api/schedules/:userId
+ * Get all deposit schedules for a user
+ */
+router.get('/:userId', validate({
+  params: userParams,
+  query: {
+    goalId: v.uuid().optional(),
+    status: v.enum(['active', 'paused', 'completed']).optional(),
+  },
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { goalId, status } = req.query;
+
+    let queryText = 'SELECT * FROM deposit_schedules WHERE user_id = $1';
+    const params = [userId];
+
+    if (goalId) {
+      params.push(goalId);
+      queryText += ` AND goal_id = $${params.length}`;
+    }
+
+    if (status) {
+      params.push(status);
+      queryText += ` AND status = $${params.length}`;
+    }
+
+    const result = await query(`${queryText} ORDER BY created_at DESC`, params);
+
+    res.json(result.rows.map(formatSchedule));
+  } catch (error) {
+    console.error('Get schedules error:', error);
+    res.status(500).json({ error: 'Failed to get schedules', message: error.message });
+  }
+});
+
+/**
+ * POST /api/schedules/:userId
+ * Create a recurring deposit into a goal. The first run is at timeOfDay on
+ * startDate (both local to timezone; today when omitted), or the next run
+ * after that if it has already passed.
+ */
+router.post('/:userId', validate({
+  params: userParams,
+  body: {
+    goalId: v.uuid(),
+    paymentMethodId: v.uuid(),
+    amount: v.number({ positive: true }),
+    cadence: v.enum(CADENCES),
+    timezone: v.string({ min: 1, max: 64 }).default('UTC'),
+    startDate: v.date({ dateOnly: true }).optional(),
+    timeOfDay: v.string({ pattern: TIME_OF_DAY_PATTERN }).default('09:00'),
+    network: v.network().optional(),
+  },
+  refine: refineTimezone,
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { goalId, paymentMethodId, amount, cadence, timezone, startDate, timeOfDay, network } = req.body;
+
+    // Own goals and shared goals the user may contribute to
+    const role = await getGoalRole({ query }, goalId, userId);
+    if (!role) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    if (!canContribute(role)) {
+      return res.status(403).json({ error: 'Viewers cannot deposit into this goal' });
+    }
+
+    const goalResult = await query('SELECT is_completed FROM savings_goals WHERE id = $1', [goalId]);
+    if (goalResult.rows[0].is_completed) {
+      return res.status(409).json({ error: 'Goal is already completed' });
+    }
+
+    const methodError = await checkPaymentMethod(userId, paymentMethodId);
+    if (methodError) {
+      return res.status(methodError.status).json({ error: methodError.error });
+    }
+
+    const { startsAt, occurrence, nextRunAt } = planSchedule(
+      { cadence, timezone, startDate, timeOfDay },
+      getDepositScheduler().now()
+    );
+
+    const result = await query(
+      `INSERT INTO deposit_schedules
+       (user_id, goal_id, payment_method_id, amount, cadence, timezone, network, starts_at, occurrence, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [userId, goalId, paymentMethodId, amount, cadence, timezone, network || null, startsAt, occurrence, nextRunAt]
+    );
+
+    res.status(201).json(formatSchedule(result.rows[0]));
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({ error: 'Failed to create schedule', message: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules/:scheduleId/runs
+ * Run history of a schedule (attempts, retries and skips), newest first
+ */
+router.get('/:scheduleId/runs', validate({
+  params: scheduleParams,
+  query: { limit: v.limit() },
+}), async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const { limit } = req.query;
+
+    const result = await query(
+      `SELECT * FROM deposit_schedule_runs
+       WHERE schedule_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [scheduleId, limit]
+    );
+
+    const runs = result.rows.map(row => ({
+      id: row.id,
+      occurrence: row.occurrence,
+      scheduledFor: row.scheduled_for,
+      attempt: row.attempt,
+      status: row.status,
+      depositId: row.deposit_id,
+      error: row.error,
+      createdAt: row.created_at,
+    }));
+
+    res.json(runs);
+  } catch (error) {
+    console.error('Get schedule runs error:', error);
+    res.status(500).json({ error: 'Failed to get schedule runs', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/schedules/:scheduleId
+ * Update a schedule. Changing cadence, timezone, startDate or timeOfDay
+ * re-plans it from the given (or current) start.
+ */
+router.put('/:scheduleId', validate({
+  params: scheduleParams,
+  body: {
+    paymentMethodId: v.uuid().optional(),
+    amount: v.number({ positive: true }).optional(),
+    cadence: v.enum(CADENCES).optional(),
+    timezone: v.string({ min: 1, max: 64 }).optional(),
+    startDate: v.date({ dateOnly: true }).optional(),
+    timeOfDay: v.string({ pattern: TIME_OF_DAY_PATTERN }).optional(),
+  },
+  refine: refineTimezone,
+}), async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const { paymentMethodId, amount, cadence, timezone, startDate, timeOfDay } = req.body;
+
+    const currentResult = await query('SELECT * FROM deposit_schedules WHERE id = $1', [scheduleId]);
+    const current = currentResult.rows[0];
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (paymentMethodId !== undefined) {
+      const methodError = await checkPaymentMethod(current.user_id, paymentMethodId);
+      if (methodError) {
+        return res.status(methodError.status).json({ error: methodError.error });
+      }
+      updates.push(`payment_method_id = $${paramIndex++}`);
+      values.push(paymentMethodId);
+    }
+    if (amount !== undefined) {
+      updates.push(`amount = $${paramIndex++}`);
+      values.push(amount);
+    }
+
+    if ([cadence, timezone, startDate, timeOfDay].some(value => value !== undefined)) {
+      const timing = describeTiming(current);
+      const plan = planSchedule({
+        cadence: cadence || current.cadence,
+        timezone: timezone || current.timezone,
+        startDate: startDate || timing.startDate,
+        timeOfDay: timeOfDay || timing.timeOfDay,
+      }, getDepositScheduler().now());
+
+      updates.push(
+        `cadence = $${paramIndex++}`,
+        `timezone = $${paramIndex++}`,
+        `starts_at = $${paramIndex++}`,
+        `occurrence = $${paramIndex++}`,
+        `next_run_at = $${paramIndex++}`,
+        'attempts = 0',
+        'retry_at = NULL'
+      );
+      values.push(cadence || current.cadence, timezone || current.timezone, plan.startsAt, plan.occurrence, plan.nextRunAt);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    values.push(scheduleId);
+
+    const result = await query(
+      `UPDATE deposit_schedules SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    res.json(formatSchedule(result.rows[0]));
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({ error: 'Failed to update schedule', message: error.message });
+  }
+});
+
+/**
+ * Pause, resume and skip share their error handling
+ */
+function scheduleAction(label, action) {
+  return async (req, res) => {
+    try {
+      const schedule = await action(getDepositScheduler(), req.params.scheduleId);
+      res.json(formatSchedule(schedule));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(`${label} schedule error:`, error);
+      res.status(500).json({ error: `Failed to ${label.toLowerCase()} schedule`, message: error.message });
+    }
+  };
+}
+
+/**
+ * POST /api/schedules/:scheduleId/pause
+ * Stop running a schedule until it is resumed
+ */
+router.post('/:scheduleId/pause', validate({ params: scheduleParams }), scheduleAction('Pause', (scheduler, id) =>
+  scheduler.setStatus(id, 'paused')
+));
+
+/**
+ * POST /api/schedules/:scheduleId/resume
+ * Resume a paused schedule at its next future run (missed runs are not made up)
+ */
+router.post('/:scheduleId/resume', validate({ params: scheduleParams }), scheduleAction('Resume', (scheduler, id) =>
+  scheduler.setStatus(id, 'active')
+));
+
+/**
+ * POST /api/schedules/:scheduleId/skip
+ * Skip the next run of an active schedule
+ */
+router.post('/:scheduleId/skip', validate({ params: scheduleParams }), scheduleAction('Skip', (scheduler, id) =>
+  scheduler.skip(id)
+));
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Delete a schedule and its run history (deposits it made are kept)
+ */
+router.delete('/:scheduleId', validate({ params: scheduleParams }), async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    await query('DELETE FROM deposit_schedules WHERE id = $1', [scheduleId]);
+
+    res.json({ message: 'Schedule deleted' });
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({ error: 'Failed to delete schedule', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/db');
+const { authorizeUserParam } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+
+const userParams = { userId: v.uuid() };
+
+// Callers may only touch their own user and resources
+router.param('userId', authorizeUserParam);
 
 /**
  * GET /api/streaks/:userId
  * Get streak information for a user
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate({ params: userParams }), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -75,7 +82,7 @@ router.get('/:userId', async (req, res) => {
  * Note: This is typically called automatically by the deposit endpoint,
  * but can be used for manual streak updates
  */
-router.post('/:userId/check', async (req, res) => {
+router.post('/:userId/check', validate({ params: userParams }), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -144,31 +151,4 @@ router.post('/:userId/check', async (req, res) => {
   }
 });
 
-/**
- * POST /api/streaks/:userId/reset
- * Reset current streak (for testing or manual reset)
- */
-router.post('/:userId/reset', async (req, res) => {
-  try {
-    const { userId } = req.params;
-
-    const result = await query(
-      'UPDATE streaks SET current_streak = 0 WHERE user_id = $1 RETURNING *',
-      [userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Streak record not found' });
-    }
-
-    res.json({
-      message: 'Streak reset successfully',
-      currentStreak: 0,
-    });
-  } catch (error) {
-    console.error('Reset streak error:', error);
-    res.status(500).json({ error: 'Failed to reset streak', message: error.message });
-  }
-});
-
 module.exports = router;
@@ -1,28 +1,57 @@
 const express = require('express');
 const router = express.Router();
 const { query, getClient } = require('../config/db');
+const { resolveNetwork } = require('../config/networks');
+const { authorizeUserParam, authorizeOwnership } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { v, validate } = require('../middleware/validate');
+const { getBlockchainService } = require('../services/blockchain');
+const { recordEarnings } = require('../services/earnings');
+const { findLinkedGoal } = require('../services/goalLinks');
+const { getGoalRole, canContribute, getWithdrawableAmount } = require('../services/goalMembers');
+const { recordMilestones, announceMilestones } = require('../services/milestones');
+
+const userParams = { userId: v.uuid() };
+
+// Callers may only touch their own user and resources
+router.param('userId', authorizeUserParam);
+router.param('transactionId', authorizeOwnership('transactions', 'Transaction'));
 
 /**
  * GET /api/transactions/:userId
  * Get all transactions for a user
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate({
+  params: userParams,
+  query: {
+    limit: v.limit(),
+    type: v.enum(['deposit', 'withdrawal', 'transfer', 'earnings']).optional(),
+    network: v.network().optional(),
+  },
+}), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 50, type } = req.query;
+    const { limit, type, network } = req.query;
 
     let queryText = `
-      SELECT * FROM transactions
-      WHERE user_id = $1
+      SELECT t.*, tk.symbol as token_symbol
+      FROM transactions t
+      LEFT JOIN erc20_tokens tk ON tk.chain_id = t.chain_id AND tk.address = t.token_address
+      WHERE t.user_id = $1
     `;
     const params = [userId];
 
     if (type) {
-      queryText += ` AND type = $2`;
       params.push(type);
+      queryText += ` AND t.type = $${params.length}`;
     }
 
-    queryText += ` ORDER BY created_at DESC LIMIT $${params.length + 1}`;
+    if (network) {
+      params.push(resolveNetwork(network).chainId);
+      queryText += ` AND t.chain_id = $${params.length}`;
+    }
+
+    queryText += ` ORDER BY t.created_at DESC LIMIT $${params.length + 1}`;
     params.push(limit);
 
     const result = await query(queryText, params);
@@ -34,6 +63,11 @@ router.get('/:userId', async (req, res) => {
       amount: parseFloat(row.amount),
       description: row.description,
       transactionHash: row.transaction_hash,
+      goalId: row.goal_id,
+      fromGoalId: row.from_goal_id,
+      chainId: row.chain_id,
+      tokenAddress: row.token_address,
+      tokenSymbol: row.token_symbol,
       status: row.status,
       createdAt: row.created_at,
     }));
@@ -49,14 +83,16 @@ router.get('/:userId', async (req, res) => {
  * GET /api/transactions/:userId/recent
  * Get recent transactions (last 10)
  */
-router.get('/:userId/recent', async (req, res) => {
+router.get('/:userId/recent', validate({ params: userParams }), async (req, res) => {
   try {
     const { userId } = req.params;
 
     const result = await query(
-      `SELECT * FROM transactions
-       WHERE user_id = $1
-       ORDER BY created_at DESC
+      `SELECT t.*, tk.symbol as token_symbol
+       FROM transactions t
+       LEFT JOIN erc20_tokens tk ON tk.chain_id = t.chain_id AND tk.address = t.token_address
+       WHERE t.user_id = $1
+       ORDER BY t.created_at DESC
        LIMIT 10`,
       [userId]
     );
@@ -66,6 +102,8 @@ router.get('/:userId/recent', async (req, res) => {
       type: row.type,
       amount: parseFloat(row.amount),
       description: row.description,
+      chainId: row.chain_id,
+      tokenSymbol: row.token_symbol,
       status: row.status,
       createdAt: row.created_at,
     }));
@@ -79,22 +117,85 @@ router.get('/:userId/recent', async (req, res) => {
 
 /**
  * POST /api/transactions/:userId/withdrawal
- * Create a withdrawal transaction
+ * Create a withdrawal transaction (supports Idempotency-Key). A withdrawal from
+ * a goal (DB goalId, or onchainGoalId of the network's deployment) also comes
+ * out of the goal's saved amount; nobody may withdraw other members' share of
+ * a shared goal (see getWithdrawableAmount).
  */
-router.post('/:userId/withdrawal', async (req, res) => {
+router.post('/:userId/withdrawal', validate({
+  params: userParams,
+  body: {
+    amount: v.number({ positive: true }),
+    goalId: v.uuid().optional().nullable(),
+    onchainGoalId: v.integer({ min: 0 }).optional(),
+    description: v.string({ max: 500 }).optional(),
+    transactionHash: v.txHash().optional().nullable(),
+    withdrawalAddress: v.address().optional(),
+    network: v.network().optional(),
+  },
+  refine: (req) => (
+    req.body.goalId && req.body.onchainGoalId !== undefined
+      ? [{ location: 'body', field: 'onchainGoalId', message: 'cannot be combined with goalId' }]
+      : []
+  ),
+}), idempotent, async (req, res) => {
   const client = await getClient();
 
   try {
     const { userId } = req.params;
-    const { amount, description, transactionHash, withdrawalAddress } = req.body;
-
-    // Validation
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ error: 'Invalid withdrawal amount' });
+    const { amount, description, transactionHash, withdrawalAddress, network, onchainGoalId } = req.body;
+    const { name: networkName, chainId, stackSaveAddress, usdcAddress } = resolveNetwork(network);
+    // Only on-chain withdrawals read the contract's deposit token over RPC
+    const tokenAddress = transactionHash
+      ? await getBlockchainService(networkName).getDepositTokenAddress()
+      : usdcAddress;
+    let { goalId } = req.body;
+
+    if (onchainGoalId !== undefined) {
+      const goal = await findLinkedGoal(client, {
+        chainId,
+        contractAddress: stackSaveAddress,
+        walletAddress: req.user.walletAddress,
+        onchainGoalId,
+      });
+      if (!goal || goal.user_id !== userId) {
+        return res.status(404).json({ error: 'Goal not found', message: `On-chain goal ${onchainGoalId} is not linked to a goal` });
+      }
+      goalId = goal.id;
     }
 
     await client.query('BEGIN');
 
+    let goal = null;
+    if (goalId) {
+      const role = await getGoalRole(client, goalId, userId);
+      if (!role) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Goal not found' });
+      }
+      if (!canContribute(role)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ error: 'Viewers cannot withdraw from this goal' });
+      }
+
+      const goalResult = await client.query(
+        'SELECT id, user_id, title, current_amount FROM savings_goals WHERE id = $1 FOR UPDATE',
+        [goalId]
+      );
+
+      goal = goalResult.rows[0];
+      if (parseFloat(goal.current_amount) < amount) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Insufficient goal balance' });
+      }
+
+      // Nobody takes out other members' share of a shared goal, the creator included
+      if (await getWithdrawableAmount(client, goal, userId) < amount) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Insufficient contribution', message: "Other members' contributions to a shared goal cannot be withdrawn" });
+      }
+    }
+
     // Check user balance
     const userResult = await client.query(
       'SELECT total_balance FROM users WHERE id = $1',
@@ -113,18 +214,25 @@ router.post('/:userId/withdrawal', async (req, res) => {
       return res.status(400).json({ error: 'Insufficient balance' });
     }
 
+    const defaultDescription = goal
+      ? `Withdrawal from ${goal.title}`
+      : `Withdrawal to ${withdrawalAddress || 'external wallet'}`;
+
     // Create withdrawal transaction
     const transactionResult = await client.query(
-      `INSERT INTO transactions (user_id, type, amount, description, transaction_hash, status)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO transactions (user_id, type, amount, description, transaction_hash, status, chain_id, token_address, goal_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING *`,
       [
         userId,
         'withdrawal',
         amount,
-        description || `Withdrawal to ${withdrawalAddress || 'external wallet'}`,
+        description || defaultDescription,
         transactionHash || null,
         'confirmed',
+        chainId,
+        tokenAddress,
+        goal ? goal.id : null,
       ]
     );
 
@@ -136,14 +244,38 @@ router.post('/:userId/withdrawal', async (req, res) => {
       [amount, userId]
     );
 
+    // Take it out of the goal; a goal dropping below target is no longer complete
+    let milestones = [];
+    if (goal) {
+      await client.query(
+        `UPDATE savings_goals
+         SET current_amount = current_amount - $1,
+             is_completed = (current_amount - $1) >= target_amount
+         WHERE id = $2`,
+        [amount, goal.id]
+      );
+      milestones = await recordMilestones(client, goal.id, { source: 'withdrawal' });
+    }
+
     await client.query('COMMIT');
 
+    announceMilestones(milestones);
+
+    // On-chain withdrawals change the wallet's contract state
+    if (transactionHash) {
+      const wallet = await client.query('SELECT wallet_address FROM users WHERE id = $1', [userId]);
+      await getBlockchainService(networkName).invalidateAddress(wallet.rows[0].wallet_address);
+    }
+
     res.status(201).json({
       id: transaction.id,
       userId: transaction.user_id,
       type: transaction.type,
       amount: parseFloat(transaction.amount),
       description: transaction.description,
+      goalId: transaction.goal_id,
+      chainId: transaction.chain_id,
+      tokenAddress: transaction.token_address,
       status: transaction.status,
       createdAt: transaction.created_at,
       message: 'Withdrawal successful',
@@ -159,52 +291,33 @@ router.post('/:userId/withdrawal', async (req, res) => {
 
 /**
  * POST /api/transactions/:userId/earnings
- * Record earnings from yield/interest
+ * Record earnings from yield/interest (supports Idempotency-Key)
  */
-router.post('/:userId/earnings', async (req, res) => {
+router.post('/:userId/earnings', validate({
+  params: userParams,
+  body: {
+    amount: v.number({ positive: true }),
+    description: v.string({ max: 500 }).optional(),
+    network: v.network().optional(),
+  },
+}), idempotent, async (req, res) => {
   const client = await getClient();
 
   try {
     const { userId } = req.params;
-    const { amount, description } = req.body;
-
-    // Validation
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ error: 'Invalid earnings amount' });
-    }
+    const { amount, description, network } = req.body;
+    // Earnings records have no transaction: the configured token, without an RPC read
+    const { chainId, usdcAddress: tokenAddress } = resolveNetwork(network);
 
     await client.query('BEGIN');
 
-    // Create earnings transaction
-    const transactionResult = await client.query(
-      `INSERT INTO transactions (user_id, type, amount, description, status)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [userId, 'earnings', amount, description || 'Daily yield earnings', 'confirmed']
-    );
-
-    const transaction = transactionResult.rows[0];
-
-    // Update user balance and earnings
-    await client.query(
-      `UPDATE users
-       SET total_balance = total_balance + $1,
-           total_earnings = total_earnings + $1
-       WHERE id = $2`,
-      [amount, userId]
-    );
-
-    // Update today's growth data
-    const today = new Date().toISOString().split('T')[0];
-    await client.query(
-      `INSERT INTO daily_growth (user_id, date, earnings, growth_percentage)
-       VALUES ($1, $2, $3, $4)
-       ON CONFLICT (user_id, date)
-       DO UPDATE SET
-         earnings = daily_growth.earnings + EXCLUDED.earnings,
-         growth_percentage = EXCLUDED.growth_percentage`,
-      [userId, today, amount, (amount / 1000) * 100] // Simplified growth calculation
-    );
+    const transaction = await recordEarnings(client, {
+      userId,
+      amount,
+      description,
+      chainId,
+      tokenAddress,
+    });
 
     await client.query('COMMIT');
 
@@ -214,6 +327,8 @@ router.post('/:userId/earnings', async (req, res) => {
       type: transaction.type,
       amount: parseFloat(transaction.amount),
       description: transaction.description,
+      chainId: transaction.chain_id,
+      tokenAddress: transaction.token_address,
       status: transaction.status,
       createdAt: transaction.created_at,
       message: 'Earnings recorded successfully',
@@ -231,15 +346,14 @@ router.post('/:userId/earnings', async (req, res) => {
  * PUT /api/transactions/:transactionId/status
  * Update transaction status
  */
-router.put('/:transactionId/status', async (req, res) => {
+router.put('/:transactionId/status', validate({
+  params: { transactionId: v.uuid() },
+  body: { status: v.enum(['pending', 'confirmed', 'failed']) },
+}), async (req, res) => {
   try {
     const { transactionId } = req.params;
     const { status } = req.body;
 
-    if (!status || !['pending', 'confirmed', 'failed'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
-
     const result = await query(
       'UPDATE transactions SET status = $1 WHERE id = $2 RETURNING *',
       [status, transactionId]
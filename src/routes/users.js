@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/db');
+const { findNetwork, getDefaultNetwork, resolveNetwork } = require('../config/networks');
+const { authorizeUserParam } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+
+const userParams = { userId: v.uuid() };
+
+// Callers may only touch their own user and resources
+router.param('userId', authorizeUserParam);
 
 /**
  * GET /api/users/:userId
  * Get user profile information
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate({ params: userParams }), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -24,6 +32,7 @@ router.get('/:userId', async (req, res) => {
     res.json({
       id: user.id,
       walletAddress: user.wallet_address,
+      chainId: user.chain_id,
       email: user.email,
       mode: user.mode,
       totalBalance: parseFloat(user.total_balance),
@@ -41,15 +50,14 @@ router.get('/:userId', async (req, res) => {
  * PUT /api/users/:userId/mode
  * Update user mode (lite/pro)
  */
-router.put('/:userId/mode', async (req, res) => {
+router.put('/:userId/mode', validate({
+  params: userParams,
+  body: { mode: v.enum(['lite', 'pro']) },
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { mode } = req.body;
 
-    if (!mode || !['lite', 'pro'].includes(mode)) {
-      return res.status(400).json({ error: 'Invalid mode. Must be "lite" or "pro"' });
-    }
-
     const result = await query(
       'UPDATE users SET mode = $1 WHERE id = $2 RETURNING *',
       [mode, userId]
@@ -71,63 +79,17 @@ router.put('/:userId/mode', async (req, res) => {
   }
 });
 
-/**
- * PUT /api/users/:userId/balance
- * Update user balance (called after deposits/withdrawals)
- */
-router.put('/:userId/balance', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { totalBalance, totalEarnings } = req.body;
-
-    if (totalBalance === undefined) {
-      return res.status(400).json({ error: 'Total balance is required' });
-    }
-
-    const updates = [];
-    const values = [];
-    let paramIndex = 1;
-
-    updates.push(`total_balance = $${paramIndex++}`);
-    values.push(totalBalance);
-
-    if (totalEarnings !== undefined) {
-      updates.push(`total_earnings = $${paramIndex++}`);
-      values.push(totalEarnings);
-    }
-
-    values.push(userId);
-
-    const result = await query(
-      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
-      values
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const user = result.rows[0];
-
-    res.json({
-      message: 'Balance updated successfully',
-      totalBalance: parseFloat(user.total_balance),
-      totalEarnings: parseFloat(user.total_earnings),
-    });
-  } catch (error) {
-    console.error('Update balance error:', error);
-    res.status(500).json({ error: 'Failed to update balance', message: error.message });
-  }
-});
-
 /**
  * GET /api/users/:userId/growth
  * Get user's daily growth data
  */
-router.get('/:userId/growth', async (req, res) => {
+router.get('/:userId/growth', validate({
+  params: userParams,
+  query: { limit: v.limit(30, 365) },
+}), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 30 } = req.query;
+    const { limit } = req.query;
 
     const result = await query(
       `SELECT * FROM daily_growth
@@ -155,7 +117,15 @@ router.get('/:userId/growth', async (req, res) => {
  * POST /api/users/:userId/growth
  * Add daily growth data entry
  */
-router.post('/:userId/growth', async (req, res) => {
+router.post('/:userId/growth', validate({
+  params: userParams,
+  body: {
+    date: v.date({ dateOnly: true }).optional(),
+    growthPercentage: v.number({ min: -100, max: 1000 }).optional(),
+    earnings: v.number({ min: 0 }).optional(),
+    hasDeposit: v.boolean().optional(),
+  },
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { date, growthPercentage, earnings, hasDeposit } = req.body;
@@ -186,4 +156,76 @@ router.post('/:userId/growth', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/users/:userId/interest
+ * Accrued-but-unclaimed interest over time (pendingInterest snapshots) and
+ * the claims in the same window, for ?network= or the user's last sign-in network
+ */
+router.get('/:userId/interest', validate({
+  params: userParams,
+  query: {
+    network: v.network().optional(),
+    from: v.date().optional(),
+    to: v.date().optional(),
+    limit: v.limit(168, 1000),
+  },
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { network: selector, from, to, limit } = req.query;
+
+    const userResult = await query('SELECT chain_id FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const network = selector
+      ? resolveNetwork(selector)
+      : findNetwork(userResult.rows[0].chain_id) || getDefaultNetwork();
+
+    const params = [userId, network.chainId, from || new Date(0).toISOString(), to || new Date().toISOString()];
+
+    const snapshots = await query(
+      `SELECT * FROM interest_snapshots
+       WHERE user_id = $1 AND chain_id = $2 AND taken_at >= $3 AND taken_at <= $4
+       ORDER BY taken_at DESC
+       LIMIT $5`,
+      [...params, limit]
+    );
+
+    const claims = await query(
+      `SELECT * FROM interest_claims
+       WHERE user_id = $1 AND chain_id = $2 AND claimed_at >= $3 AND claimed_at <= $4
+       ORDER BY claimed_at ASC`,
+      params
+    );
+
+    const history = snapshots.rows.map(row => ({
+      takenAt: row.taken_at,
+      blockNumber: Number(row.block_number),
+      pendingInterest: parseFloat(row.pending_interest),
+      tokenAddress: row.token_address,
+    })).reverse(); // Oldest to newest
+
+    res.json({
+      network: network.name,
+      chainId: network.chainId,
+      currentPendingInterest: history.length > 0 ? history[history.length - 1].pendingInterest : null,
+      totalClaimed: claims.rows.reduce((sum, row) => sum + parseFloat(row.amount), 0),
+      snapshots: history,
+      claims: claims.rows.map(row => ({
+        claimedAt: row.claimed_at,
+        amount: parseFloat(row.amount),
+        tokenAddress: row.token_address,
+        transactionHash: row.transaction_hash,
+        blockNumber: Number(row.block_number),
+        transactionId: row.transaction_id,
+      })),
+    });
+  } catch (error) {
+    console.error('Get interest history error:', error);
+    res.status(500).json({ error: 'Failed to get interest history', message: error.message });
+  }
+});
+
 module.exports = router;
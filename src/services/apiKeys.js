@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { query } = require('../config/db');
+
+/**
+ * Admin API key service
+ *
+ * Keys look like `ssk_<prefix>_<secret>`. Only a SHA-256 hash is stored; the
+ * prefix is kept in clear so operators can tell keys apart in listings.
+ */
+
+const API_KEY_SCOPES = [
+  'keys:admin',
+  'cache:admin',
+  'earnings:write',
+  'streaks:write',
+  'balances:write',
+  'owner-ops:read',
+  'owner-ops:write',
+];
+
+const WILDCARD_SCOPE = '*';
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Return any scopes that aren't recognised
+ */
+function findInvalidScopes(scopes) {
+  return scopes.filter(scope => scope !== WILDCARD_SCOPE && !API_KEY_SCOPES.includes(scope));
+}
+
+function hasScope(scopes, scope) {
+  return scopes.includes(WILDCARD_SCOPE) || scopes.includes(scope);
+}
+
+/**
+ * Return any scopes a key holding `grantorScopes` may not hand out: keys only
+ * grant scopes they hold themselves, and `*` only if they hold `*`
+ */
+function findUngrantableScopes(grantorScopes, scopes) {
+  return scopes.filter(scope => (
+    scope === WILDCARD_SCOPE ? !grantorScopes.includes(WILDCARD_SCOPE) : !hasScope(grantorScopes, scope)
+  ));
+}
+
+/**
+ * Create and store a new API key
+ * @param {string} name - Human readable label
+ * @param {string[]} scopes - Granted scopes
+ * @param {string|null} createdBy - Id of the key that created this one
+ * @returns {Promise<Object>} { apiKey, record } - plaintext key is only returned here
+ */
+async function createApiKey(name, scopes, createdBy = null) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const apiKey = `ssk_${prefix}_${secret}`;
+
+  const result = await query(
+    `INSERT INTO admin_api_keys (name, key_prefix, key_hash, scopes, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [name, prefix, hashApiKey(apiKey), scopes, createdBy]
+  );
+
+  return { apiKey, record: result.rows[0] };
+}
+
+/**
+ * Look up a live (non-revoked) key by its plaintext value
+ * @returns {Promise<Object|null>} admin_api_keys row
+ */
+async function findActiveApiKey(apiKey) {
+  const result = await query(
+    `UPDATE admin_api_keys
+     SET last_used_at = CURRENT_TIMESTAMP
+     WHERE key_hash = $1 AND revoked_at IS NULL
+     RETURNING *`,
+    [hashApiKey(apiKey)]
+  );
+
+  return result.rows[0] || null;
+}
+
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  WILDCARD_SCOPE,
+  hashApiKey,
+  findInvalidScopes,
+  hasScope,
+  findUngrantableScopes,
+  createApiKey,
+  findActiveApiKey,
+  formatApiKey,
+};
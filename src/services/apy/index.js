@@ -0,0 +1,187 @@
+const { PROTOCOLS, findProtocol, protocolAddress } = require('./protocols');
+const { getSource } = require('./providers');
+
+/**
+ * Protocol APY service
+ *
+ * Quotes come from the configured source (APY_SOURCE: live or fixture) and
+ * are cached per protocol. Within APY_CACHE_TTL_MS a cached quote is served
+ * as fresh; after that, until APY_STALE_TTL_MS, it is served as stale while
+ * one background refresh runs. A failed fetch keeps serving the last good
+ * value (marked stale, with the error) and is reported per protocol instead
+ * of failing the whole request.
+ *
+ * Quote: { protocolId, name, adapter, address, currentAPY, lastUpdated,
+ *          source, stale, error }
+ */
+
+const apyCache = new Map();
+const inFlight = new Map();
+
+function getCacheTtl() {
+  return parseInt(process.env.APY_CACHE_TTL_MS || String(10 * 60 * 1000), 10);
+}
+
+function getStaleTtl() {
+  return parseInt(process.env.APY_STALE_TTL_MS || String(60 * 60 * 1000), 10);
+}
+
+function getSourceName() {
+  return process.env.APY_SOURCE || 'live';
+}
+
+function toQuote(protocol, entry, { stale = false, error = null } = {}) {
+  return {
+    protocolId: protocol.protocolId,
+    name: protocol.name,
+    adapter: protocol.adapter,
+    address: protocolAddress(protocol),
+    currentAPY: entry ? entry.apy : null,
+    lastUpdated: entry ? new Date(entry.fetchedAt).toISOString() : null,
+    source: entry ? entry.source : getSourceName(),
+    stale,
+    error,
+  };
+}
+
+/**
+ * Fetch and cache one protocol; concurrent callers share the request
+ */
+function refresh(protocol) {
+  if (inFlight.has(protocol.protocolId)) {
+    return inFlight.get(protocol.protocolId);
+  }
+
+  const sourceName = getSourceName();
+  const promise = (async () => {
+    try {
+      const apy = await getSource(sourceName).fetchApy(protocol);
+      if (!Number.isFinite(apy) || apy < 0) {
+        throw new Error(`Invalid APY value: ${apy}`);
+      }
+
+      const entry = { apy: Number(apy.toFixed(4)), fetchedAt: Date.now(), source: sourceName, lastError: null };
+      apyCache.set(protocol.protocolId, entry);
+      return entry;
+    } catch (error) {
+      const previous = apyCache.get(protocol.protocolId);
+      if (previous) {
+        previous.lastError = error.message;
+      }
+      console.error(`Error fetching APY for ${protocol.protocolId}:`, error.message);
+      throw error;
+    } finally {
+      inFlight.delete(protocol.protocolId);
+    }
+  })();
+
+  inFlight.set(protocol.protocolId, promise);
+  return promise;
+}
+
+async function getQuote(protocol) {
+  const cached = apyCache.get(protocol.protocolId);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+  if (cached && age < getCacheTtl()) {
+    return toQuote(protocol, cached);
+  }
+
+  if (cached && age < getStaleTtl()) {
+    // Stale-while-revalidate: answer now, refresh in the background
+    refresh(protocol).catch(() => {});
+    return toQuote(protocol, cached, { stale: true, error: cached.lastError });
+  }
+
+  try {
+    return toQuote(protocol, await refresh(protocol));
+  } catch (error) {
+    return toQuote(protocol, cached, { stale: Boolean(cached), error: error.message });
+  }
+}
+
+/**
+ * Get the APY quote for one protocol
+ * @param {string} protocolId - Protocol identifier
+ * @returns {Promise<Object>} Quote (currentAPY is null when it could not be fetched)
+ */
+async function getProtocolAPY(protocolId) {
+  const protocol = findProtocol(protocolId);
+
+  if (!protocol) {
+    const error = new Error(`Unknown protocol: ${protocolId}`);
+    error.status = 404;
+    throw error;
+  }
+
+  return getQuote(protocol);
+}
+
+/**
+ * Get APY for multiple protocols
+ * @param {string[]} protocolIds - Array of protocol identifiers
+ * @returns {Promise<Object>} { data: { protocolId: apy|null }, errors: { protocolId: message } }
+ */
+async function getBatchAPY(protocolIds) {
+  const data = {};
+  const errors = {};
+
+  await Promise.all(
+    protocolIds.map(async (protocolId) => {
+      const protocol = findProtocol(protocolId);
+      if (!protocol) {
+        data[protocolId] = null;
+        errors[protocolId] = 'Unknown protocol';
+        return;
+      }
+
+      const quote = await getQuote(protocol);
+      data[protocolId] = quote.currentAPY;
+      if (quote.error) {
+        errors[protocolId] = quote.error;
+      }
+    })
+  );
+
+  return { data, errors };
+}
+
+/**
+ * Get all protocols with their current APY
+ * @returns {Promise<Array>} Quotes in catalogue order
+ */
+async function getAllProtocolsWithAPY() {
+  return Promise.all(PROTOCOLS.map(getQuote));
+}
+
+/**
+ * Clear APY cache (useful for testing or forced refresh)
+ */
+function clearCache() {
+  apyCache.clear();
+}
+
+/**
+ * Get cache statistics
+ */
+function getCacheStats() {
+  return {
+    size: apyCache.size,
+    source: getSourceName(),
+    entries: Array.from(apyCache.entries()).map(([id, data]) => ({
+      protocolId: id,
+      apy: data.apy,
+      age: Date.now() - data.fetchedAt,
+      lastError: data.lastError,
+    })),
+  };
+}
+
+module.exports = {
+  getProtocolAPY,
+  getBatchAPY,
+  getAllProtocolsWithAPY,
+  clearCache,
+  getCacheStats,
+  PROTOCOLS,
+};
@@ -0,0 +1,109 @@
+/**
+ * Protocol catalogue for the APY registry
+ *
+ * Each protocol names the adapter that prices it and the adapter options
+ * (contract addresses on Base, vault or pool ids). Addresses can be
+ * overridden per deployment through the environment.
+ */
+
+const BASE_USDC = process.env.APY_USDC_ADDRESS || '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+
+const PROTOCOLS = [
+  {
+    protocolId: 'aave-v3-usdc',
+    name: 'Aave V3 USDC',
+    adapter: 'aave',
+    options: {
+      pool: process.env.APY_AAVE_POOL_ADDRESS || '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5',
+      asset: BASE_USDC,
+    },
+  },
+  {
+    protocolId: 'seamless-usdc',
+    name: 'Seamless USDC',
+    // Seamless is an Aave V3 fork; same pool interface
+    adapter: 'aave',
+    options: {
+      pool: process.env.APY_SEAMLESS_POOL_ADDRESS || '0x8F44Fd754285aa6A2b8B9B97739B79746e0475a7',
+      asset: BASE_USDC,
+    },
+  },
+  {
+    protocolId: 'compound-v3-usdc',
+    name: 'Compound V3 USDC',
+    adapter: 'compound',
+    options: {
+      comet: process.env.APY_COMPOUND_COMET_ADDRESS || '0xb125E6687d4313864e53df431d5425969c15Eb2F',
+    },
+  },
+  {
+    protocolId: 'moonwell-usdc',
+    name: 'Moonwell USDC',
+    adapter: 'moonwell',
+    options: {
+      mTokens: [process.env.APY_MOONWELL_USDC_ADDRESS || '0xEdc817A28E8B93B03976FBd4a3dDBc9f7D176c22'],
+    },
+  },
+  {
+    protocolId: 'moonwell-multi',
+    name: 'Moonwell Multi-Asset',
+    adapter: 'moonwell',
+    options: {
+      mTokens: (process.env.APY_MOONWELL_MULTI_ADDRESSES || '').split(',').filter(Boolean),
+    },
+  },
+  {
+    protocolId: 'beefy-stable',
+    name: 'Beefy Stable Vault',
+    adapter: 'beefy',
+    options: { vaultId: process.env.APY_BEEFY_STABLE_VAULT || 'base-usdc-stable' },
+  },
+  {
+    protocolId: 'beefy-volatile',
+    name: 'Beefy Volatile Vault',
+    adapter: 'beefy',
+    options: { vaultId: process.env.APY_BEEFY_VOLATILE_VAULT || 'base-multi-volatile' },
+  },
+  {
+    protocolId: 'yearn-usdc',
+    name: 'Yearn USDC Vault',
+    adapter: 'defillama',
+    options: { poolId: process.env.APY_YEARN_USDC_POOL_ID },
+  },
+  {
+    protocolId: 'seamless-multi',
+    name: 'Seamless Multi-Strategy',
+    adapter: 'defillama',
+    options: { poolId: process.env.APY_SEAMLESS_MULTI_POOL_ID },
+  },
+  {
+    protocolId: 'aerodrome-usdc',
+    name: 'Aerodrome USDC/ETH',
+    adapter: 'dex',
+    options: { poolId: process.env.APY_AERODROME_POOL_ID },
+  },
+  {
+    protocolId: 'uniswap-v3',
+    name: 'Uniswap V3 USDC/ETH',
+    adapter: 'dex',
+    options: { poolId: process.env.APY_UNISWAP_POOL_ID },
+  },
+];
+
+function findProtocol(protocolId) {
+  return PROTOCOLS.find(protocol => protocol.protocolId === protocolId) || null;
+}
+
+/**
+ * Contract address shown next to a protocol, when it has one
+ */
+function protocolAddress(protocol) {
+  const { pool, comet, mTokens } = protocol.options;
+  return pool || comet || (mTokens && mTokens[0]) || null;
+}
+
+module.exports = {
+  PROTOCOLS,
+  findProtocol,
+  protocolAddress,
+};
@@ -0,0 +1,184 @@
+const axios = require('axios');
+const path = require('path');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { FailoverRpcProvider } = require('../rpcProvider');
+
+/**
+ * APY adapters and sources
+ *
+ * An adapter prices one kind of protocol: `async (protocol) => apyPercent`.
+ * A source resolves a protocol to an APY through those adapters:
+ *  - live: on-chain reads on Base (Aave/Seamless, Compound, Moonwell) and
+ *    HTTP APIs (Beefy, DefiLlama yields for DEX pools and vaults)
+ *  - fixture: static values from fixtures.json, for offline development
+ *
+ * New adapters and sources plug in with registerAdapter/registerSource.
+ */
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const HTTP_TIMEOUT_MS = 5000;
+
+const aavePoolABI = [
+  'function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
+];
+const cometABI = [
+  'function getUtilization() view returns (uint256)',
+  'function getSupplyRate(uint256 utilization) view returns (uint64)',
+];
+const mTokenABI = [
+  'function supplyRatePerTimestamp() view returns (uint256)',
+];
+
+let baseProvider = null;
+
+/**
+ * Base mainnet provider for protocol reads (the app itself runs on testnet)
+ */
+function getBaseProvider() {
+  if (!baseProvider) {
+    const urls = (process.env.APY_RPC_URLS || process.env.BASE_RPC_URL || 'https://mainnet.base.org')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    baseProvider = new FailoverRpcProvider(urls, { chainId: 8453 });
+  }
+  return baseProvider;
+}
+
+/**
+ * Compound a per-second rate into an APY percentage
+ */
+function perSecondRateToApy(ratePerSecond) {
+  return (Math.pow(1 + ratePerSecond, SECONDS_PER_YEAR) - 1) * 100;
+}
+
+const adapters = new Map();
+
+function registerAdapter(name, adapter) {
+  adapters.set(name, adapter);
+}
+
+/**
+ * Aave V3 (and forks): currentLiquidityRate is a per-year APR in ray (1e27)
+ */
+registerAdapter('aave', async (protocol) => {
+  const pool = new ethers.Contract(protocol.options.pool, aavePoolABI, getBaseProvider());
+  const reserve = await pool.getReserveData(protocol.options.asset);
+  const apr = Number(ethers.formatUnits(reserve.currentLiquidityRate, 27));
+  return perSecondRateToApy(apr / SECONDS_PER_YEAR);
+});
+
+/**
+ * Compound V3: per-second supply rate (1e18) at the current utilization
+ */
+registerAdapter('compound', async (protocol) => {
+  const comet = new ethers.Contract(protocol.options.comet, cometABI, getBaseProvider());
+  const utilization = await comet.getUtilization();
+  const rate = await comet.getSupplyRate(utilization);
+  return perSecondRateToApy(Number(ethers.formatUnits(rate, 18)));
+});
+
+/**
+ * Moonwell: per-second supply rate (1e18); multi-asset markets are averaged
+ */
+registerAdapter('moonwell', async (protocol) => {
+  const { mTokens } = protocol.options;
+  if (!mTokens || mTokens.length === 0) {
+    throw new Error('No Moonwell markets configured');
+  }
+
+  const apys = await Promise.all(mTokens.map(async (address) => {
+    const mToken = new ethers.Contract(address, mTokenABI, getBaseProvider());
+    const rate = await mToken.supplyRatePerTimestamp();
+    return perSecondRateToApy(Number(ethers.formatUnits(rate, 18)));
+  }));
+
+  return apys.reduce((sum, apy) => sum + apy, 0) / apys.length;
+});
+
+/**
+ * Beefy: the public API reports APY as a fraction per vault id
+ */
+registerAdapter('beefy', async (protocol) => {
+  const response = await axios.get('https://api.beefy.finance/apy', { timeout: HTTP_TIMEOUT_MS });
+  const apy = response.data ? response.data[protocol.options.vaultId] : undefined;
+
+  if (typeof apy !== 'number') {
+    throw new Error(`Beefy vault ${protocol.options.vaultId} not found`);
+  }
+  return apy * 100;
+});
+
+/**
+ * DefiLlama yields: latest APY (fees + rewards, already a percentage) for a pool
+ */
+async function fetchDefiLlamaApy(protocol) {
+  const { poolId } = protocol.options;
+  if (!poolId) {
+    throw new Error(`No DefiLlama pool id configured for ${protocol.protocolId}`);
+  }
+
+  const response = await axios.get(`https://yields.llama.fi/chart/${encodeURIComponent(poolId)}`, {
+    timeout: HTTP_TIMEOUT_MS,
+  });
+  const points = (response.data && response.data.data) || [];
+  const latest = points[points.length - 1];
+
+  if (!latest || typeof latest.apy !== 'number') {
+    throw new Error(`No APY data for DefiLlama pool ${poolId}`);
+  }
+  return latest.apy;
+}
+
+// DEX liquidity pools (Aerodrome, Uniswap V3) are priced from their fee + reward yield
+registerAdapter('dex', fetchDefiLlamaApy);
+registerAdapter('defillama', fetchDefiLlamaApy);
+
+const sources = new Map();
+
+function registerSource(name, source) {
+  sources.set(name, source);
+}
+
+registerSource('live', {
+  async fetchApy(protocol) {
+    const adapter = adapters.get(protocol.adapter);
+    if (!adapter) {
+      throw new Error(`No APY adapter registered for ${protocol.adapter}`);
+    }
+    return adapter(protocol);
+  },
+});
+
+let fixtures = null;
+
+registerSource('fixture', {
+  async fetchApy(protocol) {
+    if (!fixtures) {
+      const fixturePath = process.env.APY_FIXTURES_PATH || path.join(__dirname, 'fixtures.json');
+      fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+
+    const apy = fixtures[protocol.protocolId];
+    if (typeof apy !== 'number') {
+      throw new Error(`No fixture APY for ${protocol.protocolId}`);
+    }
+    return apy;
+  },
+});
+
+function getSource(name) {
+  const source = sources.get(name);
+  if (!source) {
+    throw new Error(`Unknown APY source: ${name}`);
+  }
+  return source;
+}
+
+module.exports = {
+  registerAdapter,
+  registerSource,
+  getSource,
+  perSecondRateToApy,
+};
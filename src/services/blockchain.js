@@ -1,20 +1,82 @@
 const { ethers } = require('ethers');
 const path = require('path');
 const fs = require('fs');
+const {
+  getConfiguredNetworks,
+  assertNetworkConfigured,
+  getDefaultNetwork,
+  resolveNetwork,
+} = require('../config/networks');
+const { createRpcProvider } = require('./rpcProvider');
+const { createReadCache } = require('./readCache');
+const { TokenRegistry, formatTokenAmount } = require('./erc20');
 
 // Load contract ABIs
 const stackSaveABI = JSON.parse(
   fs.readFileSync(path.join(__dirname, '../../abi/StackSaveSimple.json'), 'utf8')
 );
-const usdcABI = JSON.parse(
-  fs.readFileSync(path.join(__dirname, '../../abi/MockUSDC.json'), 'utf8')
-);
+
+// Multicall3 is deployed at the same address on most EVM chains
+const DEFAULT_MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const multicall3ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+/**
+ * Whether a receipt read from one endpoint is the one a quorum agreed on
+ * (the fields quorumSend compares; agreed is the raw JSON-RPC receipt)
+ */
+function matchesAgreedReceipt(receipt, agreed) {
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const logs = agreed.logs || [];
+
+  return receipt.status === Number(agreed.status)
+    && same(receipt.blockHash, agreed.blockHash)
+    && receipt.blockNumber === Number(agreed.blockNumber)
+    && receipt.logs.length === logs.length
+    && receipt.logs.every((log, index) => same(log.address, logs[index].address)
+      && same(log.data, logs[index].data)
+      && log.topics.length === logs[index].topics.length
+      && log.topics.every((topic, topicIndex) => same(topic, logs[index].topics[topicIndex])));
+}
+
+// Contract amounts are in deposit token units; formatters are built per token
+function goalsFormatter(token) {
+  return goals => goals.map((goal, index) => ({
+    goalId: index,
+    name: goal.name,
+    targetAmount: formatTokenAmount(goal.targetAmount, token),
+    currentAmount: formatTokenAmount(goal.currentAmount, token),
+    createdAt: Number(goal.createdAt),
+    completed: goal.completed
+  }));
+}
+
+function statsFormatter(token) {
+  return stats => ({
+    totalDeposited: formatTokenAmount(stats[0], token),
+    totalEarned: formatTokenAmount(stats[1], token),
+    streakDays: Number(stats[2]),
+    pendingRewards: formatTokenAmount(stats[3], token)
+  });
+}
+
+function amountFormatter(token) {
+  return value => formatTokenAmount(value, token);
+}
 
 class BlockchainService {
-  constructor() {
-    this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    this.stackSaveAddress = process.env.STACKSAVE_ADDRESS;
-    this.usdcAddress = process.env.USDC_ADDRESS;
+  /**
+   * @param {Object} [network] - Entry from src/config/networks.js (defaults to the default network)
+   */
+  constructor(network = getDefaultNetwork()) {
+    assertNetworkConfigured(network);
+    this.network = network;
+    this.chainId = network.chainId;
+    this.provider = createRpcProvider(network);
+    this.stackSaveAddress = network.stackSaveAddress;
+    // Configured deposit token; the contract's depositToken() takes precedence
+    this.usdcAddress = network.usdcAddress;
 
     this.stackSaveContract = new ethers.Contract(
       this.stackSaveAddress,
@@ -22,112 +84,455 @@ class BlockchainService {
       this.provider
     );
 
-    this.usdcContract = new ethers.Contract(
-      this.usdcAddress,
-      usdcABI,
+    this.tokenRegistry = new TokenRegistry({ provider: this.provider, chainId: this.chainId });
+
+    this.multicallAddress = network.multicallAddress
+      || process.env.MULTICALL3_ADDRESS
+      || DEFAULT_MULTICALL3_ADDRESS;
+    this.multicallContract = new ethers.Contract(
+      this.multicallAddress,
+      multicall3ABI,
       this.provider
     );
+    // Unknown until the first batched read checks for deployed code
+    this.multicallAvailable = null;
+
+    this.readCache = createReadCache({ namespace: network.name });
+  }
+
+  /**
+   * Cache descriptor for a view call. Entries are tagged with the wallet
+   * addresses in the arguments, or with the contract for global reads.
+   */
+  describeRead(contract, method, args, blockTag = 'latest') {
+    const contracts = [this.stackSaveAddress, this.usdcAddress, contract.target]
+      .filter(Boolean)
+      .map(address => address.toLowerCase());
+    const addresses = args.filter(arg =>
+      typeof arg === 'string' && ethers.isAddress(arg) && !contracts.includes(arg.toLowerCase())
+    );
+
+    return {
+      target: contract.target,
+      method,
+      args,
+      blockTag,
+      addresses: addresses.length > 0 ? addresses : [contract.target],
+    };
   }
 
-  async getUserGoals(userAddress) {
+  /**
+   * Call a view method through the read cache; a numeric blockTag pins the read
+   */
+  async cachedCall(contract, method, args, { blockTag = 'latest', format } = {}) {
+    return this.readCache.getOrLoad(this.describeRead(contract, method, args, blockTag), async () => {
+      const overrides = blockTag === 'latest' ? [] : [{ blockTag }];
+      const value = await contract[method](...args, ...overrides);
+      return format ? format(value) : value;
+    });
+  }
+
+  /**
+   * Forget cached reads for a wallet after its on-chain state changed
+   * @returns {Promise<number>} Entries removed
+   */
+  async invalidateAddress(address) {
+    const removed = await this.readCache.invalidateAddress(address);
+    // Contract-wide reads (totalDeposits) move with every deposit and withdrawal
+    return removed + await this.readCache.invalidateAddress(this.stackSaveAddress);
+  }
+
+  async getReadCacheStats() {
+    return this.readCache.getStats();
+  }
+
+  /**
+   * Address of the token the contract takes deposits in, read from
+   * depositToken(); falls back to the configured token if the getter fails
+   */
+  async getDepositTokenAddress() {
     try {
-      const goals = await this.stackSaveContract.getUserGoals(userAddress);
-      return goals.map((goal, index) => ({
-        goalId: index,
-        name: goal.name,
-        targetAmount: ethers.formatUnits(goal.targetAmount, 6),
-        currentAmount: ethers.formatUnits(goal.currentAmount, 6),
-        createdAt: Number(goal.createdAt),
-        completed: goal.completed
+      return await this.cachedCall(this.stackSaveContract, 'depositToken', [], { format: ethers.getAddress });
+    } catch (error) {
+      console.error('Error fetching deposit token, using configured token:', error.message);
+      return this.usdcAddress;
+    }
+  }
+
+  /**
+   * Metadata of the current deposit token
+   * @returns {Promise<Object>} { address, chainId, symbol, name, decimals }
+   */
+  async getDepositToken() {
+    return this.tokenRegistry.getToken(await this.getDepositTokenAddress());
+  }
+
+  /**
+   * Metadata of any ERC-20 token on this network
+   */
+  async getToken(address) {
+    return this.tokenRegistry.getToken(address);
+  }
+
+  tokenContract(address) {
+    return this.tokenRegistry.contract(address);
+  }
+
+  async isMulticallAvailable() {
+    if (this.multicallAvailable === null) {
+      const code = await this.provider.getCode(this.multicallAddress);
+      this.multicallAvailable = code !== '0x';
+    }
+    return this.multicallAvailable;
+  }
+
+  /**
+   * Run several view calls as one Multicall3 aggregate3 call. Without
+   * Multicall3 the calls are sent concurrently, which the provider packs
+   * into a single JSON-RPC batch.
+   * Cached reads are answered from the read cache and left out of the batch.
+   * @param {Array<{ key, contract, method, args, format }>} calls
+   * @returns {Promise<Object>} key -> { ok: true, value } | { ok: false, error }
+   */
+  async batchRead(calls) {
+    const descriptors = calls.map(call => this.describeRead(call.contract, call.method, call.args));
+    const cached = await Promise.all(descriptors.map(descriptor => this.readCache.peek(descriptor)));
+
+    const results = {};
+    const misses = [];
+    calls.forEach((call, index) => {
+      if (cached[index] !== undefined) {
+        results[call.key] = { ok: true, value: cached[index] };
+      } else {
+        misses.push(index);
+      }
+    });
+
+    if (misses.length > 0) {
+      const fetched = await this.fetchBatch(misses.map(index => calls[index]));
+      await Promise.all(misses.map(async (index) => {
+        const result = fetched[calls[index].key];
+        results[calls[index].key] = result;
+        if (result.ok) {
+          await this.readCache.put(descriptors[index], result.value);
+        }
       }));
+    }
+
+    // Keep the caller's field order
+    return Object.fromEntries(calls.map(call => [call.key, results[call.key]]));
+  }
+
+  async fetchBatch(calls) {
+    let settled;
+
+    try {
+      settled = (await this.isMulticallAvailable())
+        ? await this.aggregate3(calls)
+        : null;
+    } catch (error) {
+      console.error('Multicall3 read failed, falling back to JSON-RPC batch:', error.message);
+      settled = null;
+    }
+
+    if (!settled) {
+      settled = await Promise.all(calls.map(call =>
+        call.contract[call.method](...call.args).then(
+          value => ({ ok: true, value }),
+          error => ({ ok: false, error: error.shortMessage || error.message })
+        )
+      ));
+    }
+
+    const results = {};
+    calls.forEach((call, index) => {
+      const outcome = settled[index];
+      if (!outcome.ok) {
+        results[call.key] = { ok: false, error: outcome.error };
+        return;
+      }
+      try {
+        results[call.key] = { ok: true, value: call.format ? call.format(outcome.value) : outcome.value };
+      } catch (error) {
+        results[call.key] = { ok: false, error: error.message };
+      }
+    });
+
+    return results;
+  }
+
+  async aggregate3(calls) {
+    const encoded = calls.map(call => ({
+      target: call.contract.target,
+      allowFailure: true,
+      callData: call.contract.interface.encodeFunctionData(call.method, call.args),
+    }));
+
+    const returnData = await this.multicallContract.aggregate3.staticCall(encoded);
+
+    return returnData.map((item, index) => {
+      if (!item.success) {
+        return { ok: false, error: 'execution reverted' };
+      }
+      const { contract, method } = calls[index];
+      try {
+        const decoded = contract.interface.decodeFunctionResult(method, item.returnData);
+        // Match ethers Contract calls: single outputs are unwrapped
+        return { ok: true, value: decoded.length === 1 ? decoded[0] : decoded };
+      } catch (error) {
+        return { ok: false, error: error.shortMessage || error.message };
+      }
+    });
+  }
+
+  /**
+   * Balance, total balance and pending interest in one round trip
+   */
+  async getBalances(userAddress) {
+    const token = await this.getDepositToken();
+    const format = amountFormatter(token);
+
+    return this.batchRead([
+      { key: 'balance', contract: this.stackSaveContract, method: 'balances', args: [userAddress], format },
+      { key: 'totalBalance', contract: this.stackSaveContract, method: 'getTotalBalance', args: [userAddress], format },
+      { key: 'pendingInterest', contract: this.stackSaveContract, method: 'pendingInterest', args: [userAddress], format },
+    ]);
+  }
+
+  /**
+   * Contract stats and wallet deposit token balance in one round trip
+   */
+  async getStatsWithUsdc(userAddress) {
+    const token = await this.getDepositToken();
+
+    return this.batchRead([
+      { key: 'stats', contract: this.stackSaveContract, method: 'getUserStats', args: [userAddress], format: statsFormatter(token) },
+      { key: 'usdcBalance', contract: this.tokenContract(token.address), method: 'balanceOf', args: [userAddress], format: amountFormatter(token) },
+    ]);
+  }
+
+  /**
+   * Goals, balances, stats and wallet deposit token balance/allowance in one round trip
+   */
+  async getOverview(userAddress) {
+    const token = await this.getDepositToken();
+    const format = amountFormatter(token);
+    const tokenContract = this.tokenContract(token.address);
+
+    return this.batchRead([
+      { key: 'goals', contract: this.stackSaveContract, method: 'getUserGoals', args: [userAddress], format: goalsFormatter(token) },
+      { key: 'balance', contract: this.stackSaveContract, method: 'balances', args: [userAddress], format },
+      { key: 'totalBalance', contract: this.stackSaveContract, method: 'getTotalBalance', args: [userAddress], format },
+      { key: 'pendingInterest', contract: this.stackSaveContract, method: 'pendingInterest', args: [userAddress], format },
+      { key: 'stats', contract: this.stackSaveContract, method: 'getUserStats', args: [userAddress], format: statsFormatter(token) },
+      { key: 'usdcBalance', contract: tokenContract, method: 'balanceOf', args: [userAddress], format },
+      { key: 'usdcAllowance', contract: tokenContract, method: 'allowance', args: [userAddress, this.stackSaveAddress], format },
+    ]);
+  }
+
+  async getUserGoals(userAddress, { blockTag } = {}) {
+    try {
+      return await this.cachedCall(this.stackSaveContract, 'getUserGoals', [userAddress], {
+        blockTag,
+        format: goalsFormatter(await this.getDepositToken()),
+      });
     } catch (error) {
       console.error('Error fetching user goals:', error);
       throw error;
     }
   }
 
-  async getUserBalance(userAddress) {
+  async getUserBalance(userAddress, { blockTag } = {}) {
     try {
-      const balance = await this.stackSaveContract.balances(userAddress);
-      return ethers.formatUnits(balance, 6);
+      return await this.cachedCall(this.stackSaveContract, 'balances', [userAddress], {
+        blockTag,
+        format: amountFormatter(await this.getDepositToken()),
+      });
     } catch (error) {
       console.error('Error fetching user balance:', error);
       throw error;
     }
   }
 
-  async getTotalBalance(userAddress) {
+  async getTotalBalance(userAddress, { blockTag } = {}) {
     try {
-      const totalBalance = await this.stackSaveContract.getTotalBalance(userAddress);
-      return ethers.formatUnits(totalBalance, 6);
+      return await this.cachedCall(this.stackSaveContract, 'getTotalBalance', [userAddress], {
+        blockTag,
+        format: amountFormatter(await this.getDepositToken()),
+      });
     } catch (error) {
       console.error('Error fetching total balance:', error);
       throw error;
     }
   }
 
-  async getPendingInterest(userAddress) {
+  async getPendingInterest(userAddress, { blockTag } = {}) {
     try {
-      const interest = await this.stackSaveContract.pendingInterest(userAddress);
-      return ethers.formatUnits(interest, 6);
+      return await this.cachedCall(this.stackSaveContract, 'pendingInterest', [userAddress], {
+        blockTag,
+        format: amountFormatter(await this.getDepositToken()),
+      });
     } catch (error) {
       console.error('Error fetching pending interest:', error);
       throw error;
     }
   }
 
-  async getUserStats(userAddress) {
+  async getUserStats(userAddress, { blockTag } = {}) {
     try {
-      const stats = await this.stackSaveContract.getUserStats(userAddress);
-      return {
-        totalDeposited: ethers.formatUnits(stats[0], 6),
-        totalEarned: ethers.formatUnits(stats[1], 6),
-        streakDays: Number(stats[2]),
-        pendingRewards: ethers.formatUnits(stats[3], 6)
-      };
+      return await this.cachedCall(this.stackSaveContract, 'getUserStats', [userAddress], {
+        blockTag,
+        format: statsFormatter(await this.getDepositToken()),
+      });
     } catch (error) {
       console.error('Error fetching user stats:', error);
       throw error;
     }
   }
 
-  async getUSDCBalance(userAddress) {
+  /**
+   * Wallet balance of a token (the deposit token by default)
+   */
+  async getTokenBalance(userAddress, { token: tokenAddress, blockTag } = {}) {
+    try {
+      const token = tokenAddress ? await this.getToken(tokenAddress) : await this.getDepositToken();
+      return await this.cachedCall(this.tokenContract(token.address), 'balanceOf', [userAddress], {
+        blockTag,
+        format: amountFormatter(token),
+      });
+    } catch (error) {
+      console.error('Error fetching token balance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Allowance granted to a spender (StackSave by default) for a token
+   * (the deposit token by default)
+   */
+  async getTokenAllowance(ownerAddress, { spender, token: tokenAddress, blockTag } = {}) {
     try {
-      const balance = await this.usdcContract.balanceOf(userAddress);
-      return ethers.formatUnits(balance, 6);
+      const token = tokenAddress ? await this.getToken(tokenAddress) : await this.getDepositToken();
+      return await this.cachedCall(
+        this.tokenContract(token.address),
+        'allowance',
+        [ownerAddress, spender || this.stackSaveAddress],
+        { blockTag, format: amountFormatter(token) }
+      );
     } catch (error) {
-      console.error('Error fetching USDC balance:', error);
+      console.error('Error fetching token allowance:', error);
       throw error;
     }
   }
 
-  async getTotalDeposits() {
+  async getUSDCBalance(userAddress, options = {}) {
+    return this.getTokenBalance(userAddress, { blockTag: options.blockTag });
+  }
+
+  async getTotalDeposits({ blockTag } = {}) {
     try {
-      const total = await this.stackSaveContract.totalDeposits();
-      return ethers.formatUnits(total, 6);
+      return await this.cachedCall(this.stackSaveContract, 'totalDeposits', [], {
+        blockTag,
+        format: amountFormatter(await this.getDepositToken()),
+      });
     } catch (error) {
       console.error('Error fetching total deposits:', error);
       throw error;
     }
   }
 
+  /**
+   * Receipts decide whether deposits are credited, so with RPC_QUORUM > 1
+   * the endpoints must agree on the receipt first; it is then read again
+   * through the provider and only returned if it is the agreed one
+   */
   async getTransactionReceipt(txHash) {
     try {
+      if (this.provider.quorum > 1) {
+        const agreed = await this.provider.quorumSend('eth_getTransactionReceipt', [txHash]);
+        if (!agreed) return null;
+
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt || !matchesAgreedReceipt(receipt, agreed)) {
+          const error = new Error(`RPC endpoints disagree on the receipt of ${txHash}`);
+          error.code = 'QUORUM_NOT_REACHED';
+          throw error;
+        }
+        return receipt;
+      }
       return await this.provider.getTransactionReceipt(txHash);
     } catch (error) {
       console.error('Error fetching transaction receipt:', error);
       throw error;
     }
   }
+
+  /**
+   * A sent transaction (mined or still pending), or null when unknown
+   */
+  async getTransaction(txHash) {
+    try {
+      return await this.provider.getTransaction(txHash);
+    } catch (error) {
+      console.error('Error fetching transaction:', error);
+      throw error;
+    }
+  }
+
+  async getBlockNumber() {
+    try {
+      return await this.provider.getBlockNumber();
+    } catch (error) {
+      console.error('Error fetching block number:', error);
+      throw error;
+    }
+  }
+
+  getRpcStats() {
+    return this.provider.getStats();
+  }
+
+  async getChainId() {
+    const network = await this.provider.getNetwork();
+    return Number(network.chainId);
+  }
+
+  async getFeeData() {
+    try {
+      return await this.provider.getFeeData();
+    } catch (error) {
+      console.error('Error fetching fee data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate gas for an unsigned call; reverts surface as errors
+   */
+  async estimateGas(tx) {
+    return this.provider.estimateGas(tx);
+  }
 }
 
-let blockchainService = null;
+const blockchainServices = new Map();
 
-function getBlockchainService() {
-  if (!blockchainService) {
-    blockchainService = new BlockchainService();
+/**
+ * Shared service for a network
+ * @param {string|number} [selector] - Network name or chain id (default network when omitted)
+ */
+function getBlockchainService(selector) {
+  const network = resolveNetwork(selector);
+  if (!blockchainServices.has(network.name)) {
+    blockchainServices.set(network.name, new BlockchainService(network));
   }
-  return blockchainService;
+  return blockchainServices.get(network.name);
+}
+
+/**
+ * One service per configured network
+ */
+function getBlockchainServices() {
+  return getConfiguredNetworks().map(network => getBlockchainService(network.name));
 }
 
-module.exports = { BlockchainService, getBlockchainService };
+module.exports = { BlockchainService, getBlockchainService, getBlockchainServices };
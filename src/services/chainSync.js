@@ -0,0 +1,224 @@
+const { query, getClient } = require('../config/db');
+const { getBlockchainService } = require('./blockchain');
+const { findLinkedGoal, createGoalFromChain } = require('./goalLinks');
+const { recordMilestones, announceMilestones } = require('./milestones');
+
+/**
+ * Reconcile a user's on-chain StackSave state into Postgres
+ *
+ * On-chain goals are upserted into savings_goals (matched by their on-chain
+ * index), users.total_balance/total_earnings and the streaks row are taken
+ * from the contract, and users.last_synced_at is stamped. Everything happens
+ * in one transaction and a field-level diff of what changed is returned,
+ * along with the goal milestones the synced amounts reached.
+ *
+ * The on-chain index is looked up in onchain_goal_links (see goalLinks.js).
+ */
+
+function changed(from, to) {
+  return from !== to ? { from, to } : null;
+}
+
+function amountChanged(from, to) {
+  const before = from === null || from === undefined ? null : parseFloat(from);
+  const after = parseFloat(to);
+  return before === null || Math.abs(before - after) > 1e-6 ? { from: before, to: after } : null;
+}
+
+/**
+ * Keep only the non-null entries of a change map
+ */
+function compact(changes) {
+  return Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== null));
+}
+
+/**
+ * Fetch everything the sync needs from chain
+ */
+async function fetchChainState(walletAddress, blockchainService) {
+  const [goals, stats, totalBalance] = await Promise.all([
+    blockchainService.getUserGoals(walletAddress),
+    blockchainService.getUserStats(walletAddress),
+    blockchainService.getTotalBalance(walletAddress),
+  ]);
+
+  return { goals, stats, totalBalance };
+}
+
+/**
+ * @param {Array} milestones - Collects goal_milestones rows reached by the sync
+ */
+async function syncGoals(client, userId, walletAddress, chainGoals, blockchainService, milestones) {
+  const diff = { created: [], updated: [], unchanged: 0 };
+  const linkKey = {
+    chainId: blockchainService.chainId,
+    contractAddress: blockchainService.stackSaveAddress,
+    walletAddress,
+  };
+
+  for (const chainGoal of chainGoals) {
+    const row = await findLinkedGoal(client, { ...linkKey, onchainGoalId: chainGoal.goalId });
+
+    if (!row) {
+      const goal = await createGoalFromChain(client, userId, chainGoal, linkKey, 'sync');
+      milestones.push(...await recordMilestones(client, goal.id, { source: 'sync' }));
+
+      diff.created.push({
+        id: goal.id,
+        onchainGoalId: chainGoal.goalId,
+        title: chainGoal.name,
+        targetAmount: parseFloat(chainGoal.targetAmount),
+        currentAmount: parseFloat(chainGoal.currentAmount),
+        isCompleted: chainGoal.completed,
+      });
+      continue;
+    }
+
+    const changes = compact({
+      title: changed(row.title, chainGoal.name),
+      targetAmount: amountChanged(row.target_amount, chainGoal.targetAmount),
+      currentAmount: amountChanged(row.current_amount, chainGoal.currentAmount),
+      isCompleted: changed(row.is_completed, chainGoal.completed),
+    });
+
+    if (Object.keys(changes).length === 0) {
+      diff.unchanged += 1;
+      continue;
+    }
+
+    await client.query(
+      `UPDATE savings_goals
+       SET title = $1, target_amount = $2, current_amount = $3, is_completed = $4
+       WHERE id = $5`,
+      [chainGoal.name, chainGoal.targetAmount, chainGoal.currentAmount, chainGoal.completed, row.id]
+    );
+    milestones.push(...await recordMilestones(client, row.id, { source: 'sync' }));
+
+    diff.updated.push({ id: row.id, onchainGoalId: chainGoal.goalId, changes });
+  }
+
+  return diff;
+}
+
+async function syncUser(client, user, chainState) {
+  const changes = compact({
+    totalBalance: amountChanged(user.total_balance, chainState.totalBalance),
+    totalEarnings: amountChanged(user.total_earnings, chainState.stats.totalEarned),
+  });
+
+  await client.query(
+    `UPDATE users
+     SET total_balance = $1, total_earnings = $2, last_synced_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [chainState.totalBalance, chainState.stats.totalEarned, user.id]
+  );
+
+  return changes;
+}
+
+async function syncStreak(client, userId, streakDays) {
+  const existing = await client.query('SELECT * FROM streaks WHERE user_id = $1', [userId]);
+
+  if (existing.rows.length === 0) {
+    await client.query(
+      `INSERT INTO streaks (user_id, current_streak, longest_streak, total_deposits)
+       VALUES ($1, $2, $2, 0)`,
+      [userId, streakDays]
+    );
+    return { currentStreak: { from: null, to: streakDays } };
+  }
+
+  const streak = existing.rows[0];
+  const longestStreak = Math.max(streak.longest_streak, streakDays);
+  const changes = compact({
+    currentStreak: changed(streak.current_streak, streakDays),
+    longestStreak: changed(streak.longest_streak, longestStreak),
+  });
+
+  if (Object.keys(changes).length > 0) {
+    await client.query(
+      'UPDATE streaks SET current_streak = $1, longest_streak = $2 WHERE user_id = $3',
+      [streakDays, longestStreak, userId]
+    );
+  }
+
+  return changes;
+}
+
+/**
+ * Sync a user's on-chain state into the database
+ * @param {string} userId - users.id
+ * @param {string} [walletAddress] - Wallet to read from chain; must be the user's (defaults to it)
+ * @param {Object} [options] - { network } to read from (default network when omitted),
+ *   { blockchainService } for injection
+ * @returns {Promise<Object>} { syncedAt, walletAddress, network, diff, chain }
+ */
+async function syncUserFromChain(userId, walletAddress, options = {}) {
+  // Check ownership before spending any RPC calls
+  const owner = await query('SELECT wallet_address FROM users WHERE id = $1', [userId]);
+
+  if (owner.rows.length === 0) {
+    const error = new Error('User not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const userWallet = owner.rows[0].wallet_address.toLowerCase();
+
+  if (walletAddress && walletAddress.toLowerCase() !== userWallet) {
+    const error = new Error('Wallet address does not belong to this user');
+    error.status = 403;
+    throw error;
+  }
+
+  const blockchainService = options.blockchainService || getBlockchainService(options.network);
+
+  // A sync is an explicit request for current chain state; skip cached reads
+  await blockchainService.invalidateAddress(userWallet);
+  const chainState = await fetchChainState(userWallet, blockchainService);
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT * FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    const user = userResult.rows[0];
+
+    const milestones = [];
+    const goals = await syncGoals(client, userId, userWallet, chainState.goals, blockchainService, milestones);
+    const userChanges = await syncUser(client, user, chainState);
+    const streak = await syncStreak(client, userId, chainState.stats.streakDays);
+
+    const synced = await client.query('SELECT last_synced_at FROM users WHERE id = $1', [userId]);
+
+    await client.query('COMMIT');
+
+    const milestonesReached = announceMilestones(milestones);
+
+    return {
+      syncedAt: synced.rows[0].last_synced_at,
+      walletAddress: userWallet,
+      network: blockchainService.network.name,
+      diff: {
+        goals,
+        user: userChanges,
+        streak,
+      },
+      milestonesReached,
+      chain: chainState,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  syncUserFromChain,
+};
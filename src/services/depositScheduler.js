@@ -0,0 +1,502 @@
+const db = require('../config/db');
+const { submitDeposit } = require('./deposits');
+const { announceMilestones } = require('./milestones');
+
+/**
+ * Recurring deposit schedules
+ *
+ * A schedule deposits a fixed amount into one goal from one payment method
+ * every day, week or month. Runs keep the local time of day (and weekday or
+ * day of month) of the first run in the schedule's IANA timezone, so a 09:00
+ * Asia/Jakarta schedule stays at 09:00 there; monthly runs on the 29th-31st
+ * fall on the last day of shorter months.
+ *
+ * The worker creates deposits through submitDeposit, the same path as
+ * POST /api/deposits/:userId. Every attempt and skip is recorded in
+ * deposit_schedule_runs:
+ *   - a failed attempt is retried after retryDelay, doubling each time, up to
+ *     maxAttempts; after that the run is marked failed and the schedule moves
+ *     on to its next run
+ *   - errors that retrying cannot fix (goal or payment method gone, payment
+ *     method deactivated) fail the run and pause the schedule
+ * Runs missed while the worker was down or the schedule was paused are not
+ * made up: the schedule deposits at most once and moves to the next future run.
+ * A schedule completes once its goal does.
+ *
+ * All decisions use the injectable clock, so runs can be driven in tests
+ * without waiting for real time to pass.
+ */
+
+const CADENCES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+function localParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+
+  return Object.fromEntries(
+    formatters.get(timezone).formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  );
+}
+
+function offsetAt(ms, timezone) {
+  const wholeSeconds = ms - (ms % 1000);
+  const local = localParts(new Date(wholeSeconds), timezone);
+  return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - wholeSeconds;
+}
+
+/**
+ * Instant of a wall-clock time in a timezone. Times inside a DST jump resolve
+ * to one side of the transition.
+ */
+function zonedTime({ year, month, day, hour, minute }, timezone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - offsetAt(wall, timezone);
+  return new Date(wall - offsetAt(guess, timezone));
+}
+
+/**
+ * Time of a schedule's nth run (0 is the first)
+ * @param {Object} schedule - { cadence, timezone, starts_at }
+ */
+function occurrenceAt(schedule, index) {
+  const start = localParts(new Date(schedule.starts_at), schedule.timezone);
+  let { year, month, day } = start;
+
+  if (schedule.cadence === 'monthly') {
+    const months = month - 1 + index;
+    year += Math.floor(months / 12);
+    month = (months % 12) + 1;
+    day = Math.min(day, new Date(Date.UTC(year, month, 0)).getUTCDate());
+  } else {
+    const date = new Date(Date.UTC(year, month - 1, day + index * (schedule.cadence === 'weekly' ? 7 : 1)));
+    year = date.getUTCFullYear();
+    month = date.getUTCMonth() + 1;
+    day = date.getUTCDate();
+  }
+
+  return zonedTime({ year, month, day, hour: start.hour, minute: start.minute }, schedule.timezone);
+}
+
+/**
+ * First run from `fromIndex` on that is later than `now`
+ * @returns {Object} { occurrence, runAt }
+ */
+function nextOccurrence(schedule, now, fromIndex = schedule.occurrence) {
+  let occurrence = fromIndex;
+  let runAt = occurrenceAt(schedule, occurrence);
+
+  // Jump close to now before stepping, so long gaps don't walk every day
+  if (runAt <= now && schedule.cadence !== 'monthly') {
+    const periodMs = (schedule.cadence === 'weekly' ? 7 : 1) * DAY_MS;
+    occurrence += Math.max(0, Math.floor((now - runAt) / periodMs) - 1);
+    runAt = occurrenceAt(schedule, occurrence);
+  }
+
+  while (runAt <= now) {
+    occurrence += 1;
+    runAt = occurrenceAt(schedule, occurrence);
+  }
+
+  return { occurrence, runAt };
+}
+
+/**
+ * Anchor and first run of a new or re-timed schedule
+ * @param {Object} timing - { cadence, timezone, startDate (YYYY-MM-DD, local), timeOfDay (HH:MM, local) }
+ * @param {Date} now
+ * @returns {Object} { startsAt, occurrence, nextRunAt }
+ */
+function planSchedule({ cadence, timezone, startDate, timeOfDay }, now) {
+  const today = localParts(now, timezone);
+  const [year, month, day] = startDate
+    ? startDate.split('-').map(Number)
+    : [today.year, today.month, today.day];
+  const [hour, minute] = timeOfDay.split(':').map(Number);
+
+  const startsAt = zonedTime({ year, month, day, hour, minute }, timezone);
+  const { occurrence, runAt } = nextOccurrence({ cadence, timezone, starts_at: startsAt }, now, 0);
+
+  return { startsAt, occurrence, nextRunAt: runAt };
+}
+
+/**
+ * Local start date and time of day of a schedule
+ * @returns {Object} { startDate, timeOfDay }
+ */
+function describeTiming(schedule) {
+  const start = localParts(new Date(schedule.starts_at), schedule.timezone);
+  const pad = value => String(value).padStart(2, '0');
+
+  return {
+    startDate: `${start.year}-${pad(start.month)}-${pad(start.day)}`,
+    timeOfDay: `${pad(start.hour)}:${pad(start.minute)}`,
+  };
+}
+
+function scheduleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class DepositScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the current time in ms
+   * @param {Function} [options.submitDeposit] - (client, params) -> deposits row
+   * @param {number} [options.pollInterval] - ms between runs when started
+   * @param {number} [options.batchSize] - Schedules run per pass
+   * @param {number} [options.maxAttempts] - Attempts per run before it fails
+   * @param {number} [options.retryDelay] - ms before the first retry (doubles per attempt)
+   * @param {Object} [options.db] - { query, getClient } (defaults to src/config/db)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || (() => Date.now());
+    this.submitDeposit = options.submitDeposit || submitDeposit;
+    this.pollInterval = options.pollInterval || 60000;
+    this.batchSize = options.batchSize || 50;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay || 15 * 60 * 1000;
+    this.db = options.db || db;
+
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastError = null;
+  }
+
+  now() {
+    return new Date(this.clock());
+  }
+
+  async recordRun(client, schedule, now, { status, attempt = 1, depositId = null, error = null }) {
+    await client.query(
+      `INSERT INTO deposit_schedule_runs (schedule_id, occurrence, scheduled_for, attempt, status, deposit_id, error, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [schedule.id, schedule.occurrence, schedule.next_run_at, attempt, status, depositId, error, now]
+    );
+  }
+
+  /**
+   * Make the due run of one schedule
+   * @returns {Promise<string>} succeeded, retrying, failed, paused, completed
+   *   or not_due (paused, edited or run elsewhere in the meantime)
+   */
+  async runSchedule(scheduleId) {
+    const now = this.now();
+    const client = await this.db.getClient();
+    let schedule = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT * FROM deposit_schedules
+         WHERE id = $1 AND status = 'active' AND COALESCE(retry_at, next_run_at) <= $2
+         FOR UPDATE`,
+        [scheduleId, now]
+      );
+      schedule = result.rows[0];
+
+      if (!schedule) {
+        await client.query('ROLLBACK');
+        return 'not_due';
+      }
+
+      const goalResult = await client.query('SELECT is_completed FROM savings_goals WHERE id = $1', [schedule.goal_id]);
+      if (goalResult.rows[0] && goalResult.rows[0].is_completed) {
+        await client.query("UPDATE deposit_schedules SET status = 'completed', retry_at = NULL WHERE id = $1", [schedule.id]);
+        await client.query('COMMIT');
+        return 'completed';
+      }
+
+      const methodResult = await client.query('SELECT is_active FROM payment_methods WHERE id = $1', [schedule.payment_method_id]);
+      if (methodResult.rows[0] && !methodResult.rows[0].is_active) {
+        throw scheduleError('Payment method is inactive', 409);
+      }
+
+      const deposit = await this.submitDeposit(client, {
+        userId: schedule.user_id,
+        goalId: schedule.goal_id,
+        amount: schedule.amount,
+        paymentMethodId: schedule.payment_method_id,
+        network: schedule.network,
+        depositDate: now,
+      });
+
+      await this.recordRun(client, schedule, now, { status: 'succeeded', attempt: schedule.attempts + 1, depositId: deposit.id });
+
+      const next = nextOccurrence(schedule, now, schedule.occurrence + 1);
+      const completed = await client.query('SELECT is_completed FROM savings_goals WHERE id = $1', [schedule.goal_id]);
+
+      await client.query(
+        `UPDATE deposit_schedules
+         SET occurrence = $2, next_run_at = $3, attempts = 0, retry_at = NULL, last_run_at = $4, status = $5
+         WHERE id = $1`,
+        [schedule.id, next.occurrence, next.runAt, now, completed.rows[0].is_completed ? 'completed' : 'active']
+      );
+
+      await client.query('COMMIT');
+      announceMilestones(deposit.milestones);
+      return 'succeeded';
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!schedule) throw error;
+      return this.recordFailure(schedule, error, now);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Book a failed attempt: retry later, move on, or pause the schedule
+   */
+  async recordFailure(schedule, error, now) {
+    const attempt = schedule.attempts + 1;
+    const client = await this.db.getClient();
+    let outcome;
+
+    console.error(`Scheduled deposit error (${schedule.id}, attempt ${attempt}):`, error.message);
+
+    try {
+      await client.query('BEGIN');
+
+      // Someone else may have moved the schedule on since the failed attempt
+      const result = await client.query(
+        `SELECT id FROM deposit_schedules
+         WHERE id = $1 AND status = 'active' AND occurrence = $2 AND attempts = $3
+         FOR UPDATE`,
+        [schedule.id, schedule.occurrence, schedule.attempts]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return 'not_due';
+      }
+
+      if (error.status) {
+        outcome = 'paused';
+        await this.recordRun(client, schedule, now, { status: 'failed', attempt, error: error.message });
+        await client.query(
+          "UPDATE deposit_schedules SET status = 'paused', attempts = 0, retry_at = NULL WHERE id = $1",
+          [schedule.id]
+        );
+      } else if (attempt >= this.maxAttempts) {
+        outcome = 'failed';
+        const next = nextOccurrence(schedule, now, schedule.occurrence + 1);
+        await this.recordRun(client, schedule, now, { status: 'failed', attempt, error: error.message });
+        await client.query(
+          `UPDATE deposit_schedules
+           SET occurrence = $2, next_run_at = $3, attempts = 0, retry_at = NULL, last_run_at = $4
+           WHERE id = $1`,
+          [schedule.id, next.occurrence, next.runAt, now]
+        );
+      } else {
+        outcome = 'retrying';
+        await this.recordRun(client, schedule, now, { status: 'retrying', attempt, error: error.message });
+        await client.query(
+          'UPDATE deposit_schedules SET attempts = $2, retry_at = $3, last_run_at = $4 WHERE id = $1',
+          [schedule.id, attempt, new Date(now.getTime() + this.retryDelay * 2 ** (attempt - 1)), now]
+        );
+      }
+
+      await client.query('COMMIT');
+      return outcome;
+    } catch (recordError) {
+      await client.query('ROLLBACK');
+      throw recordError;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Skip a schedule's next run (recorded in its history)
+   * @returns {Promise<Object>} Updated deposit_schedules row
+   * @throws {Error} status 404 / 409 when missing or not active
+   */
+  async skip(scheduleId) {
+    const now = this.now();
+    const client = await this.db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM deposit_schedules WHERE id = $1 FOR UPDATE', [scheduleId]);
+      const schedule = result.rows[0];
+
+      if (!schedule) {
+        throw scheduleError('Schedule not found', 404);
+      }
+      if (schedule.status !== 'active') {
+        throw scheduleError(`Schedule is ${schedule.status}`, 409);
+      }
+
+      await this.recordRun(client, schedule, now, { status: 'skipped', attempt: schedule.attempts + 1 });
+
+      const next = nextOccurrence(schedule, now, schedule.occurrence + 1);
+      const updated = await client.query(
+        `UPDATE deposit_schedules SET occurrence = $2, next_run_at = $3, attempts = 0, retry_at = NULL
+         WHERE id = $1 RETURNING *`,
+        [schedule.id, next.occurrence, next.runAt]
+      );
+
+      await client.query('COMMIT');
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Pause or resume a schedule. Resuming continues at the next future run.
+   * @param {string} status - paused or active
+   * @returns {Promise<Object>} Updated deposit_schedules row
+   * @throws {Error} status 404 / 409 when missing or completed
+   */
+  async setStatus(scheduleId, status) {
+    const result = await this.db.query('SELECT * FROM deposit_schedules WHERE id = $1', [scheduleId]);
+    const schedule = result.rows[0];
+
+    if (!schedule) {
+      throw scheduleError('Schedule not found', 404);
+    }
+    if (schedule.status === 'completed') {
+      throw scheduleError('Schedule is completed', 409);
+    }
+
+    const next = status === 'active'
+      ? nextOccurrence(schedule, this.now())
+      : { occurrence: schedule.occurrence, runAt: schedule.next_run_at };
+
+    const updated = await this.db.query(
+      `UPDATE deposit_schedules
+       SET status = $2, occurrence = $3, next_run_at = $4, attempts = 0, retry_at = NULL
+       WHERE id = $1 AND status != 'completed'
+       RETURNING *`,
+      [scheduleId, status, next.occurrence, next.runAt]
+    );
+
+    if (updated.rows.length === 0) {
+      throw scheduleError('Schedule is completed', 409);
+    }
+    return updated.rows[0];
+  }
+
+  /**
+   * Run every schedule that is due, oldest first
+   * @returns {Promise<Object>} Count per outcome
+   */
+  async runOnce() {
+    const due = await this.db.query(
+      `SELECT id FROM deposit_schedules
+       WHERE status = 'active' AND COALESCE(retry_at, next_run_at) <= $1
+       ORDER BY COALESCE(retry_at, next_run_at) ASC
+       LIMIT $2`,
+      [this.now(), this.batchSize]
+    );
+
+    const summary = { succeeded: 0, retrying: 0, failed: 0, paused: 0, completed: 0, not_due: 0, errors: 0 };
+
+    for (const { id } of due.rows) {
+      try {
+        summary[await this.runSchedule(id)] += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`Deposit schedule error (${id}):`, error);
+      }
+    }
+
+    this.lastRun = this.now();
+    this.lastError = null;
+
+    return summary;
+  }
+
+  /**
+   * Poll in the background until stop() is called
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.lastError = error.message;
+        console.error('Deposit scheduler error:', error);
+      }
+
+      if (this.running) {
+        this.timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+let depositScheduler = null;
+
+function getDepositScheduler() {
+  if (!depositScheduler) {
+    depositScheduler = new DepositScheduler({
+      pollInterval: parseInt(process.env.DEPOSIT_SCHEDULER_INTERVAL_MS || '60000', 10),
+      maxAttempts: parseInt(process.env.DEPOSIT_SCHEDULE_MAX_ATTEMPTS || '3', 10),
+      retryDelay: parseInt(process.env.DEPOSIT_SCHEDULE_RETRY_DELAY_MS || String(15 * 60 * 1000), 10),
+    });
+  }
+  return depositScheduler;
+}
+
+module.exports = {
+  CADENCES,
+  DepositScheduler,
+  getDepositScheduler,
+  isValidTimezone,
+  planSchedule,
+  describeTiming,
+  nextOccurrence,
+  occurrenceAt,
+};
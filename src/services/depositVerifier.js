@@ -0,0 +1,389 @@
+const { ethers } = require('ethers');
+const path = require('path');
+const fs = require('fs');
+const db = require('../config/db');
+const { findNetworksByChainId, resolveNetwork } = require('../config/networks');
+const { getBlockchainService } = require('./blockchain');
+const { confirmDeposit, failDeposit } = require('./deposits');
+const { announceMilestones } = require('./milestones');
+const { erc20ABI, formatTokenAmount, parseTokenAmount } = require('./erc20');
+const { findLinkedGoal } = require('./goalLinks');
+
+/**
+ * On-chain verification of pending deposits
+ *
+ * A deposit submitted with a transaction hash stays `pending` until its
+ * receipt is mined with enough confirmations. The receipt must carry a
+ * StackSaveSimple `Deposited` event for the depositor's wallet with the same
+ * amount (in the deposit's token decimals), paid by a transfer of the
+ * deposit's token from the wallet to that contract, and, when the deposit targets a
+ * goal, the deployment and on-chain id the goal is linked to. A deposit made
+ * without a goal takes the DB goal linked to the event's on-chain goal, if
+ * any. Matching deposits are confirmed (which applies goal, balance and
+ * streak effects); reverted or mismatched ones are marked `failed` with a
+ * reason. Receipts that never show up are failed after a timeout.
+ *
+ * Each deposit is checked on the network recorded in its chain_id, against
+ * every StackSave deployment registered for that chain, and waits for that
+ * network's confirmations.
+ */
+
+const stackSaveABI = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../../abi/StackSaveSimple.json'), 'utf8')
+);
+const erc20Interface = new ethers.Interface(erc20ABI);
+
+/**
+ * Transfer events emitted by a token in a receipt
+ * @returns {Array<Object>} { from, to, value } with lowercase addresses
+ */
+function tokenTransfers(receipt, token) {
+  const transfers = [];
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== token.address.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = erc20Interface.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+
+    if (parsed && parsed.name === 'Transfer') {
+      transfers.push({
+        from: parsed.args.from.toLowerCase(),
+        to: parsed.args.to.toLowerCase(),
+        value: parsed.args.value,
+      });
+    }
+  }
+
+  return transfers;
+}
+
+/**
+ * Check a receipt against a deposit row
+ * @param {Object} chain - { chainId, contractAddresses } (lowercase StackSave deployments to accept events from)
+ * @param {Object} token - Token the deposit was made in ({ address, symbol, decimals })
+ * @returns {{ matched: true, event } | { matched: false, reason: string }}
+ */
+function matchDepositedEvent(iface, chain, receipt, deposit, token) {
+  const events = [];
+
+  for (const log of receipt.logs) {
+    if (!chain.contractAddresses.includes(log.address.toLowerCase())) continue;
+
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+
+    if (parsed && parsed.name === 'Deposited') {
+      events.push({
+        contractAddress: log.address.toLowerCase(),
+        user: parsed.args.user.toLowerCase(),
+        goalId: parsed.args.goalId,
+        amount: parsed.args.amount,
+      });
+    }
+  }
+
+  if (events.length === 0) {
+    return { matched: false, reason: 'Transaction has no StackSave Deposited event' };
+  }
+
+  const forUser = events.filter(event => event.user === deposit.wallet_address.toLowerCase());
+  if (forUser.length === 0) {
+    return { matched: false, reason: 'Deposited event is for a different wallet' };
+  }
+
+  const expectedAmount = parseTokenAmount(deposit.amount, token);
+  const withAmount = forUser.filter(event => event.amount === expectedAmount);
+  if (withAmount.length === 0) {
+    const found = forUser.map(event => formatTokenAmount(event.amount, token)).join(', ');
+    return { matched: false, reason: `Deposited amount ${found} does not match ${formatTokenAmount(expectedAmount, token)}` };
+  }
+
+  // The contract must have been paid in the deposit's token, not just emitted the event
+  const transfers = tokenTransfers(receipt, token);
+  const paid = withAmount.filter(event => transfers.some(transfer =>
+    transfer.from === event.user && transfer.to === event.contractAddress && transfer.value === event.amount
+  ));
+  if (paid.length === 0) {
+    return { matched: false, reason: `Deposit was not paid in ${token.symbol} (${token.address})` };
+  }
+
+  if (!deposit.goal_id) {
+    return { matched: true, event: paid[0] };
+  }
+
+  if (deposit.onchain_goal_id === null || deposit.onchain_goal_id === undefined
+    || deposit.goal_chain_id !== chain.chainId) {
+    return { matched: false, reason: 'Goal is not linked to an on-chain goal on this network' };
+  }
+
+  const expectedGoalId = BigInt(deposit.onchain_goal_id);
+  const withGoal = paid.find(event =>
+    event.contractAddress === deposit.goal_contract_address && event.goalId === expectedGoalId
+  );
+  if (!withGoal) {
+    return { matched: false, reason: `Deposited goal ${paid[0].goalId} does not match goal ${expectedGoalId}` };
+  }
+
+  return { matched: true, event: withGoal };
+}
+
+class DepositVerifier {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.blockchainService] - Defaults to the deposit network's BlockchainService
+   * @param {string} [options.contractAddress] - StackSaveSimple address (defaults to the network's deployments)
+   * @param {number} [options.confirmations] - Blocks required on top of the receipt (defaults to the network's)
+   * @param {number} [options.timeoutMinutes] - Fail deposits whose receipt never appears
+   * @param {number} [options.pollInterval] - ms between runs when started
+   * @param {number} [options.batchSize] - Pending deposits checked per run
+   * @param {Object} [options.db] - { query, getClient } (defaults to src/config/db)
+   */
+  constructor(options = {}) {
+    this.blockchainService = options.blockchainService || null;
+    this.contractAddress = options.contractAddress ? options.contractAddress.toLowerCase() : null;
+    this.confirmations = options.confirmations ?? null;
+    this.timeoutMinutes = options.timeoutMinutes || 60;
+    this.pollInterval = options.pollInterval || 15000;
+    this.batchSize = options.batchSize || 50;
+    this.db = options.db || db;
+
+    this.interface = new ethers.Interface(stackSaveABI);
+
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Service, accepted contracts and confirmations for a deposit's network
+   * (deposits recorded before networks existed use the default one)
+   */
+  chainFor(deposit) {
+    const network = resolveNetwork(deposit.chain_id);
+
+    return {
+      blockchainService: this.blockchainService || getBlockchainService(network.name),
+      chainId: network.chainId,
+      contractAddresses: this.contractAddress
+        ? [this.contractAddress]
+        : findNetworksByChainId(network.chainId)
+          .filter(item => item.stackSaveAddress)
+          .map(item => item.stackSaveAddress.toLowerCase()),
+      confirmations: this.confirmations ?? network.confirmations,
+    };
+  }
+
+  async loadDeposit(depositId) {
+    const result = await this.db.query(
+      `SELECT d.*, u.wallet_address, l.onchain_goal_id,
+              l.chain_id AS goal_chain_id, l.contract_address AS goal_contract_address
+       FROM deposits d
+       JOIN users u ON d.user_id = u.id
+       LEFT JOIN onchain_goal_links l ON d.goal_id = l.goal_id
+       WHERE d.id = $1`,
+      [depositId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The user's DB goal linked to the on-chain goal a goal-less deposit went to
+   * @returns {Promise<string|null>} savings_goals.id
+   */
+  async linkedGoalFor(client, deposit, chainId, event) {
+    const goal = await findLinkedGoal(client, {
+      chainId,
+      contractAddress: event.contractAddress,
+      walletAddress: deposit.wallet_address,
+      onchainGoalId: event.goalId,
+    });
+    return goal && goal.user_id === deposit.user_id ? goal.id : null;
+  }
+
+  /**
+   * Confirm or fail inside one transaction; a concurrent run that already
+   * settled the deposit makes this a no-op
+   */
+  async settle(deposit, outcome, chain) {
+    const client = await this.db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      let updated;
+      if (outcome.matched) {
+        const goalId = deposit.goal_id || await this.linkedGoalFor(client, deposit, chain.chainId, outcome.event);
+        updated = await confirmDeposit(client, deposit.id, { blockNumber: outcome.blockNumber, goalId });
+      } else {
+        updated = await failDeposit(client, deposit.id, outcome.reason);
+      }
+
+      await client.query('COMMIT');
+
+      if (updated && outcome.matched) {
+        announceMilestones(updated.milestones);
+        await chain.blockchainService.invalidateAddress(deposit.wallet_address);
+      }
+
+      return updated || (await this.loadDeposit(deposit.id));
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Verify a single deposit
+   * @param {string} depositId
+   * @returns {Promise<{ deposit: Object, result: string, reason?: string }>}
+   *   result is one of confirmed, failed, pending or unchanged
+   */
+  async verifyDeposit(depositId) {
+    const deposit = await this.loadDeposit(depositId);
+
+    if (!deposit) {
+      const error = new Error('Deposit not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (deposit.status !== 'pending' || !deposit.transaction_hash) {
+      return { deposit, result: 'unchanged' };
+    }
+
+    const chain = this.chainFor(deposit);
+    const settle = outcome => this.settle(deposit, outcome, chain);
+    const receipt = await chain.blockchainService.getTransactionReceipt(deposit.transaction_hash);
+
+    if (!receipt) {
+      const ageMinutes = (Date.now() - new Date(deposit.created_at).getTime()) / 60000;
+      if (ageMinutes < this.timeoutMinutes) {
+        return { deposit, result: 'pending', reason: 'Transaction not yet mined' };
+      }
+
+      const reason = `Transaction not found after ${this.timeoutMinutes} minutes`;
+      return { deposit: await settle({ matched: false, reason }), result: 'failed', reason };
+    }
+
+    if (receipt.status !== 1) {
+      const reason = 'Transaction reverted';
+      return { deposit: await settle({ matched: false, reason }), result: 'failed', reason };
+    }
+
+    const head = await chain.blockchainService.getBlockNumber();
+    const confirmations = head - receipt.blockNumber + 1;
+    if (confirmations < chain.confirmations) {
+      return {
+        deposit,
+        result: 'pending',
+        reason: `Waiting for confirmations (${confirmations}/${chain.confirmations})`,
+      };
+    }
+
+    // Deposits recorded before tokens were tracked are in the current deposit token
+    const token = deposit.token_address
+      ? await chain.blockchainService.getToken(deposit.token_address)
+      : await chain.blockchainService.getDepositToken();
+    const match = matchDepositedEvent(this.interface, chain, receipt, deposit, token);
+
+    if (!match.matched) {
+      return { deposit: await settle(match), result: 'failed', reason: match.reason };
+    }
+
+    const confirmed = await settle({ matched: true, event: match.event, blockNumber: receipt.blockNumber });
+    return { deposit: confirmed, result: 'confirmed' };
+  }
+
+  /**
+   * Verify the oldest pending deposits
+   * @returns {Promise<Object>} Count per result
+   */
+  async runOnce() {
+    const pending = await this.db.query(
+      `SELECT id FROM deposits
+       WHERE status = 'pending' AND transaction_hash IS NOT NULL
+       ORDER BY created_at ASC
+       LIMIT $1`,
+      [this.batchSize]
+    );
+
+    const summary = { checked: 0, confirmed: 0, failed: 0, pending: 0, unchanged: 0, errors: 0 };
+
+    for (const row of pending.rows) {
+      summary.checked += 1;
+      try {
+        const { result } = await this.verifyDeposit(row.id);
+        summary[result] += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`Deposit verification error (${row.id}):`, error);
+      }
+    }
+
+    this.lastRun = new Date();
+    this.lastError = null;
+
+    return summary;
+  }
+
+  /**
+   * Poll in the background until stop() is called
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.lastError = error.message;
+        console.error('Deposit verifier error:', error);
+      }
+
+      if (this.running) {
+        this.timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+let depositVerifier = null;
+
+function getDepositVerifier() {
+  if (!depositVerifier) {
+    depositVerifier = new DepositVerifier({
+      timeoutMinutes: parseInt(process.env.DEPOSIT_VERIFY_TIMEOUT_MINUTES || '60', 10),
+      pollInterval: parseInt(process.env.DEPOSIT_VERIFY_INTERVAL_MS || '15000', 10),
+    });
+  }
+  return depositVerifier;
+}
+
+module.exports = {
+  DepositVerifier,
+  getDepositVerifier,
+  matchDepositedEvent,
+};
@@ -0,0 +1,297 @@
+const { resolveNetwork } = require('../config/networks');
+const { getBlockchainService } = require('./blockchain');
+const { recordMilestones } = require('./milestones');
+const { getGoalRole, canContribute } = require('./goalMembers');
+
+/**
+ * Deposit bookkeeping shared by the deposit routes and background workers
+ *
+ * All functions take a pg client that is already inside a transaction; the
+ * caller owns BEGIN/COMMIT. Deposits carrying a transaction hash start as
+ * `pending` and only move goal progress, balance and streak once the
+ * on-chain verifier confirms them.
+ *
+ * Deposits that move a goal come back with the goal `milestones` they
+ * reached; callers announce them after COMMIT (see milestones.js).
+ */
+
+/**
+ * Update streak for a deposit made today
+ */
+async function updateStreakForDeposit(client, userId, today) {
+  const streakResult = await client.query(
+    'SELECT * FROM streaks WHERE user_id = $1',
+    [userId]
+  );
+
+  if (streakResult.rows.length === 0) {
+    return;
+  }
+
+  const streak = streakResult.rows[0];
+  const lastDepositDate = streak.last_deposit_date
+    ? new Date(streak.last_deposit_date).toISOString().split('T')[0]
+    : null;
+
+  let newStreak = streak.current_streak;
+
+  if (!lastDepositDate || lastDepositDate !== today) {
+    // Check if it's consecutive
+    if (lastDepositDate) {
+      const daysDiff = Math.floor(
+        (new Date(today) - new Date(lastDepositDate)) / (1000 * 60 * 60 * 24)
+      );
+
+      if (daysDiff === 1) {
+        newStreak += 1;
+      } else if (daysDiff > 1) {
+        newStreak = 1; // Reset streak
+      }
+    } else {
+      newStreak = 1;
+    }
+
+    const longestStreak = Math.max(newStreak, streak.longest_streak);
+
+    await client.query(
+      `UPDATE streaks
+       SET current_streak = $1, longest_streak = $2, last_deposit_date = $3, total_deposits = total_deposits + 1
+       WHERE user_id = $4`,
+      [newStreak, longestStreak, today, userId]
+    );
+  }
+}
+
+/**
+ * Apply a confirmed deposit to goal progress, balance, streak and daily growth
+ * @param {Date} [now] - Day the deposit counts towards for streak and growth
+ * @returns {Promise<Array>} goal_milestones rows the deposit reached
+ */
+async function applyDepositEffects(client, deposit, now = new Date()) {
+  const userId = deposit.user_id;
+  const goalId = deposit.goal_id;
+  const amount = deposit.amount;
+  let milestones = [];
+
+  // Update goal current amount if goalId provided
+  if (goalId) {
+    await client.query(
+      `UPDATE savings_goals
+       SET current_amount = current_amount + $1
+       WHERE id = $2`,
+      [amount, goalId]
+    );
+
+    // Check if goal is completed
+    const goalCheck = await client.query(
+      'SELECT current_amount, target_amount FROM savings_goals WHERE id = $1',
+      [goalId]
+    );
+
+    if (goalCheck.rows.length > 0) {
+      const { current_amount, target_amount } = goalCheck.rows[0];
+      if (parseFloat(current_amount) >= parseFloat(target_amount)) {
+        await client.query(
+          'UPDATE savings_goals SET is_completed = true WHERE id = $1',
+          [goalId]
+        );
+      }
+    }
+
+    milestones = await recordMilestones(client, goalId, { source: 'deposit', now });
+  }
+
+  // Update user total balance
+  await client.query(
+    `UPDATE users
+     SET total_balance = total_balance + $1
+     WHERE id = $2`,
+    [amount, userId]
+  );
+
+  const today = now.toISOString().split('T')[0];
+  await updateStreakForDeposit(client, userId, today);
+
+  // Add daily growth entry
+  await client.query(
+    `INSERT INTO daily_growth (user_id, date, has_deposit)
+     VALUES ($1, $2, true)
+     ON CONFLICT (user_id, date)
+     DO UPDATE SET has_deposit = true`,
+    [userId, today]
+  );
+
+  return milestones;
+}
+
+/**
+ * Mirror a deposit's status (and goal) onto its transaction record (linked by tx hash)
+ */
+async function setTransactionStatus(client, deposit, status) {
+  await client.query(
+    `UPDATE transactions
+     SET status = $1, goal_id = COALESCE(goal_id, $4)
+     WHERE user_id = $2 AND type = 'deposit' AND transaction_hash = $3`,
+    [status, deposit.user_id, deposit.transaction_hash, deposit.goal_id || null]
+  );
+}
+
+/**
+ * Create a deposit and its transaction record
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params - { userId, goalId, amount, paymentMethodId, transactionHash, chainId, tokenAddress, depositDate }
+ * @returns {Promise<Object>} deposits row, with the goal milestones it reached
+ */
+async function createDeposit(client, {
+  userId, goalId, amount, paymentMethodId, transactionHash, chainId, tokenAddress, depositDate = new Date(),
+}) {
+  // On-chain deposits wait for the verifier; off-chain ones are final immediately
+  const status = transactionHash ? 'pending' : 'confirmed';
+  transactionHash = transactionHash ? transactionHash.toLowerCase() : null;
+
+  const depositResult = await client.query(
+    `INSERT INTO deposits (user_id, goal_id, amount, payment_method_id, transaction_hash, status, deposit_date, chain_id, token_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [userId, goalId || null, amount, paymentMethodId || null, transactionHash, status, depositDate, chainId || null, tokenAddress || null]
+  );
+
+  const deposit = depositResult.rows[0];
+
+  let description = 'Deposit';
+  if (goalId) {
+    const goalResult = await client.query('SELECT title FROM savings_goals WHERE id = $1', [goalId]);
+    if (goalResult.rows.length > 0) {
+      description = `Deposit to ${goalResult.rows[0].title}`;
+    }
+  }
+
+  await client.query(
+    `INSERT INTO transactions (user_id, type, amount, description, transaction_hash, status, chain_id, token_address, goal_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [userId, 'deposit', amount, description, transactionHash, status, chainId || null, tokenAddress || null, goalId || null]
+  );
+
+  deposit.milestones = status === 'confirmed'
+    ? await applyDepositEffects(client, deposit, depositDate)
+    : [];
+
+  return deposit;
+}
+
+function depositError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check a user's deposit request and create it in the network's deposit token.
+ * This is the path of POST /api/deposits/:userId and of scheduled deposits.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params - { userId, goalId, amount, paymentMethodId, transactionHash, network, depositDate }
+ * @returns {Promise<Object>} deposits row
+ * @throws {Error} status 404 when the goal or payment method is not the user's
+ *   (shared goals take deposits from owners and contributors; 403 for viewers)
+ */
+async function submitDeposit(client, { userId, goalId, amount, paymentMethodId, transactionHash, network, depositDate }) {
+  const { name: networkName, chainId, usdcAddress } = resolveNetwork(network);
+
+  // Referenced goal must be the user's or shared with them, the payment method the user's
+  if (goalId) {
+    const role = await getGoalRole(client, goalId, userId);
+    if (!role) {
+      throw depositError('Goal not found', 404);
+    }
+    if (!canContribute(role)) {
+      throw depositError('Viewers cannot deposit into this goal', 403);
+    }
+  }
+
+  if (paymentMethodId) {
+    const methodResult = await client.query(
+      'SELECT id FROM payment_methods WHERE id = $1 AND user_id = $2',
+      [paymentMethodId, userId]
+    );
+    if (methodResult.rows.length === 0) {
+      throw depositError('Payment method not found', 404);
+    }
+  }
+
+  // On-chain deposits are recorded in the contract's current deposit token;
+  // off-chain ones (and scheduled ones) in the configured token, without an RPC read
+  const tokenAddress = transactionHash
+    ? await getBlockchainService(networkName).getDepositTokenAddress()
+    : usdcAddress;
+
+  return createDeposit(client, {
+    userId,
+    goalId,
+    amount,
+    paymentMethodId,
+    transactionHash,
+    chainId,
+    tokenAddress,
+    depositDate,
+  });
+}
+
+/**
+ * Mark a pending deposit confirmed and apply its effects
+ * @param {Object} [options] - { blockNumber, goalId } (goalId is only used
+ *   when the deposit has no goal yet, e.g. one resolved from the on-chain event)
+ * @returns {Promise<Object|null>} Updated row (with the goal milestones it
+ *   reached), or null if it was no longer pending
+ */
+async function confirmDeposit(client, depositId, { blockNumber, goalId } = {}) {
+  const result = await client.query(
+    `UPDATE deposits
+     SET status = 'confirmed', verified_at = CURRENT_TIMESTAMP, block_number = $2, failure_reason = NULL,
+         goal_id = COALESCE(goal_id, $3)
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [depositId, blockNumber || null, goalId || null]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const deposit = result.rows[0];
+
+  await setTransactionStatus(client, deposit, 'confirmed');
+
+  deposit.milestones = await applyDepositEffects(client, deposit);
+
+  return deposit;
+}
+
+/**
+ * Mark a pending deposit failed without touching balances
+ * @returns {Promise<Object|null>} Updated row, or null if it was no longer pending
+ */
+async function failDeposit(client, depositId, reason) {
+  const result = await client.query(
+    `UPDATE deposits
+     SET status = 'failed', verified_at = CURRENT_TIMESTAMP, failure_reason = $2
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [depositId, reason]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await setTransactionStatus(client, result.rows[0], 'failed');
+
+  return result.rows[0];
+}
+
+module.exports = {
+  applyDepositEffects,
+  createDeposit,
+  submitDeposit,
+  confirmDeposit,
+  failDeposit,
+};
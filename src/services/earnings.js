@@ -0,0 +1,113 @@
+/**
+ * Earnings bookkeeping shared by the earnings route and the interest tracker
+ *
+ * Functions take a pg client that is already inside a transaction; the
+ * caller owns BEGIN/COMMIT.
+ */
+
+const MAX_GROWTH_PERCENTAGE = 1000;
+
+/**
+ * Record an earnings transaction, add it to the user's balance and earnings
+ * and to that day's daily_growth entry. The day's growth percentage grows by
+ * the earnings relative to the balance they were earned on (capped at 1000%,
+ * the growth route's limit).
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params - { userId, amount, description, transactionHash, chainId, tokenAddress, date }
+ *   (date is YYYY-MM-DD, today when omitted)
+ * @returns {Promise<Object>} transactions row
+ */
+async function recordEarnings(client, {
+  userId,
+  amount,
+  description,
+  transactionHash,
+  chainId,
+  tokenAddress,
+  date,
+}) {
+  const userResult = await client.query(
+    'SELECT total_balance FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const balance = userResult.rows.length > 0 ? parseFloat(userResult.rows[0].total_balance) : 0;
+
+  const transactionResult = await client.query(
+    `INSERT INTO transactions (user_id, type, amount, description, transaction_hash, status, chain_id, token_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      userId,
+      'earnings',
+      amount,
+      description || 'Daily yield earnings',
+      transactionHash || null,
+      'confirmed',
+      chainId || null,
+      tokenAddress || null,
+    ]
+  );
+
+  await client.query(
+    `UPDATE users
+     SET total_balance = total_balance + $1,
+         total_earnings = total_earnings + $1
+     WHERE id = $2`,
+    [amount, userId]
+  );
+
+  const growthPercentage = balance > 0 ? Math.min((amount / balance) * 100, MAX_GROWTH_PERCENTAGE) : 0;
+  await client.query(
+    `INSERT INTO daily_growth (user_id, date, earnings, growth_percentage)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, date)
+     DO UPDATE SET
+       earnings = daily_growth.earnings + EXCLUDED.earnings,
+       growth_percentage = LEAST(daily_growth.growth_percentage + EXCLUDED.growth_percentage, $5)`,
+    [userId, date || new Date().toISOString().split('T')[0], amount, growthPercentage, MAX_GROWTH_PERCENTAGE]
+  );
+
+  return transactionResult.rows[0];
+}
+
+/**
+ * Undo recordEarnings: delete the earnings transaction and take its amount
+ * back out of the user's balance, earnings and that day's daily_growth entry
+ * (growth relative to the balance the earnings were added to)
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} transaction - transactions row returned by recordEarnings
+ * @param {string} date - YYYY-MM-DD the earnings were booked on
+ */
+async function reverseEarnings(client, transaction, date) {
+  const amount = parseFloat(transaction.amount);
+
+  const userResult = await client.query(
+    'SELECT total_balance FROM users WHERE id = $1 FOR UPDATE',
+    [transaction.user_id]
+  );
+  const balance = userResult.rows.length > 0 ? parseFloat(userResult.rows[0].total_balance) - amount : 0;
+
+  await client.query('DELETE FROM transactions WHERE id = $1', [transaction.id]);
+
+  await client.query(
+    `UPDATE users
+     SET total_balance = total_balance - $1,
+         total_earnings = total_earnings - $1
+     WHERE id = $2`,
+    [amount, transaction.user_id]
+  );
+
+  const growthPercentage = balance > 0 ? Math.min((amount / balance) * 100, MAX_GROWTH_PERCENTAGE) : 0;
+  await client.query(
+    `UPDATE daily_growth
+     SET earnings = earnings - $1,
+         growth_percentage = GREATEST(growth_percentage - $2, 0)
+     WHERE user_id = $3 AND date = $4`,
+    [amount, growthPercentage, transaction.user_id, date]
+  );
+}
+
+module.exports = {
+  recordEarnings,
+  reverseEarnings,
+};
@@ -0,0 +1,162 @@
+const { ethers } = require('ethers');
+const db = require('../config/db');
+
+/**
+ * ERC-20 token registry
+ *
+ * Token metadata (decimals, symbol, name) is read from chain once per token
+ * and kept in memory and in `erc20_tokens`, so later lookups (and other
+ * instances) skip the RPC calls. Metadata is treated as immutable; a contract
+ * switching its deposit token shows up as a different token address.
+ *
+ * Token: { address, chainId, symbol, name, decimals }
+ */
+
+const erc20ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+
+function toToken(row) {
+  return {
+    address: row.address,
+    chainId: row.chain_id,
+    symbol: row.symbol,
+    name: row.name,
+    decimals: row.decimals,
+  };
+}
+
+/**
+ * Raw token units to a decimal string
+ */
+function formatTokenAmount(value, token) {
+  return ethers.formatUnits(value, token.decimals);
+}
+
+/**
+ * A decimal amount (number or string) to raw token units; digits beyond the
+ * token's precision are dropped
+ */
+function parseTokenAmount(amount, token) {
+  const value = typeof amount === 'number' && /e/i.test(String(amount))
+    ? amount.toFixed(token.decimals)
+    : String(amount);
+  const [whole, fraction = ''] = value.split('.');
+  const trimmed = fraction.slice(0, token.decimals);
+  return ethers.parseUnits(trimmed ? `${whole}.${trimmed}` : whole, token.decimals);
+}
+
+class TokenRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - ethers provider for the network
+   * @param {number} options.chainId - Chain the tokens live on
+   * @param {Object} [options.db] - { query } (defaults to src/config/db)
+   */
+  constructor({ provider, chainId, db: database = db }) {
+    this.provider = provider;
+    this.chainId = chainId;
+    this.db = database;
+    this.tokens = new Map();
+    this.loading = new Map();
+  }
+
+  /**
+   * Contract for an ERC-20 token on this network
+   */
+  contract(address) {
+    return new ethers.Contract(address, erc20ABI, this.provider);
+  }
+
+  /**
+   * Metadata for a token; concurrent lookups share one load
+   * @param {string} address - Token contract address
+   * @returns {Promise<Object>} Token
+   */
+  async getToken(address) {
+    const key = ethers.getAddress(address);
+
+    if (this.tokens.has(key)) {
+      return this.tokens.get(key);
+    }
+    if (!this.loading.has(key)) {
+      this.loading.set(key, this.load(key).finally(() => this.loading.delete(key)));
+    }
+    return this.loading.get(key);
+  }
+
+  async load(address) {
+    let stored = { rows: [] };
+    try {
+      stored = await this.db.query(
+        'SELECT * FROM erc20_tokens WHERE chain_id = $1 AND address = $2',
+        [this.chainId, address]
+      );
+    } catch (error) {
+      // Without a database (test-server.js) metadata is only kept in memory
+      console.error('Token lookup failed, reading metadata from chain:', error.message);
+    }
+
+    const token = stored.rows.length > 0
+      ? toToken(stored.rows[0])
+      : await this.fetch(address);
+
+    this.tokens.set(address, token);
+    return token;
+  }
+
+  /**
+   * Read metadata from chain and store it. decimals() is required; symbol()
+   * and name() are optional in ERC-20 and left null when missing.
+   */
+  async fetch(address) {
+    const contract = this.contract(address);
+    const optional = promise => promise.catch(() => null);
+
+    const [decimals, symbol, name] = await Promise.all([
+      contract.decimals(),
+      optional(contract.symbol()),
+      optional(contract.name()),
+    ]);
+
+    const row = { chain_id: this.chainId, address, symbol, name, decimals: Number(decimals) };
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO erc20_tokens (chain_id, address, symbol, name, decimals)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (chain_id, address) DO UPDATE SET symbol = EXCLUDED.symbol
+         RETURNING *`,
+        [row.chain_id, row.address, row.symbol, row.name, row.decimals]
+      );
+      return toToken(result.rows[0]);
+    } catch (error) {
+      console.error('Storing token metadata failed:', error.message);
+      return toToken(row);
+    }
+  }
+
+  /**
+   * Tokens seen on this network so far
+   */
+  async listTokens() {
+    const result = await this.db.query(
+      'SELECT * FROM erc20_tokens WHERE chain_id = $1 ORDER BY created_at',
+      [this.chainId]
+    );
+    return result.rows.map(toToken);
+  }
+}
+
+module.exports = {
+  TokenRegistry,
+  erc20ABI,
+  formatTokenAmount,
+  parseTokenAmount,
+};
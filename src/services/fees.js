@@ -0,0 +1,444 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const db = require('../config/db');
+const { getConfiguredNetworks, resolveNetwork } = require('../config/networks');
+const { getBlockchainService } = require('./blockchain');
+const { formatTokenAmount } = require('./erc20');
+const { FALLBACK_GAS_LIMITS } = require('./txBuilder');
+
+/**
+ * Gas and fee quotes
+ *
+ * Current EIP-1559 fee data per network is cached for FEE_CACHE_TTL_MS and
+ * every fresh reading is stored in fee_samples. A quote prices the common
+ * wallet actions in the deposit token (a USD stablecoin) through the ETH/USD
+ * price, and compares the base fee with the median of the last
+ * FEE_HISTORY_WINDOW_HOURS of samples: at FEE_EXPENSIVE_MULTIPLIER times the
+ * median or more, the moment is flagged as expensive.
+ *
+ * ETH_PRICE_SOURCE picks the price source (coingecko or static); when it
+ * fails the static ETH_PRICE_USD is used and the quote says so. Without
+ * a database, quotes still work but nothing is recorded.
+ *
+ * FeeTracker samples every network in the background so the history does not
+ * depend on request traffic.
+ */
+
+const QUOTED_ACTIONS = ['deposit', 'withdraw', 'createGoal', 'claimInterest', 'approve'];
+
+// USD prices are carried as 8-decimal fixed point
+const PRICE_DECIMALS = 8;
+const HTTP_TIMEOUT_MS = 5000;
+
+const feeCache = new Map();
+const inFlight = new Map();
+let priceCache = null;
+
+function settings() {
+  return {
+    cacheTtl: parseInt(process.env.FEE_CACHE_TTL_MS || '15000', 10),
+    historyHours: parseInt(process.env.FEE_HISTORY_WINDOW_HOURS || '24', 10),
+    minSamples: parseInt(process.env.FEE_HISTORY_MIN_SAMPLES || '12', 10),
+    expensiveMultiplier: parseFloat(process.env.FEE_EXPENSIVE_MULTIPLIER || '1.5'),
+    priceSource: process.env.ETH_PRICE_SOURCE || 'coingecko',
+    priceTtl: parseInt(process.env.ETH_PRICE_CACHE_TTL_MS || '60000', 10),
+    staticPrice: parseFloat(process.env.ETH_PRICE_USD || '3000'),
+  };
+}
+
+const priceSources = new Map();
+
+/**
+ * Add an ETH/USD price source: `async () => usd`
+ */
+function registerPriceSource(name, fetchPrice) {
+  priceSources.set(name, fetchPrice);
+}
+
+registerPriceSource('static', async () => settings().staticPrice);
+
+registerPriceSource('coingecko', async () => {
+  const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+    params: { ids: 'ethereum', vs_currencies: 'usd' },
+    timeout: HTTP_TIMEOUT_MS,
+  });
+  const usd = response.data && response.data.ethereum ? response.data.ethereum.usd : undefined;
+
+  if (typeof usd !== 'number') {
+    throw new Error('CoinGecko response has no ethereum.usd price');
+  }
+  return usd;
+});
+
+/**
+ * ETH/USD from the configured source, cached; falls back to ETH_PRICE_USD
+ * @returns {Promise<Object>} { usd, source, fallback, error, updatedAt }
+ */
+async function getEthPrice() {
+  const { priceSource, priceTtl, staticPrice } = settings();
+
+  if (priceCache && priceCache.source === priceSource && Date.now() - priceCache.fetchedAt < priceTtl) {
+    return priceCache.quote;
+  }
+
+  let quote;
+  try {
+    const fetchPrice = priceSources.get(priceSource);
+    if (!fetchPrice) {
+      throw new Error(`Unknown ETH price source: ${priceSource}`);
+    }
+
+    const usd = await fetchPrice();
+    if (!Number.isFinite(usd) || usd <= 0) {
+      throw new Error(`Invalid ETH price: ${usd}`);
+    }
+    quote = { usd, source: priceSource, fallback: false, error: null, updatedAt: new Date().toISOString() };
+  } catch (error) {
+    console.error('Error fetching ETH price, using ETH_PRICE_USD:', error.message);
+    quote = { usd: staticPrice, source: 'static', fallback: true, error: error.message, updatedAt: new Date().toISOString() };
+  }
+
+  priceCache = { source: priceSource, fetchedAt: Date.now(), quote };
+  return quote;
+}
+
+/**
+ * Wei cost in raw deposit token units at an ETH/USD price (rounded up, so a
+ * quote never understates the cost)
+ */
+function weiToToken(wei, usd, token) {
+  const price = ethers.parseUnits(usd.toFixed(PRICE_DECIMALS), PRICE_DECIMALS);
+  const numerator = wei * price * 10n ** BigInt(token.decimals);
+  const denominator = 10n ** BigInt(18 + PRICE_DECIMALS);
+  return (numerator + denominator - 1n) / denominator;
+}
+
+function cost(gas, pricePerGas, ethPrice, token) {
+  const wei = gas * pricePerGas;
+  return {
+    wei: wei.toString(),
+    eth: ethers.formatEther(wei),
+    usdc: formatTokenAmount(weiToToken(wei, ethPrice.usd, token), token),
+  };
+}
+
+/**
+ * Store one fee reading; losing a sample only thins out the history
+ */
+async function recordSample(network, sample) {
+  try {
+    await db.query(
+      `INSERT INTO fee_samples
+       (chain_id, network, block_number, base_fee_per_gas, max_priority_fee_per_gas, max_fee_per_gas, gas_price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        network.chainId,
+        network.name,
+        sample.blockNumber,
+        sample.baseFeePerGas.toString(),
+        sample.maxPriorityFeePerGas.toString(),
+        sample.maxFeePerGas.toString(),
+        sample.gasPrice.toString(),
+      ]
+    );
+  } catch (error) {
+    console.error('Error recording fee sample:', error.message);
+  }
+}
+
+/**
+ * Read current fee data and record it
+ * @returns {Promise<Object>} Sample with BigInt fees (legacy chains report gasPrice as the base fee)
+ */
+async function takeSample(network) {
+  const blockchainService = getBlockchainService(network.name);
+  const [block, feeData] = await Promise.all([
+    blockchainService.provider.getBlock('latest'),
+    blockchainService.getFeeData(),
+  ]);
+
+  const gasPrice = feeData.gasPrice ?? block.baseFeePerGas ?? 0n;
+  const baseFeePerGas = block.baseFeePerGas ?? gasPrice;
+  const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas ?? 0n;
+
+  const sample = {
+    blockNumber: block.number,
+    baseFeePerGas,
+    maxPriorityFeePerGas,
+    maxFeePerGas: feeData.maxFeePerGas ?? gasPrice,
+    gasPrice,
+    sampledAt: new Date(),
+  };
+
+  await recordSample(network, sample);
+  return sample;
+}
+
+/**
+ * Cached sample for a network; concurrent callers share one read
+ * @returns {Promise<{ sample: Object, cached: boolean }>}
+ */
+async function getCurrentFees(network) {
+  const cached = feeCache.get(network.name);
+  if (cached && Date.now() - cached.sampledAt.getTime() < settings().cacheTtl) {
+    return { sample: cached, cached: true };
+  }
+
+  if (!inFlight.has(network.name)) {
+    inFlight.set(network.name, takeSample(network)
+      .then((sample) => {
+        feeCache.set(network.name, sample);
+        return sample;
+      })
+      .finally(() => inFlight.delete(network.name)));
+  }
+
+  return { sample: await inFlight.get(network.name), cached: false };
+}
+
+/**
+ * Recorded samples for a network, newest first
+ * @param {Object} options - { hours, limit }
+ */
+async function getFeeHistory(selector, { hours = settings().historyHours, limit = 500 } = {}) {
+  const network = resolveNetwork(selector);
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const result = await db.query(
+    `SELECT * FROM fee_samples
+     WHERE network = $1 AND sampled_at >= $2
+     ORDER BY sampled_at DESC
+     LIMIT $3`,
+    [network.name, since, limit]
+  );
+
+  return result.rows.map(row => ({
+    blockNumber: Number(row.block_number),
+    baseFeePerGas: String(row.base_fee_per_gas),
+    maxPriorityFeePerGas: String(row.max_priority_fee_per_gas),
+    maxFeePerGas: String(row.max_fee_per_gas),
+    gasPrice: String(row.gas_price),
+    sampledAt: row.sampled_at,
+  }));
+}
+
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+/**
+ * Base fee statistics over the history window and whether `baseFeePerGas`
+ * is unusually high against them
+ */
+async function compareWithHistory(network, baseFeePerGas) {
+  const { historyHours, minSamples, expensiveMultiplier } = settings();
+  let samples = [];
+
+  try {
+    samples = await getFeeHistory(network.name, { hours: historyHours, limit: 5000 });
+  } catch (error) {
+    console.error('Error loading fee history:', error.message);
+  }
+
+  const sorted = samples.map(sample => BigInt(sample.baseFeePerGas)).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const median = sorted.length > 0 ? percentile(sorted, 0.5) : null;
+  const ratio = median ? Number((baseFeePerGas * 10000n) / median) / 10000 : null;
+
+  return {
+    history: {
+      windowHours: historyHours,
+      samples: sorted.length,
+      medianBaseFeePerGas: median === null ? null : median.toString(),
+      p90BaseFeePerGas: sorted.length > 0 ? percentile(sorted, 0.9).toString() : null,
+      ratioToMedian: ratio,
+    },
+    // Too little history to call anything unusual
+    expensive: sorted.length >= minSamples && ratio !== null && ratio >= expensiveMultiplier,
+  };
+}
+
+/**
+ * Representative calls for gas estimation from a wallet
+ */
+function sampleCalls(blockchainService, token) {
+  const stackSave = blockchainService.stackSaveContract.interface;
+  const erc20 = blockchainService.tokenContract(token.address).interface;
+  const oneUnit = 10n ** BigInt(token.decimals);
+
+  return {
+    deposit: { to: blockchainService.stackSaveAddress, data: stackSave.encodeFunctionData('deposit', [0, oneUnit]) },
+    withdraw: { to: blockchainService.stackSaveAddress, data: stackSave.encodeFunctionData('withdraw', [0, oneUnit]) },
+    createGoal: { to: blockchainService.stackSaveAddress, data: stackSave.encodeFunctionData('createGoal', ['Savings goal', oneUnit]) },
+    claimInterest: { to: blockchainService.stackSaveAddress, data: stackSave.encodeFunctionData('claimInterest', []) },
+    approve: { to: token.address, data: erc20.encodeFunctionData('approve', [blockchainService.stackSaveAddress, ethers.MaxUint256]) },
+  };
+}
+
+/**
+ * Gas per action: estimated from `from` when given (calls that would revert,
+ * e.g. a deposit without allowance, use the builder's fallback limits)
+ */
+async function estimateActions(blockchainService, token, from) {
+  const calls = from ? sampleCalls(blockchainService, token) : {};
+
+  const entries = await Promise.all(QUOTED_ACTIONS.map(async (action) => {
+    if (from) {
+      try {
+        const gas = await blockchainService.estimateGas({ from, ...calls[action], value: 0n });
+        return [action, { gas, source: 'estimate' }];
+      } catch (error) {
+        // Fall through to the default limit
+      }
+    }
+    return [action, { gas: FALLBACK_GAS_LIMITS[action], source: 'default' }];
+  }));
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Current fees, per-action costs in the deposit token and the history comparison
+ * @param {Object} [options] - { network, from }
+ * @returns {Promise<Object>} Quote
+ */
+async function getFeeQuote({ network: selector, from } = {}) {
+  const network = resolveNetwork(selector);
+  const blockchainService = getBlockchainService(network.name);
+
+  const [{ sample, cached }, ethPrice, token] = await Promise.all([
+    getCurrentFees(network),
+    getEthPrice(),
+    blockchainService.getDepositToken(),
+  ]);
+  const [gasByAction, comparison] = await Promise.all([
+    estimateActions(blockchainService, token, from),
+    compareWithHistory(network, sample.baseFeePerGas),
+  ]);
+
+  // What a transaction pays now vs the most it may pay with these fee caps
+  const expectedPrice = sample.baseFeePerGas + sample.maxPriorityFeePerGas;
+  const actions = Object.fromEntries(Object.entries(gasByAction).map(([action, { gas, source }]) => [action, {
+    gas: gas.toString(),
+    gasSource: source,
+    estimatedCost: cost(gas, expectedPrice, ethPrice, token),
+    maxCost: cost(gas, sample.maxFeePerGas, ethPrice, token),
+  }]));
+
+  return {
+    network: network.name,
+    chainId: network.chainId,
+    blockNumber: sample.blockNumber,
+    sampledAt: sample.sampledAt.toISOString(),
+    cached,
+    fees: {
+      baseFeePerGas: sample.baseFeePerGas.toString(),
+      maxPriorityFeePerGas: sample.maxPriorityFeePerGas.toString(),
+      maxFeePerGas: sample.maxFeePerGas.toString(),
+      gasPrice: sample.gasPrice.toString(),
+    },
+    ethPrice,
+    token: { address: token.address, symbol: token.symbol, decimals: token.decimals },
+    actions,
+    ...comparison,
+  };
+}
+
+class FeeTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pollInterval] - ms between samples of every network
+   * @param {number} [options.retentionDays] - Samples older than this are deleted
+   * @param {Object} [options.db] - { query } (defaults to src/config/db)
+   */
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || 5 * 60 * 1000;
+    this.retentionDays = options.retentionDays || 7;
+    this.db = options.db || db;
+
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Sample every network once and drop expired samples
+   * @returns {Promise<Object>} { sampled, failed, purged }
+   */
+  async runOnce() {
+    const summary = { sampled: 0, failed: 0, purged: 0 };
+
+    for (const network of getConfiguredNetworks()) {
+      try {
+        feeCache.set(network.name, await takeSample(network));
+        summary.sampled += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Fee sample for ${network.name} failed:`, error.message);
+      }
+    }
+
+    const purged = await this.db.query(
+      'DELETE FROM fee_samples WHERE sampled_at < $1',
+      [new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000)]
+    );
+    summary.purged = purged.rowCount || 0;
+
+    this.lastRun = new Date().toISOString();
+    this.lastError = null;
+    return summary;
+  }
+
+  /**
+   * Poll in the background until stop() is called
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.lastError = error.message;
+        console.error('Fee tracker error:', error);
+      }
+
+      if (this.running) {
+        this.timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+let feeTracker = null;
+
+function getFeeTracker() {
+  if (!feeTracker) {
+    feeTracker = new FeeTracker({
+      pollInterval: parseInt(process.env.FEE_TRACKER_INTERVAL_MS || String(5 * 60 * 1000), 10),
+      retentionDays: parseInt(process.env.FEE_HISTORY_RETENTION_DAYS || '7', 10),
+    });
+  }
+  return feeTracker;
+}
+
+module.exports = {
+  QUOTED_ACTIONS,
+  registerPriceSource,
+  getEthPrice,
+  getFeeQuote,
+  getFeeHistory,
+  FeeTracker,
+  getFeeTracker,
+};
@@ -0,0 +1,271 @@
+const db = require('../config/db');
+const { formatTokenAmount } = require('./erc20');
+
+/**
+ * Links between database goals and on-chain goals
+ *
+ * The contract addresses a goal by (wallet, index into getUserGoals()), so a
+ * link is keyed by chain, StackSave deployment, wallet and on-chain goal id,
+ * and points at one savings_goals row. Links are made:
+ *   - by the tx builder: building createGoal for an existing DB goal records
+ *     a pending link (no on-chain id yet) with the name and raw target sent
+ *   - from `GoalCreated` events: the oldest matching pending link is
+ *     completed, otherwise a DB goal is created for the wallet's user
+ *   - by chain sync, for on-chain goals without a link
+ *
+ * When a reorg drops the block of a GoalCreated event, the indexer puts the
+ * link back to pending (see unlinkGoals).
+ *
+ * Functions take `db` as a pg client or pool ({ query }); wallets and
+ * contract addresses are stored lowercase.
+ */
+
+// Contract goals have no deadline; give goals created from chain a default horizon
+const DEFAULT_GOAL_DURATION_DAYS = 365;
+
+function linkKey({ chainId, contractAddress, walletAddress, onchainGoalId }) {
+  return [chainId, contractAddress.toLowerCase(), walletAddress.toLowerCase(), Number(onchainGoalId)];
+}
+
+/**
+ * DB goal linked to an on-chain goal
+ * @returns {Promise<Object|null>} savings_goals row
+ */
+async function findLinkedGoal(database, key) {
+  const result = await database.query(
+    `SELECT g.* FROM onchain_goal_links l
+     JOIN savings_goals g ON l.goal_id = g.id
+     WHERE l.chain_id = $1 AND l.contract_address = $2 AND l.wallet_address = $3 AND l.onchain_goal_id = $4`,
+    linkKey(key)
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Link row of a DB goal (pending links have a null onchain_goal_id)
+ * @returns {Promise<Object|null>} onchain_goal_links row
+ */
+async function findGoalLink(database, goalId) {
+  const result = await database.query('SELECT * FROM onchain_goal_links WHERE goal_id = $1', [goalId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Link a DB goal to an on-chain goal; an existing link for the on-chain goal wins
+ * @returns {Promise<Object>} onchain_goal_links row
+ */
+async function linkGoal(database, { goalId, source, ...key }) {
+  const inserted = await database.query(
+    `INSERT INTO onchain_goal_links
+     (chain_id, contract_address, wallet_address, onchain_goal_id, goal_id, source, linked_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+     ON CONFLICT (chain_id, contract_address, wallet_address, onchain_goal_id) DO NOTHING
+     RETURNING *`,
+    [...linkKey(key), goalId, source]
+  );
+
+  if (inserted.rows.length > 0) {
+    return inserted.rows[0];
+  }
+
+  const existing = await database.query(
+    `SELECT * FROM onchain_goal_links
+     WHERE chain_id = $1 AND contract_address = $2 AND wallet_address = $3 AND onchain_goal_id = $4`,
+    linkKey(key)
+  );
+  return existing.rows[0];
+}
+
+/**
+ * Record that a createGoal transaction was built for a DB goal; the link is
+ * completed when the matching GoalCreated event is seen
+ * @param {Object} params - { goalId, chainId, contractAddress, walletAddress, name, target (raw units) }
+ * @throws {Error} status 409 if the goal is already linked to an on-chain goal
+ */
+async function requestGoalLink(database, { goalId, chainId, contractAddress, walletAddress, name, target }) {
+  const existing = await findGoalLink(database, goalId);
+
+  if (existing && existing.onchain_goal_id !== null) {
+    const error = new Error(`Goal is already linked to on-chain goal ${existing.onchain_goal_id}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const result = await database.query(
+    `INSERT INTO onchain_goal_links
+     (chain_id, contract_address, wallet_address, goal_id, pending_name, pending_target, source)
+     VALUES ($1, $2, $3, $4, $5, $6, 'tx_builder')
+     ON CONFLICT (goal_id) DO UPDATE SET
+       chain_id = EXCLUDED.chain_id,
+       contract_address = EXCLUDED.contract_address,
+       wallet_address = EXCLUDED.wallet_address,
+       pending_name = EXCLUDED.pending_name,
+       pending_target = EXCLUDED.pending_target,
+       created_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [chainId, contractAddress.toLowerCase(), walletAddress.toLowerCase(), goalId, name, target.toString()]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Insert a DB goal mirroring an on-chain goal and link it
+ * @param {Object} chainGoal - { goalId, name, targetAmount, currentAmount, createdAt, completed }
+ * @param {Object} key - { chainId, contractAddress, walletAddress }
+ * @returns {Promise<Object>} savings_goals row
+ */
+async function createGoalFromChain(database, userId, chainGoal, key, source) {
+  const startDate = new Date(chainGoal.createdAt * 1000);
+  const endDate = new Date(startDate.getTime() + DEFAULT_GOAL_DURATION_DAYS * 24 * 60 * 60 * 1000);
+
+  const inserted = await database.query(
+    `INSERT INTO savings_goals
+     (user_id, title, target_amount, current_amount, start_date, end_date, is_completed)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      userId,
+      chainGoal.name,
+      chainGoal.targetAmount,
+      chainGoal.currentAmount,
+      startDate,
+      endDate,
+      chainGoal.completed,
+    ]
+  );
+
+  const goal = inserted.rows[0];
+  await linkGoal(database, { ...key, onchainGoalId: chainGoal.goalId, goalId: goal.id, source });
+  return goal;
+}
+
+/**
+ * Link the goal announced by a GoalCreated event
+ * @param {Object} event - Indexed event ({ chainId, contractAddress, userAddress, goalId, args })
+ * @param {Object} token - Deposit token, for formatting the target
+ * @returns {Promise<string>} existing, linked, created or unmatched (no user for the wallet)
+ */
+async function linkGoalFromEvent(client, event, token) {
+  const key = {
+    chainId: event.chainId,
+    contractAddress: event.contractAddress,
+    walletAddress: event.userAddress,
+    onchainGoalId: event.goalId,
+  };
+
+  if (await findLinkedGoal(client, key)) {
+    return 'existing';
+  }
+
+  const pending = await client.query(
+    `SELECT id FROM onchain_goal_links
+     WHERE chain_id = $1 AND contract_address = $2 AND wallet_address = $3
+       AND onchain_goal_id IS NULL AND pending_name = $4 AND pending_target = $5
+     ORDER BY created_at ASC
+     LIMIT 1
+     FOR UPDATE`,
+    [...linkKey(key).slice(0, 3), event.args.name, String(event.args.target)]
+  );
+
+  if (pending.rows.length > 0) {
+    await client.query(
+      `UPDATE onchain_goal_links
+       SET onchain_goal_id = $1, linked_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [Number(event.goalId), pending.rows[0].id]
+    );
+    return 'linked';
+  }
+
+  const user = await client.query(
+    'SELECT id FROM users WHERE LOWER(wallet_address) = $1',
+    [key.walletAddress.toLowerCase()]
+  );
+
+  if (user.rows.length === 0) {
+    return 'unmatched';
+  }
+
+  await createGoalFromChain(client, user.rows[0].id, {
+    goalId: Number(event.goalId),
+    name: event.args.name,
+    targetAmount: formatTokenAmount(BigInt(event.args.target), token),
+    currentAmount: '0',
+    createdAt: Math.floor(Date.now() / 1000),
+    completed: false,
+  }, key, 'event');
+
+  return 'created';
+}
+
+/**
+ * Link every GoalCreated event in an indexed batch, one transaction each
+ * @returns {Promise<Object>} Count per outcome
+ */
+async function linkGoalsFromEvents(events, token, database = db) {
+  const summary = { existing: 0, linked: 0, created: 0, unmatched: 0 };
+
+  for (const event of events.filter(item => item.eventName === 'GoalCreated')) {
+    const client = await database.getClient();
+    try {
+      await client.query('BEGIN');
+      summary[await linkGoalFromEvent(client, event, token)] += 1;
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Undo the links of the goals a StackSave deployment announced (GoalCreated)
+ * after `afterBlock`. Each link goes back to pending with the event's name
+ * and target, so the DB goal is linked again rather than duplicated if the
+ * event is re-indexed. Must run before the events are removed from
+ * chain_events.
+ * @param {Object} client - pg client inside the indexer's rollback transaction
+ * @param {Object} params - { chainId, contractAddress, afterBlock }
+ * @returns {Promise<number>} Links undone
+ */
+async function unlinkGoals(client, { chainId, contractAddress, afterBlock }) {
+  const events = await client.query(
+    `SELECT user_address, goal_id, args FROM chain_events
+     WHERE chain_id = $1 AND contract_address = $2 AND block_number > $3 AND event_name = 'GoalCreated'`,
+    [chainId, contractAddress.toLowerCase(), afterBlock]
+  );
+
+  let unlinked = 0;
+  for (const event of events.rows) {
+    const args = typeof event.args === 'string' ? JSON.parse(event.args) : event.args;
+    const result = await client.query(
+      `UPDATE onchain_goal_links
+       SET onchain_goal_id = NULL, linked_at = NULL, pending_name = $5, pending_target = $6
+       WHERE chain_id = $1 AND contract_address = $2 AND wallet_address = $3 AND onchain_goal_id = $4`,
+      [
+        ...linkKey({ chainId, contractAddress, walletAddress: event.user_address, onchainGoalId: event.goal_id }),
+        args.name,
+        String(args.target),
+      ]
+    );
+    unlinked += result.rowCount;
+  }
+
+  return unlinked;
+}
+
+module.exports = {
+  findLinkedGoal,
+  findGoalLink,
+  linkGoal,
+  requestGoalLink,
+  createGoalFromChain,
+  linkGoalFromEvent,
+  linkGoalsFromEvents,
+  unlinkGoals,
+};
@@ -0,0 +1,337 @@
+const { getClient } = require('../config/db');
+
+/**
+ * Shared goals: members, roles and invitations
+ *
+ * A goal's creator (savings_goals.user_id) is always an owner. Anyone else
+ * joins through an invitation to their wallet address and is listed in
+ * goal_members with a role:
+ *   - owner: update or delete the goal and manage members and invitations
+ *   - contributor: deposit into the goal (and withdraw what they put in)
+ *   - viewer: read the goal, its plan, milestones and contributions
+ *
+ * Nobody, the creator included, can take out what other members put in.
+ *
+ * Contributions are attributed through the user_id of each deposit,
+ * withdrawal and transfer, so deposits count toward the depositor's own
+ * balance and streak.
+ */
+
+const GOAL_ROLES = ['owner', 'contributor', 'viewer'];
+
+function membershipError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Role of a user on a goal
+ * @param {Object} database - { query }
+ * @returns {Promise<string|null>} owner, contributor, viewer, or null when
+ *   the goal does not exist or is not shared with the user
+ */
+async function getGoalRole(database, goalId, userId) {
+  const result = await database.query(
+    `SELECT g.user_id, m.role
+     FROM savings_goals g
+     LEFT JOIN goal_members m ON m.goal_id = g.id AND m.user_id = $2
+     WHERE g.id = $1`,
+    [goalId, userId]
+  );
+  const row = result.rows[0];
+
+  if (!row) return null;
+  if (row.user_id === userId) return 'owner';
+  return row.role || null;
+}
+
+function canContribute(role) {
+  return role === 'owner' || role === 'contributor';
+}
+
+function formatInvitation(row) {
+  return {
+    id: row.id,
+    goalId: row.goal_id,
+    goalTitle: row.goal_title,
+    walletAddress: row.wallet_address,
+    role: row.role,
+    invitedBy: row.invited_by,
+    status: row.status,
+    respondedAt: row.responded_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Creator and members of a goal, creator first
+ * @returns {Promise<Array>} { userId, walletAddress, role, isCreator, joinedAt }
+ */
+async function listMembers(database, goalId) {
+  const result = await database.query(
+    `SELECT g.user_id, u.wallet_address, 'owner' AS role, true AS is_creator, g.created_at AS joined_at
+     FROM savings_goals g
+     JOIN users u ON u.id = g.user_id
+     WHERE g.id = $1
+     UNION ALL
+     SELECT m.user_id, u.wallet_address, m.role, false AS is_creator, m.joined_at
+     FROM goal_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.goal_id = $1`,
+    [goalId]
+  );
+
+  return result.rows
+    .map(row => ({
+      userId: row.user_id,
+      walletAddress: row.wallet_address,
+      role: row.role,
+      isCreator: row.is_creator,
+      joinedAt: row.joined_at,
+    }))
+    .sort((a, b) => (b.isCreator - a.isCreator) || (new Date(a.joinedAt) - new Date(b.joinedAt)));
+}
+
+/**
+ * Invite a wallet to a goal
+ * @param {Object} database - { query }
+ * @param {Object} params - { goalId, walletAddress, role, invitedBy }
+ * @returns {Promise<Object>} goal_invitations row
+ * @throws {Error} status 409 when the wallet is already a member or invited
+ */
+async function inviteMember(database, { goalId, walletAddress, role, invitedBy }) {
+  const wallet = walletAddress.toLowerCase();
+
+  const members = await listMembers(database, goalId);
+  if (members.some(member => member.walletAddress.toLowerCase() === wallet)) {
+    throw membershipError('Wallet is already a member of this goal', 409);
+  }
+
+  const pending = await database.query(
+    "SELECT id FROM goal_invitations WHERE goal_id = $1 AND wallet_address = $2 AND status = 'pending'",
+    [goalId, wallet]
+  );
+  if (pending.rows.length > 0) {
+    throw membershipError('Wallet already has a pending invitation to this goal', 409);
+  }
+
+  const result = await database.query(
+    `INSERT INTO goal_invitations (goal_id, wallet_address, role, invited_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [goalId, wallet, role, invitedBy]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Accept or decline an invitation addressed to the user's wallet
+ * @param {Object} params - { invitationId, userId, walletAddress, accept }
+ * @returns {Promise<Object>} Updated goal_invitations row
+ * @throws {Error} status 404 when there is no such pending invitation
+ */
+async function respondToInvitation({ invitationId, userId, walletAddress, accept }) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM goal_invitations
+       WHERE id = $1 AND wallet_address = $2 AND status = 'pending'
+       FOR UPDATE`,
+      [invitationId, walletAddress.toLowerCase()]
+    );
+    const invitation = result.rows[0];
+
+    if (!invitation) {
+      throw membershipError('Invitation not found', 404);
+    }
+
+    if (accept) {
+      await client.query(
+        `INSERT INTO goal_members (goal_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (goal_id, user_id) DO NOTHING`,
+        [invitation.goal_id, userId, invitation.role, invitation.invited_by]
+      );
+    }
+
+    const updated = await client.query(
+      `UPDATE goal_invitations SET status = $2, responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [invitationId, accept ? 'accepted' : 'declined']
+    );
+
+    await client.query('COMMIT');
+    return updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change a member's role (the creator always stays owner)
+ * @returns {Promise<Object>} goal_members row
+ * @throws {Error} status 404 / 409
+ */
+async function updateMemberRole(database, goalId, memberId, role) {
+  const result = await database.query(
+    'UPDATE goal_members SET role = $3 WHERE goal_id = $1 AND user_id = $2 RETURNING *',
+    [goalId, memberId, role]
+  );
+
+  if (result.rows.length === 0) {
+    const goal = await database.query('SELECT user_id FROM savings_goals WHERE id = $1', [goalId]);
+    throw goal.rows[0] && goal.rows[0].user_id === memberId
+      ? membershipError("The goal creator's role cannot be changed", 409)
+      : membershipError('Member not found', 404);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Remove a member; their past contributions stay attributed to them
+ * @throws {Error} status 404 / 409
+ */
+async function removeMember(database, goalId, memberId) {
+  const result = await database.query(
+    'DELETE FROM goal_members WHERE goal_id = $1 AND user_id = $2 RETURNING *',
+    [goalId, memberId]
+  );
+
+  if (result.rows.length === 0) {
+    const goal = await database.query('SELECT user_id FROM savings_goals WHERE id = $1', [goalId]);
+    throw goal.rows[0] && goal.rows[0].user_id === memberId
+      ? membershipError('The goal creator cannot be removed', 409)
+      : membershipError('Member not found', 404);
+  }
+}
+
+/**
+ * What each member (current or former) put into a goal
+ * @param {Object} database - { query }
+ * @param {string} [userId] - Only this user
+ * @returns {Promise<Map>} user id -> { deposited, withdrawn, transferredIn,
+ *   transferredOut, contributed, depositCount, lastDepositAt }
+ */
+async function loadContributions(database, goalId, userId = null) {
+  const userFilter = userId ? ' AND user_id = $2' : '';
+  const sum = (rows) => new Map(rows.map(row => [row.user_id, parseFloat(row.total)]));
+  const params = userId ? [goalId, userId] : [goalId];
+
+  // One after the other: database may be a client inside a transaction
+  const deposits = await database.query(
+    `SELECT user_id, SUM(amount) AS total, COUNT(*) AS count, MAX(deposit_date) AS last_deposit_at
+     FROM deposits
+     WHERE goal_id = $1 AND status = 'confirmed'${userFilter}
+     GROUP BY user_id`,
+    params
+  );
+  const withdrawals = await database.query(
+    `SELECT user_id, SUM(amount) AS total
+     FROM transactions
+     WHERE goal_id = $1 AND type = 'withdrawal' AND status = 'confirmed'${userFilter}
+     GROUP BY user_id`,
+    params
+  );
+  const transfersIn = await database.query(
+    `SELECT user_id, SUM(amount) AS total
+     FROM transactions
+     WHERE goal_id = $1 AND type = 'transfer' AND status = 'confirmed'${userFilter}
+     GROUP BY user_id`,
+    params
+  );
+  const transfersOut = await database.query(
+    `SELECT user_id, SUM(amount) AS total
+     FROM transactions
+     WHERE from_goal_id = $1 AND type = 'transfer' AND status = 'confirmed'${userFilter}
+     GROUP BY user_id`,
+    params
+  );
+
+  const contributions = new Map();
+  const entry = (id) => {
+    if (!contributions.has(id)) {
+      contributions.set(id, {
+        deposited: 0,
+        withdrawn: 0,
+        transferredIn: 0,
+        transferredOut: 0,
+        contributed: 0,
+        depositCount: 0,
+        lastDepositAt: null,
+      });
+    }
+    return contributions.get(id);
+  };
+
+  for (const row of deposits.rows) {
+    const contribution = entry(row.user_id);
+    contribution.deposited = parseFloat(row.total);
+    contribution.depositCount = parseInt(row.count, 10);
+    contribution.lastDepositAt = row.last_deposit_at;
+  }
+  for (const [id, total] of sum(withdrawals.rows)) {
+    entry(id).withdrawn = total;
+  }
+  for (const [id, total] of sum(transfersIn.rows)) {
+    entry(id).transferredIn = total;
+  }
+  for (const [id, total] of sum(transfersOut.rows)) {
+    entry(id).transferredOut = total;
+  }
+  for (const contribution of contributions.values()) {
+    const { deposited, withdrawn, transferredIn, transferredOut } = contribution;
+    contribution.contributed = Number((deposited - withdrawn + transferredIn - transferredOut).toFixed(6));
+  }
+
+  return contributions;
+}
+
+/**
+ * How much of a goal's saved amount a user may take out (withdraw or
+ * transfer away): members their own net contribution, the creator the rest
+ * of the saved amount once every other member's contribution is set aside
+ * @param {Object} database - { query }
+ * @param {Object} goal - savings_goals row (id, user_id, current_amount)
+ * @returns {Promise<number>}
+ */
+async function getWithdrawableAmount(database, goal, userId) {
+  const contributions = await loadContributions(database, goal.id);
+  const current = parseFloat(goal.current_amount);
+  let available;
+
+  if (goal.user_id === userId) {
+    let othersShare = 0;
+    for (const [memberId, contribution] of contributions) {
+      if (memberId !== userId) othersShare += Math.max(0, contribution.contributed);
+    }
+    available = current - othersShare;
+  } else {
+    const own = contributions.get(userId);
+    available = Math.min(current, own ? own.contributed : 0);
+  }
+
+  return Number(Math.max(0, available).toFixed(6));
+}
+
+module.exports = {
+  GOAL_ROLES,
+  getGoalRole,
+  canContribute,
+  formatInvitation,
+  listMembers,
+  inviteMember,
+  respondToInvitation,
+  updateMemberRole,
+  removeMember,
+  loadContributions,
+  getWithdrawableAmount,
+};
@@ -0,0 +1,141 @@
+/**
+ * Goal contribution planner
+ *
+ * Spreads a goal's target evenly over its start and end dates in periods of
+ * its frequency (weekly, or monthly as an average month of 365.25 / 12 days;
+ * goals without a frequency are planned monthly) and compares the saved
+ * amount with where a linear plan would be today:
+ *   - ahead / behind: more than half a period's planned contribution above
+ *     or below the expected amount, on_track otherwise
+ *   - impossible: the end date has passed (or no time is left) without
+ *     reaching the target
+ * Reaching the target counts as ahead.
+ *
+ * The projected completion date extrapolates the pace of the goal's
+ * confirmed deposits since the goal started.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_MS = {
+  weekly: 7 * DAY_MS,
+  monthly: (365.25 / 12) * DAY_MS,
+};
+
+// Share of one period's planned contribution that still counts as on track
+const ON_TRACK_TOLERANCE_PERIODS = 0.5;
+
+function roundAmount(value) {
+  return Number(value.toFixed(6));
+}
+
+/**
+ * Deposit history per goal (from every member of shared goals)
+ * @param {Object} database - { query }
+ * @param {Object} scope - { goalId } for one goal, or { userId } for every
+ *   goal the user owns or is a member of
+ * @returns {Promise<Map>} goal id -> { total, count, firstDepositAt, lastDepositAt }
+ */
+async function loadDepositSummaries(database, { userId, goalId }) {
+  const goalFilter = goalId
+    ? 'goal_id = $1'
+    : `goal_id IN (SELECT id FROM savings_goals WHERE user_id = $1
+                   UNION SELECT goal_id FROM goal_members WHERE user_id = $1)`;
+
+  const result = await database.query(
+    `SELECT goal_id, SUM(amount) AS total, COUNT(*) AS count,
+            MIN(deposit_date) AS first_deposit_at, MAX(deposit_date) AS last_deposit_at
+     FROM deposits
+     WHERE status = 'confirmed' AND ${goalFilter}
+     GROUP BY goal_id`,
+    [goalId || userId]
+  );
+
+  return new Map(result.rows.map(row => [row.goal_id, {
+    total: parseFloat(row.total),
+    count: parseInt(row.count, 10),
+    firstDepositAt: new Date(row.first_deposit_at),
+    lastDepositAt: new Date(row.last_deposit_at),
+  }]));
+}
+
+/**
+ * Contribution plan and status of one goal
+ * @param {Object} goal - savings_goals row
+ * @param {Object} [deposits] - Summary from loadDepositSummaries (none yet when omitted)
+ * @param {Date} [now]
+ * @returns {Object} Plan
+ */
+function planGoal(goal, deposits = null, now = new Date()) {
+  const frequency = goal.frequency || 'monthly';
+  const periodMs = PERIOD_MS[frequency];
+
+  const target = parseFloat(goal.target_amount);
+  const actual = parseFloat(goal.current_amount || 0);
+  const remaining = Math.max(0, target - actual);
+
+  const start = new Date(goal.start_date).getTime();
+  const end = new Date(goal.end_date).getTime();
+  const current = now.getTime();
+
+  const totalPeriods = Math.max(1, Math.ceil((end - start) / periodMs));
+  const periodsElapsed = Math.min(totalPeriods, Math.max(0, Math.floor((current - start) / periodMs)));
+  const periodsRemaining = current >= end ? 0 : Math.max(1, Math.ceil((end - Math.max(current, start)) / periodMs));
+
+  const plannedPerPeriod = target / totalPeriods;
+  const elapsedShare = Math.min(1, Math.max(0, (current - start) / (end - start)));
+  const expected = target * elapsedShare;
+  const difference = actual - expected;
+
+  let status;
+  if (remaining === 0) {
+    status = 'ahead';
+  } else if (periodsRemaining === 0) {
+    status = 'impossible';
+  } else if (difference > plannedPerPeriod * ON_TRACK_TOLERANCE_PERIODS) {
+    status = 'ahead';
+  } else if (difference < -plannedPerPeriod * ON_TRACK_TOLERANCE_PERIODS) {
+    status = 'behind';
+  } else {
+    status = 'on_track';
+  }
+
+  // Pace of confirmed deposits since the goal started (at least one day)
+  let averageDailyDeposit = null;
+  let projectedCompletionDate = null;
+
+  if (deposits && deposits.total > 0) {
+    const since = Math.min(start, deposits.firstDepositAt.getTime());
+    averageDailyDeposit = deposits.total / Math.max(1, (current - since) / DAY_MS);
+  }
+
+  if (remaining === 0) {
+    projectedCompletionDate = deposits ? deposits.lastDepositAt : now;
+  } else if (averageDailyDeposit) {
+    projectedCompletionDate = new Date(current + (remaining / averageDailyDeposit) * DAY_MS);
+  }
+
+  return {
+    frequency,
+    totalPeriods,
+    periodsElapsed,
+    periodsRemaining,
+    plannedPerPeriod: roundAmount(plannedPerPeriod),
+    // What each remaining period needs from now on to finish on time
+    requiredPerPeriod: periodsRemaining > 0 ? roundAmount(remaining / periodsRemaining) : null,
+    expectedAmount: roundAmount(expected),
+    actualAmount: roundAmount(actual),
+    difference: roundAmount(difference),
+    remainingAmount: roundAmount(remaining),
+    status,
+    depositCount: deposits ? deposits.count : 0,
+    averageDailyDeposit: averageDailyDeposit === null ? null : roundAmount(averageDailyDeposit),
+    projectedCompletionDate,
+    completesOnTime: projectedCompletionDate ? projectedCompletionDate.getTime() <= end : false,
+  };
+}
+
+module.exports = {
+  loadDepositSummaries,
+  planGoal,
+};
@@ -0,0 +1,456 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const path = require('path');
+const fs = require('fs');
+const db = require('../config/db');
+const { getConfiguredNetworks, findNetworksByChainId, resolveNetwork } = require('../config/networks');
+const { getBlockchainService } = require('./blockchain');
+const { linkGoalsFromEvents, unlinkGoals } = require('./goalLinks');
+const { reverseClaims } = require('./interestTracker');
+
+/**
+ * Event indexer for the StackSaveSimple contract
+ *
+ * Reads logs in block ranges up to `head - confirmations`, stores decoded
+ * events in `chain_events` and keeps a checkpoint so restarts resume where
+ * they stopped. The hash of every processed range end is remembered; if the
+ * chain no longer agrees with it, events past the last agreeing block are
+ * deleted and re-indexed (reorg rollback); interest claims credited from those
+ * events are reversed with them.
+ *
+ * The provider and database are injectable, so the indexer can be driven
+ * against a local JSON-RPC stand-in and a scratch database.
+ *
+ * Emits:
+ *  - 'events' (events[]) after a range is committed
+ *  - 'reorg' ({ fromBlock, toBlock }) after a rollback
+ *  - 'error' (error) when a polling run fails
+ */
+
+const stackSaveABI = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../../abi/StackSaveSimple.json'), 'utf8')
+);
+
+const INDEXED_EVENTS = ['Deposited', 'Withdrawn', 'GoalCreated', 'InterestClaimed', 'StreakUpdated'];
+
+// How many range-end block hashes to keep for reorg detection
+const BLOCK_HASH_HISTORY = 256;
+
+/**
+ * Convert decoded args into JSON-safe values (bigints as strings)
+ */
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, index) => {
+    const value = args[index];
+    result[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return result;
+}
+
+class EventIndexer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Checkpoint name (one per contract/chain)
+   * @param {ethers.Provider} [options.provider] - Defaults to a JsonRpcProvider on rpcUrl
+   * @param {string} [options.rpcUrl] - RPC endpoint when no provider is given
+   * @param {number} options.chainId
+   * @param {string} options.contractAddress
+   * @param {number} [options.startBlock] - First block to index when no checkpoint exists
+   * @param {number} [options.confirmations] - Blocks to wait before indexing
+   * @param {number} [options.batchSize] - Max blocks per getLogs call
+   * @param {number} [options.pollInterval] - ms between runs when started
+   * @param {Object} [options.db] - { query, getClient } (defaults to src/config/db)
+   */
+  constructor(options) {
+    super();
+    this.name = options.name;
+    this.chainId = Number(options.chainId);
+    this.contractAddress = ethers.getAddress(options.contractAddress);
+    this.provider = options.provider
+      || new ethers.JsonRpcProvider(options.rpcUrl, this.chainId, { staticNetwork: true });
+    this.startBlock = options.startBlock || 0;
+    this.confirmations = options.confirmations ?? 3;
+    this.batchSize = options.batchSize || 2000;
+    this.pollInterval = options.pollInterval || 15000;
+    this.db = options.db || db;
+
+    this.interface = new ethers.Interface(stackSaveABI);
+    this.topics = INDEXED_EVENTS.map(eventName => this.interface.getEvent(eventName).topicHash);
+
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Load the checkpoint (just before startBlock when nothing is indexed yet)
+   */
+  async getCheckpoint() {
+    const result = await this.db.query(
+      'SELECT * FROM indexer_checkpoints WHERE name = $1',
+      [this.name]
+    );
+
+    if (result.rows.length > 0) {
+      return {
+        lastBlock: Number(result.rows[0].last_block),
+        lastBlockHash: result.rows[0].last_block_hash,
+      };
+    }
+
+    return { lastBlock: this.startBlock - 1, lastBlockHash: null };
+  }
+
+  /**
+   * Detect a reorg at or below the checkpoint and roll back to the newest
+   * block whose stored hash still matches the chain
+   * @returns {Promise<Object>} The (possibly rewound) checkpoint
+   */
+  async reconcileReorg(checkpoint) {
+    if (!checkpoint.lastBlockHash) {
+      return checkpoint;
+    }
+
+    const block = await this.provider.getBlock(checkpoint.lastBlock);
+    if (block && block.hash === checkpoint.lastBlockHash) {
+      return checkpoint;
+    }
+
+    const stored = await this.db.query(
+      `SELECT block_number, block_hash FROM indexer_block_hashes
+       WHERE indexer_name = $1 AND block_number < $2
+       ORDER BY block_number DESC`,
+      [this.name, checkpoint.lastBlock]
+    );
+
+    let ancestor = { lastBlock: this.startBlock - 1, lastBlockHash: null };
+    for (const row of stored.rows) {
+      const candidate = await this.provider.getBlock(Number(row.block_number));
+      if (candidate && candidate.hash === row.block_hash) {
+        ancestor = { lastBlock: Number(row.block_number), lastBlockHash: row.block_hash };
+        break;
+      }
+    }
+
+    const client = await this.db.getClient();
+    try {
+      await client.query('BEGIN');
+      const reversedClaims = await reverseClaims(client, {
+        chainId: this.chainId,
+        contractAddress: this.contractAddress,
+        afterBlock: ancestor.lastBlock,
+      });
+      if (reversedClaims > 0) {
+        console.warn(`⚠️  Reversed ${reversedClaims} interest claim(s) from blocks after ${ancestor.lastBlock}`);
+      }
+      const unlinkedGoals = await unlinkGoals(client, {
+        chainId: this.chainId,
+        contractAddress: this.contractAddress,
+        afterBlock: ancestor.lastBlock,
+      });
+      if (unlinkedGoals > 0) {
+        console.warn(`⚠️  Unlinked ${unlinkedGoals} goal(s) created in blocks after ${ancestor.lastBlock}`);
+      }
+      await client.query(
+        'DELETE FROM chain_events WHERE chain_id = $1 AND contract_address = $2 AND block_number > $3',
+        [this.chainId, this.contractAddress.toLowerCase(), ancestor.lastBlock]
+      );
+      await client.query(
+        'DELETE FROM indexer_block_hashes WHERE indexer_name = $1 AND block_number > $2',
+        [this.name, ancestor.lastBlock]
+      );
+      await this.saveCheckpoint(client, ancestor.lastBlock, ancestor.lastBlockHash);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.warn(`⚠️  Reorg detected by ${this.name}: rolled back to block ${ancestor.lastBlock}`);
+    this.emit('reorg', { fromBlock: ancestor.lastBlock + 1, toBlock: checkpoint.lastBlock });
+
+    return ancestor;
+  }
+
+  async saveCheckpoint(client, lastBlock, lastBlockHash) {
+    await client.query(
+      `INSERT INTO indexer_checkpoints (name, chain_id, contract_address, last_block, last_block_hash)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (name)
+       DO UPDATE SET
+         last_block = EXCLUDED.last_block,
+         last_block_hash = EXCLUDED.last_block_hash,
+         updated_at = CURRENT_TIMESTAMP`,
+      [this.name, this.chainId, this.contractAddress.toLowerCase(), lastBlock, lastBlockHash]
+    );
+  }
+
+  /**
+   * Decode raw logs into event records
+   */
+  decodeLogs(logs) {
+    const events = [];
+
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = this.interface.parseLog({ topics: log.topics, data: log.data });
+      } catch (error) {
+        continue;
+      }
+      if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) continue;
+
+      const args = serializeArgs(parsed.fragment, parsed.args);
+
+      events.push({
+        chainId: this.chainId,
+        contractAddress: this.contractAddress.toLowerCase(),
+        blockNumber: Number(log.blockNumber),
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: Number(log.index ?? log.logIndex),
+        eventName: parsed.name,
+        userAddress: args.user ? args.user.toLowerCase() : null,
+        goalId: args.goalId !== undefined ? args.goalId : null,
+        amount: args.amount ?? args.target ?? null,
+        args,
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Index one block range and advance the checkpoint atomically
+   */
+  async processRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.contractAddress,
+      fromBlock,
+      toBlock,
+      topics: [this.topics],
+    });
+
+    const events = this.decodeLogs(logs);
+    const endBlock = await this.provider.getBlock(toBlock);
+    if (!endBlock) {
+      throw new Error(`Block ${toBlock} not found`);
+    }
+
+    const client = await this.db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      for (const event of events) {
+        await client.query(
+          `INSERT INTO chain_events
+           (chain_id, contract_address, block_number, block_hash, transaction_hash, log_index,
+            event_name, user_address, goal_id, amount, args)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           ON CONFLICT (chain_id, transaction_hash, log_index) DO NOTHING`,
+          [
+            event.chainId,
+            event.contractAddress,
+            event.blockNumber,
+            event.blockHash,
+            event.transactionHash,
+            event.logIndex,
+            event.eventName,
+            event.userAddress,
+            event.goalId,
+            event.amount,
+            JSON.stringify(event.args),
+          ]
+        );
+      }
+
+      await this.saveCheckpoint(client, toBlock, endBlock.hash);
+      await client.query(
+        `INSERT INTO indexer_block_hashes (indexer_name, block_number, block_hash)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (indexer_name, block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash`,
+        [this.name, toBlock, endBlock.hash]
+      );
+      await client.query(
+        `DELETE FROM indexer_block_hashes
+         WHERE indexer_name = $1 AND block_number NOT IN (
+           SELECT block_number FROM indexer_block_hashes
+           WHERE indexer_name = $1
+           ORDER BY block_number DESC
+           LIMIT $2
+         )`,
+        [this.name, BLOCK_HASH_HISTORY]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (events.length > 0) {
+      this.emit('events', events);
+    }
+
+    return events;
+  }
+
+  /**
+   * Index everything that is confirmed but not yet indexed
+   * @returns {Promise<Object>} { fromBlock, toBlock, events } for this run
+   */
+  async runOnce() {
+    let checkpoint = await this.getCheckpoint();
+    checkpoint = await this.reconcileReorg(checkpoint);
+
+    const head = await this.provider.getBlockNumber();
+    const safeBlock = head - this.confirmations;
+    const firstBlock = checkpoint.lastBlock + 1;
+
+    let eventCount = 0;
+    let fromBlock = firstBlock;
+
+    while (fromBlock <= safeBlock) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, safeBlock);
+      const events = await this.processRange(fromBlock, toBlock);
+      eventCount += events.length;
+      fromBlock = toBlock + 1;
+    }
+
+    this.lastRun = new Date();
+    this.lastError = null;
+
+    return {
+      fromBlock: firstBlock,
+      toBlock: Math.max(firstBlock - 1, safeBlock),
+      head,
+      events: eventCount,
+    };
+  }
+
+  /**
+   * Poll in the background until stop() is called
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.lastError = error.message;
+        console.error(`Indexer ${this.name} error:`, error);
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      }
+
+      if (this.running) {
+        this.timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async getStatus() {
+    const checkpoint = await this.getCheckpoint();
+    return {
+      name: this.name,
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      running: this.running,
+      lastIndexedBlock: checkpoint.lastBlock,
+      confirmations: this.confirmations,
+      lastRun: this.lastRun,
+      lastError: this.lastError,
+    };
+  }
+}
+
+const eventIndexers = new Map();
+
+/**
+ * Checkpoint name for a deployment; the first one on a chain keeps the
+ * original `stacksave-<chainId>` name so existing checkpoints carry over
+ */
+function indexerName(network) {
+  const first = findNetworksByChainId(network.chainId)[0];
+  return first.name === network.name
+    ? `stacksave-${network.chainId}`
+    : `stacksave-${network.chainId}-${network.name}`;
+}
+
+/**
+ * Indexer for a configured StackSave deployment
+ * @param {string|number} [selector] - Network name or chain id (default network when omitted)
+ */
+function getEventIndexer(selector) {
+  const network = resolveNetwork(selector);
+
+  if (!eventIndexers.has(network.name)) {
+    const blockchainService = getBlockchainService(network.name);
+    const eventIndexer = new EventIndexer({
+      name: indexerName(network),
+      // Share the failover provider (and its health stats) with BlockchainService
+      provider: blockchainService.provider,
+      chainId: network.chainId,
+      contractAddress: network.stackSaveAddress,
+      startBlock: network.startBlock,
+      confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '3', 10),
+      batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000', 10),
+      pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000', 10),
+    });
+
+    // Cached reads for wallets that just had on-chain activity are stale
+    eventIndexer.on('events', (events) => {
+      const addresses = new Set(events.map(event => event.userAddress).filter(Boolean));
+      addresses.forEach((address) => {
+        blockchainService.invalidateAddress(address)
+          .catch(error => console.error('Read cache invalidation error:', error));
+      });
+    });
+
+    // Link new on-chain goals to their DB goals
+    eventIndexer.on('events', (events) => {
+      if (!events.some(event => event.eventName === 'GoalCreated')) return;
+
+      blockchainService.getDepositToken()
+        .then(token => linkGoalsFromEvents(events, token))
+        .catch(error => console.error('Goal link error:', error));
+    });
+
+    eventIndexers.set(network.name, eventIndexer);
+  }
+
+  return eventIndexers.get(network.name);
+}
+
+/**
+ * One indexer per configured network
+ */
+function getEventIndexers() {
+  return getConfiguredNetworks().map(network => getEventIndexer(network.name));
+}
+
+module.exports = {
+  EventIndexer,
+  getEventIndexer,
+  getEventIndexers,
+  INDEXED_EVENTS,
+};
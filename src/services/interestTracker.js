@@ -0,0 +1,339 @@
+const db = require('../config/db');
+const {
+  getConfiguredNetworks,
+  getDefaultNetwork,
+  findNetwork,
+  findNetworksByChainId,
+  resolveNetwork,
+} = require('../config/networks');
+const { getBlockchainService } = require('./blockchain');
+const { formatTokenAmount } = require('./erc20');
+const { recordEarnings, reverseEarnings } = require('./earnings');
+
+/**
+ * Interest claim tracking and pending-interest snapshots
+ *
+ * Each run credits the `InterestClaimed` events the indexer stored in
+ * chain_events: the claim is recorded in interest_claims (once per log) and,
+ * for wallets with an account, booked as an `earnings` transaction on the
+ * day of the claim's block. Claims for unknown wallets are recorded without a
+ * user so they are not scanned again.
+ *
+ * When the indexer rolls back a reorg, claims from the dropped blocks are
+ * reversed (reverseClaims) in the same transaction; the claims that are
+ * re-indexed on the new chain are then credited again.
+ *
+ * Every `snapshotInterval` the tracker also reads `pendingInterest` for every
+ * user (on the network they last signed in on, pinned to one block per
+ * network) into interest_snapshots, which backs the accrued-interest history.
+ */
+
+/**
+ * Reverse the claims a StackSave deployment emitted after `afterBlock`: their
+ * earnings are taken back out of balances and daily_growth and the claims are
+ * deleted, so they are credited again if the events are re-indexed. Must run
+ * before the events are removed from chain_events.
+ * @param {Object} client - pg client inside the indexer's rollback transaction
+ * @param {Object} params - { chainId, contractAddress, afterBlock }
+ * @returns {Promise<number>} Claims reversed
+ */
+async function reverseClaims(client, { chainId, contractAddress, afterBlock }) {
+  const claims = await client.query(
+    `SELECT ic.id, ic.claimed_at, t.id AS transaction_id, t.user_id, t.amount
+     FROM interest_claims ic
+     JOIN chain_events ce
+       ON ce.chain_id = ic.chain_id
+      AND ce.transaction_hash = ic.transaction_hash
+      AND ce.log_index = ic.log_index
+     LEFT JOIN transactions t ON t.id = ic.transaction_id
+     WHERE ce.chain_id = $1 AND ce.contract_address = $2 AND ce.block_number > $3
+     ORDER BY ce.block_number DESC, ce.log_index DESC`,
+    [chainId, contractAddress.toLowerCase(), afterBlock]
+  );
+
+  for (const claim of claims.rows) {
+    if (claim.transaction_id) {
+      await reverseEarnings(
+        client,
+        { id: claim.transaction_id, user_id: claim.user_id, amount: claim.amount },
+        new Date(claim.claimed_at).toISOString().split('T')[0]
+      );
+    }
+    await client.query('DELETE FROM interest_claims WHERE id = $1', [claim.id]);
+  }
+
+  return claims.rows.length;
+}
+
+class InterestTracker {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.getBlockchainService] - Network name -> BlockchainService
+   * @param {number} [options.pollInterval] - ms between runs when started
+   * @param {number} [options.snapshotInterval] - ms between pendingInterest snapshots
+   * @param {number} [options.batchSize] - Claims credited per run
+   * @param {Object} [options.db] - { query, getClient } (defaults to src/config/db)
+   */
+  constructor(options = {}) {
+    this.getBlockchainService = options.getBlockchainService || getBlockchainService;
+    this.pollInterval = options.pollInterval || 60000;
+    this.snapshotInterval = options.snapshotInterval || 60 * 60 * 1000;
+    this.batchSize = options.batchSize || 100;
+    this.db = options.db || db;
+
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Network of the deployment that emitted an event
+   */
+  networkForEvent(event) {
+    const deployment = findNetworksByChainId(event.chain_id)
+      .find(network => network.stackSaveAddress && network.stackSaveAddress.toLowerCase() === event.contract_address);
+    return deployment || resolveNetwork(event.chain_id);
+  }
+
+  /**
+   * Record one InterestClaimed event and book its earnings
+   * @returns {Promise<string>} credited, unmatched or skipped (already recorded)
+   */
+  async creditClaim(event) {
+    const blockchainService = this.getBlockchainService(this.networkForEvent(event).name);
+    const [token, block] = await Promise.all([
+      blockchainService.getDepositToken(),
+      blockchainService.provider.getBlock(Number(event.block_number)),
+    ]);
+
+    const amount = parseFloat(formatTokenAmount(BigInt(event.amount), token));
+    const claimedAt = new Date(block.timestamp * 1000);
+
+    const client = await this.db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const userResult = await client.query(
+        'SELECT id FROM users WHERE LOWER(wallet_address) = $1',
+        [event.user_address]
+      );
+      const user = userResult.rows[0] || null;
+
+      const claimResult = await client.query(
+        `INSERT INTO interest_claims
+         (chain_id, transaction_hash, log_index, user_id, wallet_address, amount, token_address, block_number, claimed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (chain_id, transaction_hash, log_index) DO NOTHING
+         RETURNING id`,
+        [
+          event.chain_id,
+          event.transaction_hash,
+          event.log_index,
+          user ? user.id : null,
+          event.user_address,
+          amount,
+          token.address,
+          event.block_number,
+          claimedAt,
+        ]
+      );
+
+      if (claimResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return 'skipped';
+      }
+
+      if (!user) {
+        await client.query('COMMIT');
+        return 'unmatched';
+      }
+
+      const transaction = await recordEarnings(client, {
+        userId: user.id,
+        amount,
+        description: 'Interest claimed',
+        transactionHash: event.transaction_hash,
+        chainId: event.chain_id,
+        tokenAddress: token.address,
+        date: claimedAt.toISOString().split('T')[0],
+      });
+
+      await client.query(
+        'UPDATE interest_claims SET transaction_id = $1 WHERE id = $2',
+        [transaction.id, claimResult.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+      return 'credited';
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Credit indexed claims that have not been recorded yet, oldest first
+   * @returns {Promise<Object>} Count per outcome
+   */
+  async creditClaims() {
+    const pending = await this.db.query(
+      `SELECT ce.* FROM chain_events ce
+       LEFT JOIN interest_claims ic
+         ON ic.chain_id = ce.chain_id
+        AND ic.transaction_hash = ce.transaction_hash
+        AND ic.log_index = ce.log_index
+       WHERE ce.event_name = 'InterestClaimed' AND ic.id IS NULL
+       ORDER BY ce.block_number ASC, ce.log_index ASC
+       LIMIT $1`,
+      [this.batchSize]
+    );
+
+    const summary = { credited: 0, unmatched: 0, skipped: 0, errors: 0 };
+
+    for (const event of pending.rows) {
+      try {
+        summary[await this.creditClaim(event)] += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`Interest claim error (${event.transaction_hash}:${event.log_index}):`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Whether a network's last snapshot is older than snapshotInterval
+   */
+  async snapshotDue(network) {
+    const result = await this.db.query(
+      'SELECT MAX(taken_at) AS last_taken_at FROM interest_snapshots WHERE chain_id = $1',
+      [network.chainId]
+    );
+    const last = result.rows[0].last_taken_at;
+    return !last || Date.now() - new Date(last).getTime() >= this.snapshotInterval;
+  }
+
+  /**
+   * Snapshot pendingInterest for the users of one network at a single block.
+   * Users belong to the network of their last sign-in chain (default network
+   * when unknown).
+   * @returns {Promise<number>} Snapshots stored
+   */
+  async snapshotNetwork(network) {
+    const blockchainService = this.getBlockchainService(network.name);
+    const users = await this.db.query('SELECT id, wallet_address, chain_id FROM users');
+    const members = users.rows.filter(user =>
+      (findNetwork(user.chain_id) || getDefaultNetwork()).name === network.name
+    );
+
+    if (members.length === 0) {
+      return 0;
+    }
+
+    const [blockNumber, token] = await Promise.all([
+      blockchainService.getBlockNumber(),
+      blockchainService.getDepositToken(),
+    ]);
+
+    let stored = 0;
+    for (const user of members) {
+      try {
+        const pendingInterest = await blockchainService.getPendingInterest(user.wallet_address, { blockTag: blockNumber });
+        await this.db.query(
+          `INSERT INTO interest_snapshots (user_id, chain_id, pending_interest, token_address, block_number)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [user.id, network.chainId, pendingInterest, token.address, blockNumber]
+        );
+        stored += 1;
+      } catch (error) {
+        console.error(`Interest snapshot error (${user.id}):`, error.message);
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * Snapshot every network that is due
+   * @param {Object} [options] - { force } snapshots regardless of the interval
+   * @returns {Promise<Object>} Network name -> snapshots stored
+   */
+  async takeSnapshots({ force = false } = {}) {
+    const taken = {};
+
+    for (const network of getConfiguredNetworks()) {
+      if (force || await this.snapshotDue(network)) {
+        taken[network.name] = await this.snapshotNetwork(network);
+      }
+    }
+
+    return taken;
+  }
+
+  /**
+   * Credit new claims, then snapshot networks that are due
+   */
+  async runOnce() {
+    const claims = await this.creditClaims();
+    const snapshots = await this.takeSnapshots();
+
+    this.lastRun = new Date();
+    this.lastError = null;
+
+    return { claims, snapshots };
+  }
+
+  /**
+   * Poll in the background until stop() is called
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.lastError = error.message;
+        console.error('Interest tracker error:', error);
+      }
+
+      if (this.running) {
+        this.timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+let interestTracker = null;
+
+function getInterestTracker() {
+  if (!interestTracker) {
+    interestTracker = new InterestTracker({
+      pollInterval: parseInt(process.env.INTEREST_TRACKER_INTERVAL_MS || '60000', 10),
+      snapshotInterval: parseInt(process.env.INTEREST_SNAPSHOT_INTERVAL_MS || String(60 * 60 * 1000), 10),
+    });
+  }
+  return interestTracker;
+}
+
+module.exports = {
+  InterestTracker,
+  getInterestTracker,
+  reverseClaims,
+};
@@ -0,0 +1,102 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Goal milestones
+ *
+ * Every change to a goal's current_amount (deposits, withdrawals, transfers,
+ * manual updates, chain sync) is followed by recordMilestones, which stores
+ * each of 25/50/75/100% of the target the goal has reached for the first
+ * time in goal_milestones. A milestone is reached once: dropping back below
+ * it (a withdrawal, a raised target) does not undo it or let it fire again.
+ *
+ * Recording happens inside the caller's transaction, so the caller announces
+ * the returned milestones after COMMIT with announceMilestones. Other
+ * subsystems listen on milestoneEvents:
+ *   - 'milestone' for every milestone reached
+ *   - 'completed' for the 100% milestone
+ * Both receive the formatted milestone.
+ */
+
+const MILESTONE_PERCENTS = [25, 50, 75, 100];
+
+const milestoneEvents = new EventEmitter();
+
+function formatMilestone(row) {
+  return {
+    id: row.id,
+    goalId: row.goal_id,
+    userId: row.user_id,
+    percent: row.percent,
+    amount: parseFloat(row.amount),
+    targetAmount: parseFloat(row.target_amount),
+    source: row.source,
+    reachedAt: row.reached_at,
+  };
+}
+
+/**
+ * Store the milestones a goal has newly reached
+ * @param {Object} database - { query } (a pg client inside the caller's transaction)
+ * @param {string} goalId
+ * @param {Object} options - { source: deposit, withdrawal, transfer, update or sync; now }
+ * @returns {Promise<Array>} goal_milestones rows added by this change
+ */
+async function recordMilestones(database, goalId, { source, now = new Date() }) {
+  const goalResult = await database.query(
+    'SELECT user_id, current_amount, target_amount FROM savings_goals WHERE id = $1',
+    [goalId]
+  );
+  const goal = goalResult.rows[0];
+
+  if (!goal) {
+    return [];
+  }
+
+  const current = parseFloat(goal.current_amount);
+  const target = parseFloat(goal.target_amount);
+  const existing = await database.query('SELECT percent FROM goal_milestones WHERE goal_id = $1', [goalId]);
+  const recorded = new Set(existing.rows.map(row => row.percent));
+  const reached = MILESTONE_PERCENTS.filter(percent =>
+    !recorded.has(percent) && current >= (target * percent) / 100
+  );
+  const added = [];
+
+  // A concurrent change may record the same milestone first
+  for (const percent of reached) {
+    const result = await database.query(
+      `INSERT INTO goal_milestones (goal_id, user_id, percent, amount, target_amount, source, reached_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (goal_id, percent) DO NOTHING
+       RETURNING *`,
+      [goalId, goal.user_id, percent, current, target, source, now]
+    );
+    added.push(...result.rows);
+  }
+
+  return added;
+}
+
+/**
+ * Emit milestone events for rows returned by recordMilestones (after COMMIT)
+ * @returns {Array} The formatted milestones
+ */
+function announceMilestones(rows = []) {
+  const milestones = rows.map(formatMilestone);
+
+  milestones.forEach((milestone) => {
+    milestoneEvents.emit('milestone', milestone);
+    if (milestone.percent === 100) {
+      milestoneEvents.emit('completed', milestone);
+    }
+  });
+
+  return milestones;
+}
+
+module.exports = {
+  MILESTONE_PERCENTS,
+  milestoneEvents,
+  formatMilestone,
+  recordMilestones,
+  announceMilestones,
+};
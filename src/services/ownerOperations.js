@@ -0,0 +1,419 @@
+const db = require('../config/db');
+const { findNetworksByChainId, resolveNetwork } = require('../config/networks');
+const { getBlockchainService } = require('./blockchain');
+const { encodeOwnerCall, buildOwnerTx } = require('./txBuilder');
+
+/**
+ * Multi-key sign-off for owner-only StackSave calls
+ *
+ * fundContract, emergencyWithdraw, updateTreasury and transferOwnership are
+ * proposed by one admin API key and need approvals from
+ * OWNER_OPS_REQUIRED_APPROVALS distinct operators (the proposer's counts;
+ * never fewer than 2) before the unsigned transaction is handed out. An
+ * operator is a root key (one created from the command line) together with
+ * every key minted under it through POST /api/admin/keys, so a key holder
+ * cannot mint a second approver for themselves. The calldata is
+ * encoded when the operation is proposed, so every approval covers exactly
+ * the call that will be signed by the owner wallet.
+ *
+ * Lifecycle: pending -> approved -> executed, or rejected by any key before
+ * execution. Each step is appended to owner_operation_audit.
+ */
+
+const MIN_REQUIRED_APPROVALS = 2;
+
+function requiredApprovals() {
+  const configured = parseInt(process.env.OWNER_OPS_REQUIRED_APPROVALS || String(MIN_REQUIRED_APPROVALS), 10);
+  return Math.max(MIN_REQUIRED_APPROVALS, Number.isInteger(configured) ? configured : MIN_REQUIRED_APPROVALS);
+}
+
+function statusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Network of the deployment an operation targets
+ */
+function networkFor(operation) {
+  const deployment = findNetworksByChainId(operation.chain_id)
+    .find(network => network.stackSaveAddress
+      && network.stackSaveAddress.toLowerCase() === operation.contract_address.toLowerCase());
+
+  if (!deployment) {
+    throw statusError(409, `StackSave ${operation.contract_address} on chain ${operation.chain_id} is no longer configured`);
+  }
+  return deployment;
+}
+
+async function audit(client, operationId, event, apiKeyId, details = null) {
+  await client.query(
+    `INSERT INTO owner_operation_audit (operation_id, event, api_key_id, details)
+     VALUES ($1, $2, $3, $4)`,
+    [operationId, event, apiKeyId, details]
+  );
+}
+
+/**
+ * Operator a key belongs to: the root of its created_by chain
+ * @returns {Promise<string>} Id of the root key
+ */
+async function operatorKeyId(database, apiKeyId) {
+  const seen = new Set();
+  let keyId = apiKeyId;
+
+  while (keyId && !seen.has(keyId)) {
+    seen.add(keyId);
+    const result = await database.query('SELECT created_by FROM admin_api_keys WHERE id = $1', [keyId]);
+    if (result.rows.length === 0 || !result.rows[0].created_by) {
+      return keyId;
+    }
+    keyId = result.rows[0].created_by;
+  }
+  return keyId;
+}
+
+async function lockOperation(client, operationId) {
+  const result = await client.query('SELECT * FROM owner_operations WHERE id = $1 FOR UPDATE', [operationId]);
+
+  if (result.rows.length === 0) {
+    throw statusError(404, 'Operation not found');
+  }
+  return result.rows[0];
+}
+
+function formatOperation(row, approvals = []) {
+  return {
+    id: row.id,
+    chainId: row.chain_id,
+    contractAddress: row.contract_address,
+    action: row.action,
+    params: row.params,
+    calldata: row.calldata,
+    reason: row.reason,
+    status: row.status,
+    requiredApprovals: row.required_approvals,
+    approvals: approvals.map(approval => ({
+      apiKeyId: approval.api_key_id,
+      name: approval.name,
+      approvedAt: approval.created_at,
+    })),
+    proposedBy: row.proposed_by,
+    executionHash: row.execution_hash,
+    approvedAt: row.approved_at,
+    executedAt: row.executed_at,
+    createdAt: row.created_at,
+  };
+}
+
+async function loadApprovals(database, operationId) {
+  const result = await database.query(
+    `SELECT a.api_key_id, a.created_at, k.name
+     FROM owner_operation_approvals a
+     JOIN admin_api_keys k ON a.api_key_id = k.id
+     WHERE a.operation_id = $1
+     ORDER BY a.created_at ASC`,
+    [operationId]
+  );
+  return result.rows;
+}
+
+/**
+ * Run fn(client) inside a transaction
+ */
+async function inTransaction(fn) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Propose an owner-only call; the proposer's key is its first approval
+ * @param {Object} params - { action, params, reason, network, apiKeyId }
+ * @returns {Promise<Object>} Formatted operation
+ */
+async function proposeOperation({ action, params, reason, network, apiKeyId }) {
+  const { name: networkName } = resolveNetwork(network);
+  const blockchainService = getBlockchainService(networkName);
+  const call = await encodeOwnerCall(action, params, { blockchainService });
+
+  const operationId = await inTransaction(async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO owner_operations
+       (chain_id, contract_address, action, params, calldata, reason, required_approvals, proposed_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        blockchainService.chainId,
+        blockchainService.stackSaveAddress,
+        action,
+        call.params,
+        call.data,
+        reason || null,
+        requiredApprovals(),
+        apiKeyId,
+      ]
+    );
+    const id = inserted.rows[0].id;
+
+    await client.query(
+      'INSERT INTO owner_operation_approvals (operation_id, api_key_id) VALUES ($1, $2)',
+      [id, apiKeyId]
+    );
+    await audit(client, id, 'proposed', apiKeyId, { action, params: call.params, calldata: call.data, reason: reason || null });
+    await audit(client, id, 'approved', apiKeyId);
+
+    return id;
+  });
+
+  return getOperation(operationId);
+}
+
+/**
+ * Unsigned transaction for an approved operation, with current gas and fees
+ * @returns {Promise<Object>} txBuilder payload
+ */
+async function buildOperationTransaction(operationId) {
+  const result = await db.query('SELECT * FROM owner_operations WHERE id = $1', [operationId]);
+
+  if (result.rows.length === 0) {
+    throw statusError(404, 'Operation not found');
+  }
+
+  const operation = result.rows[0];
+  if (operation.status !== 'approved') {
+    throw statusError(409, `Operation is ${operation.status}; only approved operations can be built`);
+  }
+
+  return buildOwnerTx({
+    action: operation.action,
+    to: operation.contract_address,
+    data: operation.calldata,
+    params: operation.params,
+  }, { blockchainService: getBlockchainService(networkFor(operation).name) });
+}
+
+/**
+ * Approve a pending operation with another operator's key. The approval that
+ * reaches the threshold marks it approved and returns the unsigned transaction.
+ * @returns {Promise<Object>} { operation, transaction } (transaction null below the threshold)
+ */
+async function approveOperation(operationId, apiKeyId) {
+  const thresholdMet = await inTransaction(async (client) => {
+    const operation = await lockOperation(client, operationId);
+
+    if (operation.status !== 'pending') {
+      throw statusError(409, `Operation is already ${operation.status}`);
+    }
+
+    const existing = await client.query(
+      'SELECT api_key_id FROM owner_operation_approvals WHERE operation_id = $1',
+      [operationId]
+    );
+    const operators = new Set();
+    for (const row of existing.rows) {
+      operators.add(await operatorKeyId(client, row.api_key_id));
+    }
+
+    if (existing.rows.some(row => row.api_key_id === apiKeyId)) {
+      throw statusError(409, 'This API key has already approved the operation');
+    }
+
+    // Keys minted by the proposer, by the key that minted the proposer, or by
+    // any other key of the same root belong to an operator who already approved
+    const operator = await operatorKeyId(client, apiKeyId);
+    if (operators.has(operator)) {
+      throw statusError(409, 'A key of the same operator has already approved the operation');
+    }
+
+    await client.query(
+      'INSERT INTO owner_operation_approvals (operation_id, api_key_id) VALUES ($1, $2)',
+      [operationId, apiKeyId]
+    );
+    await audit(client, operationId, 'approved', apiKeyId);
+
+    operators.add(operator);
+    const approvals = operators.size;
+
+    if (approvals < operation.required_approvals) {
+      return false;
+    }
+
+    await client.query(
+      `UPDATE owner_operations
+       SET status = 'approved', approved_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [operationId]
+    );
+    await audit(client, operationId, 'threshold_met', apiKeyId, { approvals });
+    return true;
+  });
+
+  const operation = await getOperation(operationId);
+  const transaction = thresholdMet ? await buildOperationTransaction(operationId) : null;
+
+  return { operation, transaction };
+}
+
+/**
+ * Reject an operation that has not been executed
+ * @returns {Promise<Object>} Formatted operation
+ */
+async function rejectOperation(operationId, apiKeyId, reason) {
+  await inTransaction(async (client) => {
+    const operation = await lockOperation(client, operationId);
+
+    if (!['pending', 'approved'].includes(operation.status)) {
+      throw statusError(409, `Operation is already ${operation.status}`);
+    }
+
+    await client.query("UPDATE owner_operations SET status = 'rejected' WHERE id = $1", [operationId]);
+    await audit(client, operationId, 'rejected', apiKeyId, { reason: reason || null });
+  });
+
+  return getOperation(operationId);
+}
+
+/**
+ * Record the hash the owner wallet sent an approved operation with. The
+ * transaction must be mined on the operation's network without reverting,
+ * carry exactly the approved call and come from the contract's owner at the
+ * time (the owner before the block, since transferOwnership changes it).
+ * @returns {Promise<Object>} Formatted operation
+ */
+async function recordExecution(operationId, apiKeyId, transactionHash) {
+  const hash = transactionHash.toLowerCase();
+  const current = await db.query('SELECT * FROM owner_operations WHERE id = $1', [operationId]);
+
+  if (current.rows.length === 0) {
+    throw statusError(404, 'Operation not found');
+  }
+
+  const blockchainService = getBlockchainService(networkFor(current.rows[0]).name);
+  const sent = await blockchainService.getTransaction(hash);
+
+  if (!sent) {
+    throw statusError(400, 'Transaction not found on the operation\'s network');
+  }
+
+  const operation = current.rows[0];
+  if (!sent.to || sent.to.toLowerCase() !== operation.contract_address.toLowerCase()
+    || sent.data.toLowerCase() !== operation.calldata.toLowerCase()) {
+    throw statusError(400, 'Transaction does not carry the approved call');
+  }
+
+  const receipt = await blockchainService.getTransactionReceipt(hash);
+  if (!receipt) {
+    throw statusError(409, 'Transaction has not been mined yet');
+  }
+  if (receipt.status !== 1) {
+    throw statusError(400, 'Transaction reverted');
+  }
+
+  const owner = await blockchainService.stackSaveContract.owner({ blockTag: receipt.blockNumber - 1 });
+  if (sent.from.toLowerCase() !== owner.toLowerCase()) {
+    throw statusError(400, `Transaction was not sent by the contract owner ${owner}`);
+  }
+
+  await inTransaction(async (client) => {
+    const locked = await lockOperation(client, operationId);
+
+    if (locked.status !== 'approved') {
+      throw statusError(409, `Operation is ${locked.status}; only approved operations can be executed`);
+    }
+
+    await client.query(
+      `UPDATE owner_operations
+       SET status = 'executed', execution_hash = $2, executed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [operationId, hash]
+    );
+    await audit(client, operationId, 'executed', apiKeyId, { transactionHash: hash, from: sent.from });
+  });
+
+  return getOperation(operationId);
+}
+
+/**
+ * @returns {Promise<Object>} Formatted operation with its approvals
+ */
+async function getOperation(operationId) {
+  const result = await db.query('SELECT * FROM owner_operations WHERE id = $1', [operationId]);
+
+  if (result.rows.length === 0) {
+    throw statusError(404, 'Operation not found');
+  }
+
+  return formatOperation(result.rows[0], await loadApprovals(db, operationId));
+}
+
+/**
+ * Operations, newest first
+ * @param {Object} filters - { status, network, limit }
+ */
+async function listOperations({ status, network, limit }) {
+  const params = [];
+  let queryText = 'SELECT * FROM owner_operations WHERE 1 = 1';
+
+  if (status) {
+    params.push(status);
+    queryText += ` AND status = $${params.length}`;
+  }
+
+  if (network) {
+    const { chainId, stackSaveAddress } = resolveNetwork(network);
+    params.push(chainId, stackSaveAddress);
+    queryText += ` AND chain_id = $${params.length - 1} AND LOWER(contract_address) = LOWER($${params.length})`;
+  }
+
+  params.push(limit);
+  queryText += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+  const result = await db.query(queryText, params);
+  return Promise.all(result.rows.map(async row => formatOperation(row, await loadApprovals(db, row.id))));
+}
+
+/**
+ * Audit trail of one operation, oldest first
+ */
+async function getAuditTrail(operationId) {
+  const result = await db.query(
+    `SELECT a.*, k.name AS api_key_name
+     FROM owner_operation_audit a
+     LEFT JOIN admin_api_keys k ON a.api_key_id = k.id
+     WHERE a.operation_id = $1
+     ORDER BY a.id ASC`,
+    [operationId]
+  );
+
+  return result.rows.map(row => ({
+    event: row.event,
+    apiKeyId: row.api_key_id,
+    apiKeyName: row.api_key_name,
+    details: row.details,
+    createdAt: row.created_at,
+  }));
+}
+
+module.exports = {
+  requiredApprovals,
+  proposeOperation,
+  approveOperation,
+  rejectOperation,
+  recordExecution,
+  buildOperationTransaction,
+  getOperation,
+  listOperations,
+  getAuditTrail,
+};
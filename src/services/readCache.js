@@ -0,0 +1,312 @@
+const db = require('../config/db');
+
+/**
+ * Block-aware cache for on-chain reads
+ *
+ * Entries are keyed by contract, method, arguments and block tag. Reads
+ * pinned to a block number never change (short of a reorg) and keep for
+ * READ_CACHE_BLOCK_TTL_MS; "latest" reads only keep for
+ * READ_CACHE_LATEST_TTL_MS. Every entry is tagged with the addresses it
+ * depends on so the indexer, verified deposits and withdrawals can drop
+ * everything cached for a wallet.
+ *
+ * The store is in-memory (default) or Postgres (`chain_read_cache`), chosen
+ * by READ_CACHE_BACKEND; `off` disables caching. Store failures count as
+ * misses, so a cache problem never fails a read. Each network gets its own
+ * cache; keys are prefixed with the network name so they can share the table.
+ */
+
+/**
+ * In-process store with an address -> keys index
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = 10000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.byAddress = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, { ttlMs, addresses }) {
+    this.remove(key);
+
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (this.entries.size >= this.maxEntries) {
+      this.remove(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs, addresses });
+    for (const address of addresses) {
+      if (!this.byAddress.has(address)) this.byAddress.set(address, new Set());
+      this.byAddress.get(address).add(key);
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    for (const address of entry.addresses) {
+      const keys = this.byAddress.get(address);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) this.byAddress.delete(address);
+    }
+  }
+
+  async invalidateAddress(address) {
+    const keys = [...(this.byAddress.get(address) || [])];
+    keys.forEach(key => this.remove(key));
+    return keys.length;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.byAddress.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Shared store in chain_read_cache, for several API instances. Every
+ * statement is scoped to the namespace's keys.
+ */
+class PostgresCacheStore {
+  constructor({ db: database = db, namespace = 'default' } = {}) {
+    this.name = 'postgres';
+    this.db = database;
+    this.keyPattern = `${namespace}/%`;
+  }
+
+  async get(key) {
+    const result = await this.db.query(
+      'SELECT value FROM chain_read_cache WHERE cache_key = $1 AND expires_at > CURRENT_TIMESTAMP',
+      [key]
+    );
+    return result.rows.length > 0 ? result.rows[0].value.v : undefined;
+  }
+
+  async set(key, value, { ttlMs, addresses }) {
+    await this.db.query(
+      `INSERT INTO chain_read_cache (cache_key, addresses, value, expires_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (cache_key)
+       DO UPDATE SET addresses = EXCLUDED.addresses, value = EXCLUDED.value, expires_at = EXCLUDED.expires_at`,
+      [key, addresses, JSON.stringify({ v: value }), new Date(Date.now() + ttlMs)]
+    );
+  }
+
+  async invalidateAddress(address) {
+    const result = await this.db.query(
+      'DELETE FROM chain_read_cache WHERE cache_key LIKE $1 AND $2 = ANY(addresses)',
+      [this.keyPattern, address]
+    );
+    return result.rowCount;
+  }
+
+  async clear() {
+    await this.db.query('DELETE FROM chain_read_cache WHERE cache_key LIKE $1', [this.keyPattern]);
+  }
+
+  async size() {
+    const result = await this.db.query(
+      'SELECT COUNT(*) AS count FROM chain_read_cache WHERE cache_key LIKE $1 AND expires_at > CURRENT_TIMESTAMP',
+      [this.keyPattern]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Drop expired rows; called periodically
+   */
+  async purgeExpired() {
+    const result = await this.db.query(
+      'DELETE FROM chain_read_cache WHERE cache_key LIKE $1 AND expires_at <= CURRENT_TIMESTAMP',
+      [this.keyPattern]
+    );
+    return result.rowCount;
+  }
+}
+
+class ReadCache {
+  /**
+   * @param {Object} options
+   * @param {Object|null} options.store - MemoryCacheStore, PostgresCacheStore or null (disabled)
+   * @param {string} [options.namespace] - Key prefix (the network name)
+   * @param {number} [options.latestTtlMs] - TTL for "latest" reads
+   * @param {number} [options.blockTtlMs] - TTL for reads pinned to a block
+   */
+  constructor({ store, namespace = 'default', latestTtlMs = 5000, blockTtlMs = 60 * 60 * 1000 }) {
+    this.store = store;
+    this.namespace = namespace;
+    this.latestTtlMs = latestTtlMs;
+    this.blockTtlMs = blockTtlMs;
+    this.metrics = { hits: 0, misses: 0, sets: 0, invalidations: 0, errors: 0, byMethod: {} };
+  }
+
+  key(target, method, args, blockTag) {
+    const normalizedArgs = args.map(arg => String(arg).toLowerCase()).join(',');
+    return `${this.namespace}/${target.toLowerCase()}:${method}(${normalizedArgs})@${blockTag}`;
+  }
+
+  count(method, outcome) {
+    this.metrics[outcome] += 1;
+    if (!this.metrics.byMethod[method]) {
+      this.metrics.byMethod[method] = { hits: 0, misses: 0 };
+    }
+    this.metrics.byMethod[method][outcome] += 1;
+  }
+
+  /**
+   * Return the cached value or load, cache and return it
+   * @param {Object} descriptor - { target, method, args, blockTag, addresses }
+   * @param {Function} load - async () => value (JSON-serialisable)
+   */
+  async getOrLoad(descriptor, load) {
+    if (!this.store) {
+      return load();
+    }
+
+    const cached = await this.peek(descriptor);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const value = await load();
+    await this.put(descriptor, value);
+    return value;
+  }
+
+  /**
+   * Look up an entry, counting the hit or miss
+   */
+  async peek({ target, method, args, blockTag = 'latest' }) {
+    if (!this.store) return undefined;
+
+    try {
+      const cached = await this.store.get(this.key(target, method, args, blockTag));
+      this.count(method, cached === undefined ? 'misses' : 'hits');
+      return cached;
+    } catch (error) {
+      this.metrics.errors += 1;
+      this.count(method, 'misses');
+      console.error('Read cache get error:', error.message);
+      return undefined;
+    }
+  }
+
+  async put({ target, method, args, blockTag = 'latest', addresses }, value) {
+    if (!this.store) return;
+
+    try {
+      const ttlMs = blockTag === 'latest' ? this.latestTtlMs : this.blockTtlMs;
+      await this.store.set(this.key(target, method, args, blockTag), value, {
+        ttlMs,
+        addresses: addresses.map(address => address.toLowerCase()),
+      });
+      this.metrics.sets += 1;
+    } catch (error) {
+      this.metrics.errors += 1;
+      console.error('Read cache set error:', error.message);
+    }
+  }
+
+  /**
+   * Drop every entry that depends on an address
+   * @returns {Promise<number>} Entries removed
+   */
+  async invalidateAddress(address) {
+    if (!this.store || !address) return 0;
+
+    try {
+      const removed = await this.store.invalidateAddress(address.toLowerCase());
+      this.metrics.invalidations += removed;
+      return removed;
+    } catch (error) {
+      this.metrics.errors += 1;
+      console.error('Read cache invalidate error:', error.message);
+      return 0;
+    }
+  }
+
+  async clear() {
+    if (this.store) await this.store.clear();
+  }
+
+  /**
+   * Drop expired rows (Postgres only; memory entries expire on read)
+   */
+  async purgeExpired() {
+    if (this.store && this.store.purgeExpired) {
+      return this.store.purgeExpired();
+    }
+    return 0;
+  }
+
+  async getStats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    let entries = null;
+
+    if (this.store) {
+      try {
+        entries = await this.store.size();
+      } catch (error) {
+        this.metrics.errors += 1;
+      }
+    }
+
+    return {
+      namespace: this.namespace,
+      backend: this.store ? this.store.name : 'off',
+      entries,
+      latestTtlMs: this.latestTtlMs,
+      blockTtlMs: this.blockTtlMs,
+      ...this.metrics,
+      hitRate: lookups > 0 ? Number((this.metrics.hits / lookups).toFixed(4)) : 0,
+    };
+  }
+}
+
+/**
+ * Cache configured by READ_CACHE_BACKEND (memory, postgres or off)
+ * @param {Object} [options] - { namespace }
+ */
+function createReadCache({ namespace = 'default' } = {}) {
+  const backend = process.env.READ_CACHE_BACKEND || 'memory';
+
+  let store = null;
+  if (backend === 'memory') {
+    store = new MemoryCacheStore({ maxEntries: parseInt(process.env.READ_CACHE_MAX_ENTRIES || '10000', 10) });
+  } else if (backend === 'postgres') {
+    store = new PostgresCacheStore({ namespace });
+  } else if (backend !== 'off') {
+    throw new Error(`Unknown READ_CACHE_BACKEND: ${backend}`);
+  }
+
+  return new ReadCache({
+    store,
+    namespace,
+    latestTtlMs: parseInt(process.env.READ_CACHE_LATEST_TTL_MS || '5000', 10),
+    blockTtlMs: parseInt(process.env.READ_CACHE_BLOCK_TTL_MS || String(60 * 60 * 1000), 10),
+  });
+}
+
+module.exports = {
+  ReadCache,
+  MemoryCacheStore,
+  PostgresCacheStore,
+  createReadCache,
+};
@@ -0,0 +1,314 @@
+const { ethers } = require('ethers');
+const { createSimulatedProvider } = require('./simulation');
+
+/**
+ * JSON-RPC provider over several endpoints
+ *
+ * Every request (including JSON-RPC batches) goes to the healthiest endpoint
+ * with a per-call timeout. Transport failures, timeouts and rate limits are
+ * retried with exponential backoff on the next endpoint; an endpoint that
+ * keeps failing is benched for a cooldown period. Node-level JSON-RPC errors
+ * such as reverts are answers, not failures, and are returned as-is.
+ *
+ * `quorumSend` asks several endpoints the same question and only answers
+ * when enough of them agree, for reads that move money.
+ *
+ * Per-endpoint latency and error counters are exposed through getStats()
+ * for /health.
+ */
+
+// Averaged latency weight for the newest sample
+const LATENCY_EWMA_WEIGHT = 0.2;
+
+// JSON-RPC error codes that mean "try another node"
+const RETRYABLE_RPC_CODES = new Set([-32005, -32603, 429]);
+
+/**
+ * Hide API keys embedded in provider URLs (path segments and query)
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const hasSecret = parsed.pathname.length > 1 || parsed.search;
+    return hasSecret ? `${parsed.protocol}//${parsed.host}/***` : `${parsed.protocol}//${parsed.host}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * What endpoints must agree on for a quorum read. Node clients format the
+ * same receipt differently (extra fields, hex casing), so receipts compare
+ * on the fields that decide whether funds moved.
+ */
+function quorumKey(method, result) {
+  if (method === 'eth_getTransactionReceipt' && result) {
+    const hex = value => (typeof value === 'string' ? value.toLowerCase() : value);
+    return JSON.stringify({
+      status: hex(result.status),
+      blockHash: hex(result.blockHash),
+      blockNumber: hex(result.blockNumber),
+      logs: (result.logs || []).map(log => ({
+        address: hex(log.address),
+        topics: (log.topics || []).map(hex),
+        data: hex(log.data),
+        logIndex: hex(log.logIndex),
+      })),
+    });
+  }
+  return JSON.stringify(result);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableResult(results) {
+  return results.some(result => result.error && (
+    RETRYABLE_RPC_CODES.has(result.error.code)
+    || /rate limit|too many requests/i.test(result.error.message || '')
+  ));
+}
+
+class RpcEndpoint {
+  constructor(url) {
+    this.url = url;
+    this.name = redactUrl(url);
+    this.requests = 0;
+    this.failures = 0;
+    this.timeouts = 0;
+    this.consecutiveFailures = 0;
+    this.avgLatencyMs = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.lastSuccessAt = null;
+    this.benchedUntil = 0;
+  }
+
+  recordSuccess(latencyMs) {
+    this.requests += 1;
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date();
+    this.avgLatencyMs = this.avgLatencyMs === null
+      ? latencyMs
+      : this.avgLatencyMs * (1 - LATENCY_EWMA_WEIGHT) + latencyMs * LATENCY_EWMA_WEIGHT;
+  }
+
+  recordFailure(error, { timedOut = false } = {}) {
+    this.requests += 1;
+    this.failures += 1;
+    this.consecutiveFailures += 1;
+    if (timedOut) this.timeouts += 1;
+    this.lastError = error.shortMessage || error.message;
+    this.lastErrorAt = new Date();
+  }
+
+  isBenched(now = Date.now()) {
+    return this.benchedUntil > now;
+  }
+
+  toJSON() {
+    return {
+      url: this.name,
+      healthy: !this.isBenched(),
+      requests: this.requests,
+      failures: this.failures,
+      timeouts: this.timeouts,
+      errorRate: this.requests > 0 ? Number((this.failures / this.requests).toFixed(4)) : 0,
+      avgLatencyMs: this.avgLatencyMs === null ? null : Math.round(this.avgLatencyMs),
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+      lastSuccessAt: this.lastSuccessAt,
+    };
+  }
+}
+
+class FailoverRpcProvider extends ethers.JsonRpcApiProvider {
+  /**
+   * @param {string[]} urls - RPC endpoints in order of preference
+   * @param {Object} [options]
+   * @param {number} [options.chainId] - Pins the network (no eth_chainId probing)
+   * @param {number} [options.timeout] - ms per call
+   * @param {number} [options.retries] - Extra attempts after the first
+   * @param {number} [options.backoff] - Base backoff in ms (doubles per attempt)
+   * @param {number} [options.failureThreshold] - Consecutive failures before benching
+   * @param {number} [options.cooldown] - ms an endpoint stays benched
+   * @param {number} [options.quorum] - Agreeing endpoints required by quorumSend
+   */
+  constructor(urls, options = {}) {
+    if (!urls || urls.length === 0) {
+      throw new Error('At least one RPC URL is required');
+    }
+
+    const network = options.chainId ? ethers.Network.from(Number(options.chainId)) : undefined;
+    super(network, { staticNetwork: network || null });
+
+    this.endpoints = urls.map(url => new RpcEndpoint(url));
+    this.timeout = options.timeout || 10000;
+    this.retries = options.retries ?? 2;
+    this.backoff = options.backoff || 250;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 30000;
+    this.quorum = Math.min(options.quorum || 1, this.endpoints.length);
+  }
+
+  /**
+   * Healthy endpoints first (by preference order), benched ones last
+   */
+  orderedEndpoints() {
+    const now = Date.now();
+    const healthy = this.endpoints.filter(endpoint => !endpoint.isBenched(now));
+    const benched = this.endpoints.filter(endpoint => endpoint.isBenched(now));
+    return [...healthy, ...benched];
+  }
+
+  /**
+   * POST a payload to one endpoint
+   */
+  async sendTo(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+    request.timeout = this.timeout;
+    // Retrying is ours to do, across endpoints
+    request.setThrottleParams({ maxAttempts: 1 });
+
+    const started = Date.now();
+
+    try {
+      const response = await request.send();
+      response.assertOk();
+
+      let results = response.bodyJson;
+      if (!Array.isArray(results)) {
+        results = [results];
+      }
+
+      if (isRetryableResult(results)) {
+        const error = new Error(`Rate limited or unavailable: ${results.find(result => result.error).error.message}`);
+        error.retryable = true;
+        throw error;
+      }
+
+      endpoint.recordSuccess(Date.now() - started);
+      return results;
+    } catch (error) {
+      const timedOut = error.code === 'TIMEOUT';
+      endpoint.recordFailure(error, { timedOut });
+
+      if (endpoint.consecutiveFailures >= this.failureThreshold) {
+        endpoint.benchedUntil = Date.now() + this.cooldown;
+      }
+      throw error;
+    }
+  }
+
+  async send(method, params) {
+    // Requests are plain HTTP; nothing to wait for before accepting them
+    this._start();
+    return super.send(method, params);
+  }
+
+  /**
+   * Transport used by every ethers call; fails over between endpoints
+   */
+  async _send(payload) {
+    const endpoints = this.orderedEndpoints();
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      const endpoint = endpoints[attempt % endpoints.length];
+
+      if (attempt > 0) {
+        await wait(this.backoff * 2 ** (attempt - 1));
+      }
+
+      try {
+        return await this.sendTo(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Send one request to `quorum` endpoints and require identical answers
+   * (see quorumKey)
+   * @returns {Promise<*>} The agreed JSON-RPC result
+   */
+  async quorumSend(method, params, quorum = this.quorum) {
+    const payload = { method, params, id: 1, jsonrpc: '2.0' };
+
+    if (quorum <= 1) {
+      const [result] = await this._send(payload);
+      if (result.error) throw new Error(result.error.message);
+      return result.result;
+    }
+
+    // Skip benched endpoints unless the healthy ones cannot reach quorum alone
+    const healthy = this.endpoints.filter(endpoint => !endpoint.isBenched());
+    const candidates = healthy.length >= quorum ? healthy : this.endpoints;
+    const settled = await Promise.allSettled(
+      candidates.map(endpoint => this.sendTo(endpoint, payload))
+    );
+
+    const votes = new Map();
+    for (const outcome of settled) {
+      if (outcome.status !== 'fulfilled' || outcome.value[0].error) continue;
+      const key = quorumKey(method, outcome.value[0].result);
+      const vote = votes.get(key) || { result: outcome.value[0].result, count: 0 };
+      vote.count += 1;
+      votes.set(key, vote);
+    }
+
+    const best = [...votes.values()].sort((a, b) => b.count - a.count)[0];
+
+    if (!best || best.count < quorum) {
+      const error = new Error(
+        `RPC quorum not reached for ${method}: ${best ? best.count : 0}/${quorum} endpoints agreed`
+      );
+      error.code = 'QUORUM_NOT_REACHED';
+      throw error;
+    }
+
+    return best.result;
+  }
+
+  getStats() {
+    return {
+      quorum: this.quorum,
+      timeoutMs: this.timeout,
+      endpoints: this.endpoints.map(endpoint => endpoint.toJSON()),
+    };
+  }
+}
+
+/**
+ * Provider for a registry network's endpoints; retry and health tuning is
+ * shared by every network. Simulated networks get the in-process chain.
+ * @param {Object} network - Entry from src/config/networks.js
+ */
+function createRpcProvider(network) {
+  if (network.simulated) {
+    return createSimulatedProvider(network);
+  }
+
+  return new FailoverRpcProvider(network.rpcUrls, {
+    chainId: network.chainId,
+    timeout: parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10),
+    retries: parseInt(process.env.RPC_RETRIES || '2', 10),
+    backoff: parseInt(process.env.RPC_BACKOFF_MS || '250', 10),
+    failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD || '3', 10),
+    cooldown: parseInt(process.env.RPC_COOLDOWN_MS || '30000', 10),
+    quorum: parseInt(process.env.RPC_QUORUM || '1', 10),
+  });
+}
+
+module.exports = {
+  FailoverRpcProvider,
+  createRpcProvider,
+  redactUrl,
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, getClient } = require('../config/db');
+
+/**
+ * Session token service
+ *
+ * Access tokens are short-lived JWTs carrying the user id and session id.
+ * Refresh tokens are opaque random strings stored hashed in `refresh_tokens`
+ * and rotated on every use. Presenting a refresh token that was already
+ * rotated revokes the whole session (token theft detection).
+ */
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const TOKEN_ISSUER = 'stacksave-api';
+
+class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sid: sessionId, wallet: user.wallet_address },
+    getJwtSecret(),
+    {
+      subject: user.id,
+      issuer: TOKEN_ISSUER,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    }
+  );
+}
+
+/**
+ * Insert a fresh refresh token for a session
+ */
+async function createRefreshToken(db, sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)`,
+    [sessionId, hashToken(refreshToken), expiresAt]
+  );
+
+  return { refreshToken, expiresAt };
+}
+
+function formatTokens(accessToken, refresh) {
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken: refresh.refreshToken,
+    refreshTokenExpiresAt: refresh.expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Start a new session for a user after wallet verification
+ * @param {Object} user - users row
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} Access and refresh tokens
+ */
+async function issueSession(user, meta = {}) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const sessionResult = await client.query(
+      `INSERT INTO auth_sessions (user_id, user_agent, ip_address)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [user.id, meta.userAgent || null, meta.ipAddress || null]
+    );
+
+    const session = sessionResult.rows[0];
+    const refresh = await createRefreshToken(client, session.id);
+
+    await client.query('COMMIT');
+
+    return formatTokens(signAccessToken(user, session.id), refresh);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair
+ * @param {string} refreshToken - Refresh token issued earlier
+ * @returns {Promise<Object>} New access and refresh tokens
+ */
+async function rotateRefreshToken(refreshToken) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(
+      `SELECT rt.*, s.user_id, s.revoked_at AS session_revoked_at
+       FROM refresh_tokens rt
+       JOIN auth_sessions s ON rt.session_id = s.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(refreshToken)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      throw new SessionError('Invalid refresh token');
+    }
+
+    const stored = tokenResult.rows[0];
+
+    if (stored.session_revoked_at) {
+      throw new SessionError('Session has been revoked');
+    }
+
+    if (stored.used_at) {
+      // A rotated token is being replayed: assume it leaked and kill the session
+      await client.query(
+        'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [stored.session_id]
+      );
+      await client.query('COMMIT');
+      throw new SessionError('Refresh token has already been used');
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      throw new SessionError('Refresh token has expired');
+    }
+
+    const userResult = await client.query('SELECT * FROM users WHERE id = $1', [stored.user_id]);
+    if (userResult.rows.length === 0) {
+      throw new SessionError('User not found');
+    }
+
+    const refresh = await createRefreshToken(client, stored.session_id);
+
+    await client.query(
+      'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [stored.id]
+    );
+    await client.query(
+      'UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [stored.session_id]
+    );
+
+    await client.query('COMMIT');
+
+    return formatTokens(signAccessToken(userResult.rows[0], stored.session_id), refresh);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Verify an access token and check its session is still live
+ * @param {string} accessToken - JWT from the Authorization header
+ * @returns {Promise<Object>} { id, walletAddress, sessionId }
+ */
+async function verifyAccessToken(accessToken) {
+  let payload;
+  try {
+    payload = jwt.verify(accessToken, getJwtSecret(), { issuer: TOKEN_ISSUER });
+  } catch (error) {
+    throw new SessionError(error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token');
+  }
+
+  const result = await query(
+    'SELECT revoked_at FROM auth_sessions WHERE id = $1 AND user_id = $2',
+    [payload.sid, payload.sub]
+  );
+
+  if (result.rows.length === 0 || result.rows[0].revoked_at) {
+    throw new SessionError('Session has been revoked');
+  }
+
+  return {
+    id: payload.sub,
+    walletAddress: payload.wallet,
+    sessionId: payload.sid,
+  };
+}
+
+/**
+ * Revoke a single session
+ */
+async function revokeSession(sessionId) {
+  await query(
+    'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+}
+
+/**
+ * Revoke every live session for a user
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId) {
+  const result = await query(
+    'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  SessionError,
+  issueSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeAllSessions,
+};
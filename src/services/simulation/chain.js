@@ -0,0 +1,374 @@
+const { ethers } = require('ethers');
+const { SimulationRevert, SimulatedToken, SimulatedStackSave } = require('./contracts');
+
+/**
+ * In-memory chain running the simulated StackSave deployment
+ *
+ * Every transaction is mined into its own block as soon as it is received;
+ * reverted transactions are mined too, with status 0 and no logs. Between
+ * transactions the chain produces empty blocks lazily so block numbers and
+ * timestamps follow the clock (`blockTime` seconds apart), which keeps the
+ * indexer's confirmation counting and the verifier's receipt checks honest.
+ *
+ * Contract state is copied (structuredClone) before each transaction, so
+ * every block keeps the state it ended with and eth_call can read any block.
+ *
+ * Time is the injectable `clock` (ms) plus an offset moved by increaseTime(),
+ * so interest and streaks can be exercised without waiting.
+ *
+ * There is no ETH accounting: every address reports a fixed native balance
+ * and gas is only reported, never charged.
+ */
+
+// Largest number of empty blocks produced in one catch-up; longer gaps are bridged by one jump
+const MAX_CATCH_UP_BLOCKS = 1000;
+
+const NATIVE_BALANCE = ethers.parseEther('100');
+
+// Placeholder signature for transactions sent through the unlocked-account path
+const UNSIGNED = { r: ethers.toBeHex(1, 32), s: ethers.toBeHex(1, 32), v: 27 };
+
+function defaultAccount(label) {
+  return ethers.computeAddress(ethers.id(`stacksave-simulation:${label}`));
+}
+
+const DEFAULT_OWNER = defaultAccount('owner');
+const DEFAULT_TREASURY = defaultAccount('treasury');
+
+/**
+ * Addresses the simulated contracts get when the network config has none:
+ * where the owner's first two deployments (token, then StackSave) would land
+ */
+const DEFAULT_ADDRESSES = {
+  usdcAddress: ethers.getCreateAddress({ from: DEFAULT_OWNER, nonce: 0 }),
+  stackSaveAddress: ethers.getCreateAddress({ from: DEFAULT_OWNER, nonce: 1 }),
+};
+
+function key(address) {
+  return address.toLowerCase();
+}
+
+/**
+ * Calldata gas plus a flat cost per contract call and emitted log
+ */
+function gasFor(data, logCount) {
+  const bytes = ethers.getBytes(data || '0x');
+  const calldata = bytes.reduce((total, byte) => total + (byte === 0 ? 4 : 16), 0);
+  return BigInt(21000 + calldata + 30000 + logCount * 20000);
+}
+
+class SimulatedChain {
+  /**
+   * @param {Object} options
+   * @param {number} options.chainId
+   * @param {string} options.stackSaveAddress
+   * @param {string} options.usdcAddress
+   * @param {string} [options.owner] - Contract owner (and deployer)
+   * @param {string} [options.treasury]
+   * @param {number} [options.apy] - Basis points
+   * @param {number} [options.streakBonus] - Basis points
+   * @param {number} [options.streakThreshold] - Days
+   * @param {bigint} [options.contractFunds] - Token units minted to StackSave to pay interest
+   * @param {number} [options.blockTime] - Seconds between blocks
+   * @param {bigint} [options.baseFeePerGas] - wei
+   * @param {Function} [options.clock] - Returns the current time in ms
+   */
+  constructor(options) {
+    this.chainId = Number(options.chainId);
+    this.blockTime = options.blockTime || 2;
+    this.baseFeePerGas = BigInt(options.baseFeePerGas ?? 10000000n);
+    this.priorityFee = this.baseFeePerGas / 10n || 1n;
+    this.clock = options.clock || (() => Date.now());
+    this.timeOffset = 0;
+
+    this.token = new SimulatedToken(options.usdcAddress);
+    this.stackSave = new SimulatedStackSave(options.stackSaveAddress, this.token, options);
+    this.contracts = new Map([
+      [key(this.token.address), this.token],
+      [key(this.stackSave.address), this.stackSave],
+    ]);
+
+    this.owner = ethers.getAddress(options.owner || DEFAULT_OWNER);
+    this.treasury = ethers.getAddress(options.treasury || DEFAULT_TREASURY);
+
+    const state = {
+      contracts: {
+        [key(this.token.address)]: this.token.initialState(),
+        [key(this.stackSave.address)]: this.stackSave.initialState({ owner: this.owner, treasury: this.treasury }),
+      },
+      nonces: new Map([[key(this.owner), 2]]),
+    };
+    this.token.mint(state, this.stackSave.address, BigInt(options.contractFunds ?? 1000000n * 10n ** 6n));
+
+    this.blocks = [];
+    this.transactions = new Map();
+    this.mineBlock({ state, timestamp: this.now() });
+  }
+
+  now() {
+    return Math.floor(this.clock() / 1000) + this.timeOffset;
+  }
+
+  get head() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  get state() {
+    return this.head.state;
+  }
+
+  /**
+   * Append a block holding `transactions` and the state they left behind
+   */
+  mineBlock({ state = this.state, timestamp, transactions = [] }) {
+    const parent = this.head;
+    const number = parent ? parent.number + 1 : 0;
+    const parentHash = parent ? parent.hash : ethers.ZeroHash;
+    const hash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'uint256', 'bytes32', 'uint256', 'bytes32[]'],
+      [this.chainId, number, parentHash, timestamp, transactions.map(tx => tx.hash)]
+    ));
+
+    const block = { number, hash, parentHash, timestamp, state, transactions };
+    transactions.forEach((tx, index) => {
+      tx.blockNumber = number;
+      tx.blockHash = hash;
+      tx.index = index;
+      tx.logs.forEach(log => {
+        log.blockNumber = number;
+        log.blockHash = hash;
+        log.transactionIndex = index;
+      });
+    });
+
+    this.blocks.push(block);
+    return block;
+  }
+
+  /**
+   * Produce the empty blocks the clock says should exist by now
+   */
+  catchUp() {
+    const now = this.now();
+    const missing = Math.floor((now - this.head.timestamp) / this.blockTime);
+
+    for (let i = 1; i <= Math.min(missing, MAX_CATCH_UP_BLOCKS); i++) {
+      const last = i === MAX_CATCH_UP_BLOCKS && missing > MAX_CATCH_UP_BLOCKS;
+      this.mineBlock({ timestamp: last ? now : this.head.timestamp + this.blockTime });
+    }
+  }
+
+  /**
+   * Move the clock forward (evm_increaseTime)
+   * @returns {number} Total offset in seconds
+   */
+  increaseTime(seconds) {
+    this.timeOffset += Number(seconds);
+    return this.timeOffset;
+  }
+
+  /**
+   * Mine an empty block now (evm_mine)
+   */
+  mine() {
+    this.catchUp();
+    return this.mineBlock({ timestamp: Math.max(this.now(), this.head.timestamp + 1) });
+  }
+
+  /**
+   * Block by number or tag (latest, pending, safe, finalized, earliest)
+   */
+  getBlock(tag = 'latest') {
+    this.catchUp();
+    if (tag === 'earliest') return this.blocks[0];
+    if (['latest', 'pending', 'safe', 'finalized'].includes(tag)) return this.head;
+    return this.blocks[Number(tag)] || null;
+  }
+
+  getBlockByHash(hash) {
+    return this.blocks.find(block => block.hash === hash.toLowerCase()) || null;
+  }
+
+  nonceOf(address, state = this.state) {
+    return state.nonces.get(key(address)) || 0;
+  }
+
+  /**
+   * Run a call against a copy of `state`
+   * @returns {{ state, logs, result, gasUsed }}
+   * @throws {SimulationRevert}
+   */
+  execute(state, { from, to, data }, timestamp) {
+    const contract = to && this.contracts.get(key(to));
+    const working = structuredClone(state);
+    const logs = [];
+
+    if (!contract) {
+      // Plain transfers and calls to empty accounts succeed and do nothing
+      return { state: working, logs, result: '0x', gasUsed: gasFor(data, 0) };
+    }
+
+    const ctx = {
+      sender: ethers.getAddress(from || ethers.ZeroAddress),
+      timestamp,
+      emit(emitter, eventName, args) {
+        const encoded = emitter.interface.encodeEventLog(eventName, args);
+        logs.push({ address: emitter.address, topics: encoded.topics, data: encoded.data });
+      },
+    };
+
+    const { result } = contract.call(working, ctx, data || '0x');
+    return { state: working, logs, result, gasUsed: gasFor(data, logs.length) };
+  }
+
+  /**
+   * eth_call at a block
+   * @returns {string} Return data
+   */
+  call(tx, blockTag = 'latest') {
+    const block = this.getBlock(blockTag);
+    if (!block) {
+      throw new Error(`Unknown block ${blockTag}`);
+    }
+
+    const timestamp = block === this.head ? Math.max(this.now(), block.timestamp) : block.timestamp;
+    return this.execute(block.state, tx, timestamp).result;
+  }
+
+  estimateGas(tx) {
+    this.catchUp();
+    return this.execute(this.state, tx, Math.max(this.now(), this.head.timestamp + 1)).gasUsed;
+  }
+
+  /**
+   * Execute and mine a transaction; reverts are mined with status 0
+   * @param {Object} tx - { from, to, data, value, nonce, gasLimit, type, maxFeePerGas,
+   *   maxPriorityFeePerGas, gasPrice, hash, signature }
+   * @returns {Object} The mined transaction record
+   */
+  sendTransaction(tx) {
+    this.catchUp();
+
+    const from = ethers.getAddress(tx.from);
+    const nonce = tx.nonce ?? this.nonceOf(from);
+    if (nonce !== this.nonceOf(from)) {
+      throw new Error(`Nonce too ${nonce < this.nonceOf(from) ? 'low' : 'high'}: expected ${this.nonceOf(from)}, got ${nonce}`);
+    }
+
+    const to = tx.to ? ethers.getAddress(tx.to) : null;
+    const data = tx.data || '0x';
+    const timestamp = Math.max(this.now(), this.head.timestamp + 1);
+
+    let outcome;
+    let status = 1;
+    let revertReason = null;
+    try {
+      outcome = this.execute(this.state, { from, to, data }, timestamp);
+    } catch (error) {
+      if (!(error instanceof SimulationRevert)) throw error;
+      status = 0;
+      revertReason = error.message;
+      outcome = { state: structuredClone(this.state), logs: [], gasUsed: gasFor(data, 0) };
+    }
+    outcome.state.nonces.set(key(from), nonce + 1);
+
+    const hash = tx.hash || ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'address', 'uint256', 'address', 'bytes'],
+      [this.chainId, from, nonce, to || ethers.ZeroAddress, data]
+    ));
+    if (this.transactions.has(hash)) {
+      throw new Error(`Transaction ${hash} already known`);
+    }
+
+    const record = {
+      hash,
+      from,
+      to,
+      data,
+      nonce,
+      value: BigInt(tx.value || 0),
+      type: tx.type ?? 2,
+      gasLimit: BigInt(tx.gasLimit || outcome.gasUsed),
+      maxFeePerGas: BigInt(tx.maxFeePerGas || tx.gasPrice || this.baseFeePerGas * 2n + this.priorityFee),
+      maxPriorityFeePerGas: BigInt(tx.maxPriorityFeePerGas || this.priorityFee),
+      gasUsed: outcome.gasUsed,
+      signature: tx.signature || UNSIGNED,
+      status,
+      revertReason,
+      logs: outcome.logs,
+    };
+
+    // One transaction per block, so log indexes restart at 0
+    record.logs.forEach((log, logIndex) => {
+      log.transactionHash = hash;
+      log.logIndex = logIndex;
+    });
+
+    this.transactions.set(hash, record);
+    this.mineBlock({ state: outcome.state, timestamp, transactions: [record] });
+
+    return record;
+  }
+
+  getTransaction(hash) {
+    return this.transactions.get(hash.toLowerCase()) || null;
+  }
+
+  /**
+   * Logs matching an eth_getLogs filter
+   */
+  getLogs({ fromBlock = 'latest', toBlock = 'latest', address, topics = [], blockHash } = {}) {
+    let blocks;
+    if (blockHash) {
+      const block = this.getBlockByHash(blockHash);
+      blocks = block ? [block] : [];
+    } else {
+      const from = this.getBlock(fromBlock);
+      const to = this.getBlock(toBlock);
+      blocks = from && to ? this.blocks.slice(from.number, to.number + 1) : [];
+    }
+
+    const addresses = address ? [].concat(address).map(key) : null;
+
+    return blocks.flatMap(block => block.transactions.flatMap(tx => tx.logs))
+      .filter(log => !addresses || addresses.includes(key(log.address)))
+      .filter(log => topics.every((topic, index) => {
+        if (topic === null || topic === undefined) return true;
+        const wanted = [].concat(topic).map(value => value.toLowerCase());
+        return log.topics[index] !== undefined && wanted.includes(log.topics[index].toLowerCase());
+      }));
+  }
+
+  /**
+   * Mint deposit tokens to a wallet: a MockUSDC mint() sent by the wallet itself
+   */
+  mint(address, amount) {
+    return this.sendTransaction({
+      from: address,
+      to: this.token.address,
+      data: this.token.interface.encodeFunctionData('mint', [address, amount]),
+    });
+  }
+
+  nativeBalance() {
+    return NATIVE_BALANCE;
+  }
+
+  describe() {
+    return {
+      simulated: true,
+      chainId: this.chainId,
+      blockNumber: this.head.number,
+      blockTime: this.blockTime,
+      timeOffsetSeconds: this.timeOffset,
+      transactions: this.transactions.size,
+      owner: this.owner,
+      treasury: this.treasury,
+    };
+  }
+}
+
+module.exports = {
+  SimulatedChain,
+  DEFAULT_ADDRESSES,
+};
@@ -0,0 +1,466 @@
+const { ethers } = require('ethers');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * In-process models of StackSaveSimple and its deposit token (MockUSDC)
+ *
+ * Each contract keeps its storage in a plain object inside the chain state,
+ * so the chain can snapshot and roll back state with structuredClone. Calls
+ * get `(state, ctx, args)` with ctx = { sender, timestamp, emit(contract, event, args) }
+ * and revert by throwing a SimulationRevert carrying ABI-encoded revert data
+ * (require strings as Error(string), OpenZeppelin custom errors by ABI).
+ *
+ * StackSaveSimple semantics modelled here:
+ *   - createGoal(name, target) appends to the caller's goals (index = goalId)
+ *   - deposit/withdraw move tokens between the wallet and the contract and
+ *     update balances(), the goal's currentAmount/completed and totalDeposits
+ *   - interest accrues per second on balances() at APY, plus STREAK_BONUS
+ *     once the deposit streak reaches STREAK_THRESHOLD days (basis points)
+ *   - the streak grows by one for a deposit on the day after the previous
+ *     one, is kept for same-day deposits and restarts at 1 after a gap
+ *   - claimInterest pays pendingInterest out of the contract's token balance
+ *   - owner-only fundContract, emergencyWithdraw, updateTreasury,
+ *     transferOwnership and renounceOwnership (Ownable errors)
+ */
+
+const stackSaveABI = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../../../abi/StackSaveSimple.json'), 'utf8')
+);
+const tokenABI = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../../../abi/MockUSDC.json'), 'utf8')
+);
+
+const ERROR_STRING = new ethers.Interface(['error Error(string)']);
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+class SimulationRevert extends Error {
+  /**
+   * @param {string} message - Revert reason for logs and JSON-RPC errors
+   * @param {string} data - ABI-encoded revert data
+   */
+  constructor(message, data) {
+    super(message);
+    this.name = 'SimulationRevert';
+    this.data = data;
+  }
+}
+
+/**
+ * require(condition, reason)
+ */
+function check(condition, reason) {
+  if (!condition) {
+    throw new SimulationRevert(reason, ERROR_STRING.encodeErrorResult('Error', [reason]));
+  }
+}
+
+function key(address) {
+  return address.toLowerCase();
+}
+
+/**
+ * Base for simulated contracts: ABI dispatch of the functions a subclass
+ * implements as `fn_<name>(state, ctx, args)`
+ */
+class SimulatedContract {
+  constructor(address, abi) {
+    this.address = ethers.getAddress(address);
+    this.interface = new ethers.Interface(abi);
+  }
+
+  /**
+   * Run a call against `state` (mutated in place)
+   * @returns {{ fragment: Object, result: string }} Encoded return data
+   */
+  call(state, ctx, data) {
+    let parsed;
+    try {
+      parsed = this.interface.parseTransaction({ data });
+    } catch (error) {
+      parsed = null;
+    }
+
+    const handler = parsed && this[`fn_${parsed.name}`];
+    if (!handler) {
+      throw new SimulationRevert('function selector was not recognized', '0x');
+    }
+
+    const value = handler.call(this, state, ctx, [...parsed.args]);
+    const outputs = parsed.fragment.outputs.length === 1 ? [value] : (value || []);
+
+    return {
+      fragment: parsed.fragment,
+      result: this.interface.encodeFunctionResult(parsed.fragment, outputs),
+    };
+  }
+
+  revert(name, args) {
+    throw new SimulationRevert(name, this.interface.encodeErrorResult(name, args));
+  }
+}
+
+/**
+ * Open-mint ERC-20 with the MockUSDC interface
+ */
+class SimulatedToken extends SimulatedContract {
+  /**
+   * @param {string} address
+   * @param {Object} [options] - { name, symbol, decimals }
+   */
+  constructor(address, options = {}) {
+    super(address, tokenABI);
+    this.name = options.name || 'USD Coin';
+    this.symbol = options.symbol || 'USDC';
+    this.decimals = options.decimals ?? 6;
+  }
+
+  initialState() {
+    return { balances: new Map(), allowances: new Map(), totalSupply: 0n };
+  }
+
+  storage(state) {
+    return state.contracts[key(this.address)];
+  }
+
+  balanceOf(state, owner) {
+    return this.storage(state).balances.get(key(owner)) || 0n;
+  }
+
+  mint(state, to, amount) {
+    const storage = this.storage(state);
+    storage.balances.set(key(to), this.balanceOf(state, to) + amount);
+    storage.totalSupply += amount;
+  }
+
+  transfer(state, ctx, from, to, amount) {
+    const storage = this.storage(state);
+    const balance = this.balanceOf(state, from);
+    if (balance < amount) {
+      this.revert('ERC20InsufficientBalance', [from, balance, amount]);
+    }
+
+    storage.balances.set(key(from), balance - amount);
+    storage.balances.set(key(to), this.balanceOf(state, to) + amount);
+    ctx.emit(this, 'Transfer', [from, to, amount]);
+  }
+
+  spendAllowance(state, owner, spender, amount) {
+    const storage = this.storage(state);
+    const allowanceKey = `${key(owner)}:${key(spender)}`;
+    const allowance = storage.allowances.get(allowanceKey) || 0n;
+    if (allowance < amount) {
+      this.revert('ERC20InsufficientAllowance', [spender, allowance, amount]);
+    }
+
+    if (allowance !== ethers.MaxUint256) {
+      storage.allowances.set(allowanceKey, allowance - amount);
+    }
+  }
+
+  fn_name() { return this.name; }
+  fn_symbol() { return this.symbol; }
+  fn_decimals() { return this.decimals; }
+  fn_totalSupply(state) { return this.storage(state).totalSupply; }
+  fn_balanceOf(state, ctx, [owner]) { return this.balanceOf(state, owner); }
+
+  fn_allowance(state, ctx, [owner, spender]) {
+    return this.storage(state).allowances.get(`${key(owner)}:${key(spender)}`) || 0n;
+  }
+
+  fn_approve(state, ctx, [spender, amount]) {
+    this.storage(state).allowances.set(`${key(ctx.sender)}:${key(spender)}`, amount);
+    ctx.emit(this, 'Approval', [ctx.sender, spender, amount]);
+    return true;
+  }
+
+  fn_transfer(state, ctx, [to, amount]) {
+    this.transfer(state, ctx, ctx.sender, to, amount);
+    return true;
+  }
+
+  fn_transferFrom(state, ctx, [from, to, amount]) {
+    this.spendAllowance(state, from, ctx.sender, amount);
+    this.transfer(state, ctx, from, to, amount);
+    return true;
+  }
+
+  fn_mint(state, ctx, [to, amount]) {
+    this.mint(state, to, amount);
+    ctx.emit(this, 'Transfer', [ethers.ZeroAddress, to, amount]);
+  }
+}
+
+/**
+ * StackSaveSimple
+ */
+class SimulatedStackSave extends SimulatedContract {
+  /**
+   * @param {string} address
+   * @param {SimulatedToken} token - Deposit token
+   * @param {Object} [options]
+   * @param {number} [options.apy] - Base rate in basis points (500 = 5%)
+   * @param {number} [options.streakBonus] - Extra basis points for a long streak
+   * @param {number} [options.streakThreshold] - Streak days that earn the bonus
+   */
+  constructor(address, token, options = {}) {
+    super(address, stackSaveABI);
+    this.token = token;
+    this.apy = BigInt(options.apy ?? 500);
+    this.streakBonus = BigInt(options.streakBonus ?? 200);
+    this.streakThreshold = BigInt(options.streakThreshold ?? 7);
+    this.basisPoints = 10000n;
+    this.secondsPerYear = BigInt(365 * SECONDS_PER_DAY);
+  }
+
+  initialState({ owner, treasury }) {
+    return {
+      owner: ethers.getAddress(owner),
+      treasury: ethers.getAddress(treasury),
+      totalDeposits: 0n,
+      goals: new Map(),
+      users: new Map(),
+    };
+  }
+
+  storage(state) {
+    return state.contracts[key(this.address)];
+  }
+
+  user(state, address) {
+    const users = this.storage(state).users;
+    if (!users.has(key(address))) {
+      users.set(key(address), {
+        balance: 0n,
+        totalDeposited: 0n,
+        totalEarned: 0n,
+        lastDepositTime: 0n,
+        streakDays: 0n,
+        accrued: 0n,
+        lastAccrual: 0n,
+      });
+    }
+    return users.get(key(address));
+  }
+
+  goals(state, address) {
+    const goals = this.storage(state).goals;
+    if (!goals.has(key(address))) {
+      goals.set(key(address), []);
+    }
+    return goals.get(key(address));
+  }
+
+  goal(state, address, goalId) {
+    const goals = this.goals(state, address);
+    check(goalId < BigInt(goals.length), 'Invalid goal');
+    return goals[Number(goalId)];
+  }
+
+  rate(user) {
+    return user.streakDays >= this.streakThreshold ? this.apy + this.streakBonus : this.apy;
+  }
+
+  pendingInterest(user, timestamp) {
+    if (user.lastAccrual === 0n || user.balance === 0n) {
+      return user.accrued;
+    }
+    const elapsed = BigInt(timestamp) - user.lastAccrual;
+    return user.accrued + (user.balance * this.rate(user) * elapsed) / (this.basisPoints * this.secondsPerYear);
+  }
+
+  /**
+   * Fold interest earned so far into `accrued` before the balance or rate changes
+   */
+  accrue(user, timestamp) {
+    user.accrued = this.pendingInterest(user, timestamp);
+    user.lastAccrual = BigInt(timestamp);
+  }
+
+  updateStreak(ctx, user) {
+    const today = BigInt(Math.floor(ctx.timestamp / SECONDS_PER_DAY));
+    const lastDay = user.lastDepositTime / BigInt(SECONDS_PER_DAY);
+    let streak;
+
+    if (user.lastDepositTime === 0n) {
+      streak = 1n;
+    } else if (today === lastDay) {
+      streak = user.streakDays;
+    } else if (today === lastDay + 1n) {
+      streak = user.streakDays + 1n;
+    } else {
+      streak = 1n;
+    }
+
+    user.lastDepositTime = BigInt(ctx.timestamp);
+    if (streak !== user.streakDays) {
+      user.streakDays = streak;
+      ctx.emit(this, 'StreakUpdated', [ctx.sender, streak]);
+    }
+  }
+
+  onlyOwner(state, ctx) {
+    if (key(this.storage(state).owner) !== key(ctx.sender)) {
+      this.revert('OwnableUnauthorizedAccount', [ctx.sender]);
+    }
+  }
+
+  fn_APY() { return this.apy; }
+  fn_BASIS_POINTS() { return this.basisPoints; }
+  fn_SECONDS_PER_YEAR() { return this.secondsPerYear; }
+  fn_STREAK_BONUS() { return this.streakBonus; }
+  fn_STREAK_THRESHOLD() { return this.streakThreshold; }
+  fn_depositToken() { return this.token.address; }
+  fn_owner(state) { return this.storage(state).owner; }
+  fn_treasury(state) { return this.storage(state).treasury; }
+  fn_totalDeposits(state) { return this.storage(state).totalDeposits; }
+  fn_balances(state, ctx, [address]) { return this.user(state, address).balance; }
+
+  fn_pendingInterest(state, ctx, [address]) {
+    return this.pendingInterest(this.user(state, address), ctx.timestamp);
+  }
+
+  fn_getTotalBalance(state, ctx, [address]) {
+    const user = this.user(state, address);
+    return user.balance + this.pendingInterest(user, ctx.timestamp);
+  }
+
+  fn_getUserGoals(state, ctx, [address]) {
+    return this.goals(state, address).map(goal => [
+      goal.name, goal.targetAmount, goal.currentAmount, goal.createdAt, goal.completed,
+    ]);
+  }
+
+  fn_userGoals(state, ctx, [address, goalId]) {
+    const goal = this.goal(state, address, goalId);
+    return [goal.name, goal.targetAmount, goal.currentAmount, goal.createdAt, goal.completed];
+  }
+
+  fn_userInfo(state, ctx, [address]) {
+    const user = this.user(state, address);
+    return [user.totalDeposited, user.totalEarned, user.lastDepositTime, user.streakDays];
+  }
+
+  fn_getUserStats(state, ctx, [address]) {
+    const user = this.user(state, address);
+    return [user.totalDeposited, user.totalEarned, user.streakDays, this.pendingInterest(user, ctx.timestamp)];
+  }
+
+  fn_createGoal(state, ctx, [name, targetAmount]) {
+    check(targetAmount > 0n, 'Target must be greater than 0');
+    check(name.length > 0, 'Name required');
+
+    const goals = this.goals(state, ctx.sender);
+    goals.push({
+      name,
+      targetAmount,
+      currentAmount: 0n,
+      createdAt: BigInt(ctx.timestamp),
+      completed: false,
+    });
+
+    const goalId = BigInt(goals.length - 1);
+    ctx.emit(this, 'GoalCreated', [ctx.sender, goalId, name, targetAmount]);
+    return goalId;
+  }
+
+  fn_deposit(state, ctx, [goalId, amount]) {
+    check(amount > 0n, 'Amount must be greater than 0');
+    const goal = this.goal(state, ctx.sender, goalId);
+    const user = this.user(state, ctx.sender);
+
+    this.token.spendAllowance(state, ctx.sender, this.address, amount);
+    this.token.transfer(state, ctx, ctx.sender, this.address, amount);
+
+    this.accrue(user, ctx.timestamp);
+    this.updateStreak(ctx, user);
+
+    user.balance += amount;
+    user.totalDeposited += amount;
+    goal.currentAmount += amount;
+    goal.completed = goal.currentAmount >= goal.targetAmount;
+    this.storage(state).totalDeposits += amount;
+
+    ctx.emit(this, 'Deposited', [ctx.sender, goalId, amount]);
+  }
+
+  fn_withdraw(state, ctx, [goalId, amount]) {
+    check(amount > 0n, 'Amount must be greater than 0');
+    const goal = this.goal(state, ctx.sender, goalId);
+    const user = this.user(state, ctx.sender);
+    check(goal.currentAmount >= amount, 'Insufficient goal balance');
+    check(user.balance >= amount, 'Insufficient balance');
+
+    this.accrue(user, ctx.timestamp);
+
+    user.balance -= amount;
+    goal.currentAmount -= amount;
+    goal.completed = goal.currentAmount >= goal.targetAmount;
+    this.storage(state).totalDeposits -= amount;
+
+    this.token.transfer(state, ctx, this.address, ctx.sender, amount);
+    ctx.emit(this, 'Withdrawn', [ctx.sender, goalId, amount]);
+  }
+
+  fn_claimInterest(state, ctx) {
+    const user = this.user(state, ctx.sender);
+    this.accrue(user, ctx.timestamp);
+
+    const amount = user.accrued;
+    check(amount > 0n, 'No interest to claim');
+
+    user.accrued = 0n;
+    user.totalEarned += amount;
+    this.token.transfer(state, ctx, this.address, ctx.sender, amount);
+    ctx.emit(this, 'InterestClaimed', [ctx.sender, amount]);
+  }
+
+  fn_fundContract(state, ctx, [amount]) {
+    this.onlyOwner(state, ctx);
+    check(amount > 0n, 'Amount must be greater than 0');
+
+    this.token.spendAllowance(state, ctx.sender, this.address, amount);
+    this.token.transfer(state, ctx, ctx.sender, this.address, amount);
+  }
+
+  fn_emergencyWithdraw(state, ctx, [tokenAddress, amount]) {
+    this.onlyOwner(state, ctx);
+    if (key(tokenAddress) !== key(this.token.address)) {
+      this.revert('SafeERC20FailedOperation', [tokenAddress]);
+    }
+
+    this.token.transfer(state, ctx, this.address, ctx.sender, amount);
+  }
+
+  fn_updateTreasury(state, ctx, [treasury]) {
+    this.onlyOwner(state, ctx);
+    check(treasury !== ethers.ZeroAddress, 'Invalid treasury');
+    this.storage(state).treasury = treasury;
+  }
+
+  fn_transferOwnership(state, ctx, [newOwner]) {
+    this.onlyOwner(state, ctx);
+    if (newOwner === ethers.ZeroAddress) {
+      this.revert('OwnableInvalidOwner', [newOwner]);
+    }
+
+    const storage = this.storage(state);
+    ctx.emit(this, 'OwnershipTransferred', [storage.owner, newOwner]);
+    storage.owner = newOwner;
+  }
+
+  fn_renounceOwnership(state, ctx) {
+    this.onlyOwner(state, ctx);
+
+    const storage = this.storage(state);
+    ctx.emit(this, 'OwnershipTransferred', [storage.owner, ethers.ZeroAddress]);
+    storage.owner = ethers.ZeroAddress;
+  }
+}
+
+module.exports = {
+  SimulationRevert,
+  SimulatedToken,
+  SimulatedStackSave,
+};
@@ -0,0 +1,41 @@
+const { SimulatedChain, DEFAULT_ADDRESSES } = require('./chain');
+const { SimulatedRpcProvider } = require('./provider');
+
+/**
+ * Offline blockchain simulation
+ *
+ * Networks marked `simulated` in the registry (or BLOCKCHAIN_SIMULATION=true
+ * for the single env network) get a SimulatedRpcProvider instead of RPC
+ * endpoints. Each such network has one in-memory chain for the life of the
+ * process; restarting the server starts from a fresh deployment.
+ */
+
+const chains = new Map();
+
+/**
+ * Chain backing a simulated network (created on first use)
+ * @param {Object} network - Entry from src/config/networks.js
+ */
+function getSimulatedChain(network) {
+  if (!chains.has(network.name)) {
+    chains.set(network.name, new SimulatedChain({
+      ...network.simulation,
+      chainId: network.chainId,
+      stackSaveAddress: network.stackSaveAddress,
+      usdcAddress: network.usdcAddress,
+    }));
+  }
+  return chains.get(network.name);
+}
+
+function createSimulatedProvider(network) {
+  return new SimulatedRpcProvider(getSimulatedChain(network));
+}
+
+module.exports = {
+  DEFAULT_ADDRESSES,
+  SimulatedChain,
+  SimulatedRpcProvider,
+  getSimulatedChain,
+  createSimulatedProvider,
+};
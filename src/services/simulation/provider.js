@@ -0,0 +1,226 @@
+const { ethers } = require('ethers');
+const { SimulationRevert } = require('./contracts');
+
+/**
+ * ethers provider answering JSON-RPC from a SimulatedChain
+ *
+ * Stands in for FailoverRpcProvider on simulated networks, so contracts,
+ * receipts, logs and fee data go through the same ethers code paths as on a
+ * live node. Reverts come back as JSON-RPC error 3 with the revert data,
+ * which ethers decodes into the usual CALL_EXCEPTION errors.
+ *
+ * Besides the standard methods it accepts evm_increaseTime and evm_mine,
+ * and eth_sendTransaction from any address (accounts are unlocked).
+ */
+
+const toQuantity = value => ethers.toQuantity(value);
+
+function rpcError(code, message, data) {
+  return { code, message, ...(data !== undefined ? { data } : {}) };
+}
+
+function formatLog(log) {
+  return {
+    address: log.address,
+    topics: log.topics,
+    data: log.data,
+    blockNumber: toQuantity(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    transactionIndex: toQuantity(log.transactionIndex),
+    logIndex: toQuantity(log.logIndex),
+    removed: false,
+  };
+}
+
+function formatTransaction(tx, chainId) {
+  const signature = ethers.Signature.from(tx.signature);
+  return {
+    hash: tx.hash,
+    type: toQuantity(tx.type),
+    blockHash: tx.blockHash,
+    blockNumber: toQuantity(tx.blockNumber),
+    transactionIndex: toQuantity(tx.index),
+    from: tx.from,
+    to: tx.to,
+    input: tx.data,
+    nonce: toQuantity(tx.nonce),
+    value: toQuantity(tx.value),
+    gas: toQuantity(tx.gasLimit),
+    maxFeePerGas: toQuantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: toQuantity(tx.maxPriorityFeePerGas),
+    gasPrice: toQuantity(tx.maxFeePerGas),
+    accessList: [],
+    chainId: toQuantity(chainId),
+    r: signature.r,
+    s: signature.s,
+    v: toQuantity(signature.v),
+    yParity: toQuantity(signature.yParity),
+  };
+}
+
+class SimulatedRpcProvider extends ethers.JsonRpcApiProvider {
+  /**
+   * @param {SimulatedChain} chain
+   */
+  constructor(chain) {
+    const network = ethers.Network.from(chain.chainId);
+    super(network, { staticNetwork: network, batchMaxCount: 1 });
+
+    this.chain = chain;
+    // BlockchainService only runs quorum checks above 1
+    this.quorum = 1;
+  }
+
+  async send(method, params) {
+    // Nothing to connect to
+    this._start();
+    return super.send(method, params);
+  }
+
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+
+    return requests.map(({ id, method, params }) => {
+      try {
+        return { id, jsonrpc: '2.0', result: this.handle(method, params || []) };
+      } catch (error) {
+        if (error instanceof SimulationRevert) {
+          return { id, jsonrpc: '2.0', error: rpcError(3, `execution reverted: ${error.message}`, error.data) };
+        }
+        return { id, jsonrpc: '2.0', error: rpcError(error.rpcCode || -32000, error.message) };
+      }
+    });
+  }
+
+  /**
+   * Same contract as FailoverRpcProvider.quorumSend: the single in-process
+   * answer always agrees with itself
+   */
+  async quorumSend(method, params) {
+    return this.handle(method, params);
+  }
+
+  formatBlock(block, fullTransactions) {
+    if (!block) return null;
+
+    return {
+      number: toQuantity(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: toQuantity(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: toQuantity(30000000),
+      gasUsed: toQuantity(block.transactions.reduce((total, tx) => total + tx.gasUsed, 0n)),
+      miner: ethers.ZeroAddress,
+      extraData: '0x',
+      baseFeePerGas: toQuantity(this.chain.baseFeePerGas),
+      transactions: block.transactions.map(tx => (
+        fullTransactions ? formatTransaction(tx, this.chain.chainId) : tx.hash
+      )),
+    };
+  }
+
+  formatReceipt(tx) {
+    return {
+      transactionHash: tx.hash,
+      transactionIndex: toQuantity(tx.index),
+      blockHash: tx.blockHash,
+      blockNumber: toQuantity(tx.blockNumber),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: null,
+      gasUsed: toQuantity(tx.gasUsed),
+      cumulativeGasUsed: toQuantity(tx.gasUsed),
+      effectiveGasPrice: toQuantity(this.chain.baseFeePerGas + tx.maxPriorityFeePerGas),
+      logsBloom: ethers.zeroPadValue('0x', 256),
+      logs: tx.logs.map(formatLog),
+      status: toQuantity(tx.status),
+      type: toQuantity(tx.type),
+    };
+  }
+
+  /**
+   * Answer one JSON-RPC request
+   */
+  handle(method, params) {
+    const chain = this.chain;
+
+    switch (method) {
+      case 'eth_chainId':
+        return toQuantity(chain.chainId);
+      case 'net_version':
+        return String(chain.chainId);
+      case 'eth_blockNumber':
+        return toQuantity(chain.getBlock('latest').number);
+      case 'eth_getBlockByNumber':
+        return this.formatBlock(chain.getBlock(params[0]), params[1]);
+      case 'eth_getBlockByHash':
+        return this.formatBlock(chain.getBlockByHash(params[0]), params[1]);
+      case 'eth_call':
+        return chain.call(params[0], params[1]);
+      case 'eth_estimateGas':
+        return toQuantity(chain.estimateGas(params[0]));
+      case 'eth_gasPrice':
+        return toQuantity(chain.baseFeePerGas + chain.priorityFee);
+      case 'eth_maxPriorityFeePerGas':
+        return toQuantity(chain.priorityFee);
+      case 'eth_getCode':
+        // Only the simulated contracts have code; Multicall3 is absent, so batched reads fall back
+        return chain.contracts.has(params[0].toLowerCase()) ? '0xfe' : '0x';
+      case 'eth_getBalance':
+        return toQuantity(chain.nativeBalance(params[0]));
+      case 'eth_getTransactionCount':
+        return toQuantity(chain.nonceOf(params[0], chain.getBlock(params[1] || 'latest').state));
+      case 'eth_getLogs':
+        return chain.getLogs(params[0]).map(formatLog);
+      case 'eth_getTransactionByHash': {
+        const tx = chain.getTransaction(params[0]);
+        return tx ? formatTransaction(tx, chain.chainId) : null;
+      }
+      case 'eth_getTransactionReceipt': {
+        const tx = chain.getTransaction(params[0]);
+        return tx ? this.formatReceipt(tx) : null;
+      }
+      case 'eth_sendTransaction':
+        return chain.sendTransaction(params[0]).hash;
+      case 'eth_sendRawTransaction': {
+        const signed = ethers.Transaction.from(params[0]);
+        if (signed.chainId !== BigInt(chain.chainId)) {
+          throw new Error(`Transaction chain id ${signed.chainId} does not match ${chain.chainId}`);
+        }
+        return chain.sendTransaction({
+          hash: signed.hash,
+          from: signed.from,
+          to: signed.to,
+          data: signed.data,
+          value: signed.value,
+          nonce: signed.nonce,
+          type: signed.type,
+          gasLimit: signed.gasLimit,
+          gasPrice: signed.gasPrice,
+          maxFeePerGas: signed.maxFeePerGas,
+          maxPriorityFeePerGas: signed.maxPriorityFeePerGas,
+          signature: signed.signature,
+        }).hash;
+      }
+      case 'evm_increaseTime':
+        return chain.increaseTime(Number(params[0]));
+      case 'evm_mine':
+        chain.mine();
+        return '0x0';
+      default: {
+        const error = new Error(`Method ${method} is not supported by the simulation`);
+        error.rpcCode = -32601;
+        throw error;
+      }
+    }
+  }
+
+  getStats() {
+    return this.chain.describe();
+  }
+}
+
+module.exports = { SimulatedRpcProvider };
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getNetworks, getDefaultNetwork } = require('../config/networks');
+
+/**
+ * Sign-In With Ethereum (EIP-4361) helpers
+ *
+ * Builds the message the wallet signs, parses it back into its fields and
+ * verifies the signature against the address the message claims to be from.
+ * Nonce bookkeeping (expiry, single use) lives in the auth routes since it
+ * needs the database.
+ */
+
+const SIWE_VERSION = '1';
+const NONCE_TTL_SECONDS = parseInt(process.env.SIWE_NONCE_TTL_SECONDS || '300', 10);
+
+/**
+ * Domain, URI and chains the backend expects signed messages to be bound to.
+ * Any configured network's chain is accepted; `chainId` is the default one.
+ */
+function getSiweConfig() {
+  return {
+    domain: process.env.SIWE_DOMAIN || 'stacksave.app',
+    uri: process.env.SIWE_URI || 'https://stacksave.app',
+    chainId: getDefaultNetwork().chainId,
+    chainIds: [...new Set(getNetworks().map(network => network.chainId))],
+    statement: process.env.SIWE_STATEMENT || 'Sign in to StackSave.',
+  };
+}
+
+/**
+ * Generate a random alphanumeric nonce (EIP-4361 requires at least 8 chars)
+ */
+function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Build an EIP-4361 message
+ * @param {Object} fields - domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime
+ * @returns {string} Message to be signed by the wallet
+ */
+function buildSiweMessage(fields) {
+  const address = ethers.getAddress(fields.address);
+  const lines = [
+    `${fields.domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  }
+
+  lines.push(
+    `URI: ${fields.uri}`,
+    `Version: ${SIWE_VERSION}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+
+  if (fields.expirationTime) {
+    lines.push(`Expiration Time: ${fields.expirationTime}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse an EIP-4361 message back into its fields
+ * @param {string} message - Signed message text
+ * @returns {Object} Parsed fields
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') {
+    throw new Error('Message must be a string');
+  }
+
+  const lines = message.split('\n');
+  const header = lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+
+  if (!header || !lines[1]) {
+    throw new Error('Malformed SIWE message');
+  }
+
+  const fields = {
+    domain: header[1],
+    address: lines[1],
+  };
+
+  // Optional statement sits between two blank lines after the address
+  if (lines[2] === '' && lines[3] !== undefined && lines[4] === '' && !lines[3].includes(': ')) {
+    fields.statement = lines[3];
+  }
+
+  const tagMap = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId',
+  };
+
+  for (const line of lines.slice(2)) {
+    const separator = line.indexOf(': ');
+    if (separator === -1) continue;
+
+    const key = tagMap[line.slice(0, separator)];
+    if (key) {
+      fields[key] = line.slice(separator + 2);
+    }
+  }
+
+  if (!fields.uri || !fields.version || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+    throw new Error('SIWE message is missing required fields');
+  }
+
+  fields.chainId = parseInt(fields.chainId, 10);
+  return fields;
+}
+
+/**
+ * Origin of a URI, or null when it isn't a valid absolute URI
+ */
+function uriOrigin(uri) {
+  try {
+    return new URL(uri).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify a signed SIWE message
+ *
+ * Checks the signature recovers to the address in the message and that the
+ * message is bound to this backend's domain, URI origin and chain and is
+ * within its validity window. Does not check the nonce against the database.
+ *
+ * @param {string} message - Signed message text
+ * @param {string} signature - Hex signature produced by personal_sign
+ * @returns {Object} Parsed fields with a checksummed `address`
+ */
+function verifySiweMessage(message, signature) {
+  const fields = parseSiweMessage(message);
+  const config = getSiweConfig();
+
+  let claimedAddress;
+  try {
+    claimedAddress = ethers.getAddress(fields.address);
+  } catch (error) {
+    throw new Error('Invalid address in SIWE message');
+  }
+
+  if (fields.version !== SIWE_VERSION) {
+    throw new Error(`Unsupported SIWE version: ${fields.version}`);
+  }
+  if (fields.domain !== config.domain) {
+    throw new Error('SIWE domain mismatch');
+  }
+  if (!uriOrigin(fields.uri) || uriOrigin(fields.uri) !== uriOrigin(config.uri)) {
+    throw new Error('SIWE URI mismatch');
+  }
+  if (!config.chainIds.includes(fields.chainId)) {
+    throw new Error('SIWE chain ID mismatch');
+  }
+
+  const now = Date.now();
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    throw new Error('SIWE message has expired');
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+    throw new Error('SIWE message is not yet valid');
+  }
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    throw new Error('Invalid signature');
+  }
+
+  if (recoveredAddress !== claimedAddress) {
+    throw new Error('Signature does not match address');
+  }
+
+  return { ...fields, address: claimedAddress };
+}
+
+module.exports = {
+  NONCE_TTL_SECONDS,
+  getSiweConfig,
+  generateNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  verifySiweMessage,
+};
@@ -0,0 +1,178 @@
+const { getGoalRole, canContribute, getWithdrawableAmount } = require('./goalMembers');
+const { recordMilestones } = require('./milestones');
+
+/**
+ * Internal transfers
+ *
+ * Moves an amount between two goals, or between a user's unallocated balance
+ * and a goal, without touching users.total_balance: the funds stay the user's,
+ * only where they are saved changes. Each transfer is one confirmed 'transfer'
+ * transaction with the goal it left (from_goal_id) and the goal it entered
+ * (goal_id); null stands for the unallocated balance.
+ *
+ * The unallocated balance is the part of total_balance not saved in a goal:
+ * the user's own goals' saved amounts (less what other members put into them)
+ * and the user's contributions to goals shared with them are allocated.
+ */
+
+function transferError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function roundAmount(value) {
+  return Number(value.toFixed(6));
+}
+
+/**
+ * Unallocated balance of a user
+ * @param {Object} database - { query } (a pg client inside the caller's transaction)
+ * @returns {Promise<Object>} { totalBalance, allocated, unallocated }
+ */
+async function getUnallocatedBalance(database, userId) {
+  const userResult = await database.query('SELECT total_balance FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    throw transferError('User not found', 404);
+  }
+
+  const ownResult = await database.query(
+    'SELECT COALESCE(SUM(current_amount), 0) AS total FROM savings_goals WHERE user_id = $1',
+    [userId]
+  );
+
+  // Net contributions across creators: the user's into others' goals and
+  // others' into the user's goals
+  const sharedResult = await database.query(
+    `SELECT x.user_id, SUM(x.amount) AS total
+     FROM (
+       SELECT goal_id, user_id, amount FROM deposits WHERE status = 'confirmed'
+       UNION ALL
+       SELECT goal_id, user_id, -amount FROM transactions WHERE type = 'withdrawal' AND status = 'confirmed'
+       UNION ALL
+       SELECT goal_id, user_id, amount FROM transactions WHERE type = 'transfer' AND status = 'confirmed'
+       UNION ALL
+       SELECT from_goal_id, user_id, -amount FROM transactions WHERE type = 'transfer' AND status = 'confirmed'
+     ) x
+     JOIN savings_goals g ON g.id = x.goal_id
+     WHERE g.user_id <> x.user_id AND (g.user_id = $1 OR x.user_id = $1)
+     GROUP BY x.user_id`,
+    [userId]
+  );
+
+  const shared = sharedResult.rows.reduce((sum, row) => (
+    row.user_id === userId ? sum + parseFloat(row.total) : sum - parseFloat(row.total)
+  ), 0);
+
+  const totalBalance = parseFloat(userResult.rows[0].total_balance);
+  const allocated = parseFloat(ownResult.rows[0].total) + shared;
+
+  return {
+    totalBalance: roundAmount(totalBalance),
+    allocated: roundAmount(allocated),
+    unallocated: roundAmount(Math.max(0, totalBalance - allocated)),
+  };
+}
+
+/**
+ * Move funds between goals or between the unallocated balance and a goal
+ * @param {Object} client - pg client inside the caller's transaction
+ * @param {Object} params - { userId, fromGoalId, toGoalId, amount, description };
+ *   a null goal id is the unallocated balance
+ * @returns {Promise<Object>} { transaction, from, to, milestones } with the
+ *   updated goal rows (null for the balance) and newly reached milestones
+ * @throws {Error} status 404 for goals not shared with the user, 403 for
+ *   viewers and 400 for overdrafts (including other members' share of a goal)
+ */
+async function transferFunds(client, { userId, fromGoalId = null, toGoalId = null, amount, description }) {
+  // Lock the user first, then the goals in id order, so concurrent transfers queue up
+  await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+  const goals = {};
+  for (const goalId of [fromGoalId, toGoalId].filter(Boolean).sort()) {
+    const role = await getGoalRole(client, goalId, userId);
+    if (!role) {
+      throw transferError('Goal not found', 404);
+    }
+    if (!canContribute(role)) {
+      throw transferError('Viewers cannot move funds in or out of this goal', 403);
+    }
+
+    const result = await client.query(
+      'SELECT id, user_id, title, current_amount, target_amount FROM savings_goals WHERE id = $1 FOR UPDATE',
+      [goalId]
+    );
+    goals[goalId] = result.rows[0];
+  }
+
+  const from = fromGoalId ? goals[fromGoalId] : null;
+  const to = toGoalId ? goals[toGoalId] : null;
+
+  if (from) {
+    if (parseFloat(from.current_amount) < amount) {
+      throw transferError('Insufficient goal balance', 400);
+    }
+
+    // Nobody moves other members' share of a shared goal, the creator included
+    if (await getWithdrawableAmount(client, from, userId) < amount) {
+      throw transferError('Insufficient contribution', 400);
+    }
+  } else {
+    const { unallocated } = await getUnallocatedBalance(client, userId);
+    if (unallocated < amount) {
+      throw transferError('Insufficient unallocated balance', 400);
+    }
+  }
+
+  const defaultDescription = `Transfer from ${from ? from.title : 'balance'} to ${to ? to.title : 'balance'}`;
+
+  const transactionResult = await client.query(
+    `INSERT INTO transactions (user_id, type, amount, description, status, goal_id, from_goal_id)
+     VALUES ($1, 'transfer', $2, $3, 'confirmed', $4, $5)
+     RETURNING *`,
+    [userId, amount, description || defaultDescription, toGoalId, fromGoalId]
+  );
+
+  // A goal dropping below target is no longer complete; one reaching it is
+  let fromGoal = null;
+  let toGoal = null;
+  const milestones = [];
+
+  if (from) {
+    const result = await client.query(
+      `UPDATE savings_goals
+       SET current_amount = current_amount - $1,
+           is_completed = (current_amount - $1) >= target_amount
+       WHERE id = $2
+       RETURNING *`,
+      [amount, from.id]
+    );
+    fromGoal = result.rows[0];
+    milestones.push(...await recordMilestones(client, from.id, { source: 'transfer' }));
+  }
+
+  if (to) {
+    const result = await client.query(
+      `UPDATE savings_goals
+       SET current_amount = current_amount + $1,
+           is_completed = (current_amount + $1) >= target_amount
+       WHERE id = $2
+       RETURNING *`,
+      [amount, to.id]
+    );
+    toGoal = result.rows[0];
+    milestones.push(...await recordMilestones(client, to.id, { source: 'transfer' }));
+  }
+
+  return {
+    transaction: transactionResult.rows[0],
+    from: fromGoal,
+    to: toGoal,
+    milestones,
+  };
+}
+
+module.exports = {
+  getUnallocatedBalance,
+  transferFunds,
+};
@@ -0,0 +1,346 @@
+const { ethers } = require('ethers');
+const { getBlockchainService } = require('./blockchain');
+const { formatTokenAmount, parseTokenAmount } = require('./erc20');
+
+/**
+ * Unsigned transaction builder for the mobile wallet
+ *
+ * Encodes StackSaveSimple and deposit token (ERC-20) calls, attaches an
+ * estimated gas limit and current fee data, and runs the pre-flight checks
+ * the contract would otherwise revert on (token balance/allowance,
+ * withdrawable balance, goal existence). Amounts are converted with the
+ * deposit token's decimals. The wallet signs and broadcasts the payload itself.
+ * Owner-only calls are built for the admin owner operations workflow (see
+ * ownerOperations.js) and are sent from the contract owner.
+ *
+ * Payload: { action, from, to, data, value, chainId, gasLimit, gasEstimateError,
+ *            fees, token: { address, symbol, decimals },
+ *            preflight: { ok, checks: [{ name, ok, required, actual, message }] } }
+ */
+
+// Estimated gas gets 20% headroom
+const GAS_BUFFER_PERCENT = 120n;
+
+// Used when estimation reverts, e.g. a deposit built before its approve is mined
+const FALLBACK_GAS_LIMITS = {
+  createGoal: 200000n,
+  deposit: 150000n,
+  withdraw: 150000n,
+  claimInterest: 120000n,
+  approve: 60000n,
+  fundContract: 120000n,
+  emergencyWithdraw: 120000n,
+  updateTreasury: 60000n,
+  transferOwnership: 60000n,
+};
+
+const OWNER_ACTIONS = ['fundContract', 'emergencyWithdraw', 'updateTreasury', 'transferOwnership'];
+
+function check(name, ok, required, actual, message) {
+  return { name, ok, required, actual, message: ok ? null : message };
+}
+
+function amountCheck(token, name, required, actual, message) {
+  return check(
+    name,
+    actual >= required,
+    formatTokenAmount(required, token),
+    formatTokenAmount(actual, token),
+    message
+  );
+}
+
+/**
+ * Amounts below the token's smallest unit round to zero
+ */
+function positiveCheck(token, name, raw, message) {
+  return check(name, raw > 0n, '> 0', formatTokenAmount(raw, token), message);
+}
+
+/**
+ * Look up an on-chain goal by index
+ */
+async function findGoal(blockchainService, from, goalId) {
+  const goals = await blockchainService.getUserGoals(from);
+  return goals.find(goal => goal.goalId === goalId) || null;
+}
+
+function formatFees(feeData) {
+  const toString = value => (value === null || value === undefined ? null : value.toString());
+  return {
+    gasPrice: toString(feeData.gasPrice),
+    maxFeePerGas: toString(feeData.maxFeePerGas),
+    maxPriorityFeePerGas: toString(feeData.maxPriorityFeePerGas),
+  };
+}
+
+/**
+ * Assemble the payload shared by every action
+ */
+async function buildPayload(blockchainService, action, from, to, data, checks, token) {
+  const [chainId, feeData] = await Promise.all([
+    blockchainService.getChainId(),
+    blockchainService.getFeeData(),
+  ]);
+
+  let gasLimit;
+  let gasEstimateError = null;
+
+  try {
+    const estimate = await blockchainService.estimateGas({ from, to, data, value: 0n });
+    gasLimit = (estimate * GAS_BUFFER_PERCENT) / 100n;
+  } catch (error) {
+    gasLimit = FALLBACK_GAS_LIMITS[action];
+    gasEstimateError = error.shortMessage || error.message;
+  }
+
+  return {
+    action,
+    from,
+    to,
+    data,
+    value: '0',
+    chainId,
+    gasLimit: gasLimit.toString(),
+    gasEstimateError,
+    fees: formatFees(feeData),
+    token: { address: token.address, symbol: token.symbol, decimals: token.decimals },
+    preflight: {
+      ok: checks.every(item => item.ok),
+      checks,
+    },
+  };
+}
+
+/**
+ * createGoal(name, targetAmount)
+ */
+async function buildCreateGoalTx(from, { name, targetAmount }, options = {}) {
+  const blockchainService = options.blockchainService || getBlockchainService();
+  const contract = blockchainService.stackSaveContract;
+  const token = await blockchainService.getDepositToken();
+  const target = parseTokenAmount(targetAmount, token);
+
+  const data = contract.interface.encodeFunctionData('createGoal', [name, target]);
+  const checks = [
+    positiveCheck(token, 'targetAmount', target, 'Target amount must be greater than 0'),
+  ];
+
+  return buildPayload(blockchainService, 'createGoal', from, blockchainService.stackSaveAddress, data, checks, token);
+}
+
+/**
+ * deposit(goalId, amount); needs deposit token balance and allowance for StackSave
+ */
+async function buildDepositTx(from, { goalId, amount }, options = {}) {
+  const blockchainService = options.blockchainService || getBlockchainService();
+  const contract = blockchainService.stackSaveContract;
+  const token = await blockchainService.getDepositToken();
+  const tokenContract = blockchainService.tokenContract(token.address);
+  const raw = parseTokenAmount(amount, token);
+
+  const [balance, allowance, goal] = await Promise.all([
+    tokenContract.balanceOf(from),
+    tokenContract.allowance(from, blockchainService.stackSaveAddress),
+    findGoal(blockchainService, from, goalId),
+  ]);
+
+  const symbol = token.symbol || 'token';
+  const data = contract.interface.encodeFunctionData('deposit', [goalId, raw]);
+  const checks = [
+    positiveCheck(token, 'amount', raw, 'Amount must be greater than 0'),
+    check('goal', goal !== null, `goal ${goalId}`, goal ? goal.name : null, `Goal ${goalId} does not exist for this wallet`),
+    amountCheck(token, 'usdcBalance', raw, balance, `Insufficient ${symbol} balance`),
+    amountCheck(token, 'usdcAllowance', raw, allowance, `${symbol} allowance too low; approve StackSave first`),
+  ];
+
+  return buildPayload(blockchainService, 'deposit', from, blockchainService.stackSaveAddress, data, checks, token);
+}
+
+/**
+ * withdraw(goalId, amount); limited by balances() and the goal's saved amount
+ */
+async function buildWithdrawTx(from, { goalId, amount }, options = {}) {
+  const blockchainService = options.blockchainService || getBlockchainService();
+  const contract = blockchainService.stackSaveContract;
+  const token = await blockchainService.getDepositToken();
+  const raw = parseTokenAmount(amount, token);
+
+  const [available, goal] = await Promise.all([
+    contract.balances(from),
+    findGoal(blockchainService, from, goalId),
+  ]);
+
+  const data = contract.interface.encodeFunctionData('withdraw', [goalId, raw]);
+  const checks = [
+    positiveCheck(token, 'amount', raw, 'Amount must be greater than 0'),
+    check('goal', goal !== null, `goal ${goalId}`, goal ? goal.name : null, `Goal ${goalId} does not exist for this wallet`),
+    amountCheck(token, 'availableBalance', raw, available, 'Amount exceeds balance available to withdraw'),
+  ];
+
+  if (goal) {
+    checks.push(amountCheck(token, 'goalBalance', raw, parseTokenAmount(goal.currentAmount, token), 'Amount exceeds the goal\'s saved amount'));
+  }
+
+  return buildPayload(blockchainService, 'withdraw', from, blockchainService.stackSaveAddress, data, checks, token);
+}
+
+/**
+ * claimInterest(); only worth sending with pending interest
+ */
+async function buildClaimInterestTx(from, options = {}) {
+  const blockchainService = options.blockchainService || getBlockchainService();
+  const contract = blockchainService.stackSaveContract;
+
+  const [token, pending] = await Promise.all([
+    blockchainService.getDepositToken(),
+    contract.pendingInterest(from),
+  ]);
+
+  const data = contract.interface.encodeFunctionData('claimInterest', []);
+  const checks = [
+    positiveCheck(token, 'pendingInterest', pending, 'No interest to claim'),
+  ];
+
+  return buildPayload(blockchainService, 'claimInterest', from, blockchainService.stackSaveAddress, data, checks, token);
+}
+
+/**
+ * Deposit token approve(spender, amount); spender defaults to StackSave
+ */
+async function buildApproveTx(from, { amount, unlimited = false, spender }, options = {}) {
+  const blockchainService = options.blockchainService || getBlockchainService();
+  const token = await blockchainService.getDepositToken();
+  const tokenContract = blockchainService.tokenContract(token.address);
+  const spenderAddress = spender || blockchainService.stackSaveAddress;
+  const raw = unlimited ? ethers.MaxUint256 : parseTokenAmount(amount, token);
+
+  const [balance, allowance] = await Promise.all([
+    tokenContract.balanceOf(from),
+    tokenContract.allowance(from, spenderAddress),
+  ]);
+
+  const data = tokenContract.interface.encodeFunctionData('approve', [spenderAddress, raw]);
+  const checks = [
+    check(
+      'currentAllowance',
+      allowance < raw,
+      unlimited ? 'unlimited' : formatTokenAmount(raw, token),
+      formatTokenAmount(allowance, token),
+      'Allowance already covers this amount'
+    ),
+    check(
+      'usdcBalance',
+      unlimited || balance >= raw,
+      unlimited ? 'any' : formatTokenAmount(raw, token),
+      formatTokenAmount(balance, token),
+      `${token.symbol || 'Token'} balance is below the approved amount`
+    ),
+  ];
+
+  return buildPayload(blockchainService, 'approve', from, token.address, data, checks, token);
+}
+
+/**
+ * Encode an owner-only StackSave call. Amounts are converted with the token
+ * they move (fundContract: the deposit token; emergencyWithdraw: `token`,
+ * the deposit token by default).
+ * @param {string} action - One of OWNER_ACTIONS
+ * @param {Object} params - { amount } | { token, amount } | { treasury } | { newOwner }
+ * @returns {Promise<Object>} { to, data, params } with params normalized
+ *   (checksummed addresses, amount and rawAmount as strings)
+ */
+async function encodeOwnerCall(action, params, options = {}) {
+  const blockchainService = options.blockchainService || getBlockchainService();
+  const contract = blockchainService.stackSaveContract;
+  const to = blockchainService.stackSaveAddress;
+
+  switch (action) {
+    case 'fundContract':
+    case 'emergencyWithdraw': {
+      const token = action === 'emergencyWithdraw' && params.token
+        ? await blockchainService.getToken(params.token)
+        : await blockchainService.getDepositToken();
+      const raw = parseTokenAmount(params.amount, token);
+
+      if (raw <= 0n) {
+        const error = new Error('amount must be at least one token unit');
+        error.status = 400;
+        throw error;
+      }
+
+      const args = action === 'fundContract' ? [raw] : [token.address, raw];
+      return {
+        to,
+        data: contract.interface.encodeFunctionData(action, args),
+        params: { token: token.address, amount: formatTokenAmount(raw, token), rawAmount: raw.toString() },
+      };
+    }
+    case 'updateTreasury': {
+      const treasury = ethers.getAddress(params.treasury);
+      return { to, data: contract.interface.encodeFunctionData(action, [treasury]), params: { treasury } };
+    }
+    case 'transferOwnership': {
+      const newOwner = ethers.getAddress(params.newOwner);
+      return { to, data: contract.interface.encodeFunctionData(action, [newOwner]), params: { newOwner } };
+    }
+    default: {
+      const error = new Error(`Unknown owner action ${action}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Payload for an owner-only call encoded by encodeOwnerCall, sent from the
+ * contract's current owner. Pre-flight: fundContract needs the owner's token
+ * balance and allowance, emergencyWithdraw the contract's token balance, and
+ * updateTreasury/transferOwnership must change something.
+ * @param {Object} call - { action, to, data, params }
+ */
+async function buildOwnerTx({ action, to, data, params }, options = {}) {
+  const blockchainService = options.blockchainService || getBlockchainService();
+  const contract = blockchainService.stackSaveContract;
+  const owner = ethers.getAddress(await contract.owner());
+  const token = params.token
+    ? await blockchainService.getToken(params.token)
+    : await blockchainService.getDepositToken();
+  const symbol = token.symbol || 'token';
+  const checks = [];
+
+  if (action === 'fundContract') {
+    const tokenContract = blockchainService.tokenContract(token.address);
+    const raw = BigInt(params.rawAmount);
+    const [balance, allowance] = await Promise.all([
+      tokenContract.balanceOf(owner),
+      tokenContract.allowance(owner, blockchainService.stackSaveAddress),
+    ]);
+    checks.push(
+      amountCheck(token, 'ownerBalance', raw, balance, `Owner ${symbol} balance is below the amount`),
+      amountCheck(token, 'ownerAllowance', raw, allowance, `Owner ${symbol} allowance too low; approve StackSave first`)
+    );
+  } else if (action === 'emergencyWithdraw') {
+    const balance = await blockchainService.tokenContract(token.address).balanceOf(blockchainService.stackSaveAddress);
+    checks.push(amountCheck(token, 'contractBalance', BigInt(params.rawAmount), balance, `Contract holds less ${symbol} than the amount`));
+  } else if (action === 'updateTreasury') {
+    const treasury = ethers.getAddress(await contract.treasury());
+    checks.push(check('treasury', treasury !== params.treasury, `not ${treasury}`, params.treasury, 'Treasury is already set to this address'));
+  } else if (action === 'transferOwnership') {
+    checks.push(check('newOwner', owner !== params.newOwner, `not ${owner}`, params.newOwner, 'Address is already the owner'));
+  }
+
+  return buildPayload(blockchainService, action, owner, to, data, checks, token);
+}
+
+module.exports = {
+  FALLBACK_GAS_LIMITS,
+  OWNER_ACTIONS,
+  encodeOwnerCall,
+  buildOwnerTx,
+  buildCreateGoalTx,
+  buildDepositTx,
+  buildWithdrawTx,
+  buildClaimInterestTx,
+  buildApproveTx,
+};
@@ -27,4 +27,7 @@ app.listen(PORT, () => {
   console.log(`🚀 Test Server running on port ${PORT}`);
   console.log(`🔗 Health: http://localhost:${PORT}/health`);
   console.log(`🔗 Contract Info: http://localhost:${PORT}/api/blockchain/contract-info`);
+  if (process.env.BLOCKCHAIN_SIMULATION === 'true') {
+    console.log(`🧪 Simulated chain: http://localhost:${PORT}/api/blockchain/simulation`);
+  }
 });
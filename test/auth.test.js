@@ -0,0 +1,112 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SIWE_DOMAIN = 'stacksave.app';
+process.env.SIWE_URI = 'https://stacksave.app';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { useTestDatabase } = require('./helpers/database');
+
+const resetDatabase = useTestDatabase();
+
+const { startApp } = require('./helpers/app');
+const { getSiweConfig, buildSiweMessage } = require('../src/services/siwe');
+const authRoutes = require('../src/routes/auth');
+
+const wallet = ethers.Wallet.createRandom();
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp({ '/api/auth': authRoutes });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = resetDatabase();
+});
+
+async function requestNonce() {
+  const response = await app.request('POST', '/api/auth/nonce', { body: { walletAddress: wallet.address } });
+  assert.equal(response.status, 200);
+  return response.body;
+}
+
+async function connect(message) {
+  return app.request('POST', '/api/auth/connect-wallet', {
+    body: { message, signature: await wallet.signMessage(message) },
+  });
+}
+
+/**
+ * The issued message with some fields replaced, for the same nonce
+ */
+function tamperedMessage(nonce, fields) {
+  const config = getSiweConfig();
+  return buildSiweMessage({
+    domain: config.domain,
+    address: wallet.address,
+    statement: config.statement,
+    uri: config.uri,
+    chainId: config.chainId,
+    nonce: nonce.nonce,
+    issuedAt: nonce.issuedAt,
+    expirationTime: nonce.expiresAt,
+    ...fields,
+  });
+}
+
+test('a signed nonce signs the wallet in once', async () => {
+  const nonce = await requestNonce();
+
+  const first = await connect(nonce.message);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.user.walletAddress, wallet.address.toLowerCase());
+  assert.ok(first.body.tokens.accessToken);
+
+  const replay = await connect(nonce.message);
+  assert.equal(replay.status, 401);
+  assert.match(replay.body.message, /already used/);
+});
+
+test('an expired nonce is rejected', async () => {
+  const nonce = await requestNonce();
+  await db.query("UPDATE auth_nonces SET expires_at = '2000-01-01' WHERE nonce = $1", [nonce.nonce]);
+
+  const response = await connect(nonce.message);
+
+  assert.equal(response.status, 401);
+  assert.match(response.body.message, /expired/);
+});
+
+test('a message bound to another domain or URI is rejected without using the nonce', async () => {
+  const nonce = await requestNonce();
+
+  const otherDomain = await connect(tamperedMessage(nonce, { domain: 'evil.example' }));
+  assert.equal(otherDomain.status, 401);
+  assert.equal(otherDomain.body.message, 'SIWE domain mismatch');
+
+  const otherUri = await connect(tamperedMessage(nonce, { uri: 'https://evil.example/login' }));
+  assert.equal(otherUri.status, 401);
+  assert.equal(otherUri.body.message, 'SIWE URI mismatch');
+
+  // A path on the configured origin is fine, and the nonce is still unused
+  const sameOrigin = await connect(tamperedMessage(nonce, { uri: 'https://stacksave.app/login' }));
+  assert.equal(sameOrigin.status, 200);
+});
+
+test('a signature from another wallet is rejected', async () => {
+  const nonce = await requestNonce();
+  const other = ethers.Wallet.createRandom();
+
+  const response = await app.request('POST', '/api/auth/verify', {
+    body: { message: nonce.message, signature: await other.signMessage(nonce.message) },
+  });
+
+  assert.equal(response.status, 401);
+  assert.equal(response.body.verified, false);
+  assert.equal(response.body.message, 'Signature does not match address');
+});
@@ -0,0 +1,122 @@
+// A real network behind two local JSON-RPC endpoints that must agree on receipts (see before())
+process.env.BLOCKCHAIN_SIMULATION = 'false';
+delete process.env.RPC_URL;
+delete process.env.NETWORKS_CONFIG;
+process.env.STACKSAVE_ADDRESS = '0x1111111111111111111111111111111111111111';
+process.env.USDC_ADDRESS = '0x5555555555555555555555555555555555555555';
+process.env.CHAIN_ID = '84532';
+process.env.RPC_QUORUM = '2';
+process.env.RPC_RETRIES = '0';
+process.env.RPC_TIMEOUT_MS = '1000';
+
+const http = require('http');
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const BLOCK_HASH = `0x${'cd'.repeat(32)}`;
+
+function rawReceipt({ hash = TX_HASH, blockHash = BLOCK_HASH, status = '0x1', data = `0x${'00'.repeat(31)}19` } = {}) {
+  return {
+    transactionHash: hash,
+    transactionIndex: '0x0',
+    blockHash,
+    blockNumber: '0x5a',
+    from: '0x2222222222222222222222222222222222222222',
+    to: process.env.STACKSAVE_ADDRESS,
+    contractAddress: null,
+    gasUsed: '0x5208',
+    cumulativeGasUsed: '0x5208',
+    effectiveGasPrice: '0x1',
+    logsBloom: `0x${'00'.repeat(256)}`,
+    logs: [{
+      address: process.env.STACKSAVE_ADDRESS,
+      topics: [`0x${'ef'.repeat(32)}`],
+      data,
+      blockHash,
+      blockNumber: '0x5a',
+      transactionHash: hash,
+      transactionIndex: '0x0',
+      logIndex: '0x0',
+      removed: false,
+    }],
+    status,
+    type: '0x2',
+  };
+}
+
+// What each endpoint answers to eth_getTransactionReceipt, call by call
+let answers;
+
+function endpoint(index) {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const answer = request => {
+        let result = null;
+        if (request.method === 'eth_chainId') result = '0x14a34';
+        if (request.method === 'eth_getTransactionReceipt') {
+          const queue = answers[index];
+          result = queue.length > 1 ? queue.shift() : queue[0];
+        }
+        return { jsonrpc: '2.0', id: request.id, result };
+      };
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+}
+
+let servers;
+let service;
+
+before(async () => {
+  servers = [endpoint(0), endpoint(1)];
+  await Promise.all(servers.map(server => new Promise(resolve => server.listen(0, '127.0.0.1', resolve))));
+  process.env.RPC_URLS = servers.map(server => `http://127.0.0.1:${server.address().port}`).join(',');
+
+  service = require('../src/services/blockchain').getBlockchainService();
+});
+
+after(async () => {
+  await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+});
+
+beforeEach(() => {
+  answers = [[rawReceipt()], [rawReceipt()]];
+});
+
+test('a receipt the endpoints agree on is returned', async () => {
+  const receipt = await service.getTransactionReceipt(TX_HASH);
+
+  assert.equal(receipt.hash, TX_HASH);
+  assert.equal(receipt.status, 1);
+  assert.equal(receipt.blockNumber, 90);
+  assert.equal(receipt.blockHash, BLOCK_HASH);
+  assert.equal(receipt.logs.length, 1);
+  assert.equal(receipt.logs[0].address, process.env.STACKSAVE_ADDRESS);
+});
+
+test('endpoints disagreeing on the block fail the read', async () => {
+  answers[1] = [rawReceipt({ blockHash: `0x${'ee'.repeat(32)}` })];
+
+  await assert.rejects(service.getTransactionReceipt(TX_HASH), { code: 'QUORUM_NOT_REACHED' });
+});
+
+test('an unmined transaction has no receipt', async () => {
+  answers = [[null], [null]];
+
+  assert.equal(await service.getTransactionReceipt(TX_HASH), null);
+});
+
+test('a receipt read after the quorum must be the agreed one', async () => {
+  // The endpoint that serves the second read changes its answer (another
+  // hash, so ethers' short-lived result cache does not answer for it)
+  const hash = `0x${'ac'.repeat(32)}`;
+  const forged = rawReceipt({ hash, data: `0x${'00'.repeat(31)}ff` });
+  answers = [[rawReceipt({ hash }), forged], [rawReceipt({ hash }), forged]];
+
+  await assert.rejects(service.getTransactionReceipt(hash), { code: 'QUORUM_NOT_REACHED', message: /disagree/ });
+});
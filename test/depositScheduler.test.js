@@ -0,0 +1,208 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DepositScheduler, occurrenceAt, planSchedule } = require('../src/services/depositScheduler');
+const { submitDeposit } = require('../src/services/deposits');
+const { createTestDatabase } = require('./helpers/database');
+
+const HOUR_MS = 60 * 60 * 1000;
+const RETRY_DELAY = 15 * 60 * 1000;
+
+let db;
+let now;
+let fixtures;
+
+beforeEach(async () => {
+  db = createTestDatabase();
+  now = Date.parse('2027-01-04T00:00:00Z');
+
+  const user = (await db.query(
+    "INSERT INTO users (wallet_address) VALUES ('0x2222222222222222222222222222222222222222') RETURNING id"
+  )).rows[0];
+  const goal = (await db.query(
+    `INSERT INTO savings_goals (user_id, title, target_amount, frequency, start_date, end_date)
+     VALUES ($1, 'Trip', 100, 'monthly', '2027-01-01', '2027-12-31') RETURNING id`,
+    [user.id]
+  )).rows[0];
+  const paymentMethod = (await db.query(
+    "INSERT INTO payment_methods (user_id, type, account_name) VALUES ($1, 'bank', 'Savings') RETURNING id",
+    [user.id]
+  )).rows[0];
+
+  fixtures = { userId: user.id, goalId: goal.id, paymentMethodId: paymentMethod.id };
+});
+
+async function createSchedule({ amount = 10, cadence = 'daily', timezone = 'UTC', startDate = '2027-01-04', timeOfDay = '09:00' } = {}) {
+  const plan = planSchedule({ cadence, timezone, startDate, timeOfDay }, new Date(now));
+  const result = await db.query(
+    `INSERT INTO deposit_schedules
+     (user_id, goal_id, payment_method_id, amount, cadence, timezone, starts_at, occurrence, next_run_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [fixtures.userId, fixtures.goalId, fixtures.paymentMethodId, amount, cadence, timezone, plan.startsAt, plan.occurrence, plan.nextRunAt]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Scheduler on the test clock whose deposits fail with the queued errors first
+ */
+function createScheduler(failures = []) {
+  return new DepositScheduler({
+    clock: () => now,
+    db,
+    maxAttempts: 3,
+    retryDelay: RETRY_DELAY,
+    submitDeposit: async (client, params) => {
+      if (failures.length > 0) {
+        throw failures.shift();
+      }
+      return submitDeposit(client, params);
+    },
+  });
+}
+
+async function loadSchedule(id) {
+  return (await db.query('SELECT * FROM deposit_schedules WHERE id = $1', [id])).rows[0];
+}
+
+async function runStatuses(id) {
+  const result = await db.query(
+    'SELECT occurrence, attempt, status FROM deposit_schedule_runs WHERE schedule_id = $1 ORDER BY created_at ASC',
+    [id]
+  );
+  return result.rows.map(row => [row.occurrence, row.attempt, row.status]);
+}
+
+function statusError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+test('monthly runs on the 29th-31st fall on the last day of shorter months', () => {
+  const at = (startsAt, index) => occurrenceAt({ cadence: 'monthly', timezone: 'UTC', starts_at: startsAt }, index).toISOString();
+
+  assert.equal(at('2027-01-31T09:00:00Z', 1), '2027-02-28T09:00:00.000Z');
+  assert.equal(at('2027-01-31T09:00:00Z', 2), '2027-03-31T09:00:00.000Z');
+  assert.equal(at('2027-01-31T09:00:00Z', 3), '2027-04-30T09:00:00.000Z');
+  assert.equal(at('2027-01-31T09:00:00Z', 13), '2028-02-29T09:00:00.000Z');
+  // Shorter months don't move later runs off the anchor day
+  assert.equal(at('2027-01-29T09:00:00Z', 1), '2027-02-28T09:00:00.000Z');
+  assert.equal(at('2027-01-29T09:00:00Z', 2), '2027-03-29T09:00:00.000Z');
+});
+
+test('runs keep their local time of day in the schedule timezone, across DST', () => {
+  const jakarta = planSchedule({ cadence: 'daily', timezone: 'Asia/Jakarta', startDate: '2027-01-05', timeOfDay: '09:00' }, new Date(now));
+  assert.equal(jakarta.nextRunAt.toISOString(), '2027-01-05T02:00:00.000Z');
+
+  // New York moves to daylight time on 2027-03-14 and back on 2027-11-07
+  const newYork = { cadence: 'weekly', timezone: 'America/New_York', starts_at: '2027-03-07T14:00:00Z' };
+  assert.equal(occurrenceAt(newYork, 0).toISOString(), '2027-03-07T14:00:00.000Z');
+  assert.equal(occurrenceAt(newYork, 1).toISOString(), '2027-03-14T13:00:00.000Z');
+  assert.equal(occurrenceAt(newYork, 35).toISOString(), '2027-11-07T14:00:00.000Z');
+
+  // 02:30 doesn't exist on the spring-forward day; the run still happens that day
+  const gap = { cadence: 'daily', timezone: 'America/New_York', starts_at: '2027-03-13T07:30:00Z' };
+  assert.equal(occurrenceAt(gap, 1).toISOString().slice(0, 10), '2027-03-14');
+  assert.equal(occurrenceAt(gap, 2).toISOString(), '2027-03-15T06:30:00.000Z');
+});
+
+test('deposits when due and moves to the next run', async () => {
+  const schedule = await createSchedule();
+  const scheduler = createScheduler();
+
+  assert.equal((await scheduler.runOnce()).succeeded, 0);
+
+  now = Date.parse('2027-01-04T09:00:00Z');
+  assert.equal((await scheduler.runOnce()).succeeded, 1);
+
+  const updated = await loadSchedule(schedule.id);
+  assert.equal(updated.occurrence, 1);
+  assert.equal(new Date(updated.next_run_at).toISOString(), '2027-01-05T09:00:00.000Z');
+
+  const goal = (await db.query('SELECT current_amount FROM savings_goals WHERE id = $1', [fixtures.goalId])).rows[0];
+  assert.equal(Number(goal.current_amount), 10);
+  assert.deepEqual(await runStatuses(schedule.id), [[0, 1, 'succeeded']]);
+});
+
+test('retries failed deposits with doubling backoff, then fails the run and moves on', async () => {
+  const schedule = await createSchedule();
+  const scheduler = createScheduler([new Error('rpc down'), new Error('rpc down'), new Error('rpc down')]);
+  const due = Date.parse('2027-01-04T09:00:00Z');
+
+  now = due;
+  assert.equal((await scheduler.runOnce()).retrying, 1);
+  let updated = await loadSchedule(schedule.id);
+  assert.equal(new Date(updated.retry_at).getTime(), due + RETRY_DELAY);
+
+  now = due + RETRY_DELAY - 1;
+  assert.deepEqual(Object.values(await scheduler.runOnce()).filter(Boolean), []);
+
+  now = due + RETRY_DELAY;
+  assert.equal((await scheduler.runOnce()).retrying, 1);
+  updated = await loadSchedule(schedule.id);
+  assert.equal(new Date(updated.retry_at).getTime(), now + 2 * RETRY_DELAY);
+
+  now += 2 * RETRY_DELAY;
+  assert.equal((await scheduler.runOnce()).failed, 1);
+  updated = await loadSchedule(schedule.id);
+  assert.equal(updated.status, 'active');
+  assert.equal(updated.attempts, 0);
+  assert.equal(updated.retry_at, null);
+  assert.equal(new Date(updated.next_run_at).toISOString(), '2027-01-05T09:00:00.000Z');
+
+  assert.deepEqual(await runStatuses(schedule.id), [[0, 1, 'retrying'], [0, 2, 'retrying'], [0, 3, 'failed']]);
+});
+
+test('pauses the schedule on errors retrying cannot fix', async () => {
+  const schedule = await createSchedule();
+  const scheduler = createScheduler([statusError('Goal not found', 404)]);
+
+  now = Date.parse('2027-01-04T09:00:00Z');
+  assert.equal((await scheduler.runOnce()).paused, 1);
+  assert.equal((await loadSchedule(schedule.id)).status, 'paused');
+  assert.deepEqual(await runStatuses(schedule.id), [[0, 1, 'failed']]);
+
+  // A deactivated payment method pauses it too
+  await scheduler.setStatus(schedule.id, 'active');
+  await db.query('UPDATE payment_methods SET is_active = false WHERE id = $1', [fixtures.paymentMethodId]);
+  now = Date.parse('2027-01-05T09:00:00Z');
+  assert.equal((await scheduler.runOnce()).paused, 1);
+});
+
+test('skips the next run, and resumes at the next future run without making up missed ones', async () => {
+  const schedule = await createSchedule();
+  const scheduler = createScheduler();
+
+  const skipped = await scheduler.skip(schedule.id);
+  assert.equal(new Date(skipped.next_run_at).toISOString(), '2027-01-05T09:00:00.000Z');
+  assert.deepEqual(await runStatuses(schedule.id), [[0, 1, 'skipped']]);
+
+  await scheduler.setStatus(schedule.id, 'paused');
+  now = Date.parse('2027-01-08T12:00:00Z');
+  assert.equal((await scheduler.runOnce()).succeeded, 0);
+  await assert.rejects(scheduler.skip(schedule.id), { status: 409 });
+
+  const resumed = await scheduler.setStatus(schedule.id, 'active');
+  assert.equal(new Date(resumed.next_run_at).toISOString(), '2027-01-09T09:00:00.000Z');
+  assert.equal(resumed.occurrence, 5);
+
+  now = Date.parse('2027-01-09T09:00:00Z');
+  assert.equal((await scheduler.runOnce()).succeeded, 1);
+  const deposits = await db.query('SELECT COUNT(*) AS count FROM deposits WHERE user_id = $1', [fixtures.userId]);
+  assert.equal(Number(deposits.rows[0].count), 1);
+});
+
+test('completes once its goal is reached', async () => {
+  const schedule = await createSchedule({ amount: 60 });
+  const scheduler = createScheduler();
+
+  now = Date.parse('2027-01-04T09:00:00Z');
+  await scheduler.runOnce();
+  assert.equal((await loadSchedule(schedule.id)).status, 'active');
+
+  now += 24 * HOUR_MS;
+  await scheduler.runOnce();
+  assert.equal((await loadSchedule(schedule.id)).status, 'completed');
+  await assert.rejects(scheduler.setStatus(schedule.id, 'active'), { status: 409 });
+});
@@ -0,0 +1,159 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createTestDatabase } = require('./helpers/database');
+const { DepositVerifier } = require('../src/services/depositVerifier');
+const { createDeposit } = require('../src/services/deposits');
+const { erc20ABI } = require('../src/services/erc20');
+
+const CHAIN_ID = 84532;
+const STACKSAVE = '0x1111111111111111111111111111111111111111';
+const OTHER_CONTRACT = '0x3333333333333333333333333333333333333333';
+const WALLET = '0x2222222222222222222222222222222222222222';
+const OTHER_WALLET = '0x4444444444444444444444444444444444444444';
+const USDC = { address: '0x5555555555555555555555555555555555555555', chainId: CHAIN_ID, symbol: 'USDC', decimals: 6 };
+const DAI = { address: '0x6666666666666666666666666666666666666666', chainId: CHAIN_ID, symbol: 'DAI', decimals: 6 };
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+const stackSave = new ethers.Interface(require('../abi/StackSaveSimple.json'));
+const erc20 = new ethers.Interface(erc20ABI);
+
+let db;
+let user;
+let receipt;
+
+/**
+ * Just enough of BlockchainService for the verifier, serving `receipt`
+ */
+const blockchainService = {
+  getTransactionReceipt: async () => receipt,
+  getBlockNumber: async () => 100,
+  getToken: async address => [USDC, DAI].find(token => token.address === address),
+  getDepositToken: async () => USDC,
+  invalidateAddress: async () => 0,
+};
+
+function log(iface, address, eventName, args) {
+  return { address, ...iface.encodeEventLog(eventName, args) };
+}
+
+/**
+ * Receipt of a deposit of `amount` USDC units into StackSave, with parts
+ * of it swapped out by `overrides`
+ */
+function depositReceipt(amount, { token = USDC, contract = STACKSAVE, depositor = WALLET, deposited = amount } = {}) {
+  return {
+    status: 1,
+    blockNumber: 90,
+    logs: [
+      log(erc20, token.address, 'Transfer', [depositor, contract, amount]),
+      log(stackSave, contract, 'Deposited', [depositor, 0n, deposited]),
+    ],
+  };
+}
+
+beforeEach(async () => {
+  db = createTestDatabase();
+  user = (await db.query(
+    `INSERT INTO users (wallet_address, total_balance) VALUES ('${WALLET}', 0) RETURNING *`
+  )).rows[0];
+  await db.query('INSERT INTO streaks (user_id) VALUES ($1)', [user.id]);
+});
+
+async function verify(amount = 25) {
+  const client = await db.getClient();
+  const deposit = await createDeposit(client, {
+    userId: user.id,
+    amount,
+    transactionHash: TX_HASH,
+    chainId: CHAIN_ID,
+    tokenAddress: USDC.address,
+  });
+  client.release();
+
+  const verifier = new DepositVerifier({ blockchainService, contractAddress: STACKSAVE, confirmations: 1, db });
+  return verifier.verifyDeposit(deposit.id);
+}
+
+async function balance() {
+  return Number((await db.query('SELECT total_balance FROM users WHERE id = $1', [user.id])).rows[0].total_balance);
+}
+
+test('a matching receipt confirms the deposit', async () => {
+  receipt = depositReceipt(25000000n);
+
+  const { result, deposit } = await verify();
+
+  assert.equal(result, 'confirmed');
+  assert.equal(deposit.status, 'confirmed');
+  assert.equal(await balance(), 25);
+});
+
+test('a deposit paid in another token is rejected', async () => {
+  receipt = depositReceipt(25000000n, { token: DAI });
+
+  const { result, reason, deposit } = await verify();
+
+  assert.equal(result, 'failed');
+  assert.match(reason, /not paid in USDC/);
+  assert.equal(deposit.failure_reason, reason);
+  assert.equal(await balance(), 0);
+});
+
+test('a deposit into another contract is rejected', async () => {
+  receipt = depositReceipt(25000000n, { contract: OTHER_CONTRACT });
+
+  const { result, reason } = await verify();
+
+  assert.equal(result, 'failed');
+  assert.equal(reason, 'Transaction has no StackSave Deposited event');
+  assert.equal(await balance(), 0);
+});
+
+test('a deposit whose token went to another recipient is rejected', async () => {
+  receipt = depositReceipt(25000000n);
+  receipt.logs[0] = log(erc20, USDC.address, 'Transfer', [WALLET, OTHER_CONTRACT, 25000000n]);
+
+  const { result, reason } = await verify();
+
+  assert.equal(result, 'failed');
+  assert.match(reason, /not paid in USDC/);
+});
+
+test('a deposit from another wallet is rejected', async () => {
+  receipt = depositReceipt(25000000n, { depositor: OTHER_WALLET });
+
+  const { result, reason } = await verify();
+
+  assert.equal(result, 'failed');
+  assert.equal(reason, 'Deposited event is for a different wallet');
+});
+
+test('a deposit of another amount is rejected', async () => {
+  receipt = depositReceipt(20000000n);
+
+  const { result, reason } = await verify();
+
+  assert.equal(result, 'failed');
+  assert.equal(reason, 'Deposited amount 20.0 does not match 25.0');
+
+  // An event claiming the amount without the transfer behind it
+  receipt = depositReceipt(20000000n, { deposited: 25000000n });
+  await db.query('DELETE FROM transactions');
+  await db.query('DELETE FROM deposits');
+  const forged = await verify();
+  assert.equal(forged.result, 'failed');
+  assert.match(forged.reason, /not paid in USDC/);
+  assert.equal(await balance(), 0);
+});
+
+test('a reverted transaction is rejected', async () => {
+  receipt = { ...depositReceipt(25000000n), status: 0 };
+
+  const { result, reason } = await verify();
+
+  assert.equal(result, 'failed');
+  assert.equal(reason, 'Transaction reverted');
+});
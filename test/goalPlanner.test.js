@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const { loadDepositSummaries, planGoal } = require('../src/services/goalPlanner');
+
+// 364 days: 12 monthly or 52 weekly periods
+const goal = {
+  target_amount: '1200',
+  current_amount: '0',
+  frequency: 'monthly',
+  start_date: '2027-01-01T00:00:00Z',
+  end_date: '2027-12-31T00:00:00Z',
+};
+const MID_YEAR = new Date('2027-07-01T00:00:00Z');
+
+test('the target is spread evenly over the periods', () => {
+  const monthly = planGoal(goal, null, MID_YEAR);
+  assert.equal(monthly.totalPeriods, 12);
+  assert.equal(monthly.plannedPerPeriod, 100);
+  assert.equal(monthly.periodsElapsed, 5);
+  assert.equal(monthly.periodsRemaining, 7);
+
+  const weekly = planGoal({ ...goal, frequency: 'weekly' }, null, MID_YEAR);
+  assert.equal(weekly.totalPeriods, 52);
+  assert.equal(weekly.plannedPerPeriod, 23.076923);
+
+  // Goals without a frequency are planned monthly
+  assert.equal(planGoal({ ...goal, frequency: null }, null, MID_YEAR).frequency, 'monthly');
+});
+
+test('status compares the saved amount with the linear plan, within half a period', () => {
+  // Half a year in, the plan expects about 597
+  const status = amount => planGoal({ ...goal, current_amount: String(amount) }, null, MID_YEAR).status;
+
+  assert.equal(status(600), 'on_track');
+  assert.equal(status(560), 'on_track');
+  assert.equal(status(700), 'ahead');
+  assert.equal(status(500), 'behind');
+  assert.equal(status(1200), 'ahead');
+
+  const plan = planGoal({ ...goal, current_amount: '600' }, null, MID_YEAR);
+  assert.equal(plan.expectedAmount, 596.703297);
+  assert.equal(plan.remainingAmount, 600);
+  assert.equal(plan.requiredPerPeriod, 85.714286);
+});
+
+test('a goal past its end date without the target is impossible', () => {
+  const plan = planGoal({ ...goal, current_amount: '900' }, null, new Date('2028-01-15T00:00:00Z'));
+
+  assert.equal(plan.status, 'impossible');
+  assert.equal(plan.periodsRemaining, 0);
+  assert.equal(plan.requiredPerPeriod, null);
+  assert.equal(plan.expectedAmount, 1200);
+});
+
+test('completion is projected from the pace of deposits', () => {
+  const deposits = {
+    total: 600,
+    count: 6,
+    firstDepositAt: new Date('2027-01-01T00:00:00Z'),
+    lastDepositAt: new Date('2027-06-30T00:00:00Z'),
+  };
+
+  const onPace = planGoal({ ...goal, current_amount: '600' }, deposits, MID_YEAR);
+  assert.equal(onPace.depositCount, 6);
+  assert.equal(onPace.averageDailyDeposit, 3.314917);
+  assert.equal(onPace.projectedCompletionDate.toISOString(), '2027-12-29T00:00:00.000Z');
+  assert.equal(onPace.completesOnTime, true);
+
+  const slow = planGoal({ ...goal, current_amount: '300' }, { ...deposits, total: 300 }, MID_YEAR);
+  assert.ok(slow.projectedCompletionDate > new Date(goal.end_date));
+  assert.equal(slow.completesOnTime, false);
+
+  // Without deposits there is nothing to extrapolate
+  const none = planGoal(goal, null, MID_YEAR);
+  assert.equal(none.averageDailyDeposit, null);
+  assert.equal(none.projectedCompletionDate, null);
+  assert.equal(none.completesOnTime, false);
+
+  // A reached goal completed with its last deposit
+  const done = planGoal({ ...goal, current_amount: '1200' }, deposits, MID_YEAR);
+  assert.equal(done.projectedCompletionDate, deposits.lastDepositAt);
+  assert.equal(done.completesOnTime, true);
+});
+
+test('deposit summaries count confirmed deposits on own and shared goals', async () => {
+  const db = createTestDatabase();
+  const [alice, bob] = (await db.query(
+    `INSERT INTO users (wallet_address) VALUES
+     ('0x2222222222222222222222222222222222222222'), ('0x4444444444444444444444444444444444444444')
+     RETURNING id`
+  )).rows.map(row => row.id);
+
+  const insertGoal = async userId => (await db.query(
+    `INSERT INTO savings_goals (user_id, title, target_amount, start_date, end_date)
+     VALUES ($1, 'Goal', 1200, '2027-01-01', '2027-12-31') RETURNING id`,
+    [userId]
+  )).rows[0].id;
+  const own = await insertGoal(alice);
+  const shared = await insertGoal(bob);
+  const unrelated = await insertGoal(bob);
+  await db.query("INSERT INTO goal_members (goal_id, user_id, role) VALUES ($1, $2, 'owner'), ($1, $3, 'contributor')", [shared, bob, alice]);
+
+  const deposit = (userId, goalId, amount, date, status = 'confirmed') => db.query(
+    'INSERT INTO deposits (user_id, goal_id, amount, deposit_date, status) VALUES ($1, $2, $3, $4, $5)',
+    [userId, goalId, amount, date, status]
+  );
+  await deposit(alice, own, 100, '2027-02-01');
+  await deposit(alice, own, 50, '2027-03-01');
+  await deposit(alice, own, 500, '2027-04-01', 'pending');
+  await deposit(bob, shared, 70, '2027-02-15');
+  await deposit(alice, shared, 30, '2027-05-15');
+  await deposit(bob, unrelated, 10, '2027-02-15');
+
+  const summaries = await loadDepositSummaries(db, { userId: alice });
+
+  assert.deepEqual([...summaries.keys()].sort(), [own, shared].sort());
+  assert.equal(summaries.get(own).total, 150);
+  assert.equal(summaries.get(own).count, 2);
+  assert.equal(summaries.get(own).lastDepositAt.getTime(), new Date('2027-03-01').getTime());
+  // Every member's deposits count towards a shared goal
+  assert.equal(summaries.get(shared).total, 100);
+
+  const one = await loadDepositSummaries(db, { goalId: shared });
+  assert.deepEqual([...one.keys()], [shared]);
+});
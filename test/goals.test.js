@@ -0,0 +1,75 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const resetDatabase = useTestDatabase();
+
+const { startApp } = require('./helpers/app');
+const { issueSession } = require('../src/services/sessions');
+const goalRoutes = require('../src/routes/goals');
+
+let app;
+let db;
+let creator;
+let token;
+
+async function createGoal(title) {
+  return (await db.query(
+    `INSERT INTO savings_goals (user_id, title, target_amount, current_amount, start_date, end_date)
+     VALUES ($1, $2, 100, 10, '2027-01-01', '2027-12-31') RETURNING *`,
+    [creator.id, title]
+  )).rows[0];
+}
+
+async function currentAmount(goalId) {
+  return Number((await db.query('SELECT current_amount FROM savings_goals WHERE id = $1', [goalId])).rows[0].current_amount);
+}
+
+before(async () => {
+  app = await startApp({ '/api/goals': goalRoutes });
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  db = resetDatabase();
+  creator = (await db.query(
+    "INSERT INTO users (wallet_address) VALUES ('0x2222222222222222222222222222222222222222') RETURNING *"
+  )).rows[0];
+  ({ accessToken: token } = await issueSession(creator));
+});
+
+test('currentAmount cannot be overwritten on a shared goal', async () => {
+  const goal = await createGoal('Gift');
+  const member = (await db.query(
+    "INSERT INTO users (wallet_address) VALUES ('0x3333333333333333333333333333333333333333') RETURNING *"
+  )).rows[0];
+  await db.query(
+    "INSERT INTO goal_members (goal_id, user_id, role, invited_by) VALUES ($1, $2, 'contributor', $3)",
+    [goal.id, member.id, creator.id]
+  );
+
+  const response = await app.request('PUT', `/api/goals/${goal.id}`, { token, body: { currentAmount: 0 } });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.details[0].field, 'currentAmount');
+  assert.equal(await currentAmount(goal.id), 10);
+
+  // Other fields still update
+  const renamed = await app.request('PUT', `/api/goals/${goal.id}`, { token, body: { title: 'Birthday gift' } });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.title, 'Birthday gift');
+});
+
+test('currentAmount can still be set on a goal without other members', async () => {
+  const goal = await createGoal('Bike');
+
+  const response = await app.request('PUT', `/api/goals/${goal.id}`, { token, body: { currentAmount: 30 } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.currentAmount, 30);
+  assert.deepEqual(response.body.milestonesReached.map(milestone => milestone.percent), [25]);
+});
@@ -0,0 +1,48 @@
+const express = require('express');
+
+/**
+ * Serve some of the API's routers on a random local port, the way
+ * src/index.js mounts them
+ * @param {Object} routes - Mount path -> router, e.g. { '/api/auth': authRoutes }
+ * @returns {Promise<Object>} { request(method, path, options), close() }
+ */
+function startApp(routes) {
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router);
+  }
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      /**
+       * @param {Object} [options] - { body, token, headers }
+       * @returns {Promise<Object>} { status, headers, body }
+       */
+      async function request(method, path, { body, token, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers: {
+            'content-type': 'application/json',
+            ...(token && { authorization: `Bearer ${token}` }),
+            ...headers,
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+      }
+
+      resolve({
+        request,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  startApp,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { newDb, DataType } = require('pg-mem');
+
+/**
+ * In-memory PostgreSQL (pg-mem) with db/schema.sql loaded, shaped like
+ * src/config/db ({ query, getClient }) for services that take an injectable db
+ *
+ * pg-mem lacks a few things the schema uses, so before loading:
+ *  - uuid-ossp is replaced by a registered uuid_generate_v4()
+ *  - plpgsql triggers (updated_at) are dropped
+ *  - the nullable savings_goals.frequency CHECK is dropped (pg-mem rejects NULL in it)
+ *  - payment_methods is created before deposits, which references it
+ *
+ * and queries are passed through pgMemQuery, since pg-mem cannot parse
+ * `FOR UPDATE OF <table>` (locks don't matter in a single connection)
+ */
+function createTestDatabase() {
+  const mem = newDb({ noAstCoverageCheck: true });
+  mem.public.registerFunction({
+    name: 'uuid_generate_v4',
+    returns: DataType.uuid,
+    implementation: () => crypto.randomUUID(),
+    impure: true,
+  });
+
+  const schema = fs.readFileSync(path.join(__dirname, '../../db/schema.sql'), 'utf8')
+    .replace(/CREATE EXTENSION[^;]*;/, '')
+    .replace("CHECK (frequency IN ('weekly', 'monthly'))", '')
+    .replace(/-- Trigger to update[\s\S]*$/, '');
+
+  let statements = schema.split(/;\s*\n/).map(statement => statement.trim()).filter(Boolean);
+  const paymentMethods = statements.find(statement => statement.includes('CREATE TABLE payment_methods'));
+  statements = statements.filter(statement => statement !== paymentMethods);
+  statements.splice(statements.findIndex(statement => statement.includes('CREATE TABLE deposits')), 0, paymentMethods);
+  statements.forEach(statement => mem.public.none(statement));
+
+  const { Pool } = mem.adapters.createPg();
+  const pool = new Pool();
+
+  return {
+    mem,
+    pool,
+    query: (text, params) => pool.query(pgMemQuery(text), params),
+    getClient: async () => {
+      const client = await pool.connect();
+      const clientQuery = client.query.bind(client);
+      client.query = (text, params) => clientQuery(pgMemQuery(text), params);
+      return client;
+    },
+  };
+}
+
+function pgMemQuery(text) {
+  return typeof text === 'string' ? text.replace(/FOR UPDATE OF \w+/g, 'FOR UPDATE') : text;
+}
+
+/**
+ * Point src/config/db's query and getClient at pg-mem, for services and
+ * routes that use the shared pool. Must run before those modules are loaded,
+ * since they keep references to the functions.
+ * @returns {Function} reset() - swaps in a fresh database and returns it
+ */
+function useTestDatabase() {
+  const sharedDb = require('../../src/config/db');
+  let current = createTestDatabase();
+
+  sharedDb.query = (text, params) => current.query(text, params);
+  sharedDb.getClient = () => current.getClient();
+
+  return () => {
+    current = createTestDatabase();
+    return current;
+  };
+}
+
+module.exports = {
+  createTestDatabase,
+  useTestDatabase,
+};
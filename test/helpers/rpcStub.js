@@ -0,0 +1,146 @@
+const http = require('http');
+const { ethers } = require('ethers');
+
+/**
+ * Local JSON-RPC stand-in for a chain of empty blocks plus the logs a test
+ * adds. reorg() replaces blocks from a height on with a new fork, dropping
+ * their logs, the way a node reports a reorganization.
+ */
+class RpcStub {
+  constructor(chainId = 84532) {
+    this.chainId = chainId;
+    this.blocks = [];
+    this.logs = [];
+    this.forks = 0;
+    this.getLogsCalls = [];
+    this.mine();
+  }
+
+  get head() {
+    return this.blocks.length - 1;
+  }
+
+  mine(count = 1) {
+    for (let i = 0; i < count; i++) {
+      const number = this.blocks.length;
+      this.blocks.push({ number, hash: ethers.id(`block:${number}:${this.forks}`) });
+    }
+  }
+
+  /**
+   * Add a log to a new block
+   * @param {Object} log - { address, topics, data }
+   * @returns {number} Block number
+   */
+  addLog(log) {
+    this.mine();
+    const blockNumber = this.head;
+    this.logs.push({ ...log, blockNumber, transactionHash: ethers.id(`tx:${blockNumber}:${this.forks}:${this.logs.length}`) });
+    return blockNumber;
+  }
+
+  reorg(fromBlock) {
+    this.forks += 1;
+    const replaced = this.blocks.length - fromBlock;
+    this.blocks = this.blocks.slice(0, fromBlock);
+    this.logs = this.logs.filter(log => log.blockNumber < fromBlock);
+    this.mine(replaced);
+  }
+
+  formatBlock(block) {
+    if (!block) return null;
+    return {
+      number: ethers.toQuantity(block.number),
+      hash: block.hash,
+      parentHash: block.number > 0 ? this.blocks[block.number - 1].hash : ethers.ZeroHash,
+      timestamp: ethers.toQuantity(1700000000 + block.number * 2),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: '0x1c9c380',
+      gasUsed: '0x0',
+      miner: ethers.ZeroAddress,
+      extraData: '0x',
+      baseFeePerGas: '0x3b9aca00',
+      transactions: [],
+    };
+  }
+
+  handle(method, params) {
+    switch (method) {
+      case 'eth_chainId':
+        return ethers.toQuantity(this.chainId);
+      case 'eth_blockNumber':
+        return ethers.toQuantity(this.head);
+      case 'eth_getBlockByNumber': {
+        const [tag] = params;
+        return this.formatBlock(tag === 'latest' ? this.blocks[this.head] : this.blocks[parseInt(tag, 16)]);
+      }
+      case 'eth_getLogs': {
+        const fromBlock = parseInt(params[0].fromBlock, 16);
+        const toBlock = parseInt(params[0].toBlock, 16);
+        this.getLogsCalls.push({ fromBlock, toBlock });
+        return this.logs
+          .filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+          .map((log, index) => ({
+            address: log.address,
+            topics: log.topics,
+            data: log.data,
+            blockNumber: ethers.toQuantity(log.blockNumber),
+            blockHash: this.blocks[log.blockNumber].hash,
+            transactionHash: log.transactionHash,
+            transactionIndex: '0x0',
+            logIndex: ethers.toQuantity(index),
+            removed: false,
+          }));
+      }
+      default:
+        throw Object.assign(new Error(`Method ${method} not supported`), { code: -32601 });
+    }
+  }
+
+  answer(request) {
+    try {
+      return { jsonrpc: '2.0', id: request.id, result: this.handle(request.method, request.params || []) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id: request.id, error: { code: error.code || -32000, message: error.message } };
+    }
+  }
+
+  /**
+   * Serve on a random local port
+   * @returns {Promise<string>} URL
+   */
+  listen() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify(Array.isArray(payload) ? payload.map(request => this.answer(request)) : this.answer(payload)));
+      });
+    });
+
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * ethers provider for this stub, without block number caching
+   */
+  provider() {
+    return new ethers.JsonRpcProvider(this.url, this.chainId, { staticNetwork: true, cacheTimeout: -1 });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+module.exports = {
+  RpcStub,
+};
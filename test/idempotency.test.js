@@ -0,0 +1,130 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const resetDatabase = useTestDatabase();
+
+const { startApp } = require('./helpers/app');
+const { idempotent } = require('../src/middleware/idempotency');
+const { issueSession } = require('../src/services/sessions');
+
+let app;
+let db;
+let user;
+let token;
+let runs;
+let release;
+
+// A handler that counts its runs and, for /slow, waits until the test releases it
+const router = express.Router();
+router.use((req, res, next) => {
+  req.user = { id: user.id };
+  next();
+});
+router.post('/fast', idempotent, (req, res) => {
+  runs += 1;
+  res.status(201).json({ run: runs, amount: req.body.amount });
+});
+router.post('/slow', idempotent, async (req, res) => {
+  runs += 1;
+  await new Promise(resolve => { release = resolve; });
+  res.status(201).json({ run: runs });
+});
+router.post('/broken', idempotent, (req, res) => {
+  runs += 1;
+  res.status(500).json({ error: 'Failed' });
+});
+
+before(async () => {
+  app = await startApp({ '/test': router, '/api/transactions': require('../src/routes/transactions') });
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  db = resetDatabase();
+  user = (await db.query(
+    "INSERT INTO users (wallet_address, total_balance) VALUES ('0x2222222222222222222222222222222222222222', 100) RETURNING *"
+  )).rows[0];
+  ({ accessToken: token } = await issueSession(user));
+  runs = 0;
+});
+
+function post(path, body, key) {
+  return app.request('POST', path, { body, token, headers: { 'idempotency-key': key } });
+}
+
+test('a retry with the same key and body replays the stored response', async () => {
+  const first = await post('/test/fast', { amount: 5 }, 'key-1');
+  const retry = await post('/test/fast', { amount: 5 }, 'key-1');
+
+  assert.equal(first.status, 201);
+  assert.equal(retry.status, 201);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+  assert.equal(runs, 1);
+
+  // Another key is another request
+  await post('/test/fast', { amount: 5 }, 'key-2');
+  assert.equal(runs, 2);
+});
+
+test('the same key with a different body is rejected', async () => {
+  await post('/test/fast', { amount: 5 }, 'key-1');
+
+  const response = await post('/test/fast', { amount: 6 }, 'key-1');
+
+  assert.equal(response.status, 422);
+  assert.equal(response.body.error, 'Idempotency key reused');
+  assert.equal(runs, 1);
+});
+
+test('a retry while the first request runs gets 409, however long it runs', async () => {
+  const first = post('/test/slow', {}, 'key-1');
+  while (!release) await new Promise(resolve => setImmediate(resolve));
+
+  const during = await post('/test/slow', {}, 'key-1');
+  assert.equal(during.status, 409);
+  assert.match(during.body.error, /still in progress/);
+
+  // Past the in-progress timeout the claim is reported as abandoned, not run again
+  await db.query("UPDATE idempotency_keys SET created_at = '2000-01-01'");
+  const late = await post('/test/slow', {}, 'key-1');
+  assert.equal(late.status, 409);
+  assert.equal(late.body.error, 'Idempotency key abandoned');
+  assert.equal(runs, 1);
+
+  release();
+  release = null;
+  assert.equal((await first).status, 201);
+
+  const replay = await post('/test/slow', {}, 'key-1');
+  assert.equal(replay.status, 201);
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+  assert.equal(runs, 1);
+});
+
+test('a server error releases the key for a retry', async () => {
+  assert.equal((await post('/test/broken', {}, 'key-1')).status, 500);
+  assert.equal((await post('/test/broken', {}, 'key-1')).status, 500);
+  assert.equal(runs, 2);
+});
+
+test('a retried withdrawal moves money once', async () => {
+  const path = `/api/transactions/${user.id}/withdrawal`;
+  const first = await post(path, { amount: 30 }, 'withdraw-1');
+  const retry = await post(path, { amount: 30 }, 'withdraw-1');
+
+  assert.equal(first.status, 201);
+  assert.deepEqual(retry.body, first.body);
+
+  const balance = (await db.query('SELECT total_balance FROM users WHERE id = $1', [user.id])).rows[0];
+  assert.equal(Number(balance.total_balance), 70);
+  const withdrawals = await db.query("SELECT id FROM transactions WHERE type = 'withdrawal'");
+  assert.equal(withdrawals.rows.length, 1);
+});
@@ -0,0 +1,251 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { EventIndexer } = require('../src/services/indexer');
+const { InterestTracker } = require('../src/services/interestTracker');
+const { linkGoalsFromEvents, requestGoalLink } = require('../src/services/goalLinks');
+const { createTestDatabase } = require('./helpers/database');
+const { RpcStub } = require('./helpers/rpcStub');
+const stackSaveABI = require('../abi/StackSaveSimple.json');
+
+const CONTRACT = '0x1111111111111111111111111111111111111111';
+const USER = '0x2222222222222222222222222222222222222222';
+const stackSave = new ethers.Interface(stackSaveABI);
+
+let chain;
+let db;
+
+beforeEach(async () => {
+  chain = new RpcStub();
+  await chain.listen();
+  db = createTestDatabase();
+});
+
+afterEach(async () => {
+  await chain.close();
+});
+
+function emit(eventName, args) {
+  const { topics, data } = stackSave.encodeEventLog(eventName, args);
+  return chain.addLog({ address: CONTRACT, topics, data });
+}
+
+function createIndexer(options = {}) {
+  return new EventIndexer({
+    name: 'test',
+    provider: chain.provider(),
+    chainId: chain.chainId,
+    contractAddress: CONTRACT,
+    confirmations: 2,
+    batchSize: 3,
+    db,
+    ...options,
+  });
+}
+
+async function indexedEvents() {
+  const result = await db.query(
+    'SELECT event_name, block_number, block_hash, amount FROM chain_events ORDER BY block_number'
+  );
+  return result.rows.map(row => ({
+    eventName: row.event_name,
+    blockNumber: Number(row.block_number),
+    blockHash: row.block_hash,
+    amount: String(row.amount),
+  }));
+}
+
+test('waits for the confirmation lag before indexing a block', async () => {
+  chain.mine(3);
+  const goalBlock = emit('GoalCreated', [USER, 0n, 'Trip', 1000000n]);
+  const depositBlock = emit('Deposited', [USER, 0n, 500000n]);
+  chain.mine(1);
+
+  const indexer = createIndexer();
+  const first = await indexer.runOnce();
+
+  assert.equal(first.toBlock, chain.head - 2);
+  assert.deepEqual((await indexedEvents()).map(event => event.blockNumber), [goalBlock]);
+
+  chain.mine(1);
+  await indexer.runOnce();
+
+  assert.deepEqual((await indexedEvents()).map(event => [event.eventName, event.blockNumber]), [
+    ['GoalCreated', goalBlock],
+    ['Deposited', depositBlock],
+  ]);
+});
+
+test('resumes from the stored checkpoint after a restart', async () => {
+  emit('Deposited', [USER, 0n, 100n]);
+  chain.mine(5);
+
+  const first = await createIndexer().runOnce();
+  assert.equal(first.fromBlock, 0);
+
+  emit('Deposited', [USER, 0n, 200n]);
+  chain.mine(2);
+  chain.getLogsCalls = [];
+
+  // A new instance (process restart) picks up where the checkpoint stopped
+  const resumed = await createIndexer().runOnce();
+
+  assert.equal(resumed.fromBlock, first.toBlock + 1);
+  assert.equal(chain.getLogsCalls[0].fromBlock, first.toBlock + 1);
+  assert.deepEqual((await indexedEvents()).map(event => event.amount), ['100', '200']);
+  assert.equal((await createIndexer().getStatus()).lastIndexedBlock, chain.head - 2);
+});
+
+test('rolls back and re-indexes events from blocks replaced by a reorg', async () => {
+  chain.mine(2);
+  const kept = emit('Deposited', [USER, 0n, 100n]);
+  chain.mine(2);
+  const reorged = emit('Deposited', [USER, 0n, 200n]);
+  chain.mine(4);
+
+  const indexer = createIndexer();
+  const reorgs = [];
+  indexer.on('reorg', range => reorgs.push(range));
+  await indexer.runOnce();
+  const indexedTo = (await indexer.getCheckpoint()).lastBlock;
+
+  chain.reorg(reorged);
+  const replacement = emit('Deposited', [USER, 0n, 300n]);
+  chain.mine(3);
+
+  const checkpoint = await indexer.reconcileReorg(await indexer.getCheckpoint());
+
+  assert.ok(checkpoint.lastBlock < reorged && checkpoint.lastBlock >= kept);
+  assert.equal(checkpoint.lastBlockHash, chain.blocks[checkpoint.lastBlock].hash);
+  assert.deepEqual(reorgs, [{ fromBlock: checkpoint.lastBlock + 1, toBlock: indexedTo }]);
+  assert.deepEqual((await indexedEvents()).map(event => event.amount), ['100']);
+
+  await indexer.runOnce();
+
+  const events = await indexedEvents();
+  assert.deepEqual(events.map(event => [event.blockNumber, event.amount]), [[kept, '100'], [replacement, '300']]);
+  assert.equal(events[1].blockHash, chain.blocks[replacement].hash);
+});
+
+test('leaves the checkpoint alone when the chain still agrees with it', async () => {
+  emit('Deposited', [USER, 0n, 100n]);
+  chain.mine(4);
+
+  const indexer = createIndexer();
+  await indexer.runOnce();
+  const checkpoint = await indexer.getCheckpoint();
+
+  assert.deepEqual(await indexer.reconcileReorg(checkpoint), checkpoint);
+});
+
+test('reverses interest claims credited from blocks replaced by a reorg', async () => {
+  const user = (await db.query(
+    'INSERT INTO users (wallet_address, total_balance) VALUES ($1, 100) RETURNING id',
+    [USER]
+  )).rows[0];
+
+  chain.mine(2);
+  const kept = emit('InterestClaimed', [USER, 1000000n]);
+  chain.mine(2);
+  const reorged = emit('InterestClaimed', [USER, 2000000n]);
+  chain.mine(4);
+
+  const indexer = createIndexer();
+  await indexer.runOnce();
+
+  const tracker = new InterestTracker({
+    db,
+    getBlockchainService: () => ({
+      provider: chain.provider(),
+      getDepositToken: async () => ({ address: CONTRACT, decimals: 6, symbol: 'USDC' }),
+    }),
+  });
+  tracker.networkForEvent = () => ({ name: 'test' });
+  assert.equal((await tracker.creditClaims()).credited, 2);
+
+  const balances = async () => {
+    const row = (await db.query('SELECT total_balance, total_earnings FROM users WHERE id = $1', [user.id])).rows[0];
+    const growth = await db.query('SELECT COALESCE(SUM(earnings), 0) AS earnings FROM daily_growth WHERE user_id = $1', [user.id]);
+    const claims = await db.query('SELECT block_number FROM interest_claims ORDER BY block_number');
+    const earnings = await db.query("SELECT amount FROM transactions WHERE type = 'earnings' ORDER BY amount");
+    return {
+      balance: Number(row.total_balance),
+      earnings: Number(row.total_earnings),
+      growth: Number(growth.rows[0].earnings),
+      claims: claims.rows.map(claim => Number(claim.block_number)),
+      transactions: earnings.rows.map(transaction => Number(transaction.amount)),
+    };
+  };
+  assert.deepEqual(await balances(), { balance: 103, earnings: 3, growth: 3, claims: [kept, reorged], transactions: [1, 2] });
+
+  chain.reorg(reorged);
+  const replacement = emit('InterestClaimed', [USER, 500000n]);
+  chain.mine(3);
+
+  await indexer.reconcileReorg(await indexer.getCheckpoint());
+  assert.deepEqual(await balances(), { balance: 101, earnings: 1, growth: 1, claims: [kept], transactions: [1] });
+
+  // The new chain's claim is credited once it is indexed
+  await indexer.runOnce();
+  assert.equal((await tracker.creditClaims()).credited, 1);
+  assert.deepEqual(await balances(), {
+    balance: 101.5,
+    earnings: 1.5,
+    growth: 1.5,
+    claims: [kept, replacement],
+    transactions: [0.5, 1],
+  });
+});
+
+test('unlinks goals created in blocks replaced by a reorg', async () => {
+  const user = (await db.query('INSERT INTO users (wallet_address) VALUES ($1) RETURNING id', [USER])).rows[0];
+  const trip = (await db.query(
+    `INSERT INTO savings_goals (user_id, title, target_amount, start_date, end_date)
+     VALUES ($1, 'Trip', 1, '2027-01-01', '2027-12-31') RETURNING id`,
+    [user.id]
+  )).rows[0];
+  await requestGoalLink(db, {
+    goalId: trip.id, chainId: chain.chainId, contractAddress: CONTRACT, walletAddress: USER, name: 'Trip', target: 1000000n,
+  });
+
+  const token = { address: CONTRACT, decimals: 6, symbol: 'USDC' };
+  const indexer = createIndexer();
+  // Linking as getEventIndexer wires it, but awaited
+  let linking = null;
+  indexer.on('events', (events) => { linking = linkGoalsFromEvents(events, token, db); });
+  const index = async () => {
+    await indexer.runOnce();
+    await linking;
+  };
+
+  // The pending Trip link is completed in a kept block, Car is created in a dropped one
+  chain.mine(2);
+  emit('GoalCreated', [USER, 0n, 'Trip', 1000000n]);
+  chain.mine(2);
+  const reorged = emit('GoalCreated', [USER, 1n, 'Car', 2000000n]);
+  chain.mine(4);
+  await index();
+
+  const links = async () => {
+    const result = await db.query(
+      `SELECT g.title, l.onchain_goal_id, l.pending_name FROM onchain_goal_links l
+       JOIN savings_goals g ON g.id = l.goal_id ORDER BY g.title`
+    );
+    return result.rows.map(row => [row.title, row.onchain_goal_id, row.pending_name]);
+  };
+  assert.deepEqual(await links(), [['Car', 1, null], ['Trip', 0, 'Trip']]);
+
+  chain.reorg(reorged);
+  chain.mine(1);
+  emit('GoalCreated', [USER, 1n, 'Car', 2000000n]);
+  chain.mine(3);
+
+  await indexer.reconcileReorg(await indexer.getCheckpoint());
+  assert.deepEqual(await links(), [['Car', null, 'Car'], ['Trip', 0, 'Trip']]);
+
+  // The re-mined event links the same goal again
+  await index();
+  assert.deepEqual(await links(), [['Car', 1, 'Car'], ['Trip', 0, 'Trip']]);
+  const goals = await db.query('SELECT title FROM savings_goals ORDER BY title');
+  assert.deepEqual(goals.rows.map(row => row.title), ['Car', 'Trip']);
+});
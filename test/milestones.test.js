@@ -0,0 +1,107 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const resetDatabase = useTestDatabase();
+
+const { startApp } = require('./helpers/app');
+const { issueSession } = require('../src/services/sessions');
+const { milestoneEvents, recordMilestones, announceMilestones } = require('../src/services/milestones');
+
+let app;
+let db;
+let user;
+let goal;
+
+before(async () => {
+  app = await startApp({ '/api/goals': require('../src/routes/goals') });
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  db = resetDatabase();
+  user = (await db.query(
+    "INSERT INTO users (wallet_address) VALUES ('0x2222222222222222222222222222222222222222') RETURNING *"
+  )).rows[0];
+  goal = (await db.query(
+    `INSERT INTO savings_goals (user_id, title, target_amount, current_amount, start_date, end_date)
+     VALUES ($1, 'Trip', 200, 0, '2027-01-01', '2027-12-31') RETURNING *`,
+    [user.id]
+  )).rows[0];
+});
+
+async function setAmount(amount, source = 'deposit') {
+  await db.query('UPDATE savings_goals SET current_amount = $1 WHERE id = $2', [amount, goal.id]);
+  return recordMilestones(db, goal.id, { source });
+}
+
+test('each milestone is recorded the first time the goal reaches it', async () => {
+  assert.deepEqual(await setAmount(40), []);
+
+  const first = await setAmount(110);
+  assert.deepEqual(first.map(row => row.percent), [25, 50]);
+  assert.equal(Number(first[0].amount), 110);
+  assert.equal(first[0].source, 'deposit');
+
+  assert.deepEqual(await setAmount(120), []);
+
+  const rest = await setAmount(200, 'transfer');
+  assert.deepEqual(rest.map(row => row.percent), [75, 100]);
+  assert.equal(rest[1].source, 'transfer');
+});
+
+test('dropping below a milestone does not let it fire again', async () => {
+  await setAmount(60);
+  assert.deepEqual(await setAmount(10, 'withdrawal'), []);
+  assert.deepEqual(await setAmount(60), []);
+
+  const rows = (await db.query('SELECT percent, source FROM goal_milestones WHERE goal_id = $1', [goal.id])).rows;
+  assert.deepEqual(rows, [{ percent: 25, source: 'deposit' }]);
+});
+
+test('announcing emits milestone events, and completed for 100%', async () => {
+  const milestones = [];
+  const completed = [];
+  const onMilestone = milestone => milestones.push(milestone);
+  const onCompleted = milestone => completed.push(milestone);
+  milestoneEvents.on('milestone', onMilestone);
+  milestoneEvents.on('completed', onCompleted);
+
+  try {
+    const announced = announceMilestones(await setAmount(200));
+
+    assert.deepEqual(milestones.map(milestone => milestone.percent), [25, 50, 75, 100]);
+    assert.deepEqual(milestones, announced);
+    assert.equal(completed.length, 1);
+    assert.equal(completed[0].goalId, goal.id);
+    assert.equal(completed[0].amount, 200);
+    assert.equal(completed[0].targetAmount, 200);
+  } finally {
+    milestoneEvents.off('milestone', onMilestone);
+    milestoneEvents.off('completed', onCompleted);
+  }
+});
+
+test('the milestones endpoint lists all four with the reached ones filled in', async () => {
+  await setAmount(120);
+  const { accessToken: token } = await issueSession(user);
+
+  const response = await app.request('GET', `/api/goals/${goal.id}/milestones`, { token });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.progress, 60);
+  assert.deepEqual(
+    response.body.milestones.map(({ percent, amount, reached, reachedWith, source }) => ({ percent, amount, reached, reachedWith, source })),
+    [
+      { percent: 25, amount: 50, reached: true, reachedWith: 120, source: 'deposit' },
+      { percent: 50, amount: 100, reached: true, reachedWith: 120, source: 'deposit' },
+      { percent: 75, amount: 150, reached: false, reachedWith: null, source: null },
+      { percent: 100, amount: 200, reached: false, reachedWith: null, source: null },
+    ]
+  );
+  assert.ok(response.body.milestones[0].reachedAt);
+});
@@ -0,0 +1,29 @@
+// An env network without contract addresses (blockchain config is optional)
+process.env.BLOCKCHAIN_SIMULATION = 'false';
+process.env.STACKSAVE_ADDRESS = '';
+process.env.USDC_ADDRESS = '';
+delete process.env.NETWORKS_CONFIG;
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDefaultNetwork, describeNetwork } = require('../src/config/networks');
+const { getSiweConfig } = require('../src/services/siwe');
+const { getBlockchainService, getBlockchainServices } = require('../src/services/blockchain');
+const { getEventIndexers } = require('../src/services/indexer');
+
+test('a network without contract addresses loads as not configured', () => {
+  const network = getDefaultNetwork();
+
+  assert.equal(network.configured, false);
+  assert.deepEqual(network.missingAddresses, ['stackSaveAddress', 'usdcAddress']);
+  assert.equal(describeNetwork(network).configured, false);
+
+  // Sign-in only needs the chain id
+  assert.equal(getSiweConfig().chainId, network.chainId);
+});
+
+test('chain services refuse an unconfigured network and background services skip it', () => {
+  assert.throws(() => getBlockchainService(), { status: 503, message: /stackSaveAddress and usdcAddress missing/ });
+  assert.deepEqual(getBlockchainServices(), []);
+  assert.deepEqual(getEventIndexers(), []);
+});
@@ -0,0 +1,133 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+
+// apiKeys and ownerOperations use the shared pool; point it at pg-mem before loading them
+let db;
+const pool = require('../src/config/db');
+pool.query = (...args) => db.query(...args);
+pool.getClient = () => db.getClient();
+
+const { resolveNetwork } = require('../src/config/networks');
+const { createApiKey } = require('../src/services/apiKeys');
+const { getBlockchainService } = require('../src/services/blockchain');
+const { proposeOperation, approveOperation, recordExecution } = require('../src/services/ownerOperations');
+const { getSimulatedChain } = require('../src/services/simulation');
+
+const TREASURY = '0x4444444444444444444444444444444444444444';
+
+let alice;
+let bob;
+
+beforeEach(async () => {
+  db = createTestDatabase();
+  // Two operators, each with a root key from the command line
+  alice = (await createApiKey('alice', ['*'])).record;
+  bob = (await createApiKey('bob', ['owner-ops:write'])).record;
+});
+
+function propose(apiKeyId, action = 'updateTreasury', params = { treasury: TREASURY }) {
+  return proposeOperation({ action, params, apiKeyId });
+}
+
+test('keys minted under the proposer\'s root do not count as a second approver', async () => {
+  const operation = await propose(alice.id);
+
+  // Minted by the proposer
+  const child = (await createApiKey('alice 2', ['owner-ops:write'], alice.id)).record;
+  await assert.rejects(approveOperation(operation.id, child.id), { status: 409 });
+
+  // Minted by that key, and a sibling of it proposing in turn
+  const grandchild = (await createApiKey('alice 3', ['owner-ops:write'], child.id)).record;
+  await assert.rejects(approveOperation(operation.id, grandchild.id), { status: 409 });
+
+  const sibling = await propose(child.id);
+  const other = (await createApiKey('alice 4', ['owner-ops:write'], alice.id)).record;
+  await assert.rejects(approveOperation(sibling.id, other.id), { status: 409 });
+  await assert.rejects(approveOperation(sibling.id, alice.id), { status: 409 });
+
+  const row = (await db.query('SELECT status FROM owner_operations WHERE id = $1', [operation.id])).rows[0];
+  assert.equal(row.status, 'pending');
+});
+
+test('a second operator meets the threshold', async () => {
+  const operation = await propose(alice.id);
+  const bobChild = (await createApiKey('bob 2', ['owner-ops:write'], bob.id)).record;
+
+  const { operation: approved, transaction } = await approveOperation(operation.id, bobChild.id);
+
+  assert.equal(approved.status, 'approved');
+  assert.equal(approved.approvals.length, 2);
+  assert.ok(transaction);
+});
+
+/**
+ * An operation approved by both operators, and a way to send its call
+ */
+async function approvedOperation(action, params) {
+  const operation = await propose(alice.id, action, params);
+  await approveOperation(operation.id, bob.id);
+
+  const row = (await db.query('SELECT * FROM owner_operations WHERE id = $1', [operation.id])).rows[0];
+  const chain = getSimulatedChain(resolveNetwork());
+  const send = from => chain.sendTransaction({ from, to: row.contract_address, data: row.calldata }).hash;
+
+  return { operation, send };
+}
+
+async function currentOwner() {
+  return getBlockchainService().stackSaveContract.owner();
+}
+
+async function status(operationId) {
+  return (await db.query('SELECT status FROM owner_operations WHERE id = $1', [operationId])).rows[0].status;
+}
+
+test('an execution is recorded once the owner\'s transaction succeeds', async () => {
+  const { operation, send } = await approvedOperation('updateTreasury', { treasury: TREASURY });
+
+  const executed = await recordExecution(operation.id, alice.id, send(await currentOwner()));
+
+  assert.equal(executed.status, 'executed');
+});
+
+test('a reverted transaction is not recorded as an execution', async () => {
+  const { operation, send } = await approvedOperation('updateTreasury', { treasury: TREASURY });
+
+  // Anyone but the owner reverts on onlyOwner
+  const hash = send('0x7777777777777777777777777777777777777777');
+
+  await assert.rejects(recordExecution(operation.id, alice.id, hash), { status: 400, message: 'Transaction reverted' });
+  assert.equal(await status(operation.id), 'approved');
+});
+
+test('a transaction from another sender is not recorded as an execution', async () => {
+  const { operation, send } = await approvedOperation('updateTreasury', { treasury: TREASURY });
+  const hash = send(await currentOwner());
+
+  // The same call from someone else (a contract that does not check the owner, say)
+  const service = getBlockchainService();
+  const getTransaction = service.getTransaction;
+  service.getTransaction = async txHash => ({ ...(await getTransaction.call(service, txHash)), from: '0x7777777777777777777777777777777777777777' });
+
+  try {
+    await assert.rejects(recordExecution(operation.id, alice.id, hash), { status: 400, message: /not sent by the contract owner/ });
+  } finally {
+    service.getTransaction = getTransaction;
+  }
+  assert.equal(await status(operation.id), 'approved');
+});
+
+test('a transfer of ownership is checked against the owner before it', async () => {
+  const previousOwner = await currentOwner();
+  const newOwner = '0x8888888888888888888888888888888888888888';
+  const { operation, send } = await approvedOperation('transferOwnership', { newOwner });
+
+  const hash = send(previousOwner);
+  assert.equal(await currentOwner(), newOwner);
+
+  const executed = await recordExecution(operation.id, alice.id, hash);
+  assert.equal(executed.status, 'executed');
+});
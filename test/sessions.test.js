@@ -0,0 +1,75 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const resetDatabase = useTestDatabase();
+
+const { startApp } = require('./helpers/app');
+const { issueSession } = require('../src/services/sessions');
+const authRoutes = require('../src/routes/auth');
+
+let app;
+let tokens;
+
+before(async () => {
+  app = await startApp({ '/api/auth': authRoutes });
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  const db = resetDatabase();
+  const user = (await db.query(
+    `INSERT INTO users (wallet_address, mode, total_balance, total_earnings)
+     VALUES ('0x1234567890123456789012345678901234567890', 'lite', 0, 0)
+     RETURNING *`
+  )).rows[0];
+  tokens = await issueSession(user);
+});
+
+function refresh(refreshToken) {
+  return app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+}
+
+test('refreshing rotates the refresh token', async () => {
+  const rotated = await refresh(tokens.refreshToken);
+
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.tokens.refreshToken, tokens.refreshToken);
+
+  const again = await refresh(rotated.body.tokens.refreshToken);
+  assert.equal(again.status, 200);
+});
+
+test('a replayed refresh token revokes the session', async () => {
+  const rotated = (await refresh(tokens.refreshToken)).body.tokens;
+
+  const replay = await refresh(tokens.refreshToken);
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.message, 'Refresh token has already been used');
+
+  // The token issued by the legitimate rotation dies with the session
+  const next = await refresh(rotated.refreshToken);
+  assert.equal(next.status, 401);
+  assert.equal(next.body.message, 'Session has been revoked');
+
+  for (const accessToken of [tokens.accessToken, rotated.accessToken]) {
+    const logout = await app.request('POST', '/api/auth/logout', { body: {}, token: accessToken });
+    assert.equal(logout.status, 401);
+  }
+});
+
+test('logging out revokes the access and refresh tokens', async () => {
+  const logout = await app.request('POST', '/api/auth/logout', { body: {}, token: tokens.accessToken });
+  assert.equal(logout.status, 200);
+
+  const again = await app.request('POST', '/api/auth/logout', { body: {}, token: tokens.accessToken });
+  assert.equal(again.status, 401);
+
+  const rotated = await refresh(tokens.refreshToken);
+  assert.equal(rotated.status, 401);
+  assert.equal(rotated.body.message, 'Session has been revoked');
+});
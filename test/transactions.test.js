@@ -0,0 +1,96 @@
+// A real (non-simulated) network whose only RPC endpoint is down (see before())
+process.env.BLOCKCHAIN_SIMULATION = 'false';
+delete process.env.RPC_URLS;
+delete process.env.NETWORKS_CONFIG;
+process.env.STACKSAVE_ADDRESS = '0x1111111111111111111111111111111111111111';
+process.env.USDC_ADDRESS = '0x5555555555555555555555555555555555555555';
+process.env.RPC_RETRIES = '0';
+process.env.RPC_TIMEOUT_MS = '1000';
+process.env.JWT_SECRET = 'test-secret';
+
+const http = require('http');
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const resetDatabase = useTestDatabase();
+
+const { startApp } = require('./helpers/app');
+const { issueSession } = require('../src/services/sessions');
+
+const USDC = process.env.USDC_ADDRESS;
+
+let rpc;
+let rpcRequests = 0;
+let app;
+let db;
+let user;
+let token;
+
+before(async () => {
+  // Answers every JSON-RPC call with 503 and counts them
+  rpc = http.createServer((req, res) => {
+    rpcRequests += 1;
+    req.resume();
+    res.statusCode = 503;
+    res.end();
+  });
+  await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+  process.env.RPC_URL = `http://127.0.0.1:${rpc.address().port}`;
+
+  app = await startApp({ '/api/transactions': require('../src/routes/transactions') });
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => rpc.close(resolve));
+});
+
+beforeEach(async () => {
+  db = resetDatabase();
+  user = (await db.query(
+    "INSERT INTO users (wallet_address, total_balance) VALUES ('0x2222222222222222222222222222222222222222', 100) RETURNING *"
+  )).rows[0];
+  ({ accessToken: token } = await issueSession(user));
+  rpcRequests = 0;
+});
+
+test('off-chain withdrawals are recorded in the configured token while the RPC is down', async () => {
+  const response = await app.request('POST', `/api/transactions/${user.id}/withdrawal`, {
+    token,
+    body: { amount: 25 },
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.tokenAddress, USDC);
+  assert.equal(rpcRequests, 0);
+
+  const balance = (await db.query('SELECT total_balance FROM users WHERE id = $1', [user.id])).rows[0];
+  assert.equal(Number(balance.total_balance), 75);
+});
+
+test('earnings are recorded in the configured token while the RPC is down', async () => {
+  const response = await app.request('POST', `/api/transactions/${user.id}/earnings`, {
+    token,
+    body: { amount: 2 },
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.tokenAddress, USDC);
+  assert.equal(rpcRequests, 0);
+
+  const balance = (await db.query('SELECT total_balance, total_earnings FROM users WHERE id = $1', [user.id])).rows[0];
+  assert.deepEqual([Number(balance.total_balance), Number(balance.total_earnings)], [102, 2]);
+});
+
+test('on-chain withdrawals still read the deposit token over RPC', async () => {
+  const response = await app.request('POST', `/api/transactions/${user.id}/withdrawal`, {
+    token,
+    body: { amount: 25, transactionHash: `0x${'ab'.repeat(32)}` },
+  });
+
+  // The read fails and falls back to the configured token
+  assert.equal(response.status, 201);
+  assert.equal(response.body.tokenAddress, USDC);
+  assert.ok(rpcRequests > 0);
+});
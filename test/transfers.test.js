@@ -0,0 +1,126 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { submitDeposit } = require('../src/services/deposits');
+const { getWithdrawableAmount } = require('../src/services/goalMembers');
+const { transferFunds, getUnallocatedBalance } = require('../src/services/transfers');
+const { createTestDatabase } = require('./helpers/database');
+
+let db;
+let creator;
+let member;
+let sharedGoal;
+let ownGoal;
+
+async function createUser(walletAddress) {
+  return (await db.query('INSERT INTO users (wallet_address) VALUES ($1) RETURNING *', [walletAddress])).rows[0];
+}
+
+async function createGoal(userId, title, targetAmount) {
+  const result = await db.query(
+    `INSERT INTO savings_goals (user_id, title, target_amount, start_date, end_date)
+     VALUES ($1, $2, $3, '2027-01-01', '2027-12-31') RETURNING *`,
+    [userId, title, targetAmount]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Run fn(client) in a transaction, like the routes do
+ */
+async function inTransaction(fn) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function deposit(userId, goalId, amount) {
+  return inTransaction(client => submitDeposit(client, { userId, goalId, amount }));
+}
+
+function transfer(params) {
+  return inTransaction(client => transferFunds(client, params));
+}
+
+async function loadGoal(id) {
+  return (await db.query('SELECT * FROM savings_goals WHERE id = $1', [id])).rows[0];
+}
+
+beforeEach(async () => {
+  db = createTestDatabase();
+  creator = await createUser('0x2222222222222222222222222222222222222222');
+  member = await createUser('0x3333333333333333333333333333333333333333');
+  sharedGoal = await createGoal(creator.id, 'Gift', 100);
+  ownGoal = await createGoal(creator.id, 'Bike', 100);
+  await db.query(
+    "INSERT INTO goal_members (goal_id, user_id, role, invited_by) VALUES ($1, $2, 'contributor', $3)",
+    [sharedGoal.id, member.id, creator.id]
+  );
+
+  await deposit(creator.id, sharedGoal.id, 30);
+  await deposit(member.id, sharedGoal.id, 20);
+});
+
+test('the creator cannot withdraw a contributor\'s share of a shared goal', async () => {
+  assert.equal(await getWithdrawableAmount(db, await loadGoal(sharedGoal.id), creator.id), 30);
+  assert.equal(await getWithdrawableAmount(db, await loadGoal(sharedGoal.id), member.id), 20);
+
+  await assert.rejects(
+    transfer({ userId: creator.id, fromGoalId: sharedGoal.id, toGoalId: ownGoal.id, amount: 31 }),
+    { status: 400, message: 'Insufficient contribution' }
+  );
+  await assert.rejects(
+    transfer({ userId: creator.id, fromGoalId: sharedGoal.id, amount: 50 }),
+    { status: 400, message: 'Insufficient contribution' }
+  );
+  assert.equal(Number((await loadGoal(sharedGoal.id)).current_amount), 50);
+
+  await transfer({ userId: creator.id, fromGoalId: sharedGoal.id, toGoalId: ownGoal.id, amount: 30 });
+
+  assert.equal(Number((await loadGoal(sharedGoal.id)).current_amount), 20);
+  assert.equal(Number((await loadGoal(ownGoal.id)).current_amount), 30);
+  assert.equal(await getWithdrawableAmount(db, await loadGoal(sharedGoal.id), creator.id), 0);
+  assert.equal(await getWithdrawableAmount(db, await loadGoal(sharedGoal.id), member.id), 20);
+});
+
+test('members move at most their own contribution', async () => {
+  await assert.rejects(
+    transfer({ userId: member.id, fromGoalId: sharedGoal.id, amount: 21 }),
+    { status: 400, message: 'Insufficient contribution' }
+  );
+
+  await transfer({ userId: member.id, fromGoalId: sharedGoal.id, amount: 20 });
+
+  assert.equal((await getUnallocatedBalance(db, member.id)).unallocated, 20);
+  assert.equal(await getWithdrawableAmount(db, await loadGoal(sharedGoal.id), creator.id), 30);
+});
+
+test('transfers between goals re-evaluate completion and reject overdrafts', async () => {
+  await deposit(creator.id, null, 80);
+
+  await assert.rejects(
+    transfer({ userId: creator.id, toGoalId: ownGoal.id, amount: 81 }),
+    { status: 400, message: 'Insufficient unallocated balance' }
+  );
+
+  const result = await transfer({ userId: creator.id, toGoalId: ownGoal.id, amount: 80 });
+  assert.equal(result.transaction.type, 'transfer');
+  assert.equal(result.transaction.from_goal_id, null);
+  assert.equal(result.to.is_completed, false);
+
+  await transfer({ userId: creator.id, fromGoalId: sharedGoal.id, toGoalId: ownGoal.id, amount: 20 });
+  assert.equal((await loadGoal(ownGoal.id)).is_completed, true);
+
+  await transfer({ userId: creator.id, fromGoalId: ownGoal.id, amount: 1 });
+  assert.equal((await loadGoal(ownGoal.id)).is_completed, false);
+});
@@ -0,0 +1,121 @@
+process.env.BLOCKCHAIN_SIMULATION = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const resetDatabase = useTestDatabase();
+
+const { startApp } = require('./helpers/app');
+const { v, validate } = require('../src/middleware/validate');
+const { getDefaultNetwork } = require('../src/config/networks');
+const { issueSession } = require('../src/services/sessions');
+
+// Echoes what the handler sees after validation
+const router = express.Router();
+router.post('/:id', validate({
+  params: { id: v.uuid() },
+  query: { limit: v.limit(), archived: v.boolean().optional() },
+  body: {
+    amount: v.number({ positive: true }),
+    title: v.string({ min: 1, max: 10 }),
+    walletAddress: v.address().optional(),
+    allocations: v.array(v.object({ protocol: v.string({ min: 1 }), amount: v.number({ min: 0 }) }), { min: 1 }).optional(),
+    network: v.network().optional(),
+  },
+  refine: req => (req.body.amount > 100 ? [{ location: 'body', field: 'amount', message: 'is over the limit' }] : []),
+}), (req, res) => {
+  res.json({ params: req.params, query: req.query, body: req.body });
+});
+
+const ID = '3f2504e0-4f89-41d3-9a0c-0305e82c3301';
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/test': router, '/api/transactions': require('../src/routes/transactions') });
+});
+
+after(() => app.close());
+
+test('valid input is coerced and written back to the request', async () => {
+  const response = await app.request('POST', `/test/${ID.toUpperCase()}?archived=true`, {
+    body: { amount: '12.5', title: '  Trip  ', network: String(getDefaultNetwork().chainId) },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.params.id, ID);
+  assert.deepEqual(response.body.query, { limit: 50, archived: true });
+  assert.equal(response.body.body.amount, 12.5);
+  assert.equal(response.body.body.title, 'Trip');
+  assert.equal(response.body.body.network, getDefaultNetwork().name);
+});
+
+test('every invalid field is reported with its location', async () => {
+  const response = await app.request('POST', '/test/not-a-uuid?limit=500&archived=maybe', {
+    body: { amount: -1, title: '', walletAddress: '0x123', network: 'nowhere' },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Validation failed');
+  assert.equal(response.body.message, 'params.id must be a valid UUID');
+  assert.deepEqual(response.body.details.map(detail => `${detail.location}.${detail.field}`), [
+    'params.id',
+    'query.limit',
+    'query.archived',
+    'body.amount',
+    'body.title',
+    'body.walletAddress',
+    'body.network',
+  ]);
+});
+
+test('nested failures are reported by path', async () => {
+  const response = await app.request('POST', `/test/${ID}`, {
+    body: { amount: 1, title: 'Trip', allocations: [{ protocol: 'aave', amount: 1 }, { protocol: '   ', amount: 'x' }] },
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.details, [
+    { location: 'body', field: 'allocations[1].protocol', message: 'must not be empty' },
+    { location: 'body', field: 'allocations[1].amount', message: 'must be a number' },
+  ]);
+});
+
+test('missing and null fields are rejected', async () => {
+  const response = await app.request('POST', `/test/${ID}`, { body: { amount: null } });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.details, [
+    { location: 'body', field: 'amount', message: 'must not be null' },
+    { location: 'body', field: 'title', message: 'is required' },
+  ]);
+});
+
+test('cross-field checks run once the fields are valid', async () => {
+  const response = await app.request('POST', `/test/${ID}`, { body: { amount: 101, title: 'Trip' } });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, 'body.amount is over the limit');
+});
+
+test('routes reject malformed bodies before touching the database', async () => {
+  const db = resetDatabase();
+  const user = (await db.query(
+    "INSERT INTO users (wallet_address, total_balance) VALUES ('0x2222222222222222222222222222222222222222', 100) RETURNING *"
+  )).rows[0];
+  const { accessToken: token } = await issueSession(user);
+
+  const response = await app.request('POST', `/api/transactions/${user.id}/withdrawal`, {
+    token,
+    body: { amount: '1e', goalId: 'goal-1', transactionHash: '0xabc' },
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.details.map(detail => detail.field), ['amount', 'goalId', 'transactionHash']);
+
+  const balance = (await db.query('SELECT total_balance FROM users WHERE id = $1', [user.id])).rows[0];
+  assert.equal(Number(balance.total_balance), 100);
+});